@@ -24,6 +24,18 @@ export const MAX_FULLNAME_LENGTH = 100;
 // === ФАЙЛЫ ===
 export const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB максимальный размер файла
 export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+export const PRODUCT_IMAGES_MAX = 10; // Изображений в галерее товара
+export const PRODUCT_IMAGE_ALT_MAX_LENGTH = 200; // Подпись изображения
+
+// === ЗАКАЗЫ ===
+// Куда админ может перевести заказ из каждого статуса (проверяет и сервер)
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
 
 // === БЕЗОПАСНОСТЬ ===
 export const BCRYPT_SALT_ROUNDS = 10;
@@ -0,0 +1,11 @@
+// jest.config.cjs - Конфигурация Jest (.cjs, так как package.json объявляет "type": "module")
+module.exports = {
+    testEnvironment: 'node',
+    testMatch: ['**/tests/**/*.test.cjs'],
+    collectCoverageFrom: [
+        'server/**/*.cjs'
+    ],
+    coverageDirectory: 'coverage',
+    verbose: true
+};
+
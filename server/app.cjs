@@ -0,0 +1,215 @@
+// server/app.cjs - Фабрика Express-приложения NEON RED
+// createApp(deps) только собирает приложение и не вызывает app.listen,
+// поэтому его можно подключать в тестах с любыми зависимостями
+const express = require('express');
+const cors = require('cors');
+const compression = require('compression');
+const { createAuthMiddleware } = require('./middleware/auth.cjs');
+const { createIdempotencyMiddleware } = require('./middleware/idempotency.cjs');
+const { createBruteForceProtection } = require('./middleware/bruteForce.cjs');
+const { createSecurityMiddleware } = require('./middleware/security.cjs');
+const { createSessionManager } = require('./lib/sessions.cjs');
+const { createUserCache } = require('./lib/users.cjs');
+const { createTwoFactor } = require('./lib/twoFactor.cjs');
+const { createOAuthFlow } = require('./lib/oauth.cjs');
+const { createAccountDirectory } = require('./lib/accounts.cjs');
+const { createOAuthProviders } = require('./oauth/index.cjs');
+const { createProductsCache } = require('./lib/products.cjs');
+const { createProductGallery } = require('./lib/productImages.cjs');
+const { createStorageCollector } = require('./lib/storageGc.cjs');
+const { createTransactionalEmails } = require('./lib/email.cjs');
+const { createOrderNotifier } = require('./lib/orderNotifications.cjs');
+const { createMailQueue } = require('./mail/queue.cjs');
+const { createAuthRouter } = require('./routes/auth.cjs');
+const { createProfileRouter } = require('./routes/profile.cjs');
+const { createUploadsRouter } = require('./routes/uploads.cjs');
+const { createProductImagesRouter } = require('./routes/productImages.cjs');
+const { createCatalogRouter } = require('./routes/catalog.cjs');
+const { createAdminRouter } = require('./routes/admin.cjs');
+const { createSessionsRouter } = require('./routes/sessions.cjs');
+const { createTwoFactorRouter } = require('./routes/twoFactor.cjs');
+const { createOAuthRouter } = require('./routes/oauth.cjs');
+const { createOrdersRouter } = require('./routes/orders.cjs');
+const { createMailPreviewRouter } = require('./routes/mailPreview.cjs');
+const { createDevRouter } = require('./routes/dev.cjs');
+const { JSON_BODY_LIMIT } = require('./constants.cjs');
+
+// Разрешённые источники фронтенда: для CORS и для адресов возврата после входа через OAuth.
+// origins и previewSuffix приходят из настроек (CORS_ORIGINS, CORS_PREVIEW_SUFFIX, см. server/config.cjs)
+function createOriginCheck({ nodeEnv, origins = [], previewSuffix = '' }) {
+    const allowedOrigins = new Set(origins);
+
+    // allowPreviews: false - только явно перечисленные домены, без чужих превью (*.vercel.app)
+    return function isAllowedOrigin(origin, { allowPreviews = true } = {}) {
+        // В разработке разрешаем все
+        if (nodeEnv !== 'production') return true;
+
+        // Проверяем явно разрешенные домены
+        if (allowedOrigins.has(origin)) return true;
+
+        // Превью-домены хостинга
+        return Boolean(allowPreviews && previewSuffix && origin.startsWith('https://') && origin.endsWith(previewSuffix));
+    };
+}
+
+// CORS настройки - разрешаем запросы с Vercel и других доменов
+function createCorsOptions(nodeEnv, isAllowedOrigin) {
+    const common = {
+        credentials: true,
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-CSRF-Token'],
+        exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
+    };
+
+    // В разработке разрешаем все
+    if (nodeEnv !== 'production') {
+        return { ...common, origin: true };
+    }
+
+    return {
+        ...common,
+        origin: function (origin, callback) {
+            // Разрешаем запросы без origin (мобильные приложения, Postman и т.д.)
+            if (!origin) return callback(null, true);
+
+            if (isAllowedOrigin(origin)) {
+                return callback(null, true);
+            }
+
+            const error = new Error('Not allowed by CORS');
+            error.code = 'ORIGIN_NOT_ALLOWED';
+            callback(error);
+        }
+    };
+}
+
+/**
+ * Собирает Express-приложение.
+ * @param {object} deps
+ * @param {object} deps.repos - слой доступа к данным (server/data), например createMemoryRepos()
+ * @param {string} deps.jwtSecret - секрет для подписи JWT
+ * @param {object} deps.mailer - отправка писем (server/mail), например createMailer(createMemoryTransport())
+ * @param {object} [deps.mailQueue] - фоновая очередь писем, по умолчанию createMailQueue()
+ * @param {string} [deps.nodeEnv] - окружение, по умолчанию process.env.NODE_ENV
+ * @param {boolean|number|string[]} [deps.trustProxy] - настройка Express trust proxy: от кого принимать
+ *   X-Forwarded-For для req.ip; по умолчанию false - IP берётся из соединения
+ * @param {boolean} [deps.requireStaffTwoFactor] - сотрудникам обязательна 2FA, по умолчанию да
+ * @param {object} [deps.oauthProviders] - провайдеры входа (server/oauth), по умолчанию ни одного
+ * @param {string} [deps.oauthRedirectBaseUrl] - публичный адрес API для callback провайдеров
+ * @param {object} [deps.cors] - разрешённые источники в production: { origins, previewSuffix }
+ * @param {object} [deps.security] - настройки server/middleware/security.cjs: hstsMaxAge, csrf, cspReportUri, jsonBodyLimit
+ * @param {object} [deps.storage] - уборка хранилища: { gcGraceHours }; расписание запускает server/index.cjs
+ */
+function createApp({
+    repos,
+    jwtSecret,
+    mailer,
+    mailQueue = createMailQueue(),
+    nodeEnv = process.env.NODE_ENV,
+    trustProxy = false,
+    requireStaffTwoFactor = true,
+    oauthProviders = createOAuthProviders(),
+    oauthRedirectBaseUrl = null,
+    cors: corsSettings = {},
+    security = {},
+    storage = {}
+}) {
+    const app = express();
+    const isAllowedOrigin = createOriginCheck({ nodeEnv, ...corsSettings });
+    const { jsonBodyLimit = JSON_BODY_LIMIT, ...securityOptions } = security;
+    const { securityHeaders, issueCsrfToken, csrfProtection, handleBodyErrors } = createSecurityMiddleware({
+        nodeEnv,
+        secret: jwtSecret,
+        // Форму mock-провайдера отправляет сама страница сервера, заголовок с токеном ей не добавить
+        csrfExemptPaths: [/^\/api\/oauth\/[^/]+\/authorize$/],
+        ...securityOptions
+    });
+
+    app.disable('x-powered-by');
+    // От req.ip зависят счётчики попыток и список сеансов
+    app.set('trust proxy', trustProxy);
+    app.use(securityHeaders);
+    // Сжатие ответов для улучшения производительности
+    app.use(compression());
+    app.use(cors(createCorsOptions(nodeEnv, isAllowedOrigin)));
+    app.use(csrfProtection);
+    app.use(express.json({ limit: jsonBodyLimit }));
+
+    const emails = createTransactionalEmails(mailer);
+    const userCache = createUserCache(repos.usersRepo);
+    const sessions = createSessionManager({
+        sessionsRepo: repos.sessionsRepo,
+        usersRepo: repos.usersRepo,
+        jwtSecret
+    });
+    const twoFactor = createTwoFactor({ usersRepo: repos.usersRepo, jwtSecret });
+    const accounts = createAccountDirectory({ usersRepo: repos.usersRepo, settingsRepo: repos.settingsRepo, jwtSecret });
+
+    const deps = {
+        repos,
+        jwtSecret,
+        mailer,
+        emails,
+        mailQueue,
+        sessions,
+        userCache,
+        twoFactor,
+        accounts,
+        requireStaffTwoFactor,
+        oauthProviders,
+        oauthFlow: createOAuthFlow({ usersRepo: repos.usersRepo, identitiesRepo: repos.identitiesRepo, accounts }),
+        oauthRedirectBaseUrl,
+        isAllowedOrigin,
+        orderNotifier: createOrderNotifier({ usersRepo: repos.usersRepo, emails, mailQueue }),
+        productsCache: createProductsCache(),
+        productGallery: createProductGallery({ repos }),
+        storageGc: createStorageCollector({ repos, graceHours: storage.gcGraceHours }),
+        middleware: {
+            ...createAuthMiddleware(jwtSecret, sessions, userCache, { requireStaffTwoFactor }),
+            idempotent: createIdempotencyMiddleware(),
+            ...createBruteForceProtection()
+        }
+    };
+
+    app.get('/api/csrf-token', issueCsrfToken);
+    app.use('/api', createAuthRouter(deps));
+    app.use('/api', createSessionsRouter(deps));
+    app.use('/api', createTwoFactorRouter(deps));
+    app.use('/api', createOAuthRouter(deps));
+    app.use('/api', createProfileRouter(deps));
+    app.use('/api', createUploadsRouter(deps));
+    app.use('/api', createProductImagesRouter(deps));
+    app.use('/api', createCatalogRouter(deps));
+    app.use('/api', createAdminRouter(deps));
+    app.use('/api', createOrdersRouter(deps));
+    app.use('/api', createMailPreviewRouter(deps));
+
+    // Почтовый ящик для разработки: письма транспорта memory по GET /api/dev/mailbox
+    if (nodeEnv !== 'production') {
+        app.use('/api', createDevRouter(deps));
+    }
+
+    // Хранилище в памяти раздаёт загруженные файлы само (Supabase Storage отдаёт их по своему URL)
+    if (typeof repos.storageRepo.read === 'function') {
+        app.get('/api/storage/*', async (req, res) => {
+            const file = await repos.storageRepo.read(req.params[0]);
+            if (!file) {
+                return res.status(404).json({ error: 'Файл не найден' });
+            }
+            res.type(file.contentType || 'application/octet-stream').send(file.buffer);
+        });
+    }
+
+    app.use(handleBodyErrors);
+    // Запрос с неразрешённого источника - JSON-ответ вместо HTML-страницы Express
+    app.use((err, req, res, next) => {
+        if (err.code === 'ORIGIN_NOT_ALLOWED') {
+            return res.status(403).json({ error: 'Источник запроса не разрешён', code: err.code });
+        }
+        next(err);
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,346 @@
+// server/config.cjs - Настройки сервера из переменных окружения
+// Каждая переменная описана в CONFIG_SCHEMA: тип, значение по умолчанию и когда она обязательна.
+// loadConfig проверяет все переменные разом и сообщает обо всех ошибках сразу. В production
+// сервер не запускается с секретами и адресами по умолчанию. describeConfig печатает итоговые
+// настройки со скрытыми секретами. NODE_ENV обязателен: без него сервер не угадывает окружение
+// и не включает по умолчанию ничего из разработки (секрет JWT, открытый CORS, почтовый ящик)
+const { DEFAULT_FROM } = require('./mail/index.cjs');
+const { KNOWN_ISSUERS } = require('./oauth/index.cjs');
+const {
+    JSON_BODY_LIMIT,
+    HSTS_MAX_AGE_SECONDS,
+    STORAGE_GC_GRACE_HOURS,
+    STORAGE_GC_INTERVAL_MINUTES
+} = require('./constants.cjs');
+
+const DEV_JWT_SECRET = 'dev-only-jwt-secret-change-in-production';
+const JWT_SECRET_MIN_LENGTH = 32;
+
+// Фронтенд для разработки: vite (3000) и запасной порт
+const DEV_ORIGINS = [
+    'http://localhost:3000',
+    'http://localhost:3001',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:3001'
+];
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Неверная конфигурация сервера:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+// Разбор значения по типу; ошибка - строка с причиной
+const PARSERS = {
+    string: value => ({ value }),
+    integer: (value, { min = 0, max = Number.MAX_SAFE_INTEGER }) => {
+        const number = Number(value);
+        return /^\d+$/.test(value) && number >= min && number <= max
+            ? { value: number }
+            : { error: `ожидается целое число от ${min} до ${max}` };
+    },
+    boolean: value => {
+        if (['true', '1', 'yes'].includes(value.toLowerCase())) return { value: true };
+        if (['false', '0', 'no'].includes(value.toLowerCase())) return { value: false };
+        return { error: 'ожидается true или false' };
+    },
+    enum: (value, { values }) => (values.includes(value)
+        ? { value }
+        : { error: `допустимо: ${values.join(', ')}` }),
+    url: value => {
+        try {
+            const url = new URL(value);
+            if (['http:', 'https:'].includes(url.protocol)) {
+                return { value: value.replace(/\/$/, '') };
+            }
+        } catch (err) {
+            // Ниже общая ошибка
+        }
+        return { error: 'ожидается адрес http(s)://...' };
+    },
+    // Список источников через запятую: https://shop.example.com,https://admin.example.com
+    origins: value => {
+        const origins = [];
+        for (const item of value.split(',').map(part => part.trim()).filter(Boolean)) {
+            const parsed = PARSERS.url(item);
+            if (parsed.error) {
+                return { error: `${item}: ${parsed.error}` };
+            }
+            origins.push(new URL(item).origin);
+        }
+        return { value: origins };
+    },
+    list: value => ({ value: value.split(',').map(part => part.trim().toLowerCase()).filter(Boolean) }),
+    // trust proxy для Express: true/false, число прокси перед сервером или их адреса и подсети через запятую
+    trustProxy: value => {
+        if (/^\d+$/.test(value)) return { value: Number(value) };
+        if (['true', 'false'].includes(value.toLowerCase())) return { value: value.toLowerCase() === 'true' };
+        const addresses = value.split(',').map(part => part.trim()).filter(Boolean);
+        return addresses.length ? { value: addresses } : { error: 'ожидается true, false, число прокси или их адреса' };
+    },
+    // Размер для body-parser: 100kb, 1mb
+    size: value => (/^\d+(b|kb|mb)$/i.test(value)
+        ? { value: value.toLowerCase() }
+        : { error: 'ожидается размер вида 100kb или 1mb' })
+};
+
+/**
+ * Описание переменных окружения.
+ * path - место значения в объекте настроек; default - значение или функция (env, config) => значение;
+ * required / productionRequired - обязательна всегда или в production (true или функция от config);
+ * secret - значение не печатается; allowEmpty - пустая строка значима и не заменяется на default
+ */
+const CONFIG_SCHEMA = [
+    { env: 'NODE_ENV', path: 'nodeEnv', type: 'enum', values: ['development', 'production', 'test'], required: true },
+    { env: 'PORT', path: 'port', type: 'integer', min: 1, max: 65535, default: 3001 },
+    // Прокси перед сервером (Render, nginx): чьему X-Forwarded-For верить при определении IP клиента.
+    // По умолчанию не верим никому - иначе клиент подставит любой IP и обойдёт счётчики попыток
+    { env: 'TRUST_PROXY', path: 'trustProxy', type: 'trustProxy', default: false },
+    {
+        env: 'JWT_SECRET',
+        path: 'jwtSecret',
+        type: 'string',
+        secret: true,
+        default: (env, config) => (config.nodeEnv === 'production' ? undefined : DEV_JWT_SECRET),
+        productionRequired: true,
+        validate: (value, config) => {
+            if (config.nodeEnv !== 'production') return null;
+            if (value === DEV_JWT_SECRET) return 'значение для разработки нельзя использовать в production';
+            if (value.length < JWT_SECRET_MIN_LENGTH) return `не короче ${JWT_SECRET_MIN_LENGTH} символов в production`;
+            return null;
+        }
+    },
+
+    // Данные и файлы
+    { env: 'DATA_BACKEND', path: 'data.backend', type: 'enum', values: ['supabase', 'memory'], default: 'supabase' },
+    { env: 'SUPABASE_URL', path: 'data.supabaseUrl', type: 'url', required: config => config.data.backend === 'supabase' },
+    {
+        env: 'SUPABASE_SERVICE_KEY',
+        path: 'data.supabaseServiceKey',
+        type: 'string',
+        secret: true,
+        required: config => config.data.backend === 'supabase'
+    },
+    { env: 'STORAGE_BUCKET', path: 'data.storageBucket', type: 'string', default: 'product-images' },
+    {
+        env: 'STORAGE_PUBLIC_URL',
+        path: 'data.storagePublicUrl',
+        type: 'url',
+        default: (env, config) => (config.data.backend === 'memory' ? `http://localhost:${config.port}/api/storage` : undefined)
+    },
+
+    // Источники фронтенда для CORS и адресов возврата после входа через провайдера
+    {
+        env: 'CORS_ORIGINS',
+        path: 'cors.origins',
+        type: 'origins',
+        default: (env, config) => (config.nodeEnv === 'production' ? [] : DEV_ORIGINS)
+    },
+    { env: 'FRONTEND_URL', path: 'cors.frontendUrl', type: 'url' },
+    { env: 'VERCEL_URL', path: 'cors.vercelUrl', type: 'string' },
+    // Суффикс превью-доменов, которым разрешён CORS (но не возврат после OAuth); пустая строка - выключить
+    { env: 'CORS_PREVIEW_SUFFIX', path: 'cors.previewSuffix', type: 'string', default: '.vercel.app', allowEmpty: true },
+
+    // Почта
+    {
+        env: 'MAIL_TRANSPORT',
+        path: 'mail.transport',
+        type: 'enum',
+        values: ['resend', 'smtp', 'file', 'memory'],
+        default: (env, config) => (env.RESEND_API_KEY || config.nodeEnv === 'production' ? 'resend' : 'memory')
+    },
+    { env: 'MAIL_FROM', path: 'mail.from', type: 'string', default: DEFAULT_FROM },
+    {
+        env: 'RESEND_API_KEY',
+        path: 'mail.resendApiKey',
+        type: 'string',
+        secret: true,
+        productionRequired: config => config.mail.transport === 'resend'
+    },
+    { env: 'SMTP_HOST', path: 'mail.smtp.host', type: 'string', required: config => config.mail.transport === 'smtp' },
+    { env: 'SMTP_PORT', path: 'mail.smtp.port', type: 'integer', min: 1, max: 65535 },
+    { env: 'SMTP_SECURE', path: 'mail.smtp.secure', type: 'boolean', default: false },
+    { env: 'SMTP_USER', path: 'mail.smtp.user', type: 'string' },
+    { env: 'SMTP_PASS', path: 'mail.smtp.pass', type: 'string', secret: true },
+    { env: 'MAIL_OUTBOX_DIR', path: 'mail.outboxDir', type: 'string', default: 'mail-outbox' },
+
+    // Вход и сотрудники
+    { env: 'REQUIRE_STAFF_2FA', path: 'requireStaffTwoFactor', type: 'boolean', default: true },
+    {
+        env: 'OAUTH_PROVIDERS',
+        path: 'oauth.providerNames',
+        type: 'list',
+        default: [],
+        allowEmpty: true,
+        // mock впускает под любым email, в том числе сотрудника: только явно и только с данными в памяти
+        validate: (value, config) => {
+            if (!value.includes('mock')) return null;
+            if (config.nodeEnv === 'production') return 'провайдер mock доступен только вне production';
+            if (config.data.backend !== 'memory') return 'провайдер mock доступен только с DATA_BACKEND=memory';
+            return null;
+        }
+    },
+    { env: 'OAUTH_REDIRECT_BASE_URL', path: 'oauth.redirectBaseUrl', type: 'url' },
+
+    // Заголовки безопасности и лимиты
+    {
+        env: 'HSTS_MAX_AGE',
+        path: 'security.hstsMaxAge',
+        type: 'integer',
+        default: (env, config) => (config.nodeEnv === 'production' ? HSTS_MAX_AGE_SECONDS : 0)
+    },
+    { env: 'CSRF_PROTECTION', path: 'security.csrf', type: 'boolean', default: true },
+    { env: 'CSP_REPORT_URI', path: 'security.cspReportUri', type: 'url' },
+    { env: 'JSON_BODY_LIMIT', path: 'security.jsonBodyLimit', type: 'size', default: JSON_BODY_LIMIT },
+
+    // Уборка файлов без ссылок (server/lib/storageGc.cjs)
+    { env: 'STORAGE_GC_GRACE_HOURS', path: 'storage.gcGraceHours', type: 'integer', default: STORAGE_GC_GRACE_HOURS },
+    // 0 - не убирать по расписанию, только кнопкой в админ-панели
+    {
+        env: 'STORAGE_GC_INTERVAL_MINUTES',
+        path: 'storage.gcIntervalMinutes',
+        type: 'integer',
+        default: STORAGE_GC_INTERVAL_MINUTES
+    }
+];
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+    parent[last] = value;
+}
+
+function getPath(source, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+}
+
+function isRequired(rule, config) {
+    return typeof rule === 'function' ? rule(config) : Boolean(rule);
+}
+
+// OIDC-провайдеры из OAUTH_<ИМЯ>_ISSUER, _CLIENT_ID, _CLIENT_SECRET и _LABEL
+function loadOAuthProviders(env, names, errors) {
+    return names.filter(name => name !== 'mock').map(name => {
+        const prefix = `OAUTH_${name.toUpperCase()}_`;
+        const known = KNOWN_ISSUERS[name] || {};
+        const provider = {
+            name,
+            label: env[`${prefix}LABEL`] || known.label || name,
+            issuer: env[`${prefix}ISSUER`] || known.issuer,
+            clientId: env[`${prefix}CLIENT_ID`],
+            clientSecret: env[`${prefix}CLIENT_SECRET`]
+        };
+        const missing = [['issuer', 'ISSUER'], ['clientId', 'CLIENT_ID'], ['clientSecret', 'CLIENT_SECRET']]
+            .filter(([field]) => !provider[field])
+            .map(([, suffix]) => `${prefix}${suffix}`);
+        if (missing.length) {
+            errors.push(`${missing.join(', ')}: обязательны для провайдера ${name}`);
+        }
+        return provider;
+    });
+}
+
+/**
+ * Настройки сервера из окружения. Бросает ConfigError со всеми найденными ошибками.
+ * @param {object} [env] - переменные окружения, по умолчанию process.env
+ * @returns {object} настройки: nodeEnv, port, trustProxy, jwtSecret, data, cors, mail, requireStaffTwoFactor, oauth, security, storage
+ */
+function loadConfig(env = process.env) {
+    const config = {};
+    const errors = [];
+
+    // Схема идёт по порядку: значения по умолчанию могут зависеть от уже прочитанных настроек
+    for (const setting of CONFIG_SCHEMA) {
+        const raw = env[setting.env];
+        const isSet = raw !== undefined && (setting.allowEmpty || String(raw).trim() !== '');
+        let value;
+
+        if (isSet) {
+            const parsed = PARSERS[setting.type](String(raw).trim(), setting);
+            if (parsed.error) {
+                errors.push(`${setting.env}: ${parsed.error}`);
+                setPath(config, setting.path, null);
+                continue;
+            }
+            value = parsed.value;
+        } else {
+            value = typeof setting.default === 'function' ? setting.default(env, config) : setting.default;
+        }
+
+        setPath(config, setting.path, value === undefined ? null : value);
+
+        if (value === undefined || value === null) {
+            if (isRequired(setting.required, config)) {
+                errors.push(`${setting.env}: обязательная переменная`);
+            } else if (config.nodeEnv === 'production' && isRequired(setting.productionRequired, config)) {
+                errors.push(`${setting.env}: обязательна в production`);
+            }
+            continue;
+        }
+
+        const problem = setting.validate && setting.validate(value, config);
+        if (problem) {
+            errors.push(`${setting.env}: ${problem}`);
+        }
+    }
+
+    // В production фронтенд должен быть указан явно: список по умолчанию - только localhost
+    const { cors } = config;
+    if (config.nodeEnv === 'production' && !(cors.origins || []).length && !cors.frontendUrl && !cors.vercelUrl) {
+        errors.push('CORS_ORIGINS: укажите адреса фронтенда (или FRONTEND_URL) в production');
+    }
+
+    config.oauth.providers = loadOAuthProviders(env, config.oauth.providerNames || [], errors);
+
+    if (errors.length) {
+        throw new ConfigError(errors);
+    }
+    return config;
+}
+
+// Секрет показываем только как «задан», адреса с паролем в userinfo - без пароля
+function redact(setting, value) {
+    if (value === null || value === undefined || value === '') {
+        return '(не задано)';
+    }
+    if (setting.secret) {
+        return '***';
+    }
+    if (Array.isArray(value)) {
+        return value.length ? value.join(', ') : '(пусто)';
+    }
+    if (setting.type === 'url') {
+        const url = new URL(value);
+        if (url.password) url.password = '***';
+        return url.toString().replace(/\/$/, '');
+    }
+    return String(value);
+}
+
+/**
+ * Итоговые настройки для журнала запуска; секреты скрыты.
+ * @param {object} config - результат loadConfig
+ * @param {object} [env] - окружение, по которому отмечаются значения по умолчанию
+ * @returns {string}
+ */
+function describeConfig(config, env = process.env) {
+    const lines = CONFIG_SCHEMA.map(setting => {
+        const value = getPath(config, setting.path);
+        const source = env[setting.env] === undefined && value !== null ? ' (по умолчанию)' : '';
+        return `  ${setting.env}=${redact(setting, value)}${source}`;
+    });
+    config.oauth.providers.forEach(provider => {
+        lines.push(`  OAuth ${provider.name}: issuer=${provider.issuer}, client_id=${provider.clientId}, client_secret=***`);
+    });
+    return `Настройки сервера (${config.nodeEnv}):\n${lines.join('\n')}`;
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    ConfigError,
+    loadConfig,
+    describeConfig
+};
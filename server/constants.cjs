@@ -0,0 +1,178 @@
+// server/constants.cjs - Константы серверной части
+
+// === ТАЙМАУТЫ И ИНТЕРВАЛЫ ===
+const RESEND_COOLDOWN_MS = 60 * 1000; // 60 секунд между повторными отправками
+const CODE_EXPIRY_MS = 10 * 60 * 1000; // 10 минут срок действия кода
+const ACCESS_TOKEN_EXPIRY = '15m'; // Короткоживущий access-токен
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 дней живёт сеанс без входа
+const REFRESH_REUSE_GRACE_MS = 10 * 1000; // Окно для параллельного обновления из нескольких вкладок
+const PROFILE_SELECTION_EXPIRY = '5m'; // Время на выбор профиля, если пароль подошёл к нескольким аккаунтам почты
+
+// === БЕЗОПАСНОСТЬ ===
+const CODE_LENGTH = 6; // Длина кода подтверждения
+const CODE_SALT_BYTES = 16; // Соль scrypt-хэша кода, своя у каждого кода
+const CODE_HASH_BYTES = 32;
+const BCRYPT_SALT_ROUNDS = 10;
+const REFRESH_TOKEN_BYTES = 48;
+const USER_CACHE_TTL_MS = 30 * 1000; // Права и блокировка перечитываются из базы не реже раза в 30 секунд
+const USER_CACHE_MAX_ENTRIES = 1000;
+
+// === ПАРОЛИ (server/lib/passwordPolicy.cjs) ===
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 72; // bcrypt учитывает только первые 72 байта
+const PASSWORD_MIN_CHAR_CLASSES = 3; // Из четырёх: строчные, заглавные, цифры, символы
+const PASSWORD_PASSPHRASE_LENGTH = 16; // С такой длины классы символов не требуются
+const PASSWORD_MIN_UNIQUE_CHARS = 5; // Отсекает «aaaaaaaaaaaaaaaa» и «1212121212121212»
+
+// === ЗАЩИТА ОТ ПЕРЕБОРА ===
+// Неудачи считаются отдельно по аккаунту (логин, email) и по IP. Первые попытки бесплатны,
+// дальше задержка удваивается с каждой неудачей, а после порога аккаунт блокируется на время
+const ACCOUNT_ATTEMPTS = {
+    freeAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 5 * 60 * 1000,
+    lockoutAfter: 10,
+    lockoutMs: 15 * 60 * 1000
+};
+// С одного IP могут входить многие (NAT, офис), поэтому пороги выше
+const IP_ATTEMPTS = {
+    freeAttempts: 20,
+    baseDelayMs: 1000,
+    maxDelayMs: 5 * 60 * 1000,
+    lockoutAfter: 100,
+    lockoutMs: 15 * 60 * 1000
+};
+const ATTEMPTS_WINDOW_MS = 60 * 60 * 1000; // Счётчик забывается через час без неудач
+const CODE_MAX_ATTEMPTS = 5; // Неверных вводов, после которых код аннулируется
+
+// === ДВУХФАКТОРНАЯ АУТЕНТИФИКАЦИЯ (TOTP, RFC 6238) ===
+const TOTP_ISSUER = 'NEON RED'; // Название магазина в приложении-аутентификаторе
+const TOTP_SECRET_BYTES = 20;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Принимаем коды соседних интервалов на случай расхождения часов
+const BACKUP_CODES_COUNT = 10;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m'; // Время на ввод кода после верного пароля
+
+// === ВХОД ЧЕРЕЗ OAUTH / OPENID CONNECT ===
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000; // Время на вход у провайдера
+const OAUTH_TICKET_TTL_MS = 2 * 60 * 1000; // Одноразовый билет, который фронтенд обменивает на токены
+
+// === ТОВАРЫ ===
+const PRODUCTS_CACHE_TTL_MS = 5 * 60 * 1000; // 5 минут
+const PRODUCTS_PER_PAGE = 20;
+const LOW_STOCK_THRESHOLD = 5; // Остаток, при котором товар помечается как заканчивающийся
+const RELATED_PRODUCTS_LIMIT = 4;
+const PRODUCTS_BATCH_MAX_IDS = 100;
+// Галерея товара; те же значения, что в constants.js фронтенда
+const PRODUCT_IMAGES_MAX = 10;
+const PRODUCT_IMAGE_ALT_MAX_LENGTH = 200;
+
+// === ЗАКАЗЫ ===
+// Куда админ может перевести заказ из каждого статуса; те же значения, что в constants.js фронтенда.
+// Отменить можно только ещё не отправленный заказ - его товар возвращается на склад
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['processing', 'shipped', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// === ИДЕМПОТЕНТНОСТЬ ===
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000; // 24 часа храним ответы
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+// === ЗАГОЛОВКИ БЕЗОПАСНОСТИ И CSRF ===
+const JSON_BODY_LIMIT = '100kb'; // Тело JSON-запроса; файлы загружаются отдельно через multipart
+const FORM_BODY_LIMIT = '10kb'; // Формы, которые сервер отдаёт сам (страница mock-провайдера)
+const HSTS_MAX_AGE_SECONDS = 180 * 24 * 60 * 60; // 180 дней
+const CSRF_COOKIE_NAME = 'csrf_token';
+const CSRF_HEADER_NAME = 'X-CSRF-Token';
+const CSRF_TOKEN_BYTES = 32;
+const CSRF_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// === ФАЙЛЫ ===
+// Те же значения, что в constants.js фронтенда
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000; // 40 мегапикселей: больше не распаковываем
+// Уменьшенные копии изображений по ширине; шире оригинала не растягиваются
+const IMAGE_VARIANTS = [
+    { name: 'thumb', width: 160 }, // корзина, аватары
+    { name: 'card', width: 480 }, // карточки каталога
+    { name: 'full', width: 1600 } // просмотр товара
+];
+const IMAGE_VARIANT_FORMATS = {
+    avif: { contentType: 'image/avif', options: { quality: 50, effort: 2 } },
+    webp: { contentType: 'image/webp', options: { quality: 75 } }
+};
+const IMAGE_PLACEHOLDER_WIDTH = 16; // Размытая заглушка, пока грузится картинка
+
+// === УБОРКА ХРАНИЛИЩА ===
+const STORAGE_FOLDERS = ['products', 'avatars']; // Папки с загрузками пользователей и админки
+// Файл без ссылок удаляется не раньше, чем через сутки: форма товара могла загрузить его и ещё не сохраниться
+const STORAGE_GC_GRACE_HOURS = 24;
+const STORAGE_GC_INTERVAL_MINUTES = 6 * 60;
+const STORAGE_LIST_PAGE_SIZE = 1000;
+
+module.exports = {
+    RESEND_COOLDOWN_MS,
+    CODE_EXPIRY_MS,
+    ACCESS_TOKEN_EXPIRY,
+    REFRESH_TOKEN_TTL_MS,
+    REFRESH_REUSE_GRACE_MS,
+    PROFILE_SELECTION_EXPIRY,
+    CODE_LENGTH,
+    CODE_SALT_BYTES,
+    CODE_HASH_BYTES,
+    BCRYPT_SALT_ROUNDS,
+    REFRESH_TOKEN_BYTES,
+    USER_CACHE_TTL_MS,
+    USER_CACHE_MAX_ENTRIES,
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_LENGTH,
+    PASSWORD_MIN_CHAR_CLASSES,
+    PASSWORD_PASSPHRASE_LENGTH,
+    PASSWORD_MIN_UNIQUE_CHARS,
+    ACCOUNT_ATTEMPTS,
+    IP_ATTEMPTS,
+    ATTEMPTS_WINDOW_MS,
+    CODE_MAX_ATTEMPTS,
+    TOTP_ISSUER,
+    TOTP_SECRET_BYTES,
+    TOTP_PERIOD_SECONDS,
+    TOTP_DIGITS,
+    TOTP_WINDOW,
+    BACKUP_CODES_COUNT,
+    TWO_FACTOR_CHALLENGE_EXPIRY,
+    OAUTH_STATE_TTL_MS,
+    OAUTH_TICKET_TTL_MS,
+    PRODUCTS_CACHE_TTL_MS,
+    PRODUCTS_PER_PAGE,
+    LOW_STOCK_THRESHOLD,
+    RELATED_PRODUCTS_LIMIT,
+    PRODUCTS_BATCH_MAX_IDS,
+    PRODUCT_IMAGES_MAX,
+    PRODUCT_IMAGE_ALT_MAX_LENGTH,
+    ORDER_STATUS_TRANSITIONS,
+    IDEMPOTENCY_TTL_MS,
+    IDEMPOTENCY_KEY_MAX_LENGTH,
+    JSON_BODY_LIMIT,
+    FORM_BODY_LIMIT,
+    HSTS_MAX_AGE_SECONDS,
+    CSRF_COOKIE_NAME,
+    CSRF_HEADER_NAME,
+    CSRF_TOKEN_BYTES,
+    CSRF_TOKEN_TTL_MS,
+    MAX_FILE_SIZE,
+    ALLOWED_IMAGE_TYPES,
+    MAX_IMAGE_PIXELS,
+    IMAGE_VARIANTS,
+    IMAGE_VARIANT_FORMATS,
+    IMAGE_PLACEHOLDER_WIDTH,
+    STORAGE_FOLDERS,
+    STORAGE_GC_GRACE_HOURS,
+    STORAGE_GC_INTERVAL_MINUTES,
+    STORAGE_LIST_PAGE_SIZE
+};
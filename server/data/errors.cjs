@@ -0,0 +1,11 @@
+// server/data/errors.cjs - Ошибки слоя доступа к данным
+
+// Нарушение уникальности (например, занятое имя пользователя)
+class ConflictError extends Error {
+    constructor(message = 'Запись уже существует') {
+        super(message);
+        this.name = 'ConflictError';
+    }
+}
+
+module.exports = { ConflictError };
@@ -0,0 +1,30 @@
+// server/data/index.cjs - Выбор реализации слоя доступа к данным
+// DATA_BACKEND=supabase (по умолчанию) - Supabase; DATA_BACKEND=memory - всё в памяти с демо-данными.
+// Переменные окружения читает и проверяет server/config.cjs
+const { createClient } = require('@supabase/supabase-js');
+const { createSupabaseRepos } = require('./supabase.cjs');
+const { createMemoryRepos } = require('./memory.cjs');
+const { ConflictError } = require('./errors.cjs');
+const seed = require('./seed.cjs');
+
+/**
+ * Репозитории по настройкам config.data (см. loadConfig).
+ * @param {{ backend: string, supabaseUrl: string, supabaseServiceKey: string, storageBucket: string, storagePublicUrl: string }} data
+ */
+function createReposFromConfig({ backend, supabaseUrl, supabaseServiceKey, storageBucket, storagePublicUrl }) {
+    if (backend === 'memory') {
+        console.log('ℹ️  DATA_BACKEND=memory: данные хранятся в памяти и сбрасываются при перезапуске');
+        return createMemoryRepos({ seed, publicBaseUrl: storagePublicUrl });
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+    return createSupabaseRepos(supabase, { supabaseUrl, bucket: storageBucket });
+}
+
+module.exports = {
+    createReposFromConfig,
+    createSupabaseRepos,
+    createMemoryRepos,
+    ConflictError,
+    seed
+};
@@ -0,0 +1,582 @@
+// server/data/memory.cjs - Репозитории в памяти процесса (DATA_BACKEND=memory)
+// Повторяют поведение Supabase-реализации, чтобы магазин работал офлайн и в тестах.
+// Данные живут до перезапуска процесса
+const crypto = require('crypto');
+const { ConflictError } = require('./errors.cjs');
+
+function now() {
+    return new Date().toISOString();
+}
+
+function clone(value) {
+    return value === null || value === undefined ? null : structuredClone(value);
+}
+
+// Новые записи первыми; при равном created_at — позже добавленные первыми
+function newestFirst(rows) {
+    return [...rows].reverse().sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+// Пачка строк по возрастанию id после afterId (uuid сравниваются как строки)
+function batchAfter(rows, { afterId, limit }) {
+    return [...rows]
+        .filter(row => afterId === undefined || row.id > afterId)
+        .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+        .slice(0, limit);
+}
+
+// Таблица с автоинкрементным или uuid-идентификатором
+function createTable({ uuid = false } = {}) {
+    const rows = [];
+    let nextId = 1;
+
+    return {
+        rows,
+        insert(fields) {
+            const row = {
+                created_at: now(),
+                ...fields,
+                id: uuid ? crypto.randomUUID() : nextId++
+            };
+            rows.push(row);
+            return row;
+        },
+        find(predicate) {
+            return rows.find(predicate) || null;
+        },
+        filter(predicate) {
+            return rows.filter(predicate);
+        },
+        remove(predicate) {
+            for (let i = rows.length - 1; i >= 0; i--) {
+                if (predicate(rows[i])) rows.splice(i, 1);
+            }
+        }
+    };
+}
+
+// Фильтр email_verifications: userId === null означает «код ещё не привязан к пользователю»
+// purpose отделяет коды разных сценариев: код смены email не подойдёт для сброса пароля
+function matchesVerification(row, { id, userId, email, codeHash, purpose }) {
+    if (id !== undefined && row.id !== id) return false;
+    if (userId === null && row.user_id !== null) return false;
+    if (userId !== undefined && userId !== null && row.user_id !== userId) return false;
+    if (email !== undefined && row.email !== email) return false;
+    if (codeHash !== undefined && row.code_hash !== codeHash) return false;
+    if (purpose !== undefined && row.purpose !== purpose) return false;
+    return true;
+}
+
+// maxRows - как max-rows в PostgREST: списки обрезаются до этого числа строк, даже если запрошено больше
+function createMemoryRepos({ seed = null, publicBaseUrl = 'http://localhost:3001/api/storage', maxRows = Infinity } = {}) {
+    const tables = {
+        users: createTable({ uuid: true }),
+        products: createTable(),
+        productImages: createTable(),
+        categories: createTable(),
+        orders: createTable({ uuid: true }),
+        orderItems: createTable(),
+        emailVerifications: createTable(),
+        sessions: createTable({ uuid: true }),
+        identities: createTable({ uuid: true })
+    };
+    const files = new Map();
+    const settings = new Map();
+    const capped = rows => rows.slice(0, maxRows);
+
+    // Заказ в том же виде, что и select с order_items(products) в Supabase
+    function withItems(order, { includeUser = false } = {}) {
+        const result = {
+            ...order,
+            order_items: tables.orderItems
+                .filter(item => item.order_id === order.id)
+                .map(item => ({
+                    ...item,
+                    products: tables.products.find(p => p.id === item.product_id)
+                }))
+        };
+        if (includeUser) {
+            const user = tables.users.find(u => u.id === order.user_id);
+            result.users = user ? { id: user.id, username: user.username, email: user.email } : null;
+        }
+        return clone(result);
+    }
+
+    const usersRepo = {
+        async findById(id) {
+            return clone(tables.users.find(u => u.id === id));
+        },
+
+        async findByUsername(username) {
+            return clone(tables.users.find(u => u.username === username));
+        },
+
+        async findByEmail(email) {
+            return clone(newestFirst(tables.users.filter(u => u.email === email)));
+        },
+
+        async count() {
+            return tables.users.rows.length;
+        },
+
+        // Профили, которые делят email с другими (то же, что представление users_sharing_email)
+        async listSharingEmail() {
+            const counts = new Map();
+            tables.users.rows.forEach(u => counts.set(u.email, (counts.get(u.email) || 0) + 1));
+            return clone(tables.users
+                .filter(u => counts.get(u.email) > 1)
+                .sort((a, b) => a.email.localeCompare(b.email) || (a.created_at || '').localeCompare(b.created_at || '')));
+        },
+
+        async list() {
+            return clone(capped(newestFirst(tables.users.rows)));
+        },
+
+        async listBatch({ afterId, limit }) {
+            return clone(capped(batchAfter(tables.users.rows, { afterId, limit })));
+        },
+
+        async create(fields) {
+            if (tables.users.find(u => u.username === fields.username)) {
+                throw new ConflictError('duplicate key value violates unique constraint "users_username_key"');
+            }
+            return clone(tables.users.insert({
+                full_name: null,
+                is_admin: false,
+                role: null,
+                email_verified: false,
+                avatar_url: null,
+                avatar_variants: null,
+                locale: 'ru',
+                banned_at: null,
+                totp_secret: null,
+                totp_pending_secret: null,
+                totp_enabled_at: null,
+                totp_last_counter: null,
+                totp_backup_codes: [],
+                ...fields
+            }));
+        },
+
+        async update(id, fields) {
+            const user = tables.users.find(u => u.id === id);
+            if (!user) return null;
+            if (fields.username !== undefined &&
+                tables.users.find(u => u.username === fields.username && u.id !== id)) {
+                throw new ConflictError('duplicate key value violates unique constraint "users_username_key"');
+            }
+            Object.assign(user, fields);
+            return clone(user);
+        },
+
+        async consumeTotpStep(id, step) {
+            const user = tables.users.find(u => u.id === id);
+            if (!user || (user.totp_last_counter !== null && user.totp_last_counter >= step)) return false;
+            user.totp_last_counter = step;
+            return true;
+        },
+
+        async consumeBackupCode(id, hash) {
+            const user = tables.users.find(u => u.id === id);
+            if (!user || !(user.totp_backup_codes || []).includes(hash)) return null;
+            user.totp_backup_codes = user.totp_backup_codes.filter(h => h !== hash);
+            return user.totp_backup_codes.length;
+        },
+
+        // Сеансы и привязки удаляются вместе с пользователем, как on delete cascade в Postgres
+        async delete(id) {
+            tables.users.remove(u => u.id === id);
+            tables.sessions.remove(s => s.user_id === id);
+            tables.identities.remove(i => i.user_id === id);
+        }
+    };
+
+    const productsRepo = {
+        async list({ featured = false, offset = 0, limit } = {}) {
+            const all = newestFirst(tables.products.filter(p => !featured || p.featured === true));
+            const page = limit !== undefined ? all.slice(offset, offset + limit) : all;
+            return { products: clone(capped(page)), total: all.length };
+        },
+
+        async listBatch({ afterId, limit }) {
+            return clone(capped(batchAfter(tables.products.rows, { afterId, limit })));
+        },
+
+        async findById(id) {
+            return clone(tables.products.find(p => p.id === id));
+        },
+
+        async findByIds(ids) {
+            return clone(tables.products.filter(p => ids.includes(p.id)));
+        },
+
+        async findRelated({ category, excludeId, limit }) {
+            const related = tables.products.filter(p =>
+                p.category === category && p.id !== excludeId && p.quantity > 0);
+            return clone(newestFirst(related).slice(0, limit));
+        },
+
+        async create(fields) {
+            return clone(tables.products.insert({
+                description: null,
+                category: null,
+                image_path: null,
+                image_variants: null,
+                featured: false,
+                ...fields
+            }));
+        },
+
+        async update(id, fields) {
+            const product = tables.products.find(p => p.id === id);
+            if (!product) return null;
+            Object.assign(product, fields);
+            return clone(product);
+        },
+
+        async delete(id) {
+            tables.products.remove(p => p.id === id);
+            tables.productImages.remove(i => i.product_id === id);
+        },
+
+        async renameCategory(oldName, newName) {
+            tables.products.filter(p => p.category === oldName).forEach(p => {
+                p.category = newName;
+            });
+        }
+    };
+
+    // Галереи товаров: по порядку position, главное изображение у товара одно
+    const productImagesRepo = {
+        async listByProducts(productIds) {
+            return clone(tables.productImages
+                .filter(i => productIds.includes(i.product_id))
+                .sort((a, b) => a.position - b.position || a.id - b.id));
+        },
+
+        async listBatch({ afterId, limit }) {
+            return clone(capped(batchAfter(tables.productImages.rows, { afterId, limit })));
+        },
+
+        async create(fields) {
+            return clone(tables.productImages.insert({
+                image_variants: null,
+                alt: '',
+                position: 0,
+                is_primary: false,
+                ...fields
+            }));
+        },
+
+        async update(id, fields) {
+            const image = tables.productImages.find(i => i.id === id);
+            if (!image) return null;
+            if (fields.is_primary && tables.productImages.find(i =>
+                i.product_id === image.product_id && i.id !== id && i.is_primary)) {
+                throw new ConflictError('duplicate key value violates unique constraint "product_images_primary_idx"');
+            }
+            Object.assign(image, fields);
+            return clone(image);
+        },
+
+        async delete(id) {
+            tables.productImages.remove(i => i.id === id);
+        }
+    };
+
+    const categoriesRepo = {
+        async list() {
+            return clone([...tables.categories.rows].sort((a, b) => a.name.localeCompare(b.name)));
+        },
+
+        async findById(id) {
+            return clone(tables.categories.find(c => c.id === id));
+        },
+
+        async findByName(name) {
+            return clone(tables.categories.find(c => c.name === name));
+        },
+
+        async create(fields) {
+            return clone(tables.categories.insert(fields));
+        },
+
+        async update(id, fields) {
+            const category = tables.categories.find(c => c.id === id);
+            if (!category) return null;
+            Object.assign(category, fields);
+            return clone(category);
+        },
+
+        async delete(id) {
+            tables.categories.remove(c => c.id === id);
+        }
+    };
+
+    const ordersRepo = {
+        // Проверка и списание выполняются синхронно, без await, поэтому атомарны
+        async place({ userId, lines, shippingAddress, paymentMethod }) {
+            const requested = new Map();
+            const expectedPrices = new Map();
+            for (const line of lines) {
+                requested.set(line.productId, (requested.get(line.productId) || 0) + line.quantity);
+                expectedPrices.set(line.productId, line.price);
+            }
+
+            const shortProductIds = [...requested]
+                .filter(([productId, quantity]) => {
+                    const product = tables.products.find(p => p.id === productId);
+                    return !product || product.quantity < quantity;
+                })
+                .map(([productId]) => productId)
+                .sort((a, b) => a - b);
+
+            if (shortProductIds.length > 0) {
+                return { order: null, shortProductIds, changedPrices: [] };
+            }
+
+            const changedPrices = [...requested.keys()]
+                .map(productId => tables.products.find(p => p.id === productId))
+                .filter(product => {
+                    const expected = expectedPrices.get(product.id);
+                    return expected === undefined || Math.round(product.price * 100) !== Math.round(expected * 100);
+                })
+                .map(product => ({ productId: product.id, price: product.price }))
+                .sort((a, b) => a.productId - b.productId);
+
+            if (changedPrices.length > 0) {
+                return { order: null, shortProductIds: [], changedPrices };
+            }
+
+            let total = 0;
+            for (const [productId, quantity] of requested) {
+                total += tables.products.find(p => p.id === productId).price * quantity;
+            }
+
+            const order = tables.orders.insert({
+                user_id: userId,
+                total_amount: Math.round(total * 100) / 100,
+                shipping_address: shippingAddress || null,
+                payment_method: paymentMethod || null,
+                delivery_time: null,
+                tracking_number: null,
+                status: 'pending'
+            });
+
+            for (const [productId, quantity] of requested) {
+                const product = tables.products.find(p => p.id === productId);
+                tables.orderItems.insert({
+                    order_id: order.id,
+                    product_id: productId,
+                    quantity,
+                    price_at_time: product.price
+                });
+                product.quantity -= quantity;
+            }
+
+            return { order: withItems(order), shortProductIds: [], changedPrices: [] };
+        },
+
+        async cancel(orderId, { fromStatuses = ['pending'] } = {}) {
+            const order = tables.orders.find(o => o.id === orderId);
+            if (!order || !fromStatuses.includes(order.status)) {
+                return null;
+            }
+
+            order.status = 'cancelled';
+            tables.orderItems.filter(item => item.order_id === orderId).forEach(item => {
+                const product = tables.products.find(p => p.id === item.product_id);
+                if (product) product.quantity += item.quantity;
+            });
+
+            return clone(order);
+        },
+
+        async findById(id) {
+            return clone(tables.orders.find(o => o.id === id));
+        },
+
+        async findByIdForUser(id, userId) {
+            const order = tables.orders.find(o => o.id === id && o.user_id === userId);
+            return order ? withItems(order) : null;
+        },
+
+        async listByUser(userId) {
+            return newestFirst(tables.orders.filter(o => o.user_id === userId)).map(o => withItems(o));
+        },
+
+        async listAll() {
+            return newestFirst(tables.orders.rows).map(o => withItems(o, { includeUser: true }));
+        },
+
+        async update(id, fields, { fromStatus } = {}) {
+            const order = tables.orders.find(o => o.id === id);
+            if (!order || (fromStatus !== undefined && order.status !== fromStatus)) return null;
+            Object.assign(order, fields);
+            return withItems(order);
+        }
+    };
+
+    const emailVerificationsRepo = {
+        async findLatest(filter) {
+            const [latest] = newestFirst(tables.emailVerifications.filter(row => matchesVerification(row, filter)));
+            return clone(latest);
+        },
+
+        async create(fields) {
+            return clone(tables.emailVerifications.insert({ user_id: null, attempts: 0, ...fields }));
+        },
+
+        async update(id, fields) {
+            const record = tables.emailVerifications.find(row => row.id === id);
+            if (record) Object.assign(record, fields);
+        },
+
+        async deleteWhere(filter) {
+            tables.emailVerifications.remove(row => matchesVerification(row, filter));
+        },
+
+        async countAttempt(id) {
+            const record = tables.emailVerifications.find(row => row.id === id);
+            if (!record) return null;
+            record.attempts = (record.attempts || 0) + 1;
+            return record.attempts;
+        },
+
+        async consume(id) {
+            const exists = Boolean(tables.emailVerifications.find(row => row.id === id));
+            tables.emailVerifications.remove(row => row.id === id);
+            return exists;
+        }
+    };
+
+    const sessionsRepo = {
+        async create(fields) {
+            const createdAt = now();
+            return clone(tables.sessions.insert({
+                previous_token_hash: null,
+                user_agent: null,
+                ip: null,
+                created_at: createdAt,
+                last_used_at: createdAt,
+                revoked_at: null,
+                ...fields
+            }));
+        },
+
+        async findById(id) {
+            return clone(tables.sessions.find(s => s.id === id));
+        },
+
+        async findByTokenHash(tokenHash) {
+            return clone(tables.sessions.find(s =>
+                s.refresh_token_hash === tokenHash || s.previous_token_hash === tokenHash));
+        },
+
+        async listActiveByUser(userId) {
+            const current = now();
+            return clone(tables.sessions
+                .filter(s => s.user_id === userId && !s.revoked_at && s.expires_at > current)
+                .sort((a, b) => b.last_used_at.localeCompare(a.last_used_at)));
+        },
+
+        async update(id, fields, { fromTokenHash } = {}) {
+            const session = tables.sessions.find(s => s.id === id);
+            if (!session || (fromTokenHash !== undefined && session.refresh_token_hash !== fromTokenHash)) return null;
+            Object.assign(session, fields);
+            return clone(session);
+        },
+
+        async revokeByUser(userId, { exceptId } = {}) {
+            const revoked = tables.sessions.filter(s =>
+                s.user_id === userId && !s.revoked_at && s.id !== exceptId);
+            const revokedAt = now();
+            revoked.forEach(s => {
+                s.revoked_at = revokedAt;
+            });
+            return revoked.length;
+        }
+    };
+
+    const identitiesRepo = {
+        async findByProviderSubject(provider, subject) {
+            return clone(tables.identities.find(i => i.provider === provider && i.subject === subject));
+        },
+
+        async listByUser(userId) {
+            return clone(tables.identities.filter(i => i.user_id === userId));
+        },
+
+        async create(fields) {
+            if (tables.identities.find(i => i.provider === fields.provider && i.subject === fields.subject)) {
+                throw new ConflictError('duplicate key value violates unique constraint "user_identities_provider_subject_key"');
+            }
+            return clone(tables.identities.insert({ email: null, ...fields }));
+        },
+
+        async delete(id) {
+            tables.identities.remove(i => i.id === id);
+        }
+    };
+
+    const settingsRepo = {
+        async get(key) {
+            return settings.has(key) ? clone(settings.get(key).value) : null;
+        },
+
+        async set(key, value, { updatedBy = null } = {}) {
+            settings.set(key, { value: clone(value), updated_by: updatedBy, updated_at: now() });
+        }
+    };
+
+    const storageRepo = {
+        async upload(filePath, buffer, { contentType, upsert = false } = {}) {
+            if (!upsert && files.has(filePath)) {
+                throw new ConflictError('The resource already exists');
+            }
+            files.set(filePath, { buffer: Buffer.from(buffer), contentType, created_at: now() });
+        },
+
+        async remove(filePaths) {
+            filePaths.forEach(filePath => files.delete(filePath));
+        },
+
+        // Файлы папки (без вложенных): путь, размер в байтах и время загрузки
+        async list(folder) {
+            const prefix = `${folder}/`;
+            return [...files.entries()]
+                .filter(([filePath]) => filePath.startsWith(prefix) && !filePath.slice(prefix.length).includes('/'))
+                .map(([filePath, file]) => ({ path: filePath, size: file.buffer.length, createdAt: file.created_at }));
+        },
+
+        getPublicUrl(filePath) {
+            return `${publicBaseUrl}/${filePath}`;
+        },
+
+        // Только для памяти: отдаёт файл через GET /api/storage/*
+        async read(filePath) {
+            return files.get(filePath) || null;
+        }
+    };
+
+    if (seed) {
+        (seed.users || []).forEach(user => tables.users.insert({ ...user }));
+        (seed.categories || []).forEach(category => tables.categories.insert({ ...category }));
+        (seed.products || []).forEach(product => tables.products.insert({ image_path: null, ...product }));
+    }
+
+    return {
+        usersRepo,
+        productsRepo,
+        productImagesRepo,
+        categoriesRepo,
+        ordersRepo,
+        emailVerificationsRepo,
+        sessionsRepo,
+        identitiesRepo,
+        settingsRepo,
+        storageRepo
+    };
+}
+
+module.exports = { createMemoryRepos };
@@ -0,0 +1,61 @@
+// server/data/seed.cjs - Демо-данные для работы без Supabase (DATA_BACKEND=memory)
+// Владелец магазина: admin / neonred-admin
+
+const SEED_CREATED_AT = '2024-01-01T00:00:00.000Z';
+
+module.exports = {
+    users: [
+        {
+            username: 'admin',
+            email: 'admin@neonred.local',
+            // bcrypt-хеш пароля neonred-admin
+            password_hash: '$2b$10$1JsFNk5BLZgOlgJV214g9.K9SME4AOsE3UtNmeJhtOK7YoZhGiqJi',
+            full_name: 'NEON RED Admin',
+            is_admin: true,
+            role: 'owner',
+            email_verified: true,
+            avatar_url: null,
+            locale: 'ru',
+            created_at: SEED_CREATED_AT
+        }
+    ],
+    categories: [
+        { name: 'Одежда' },
+        { name: 'Гаджеты' },
+        { name: 'Аксессуары' }
+    ],
+    products: [
+        {
+            title: 'Худи NEON RED',
+            description: 'Чёрное худи со светящимся логотипом',
+            price: 4590,
+            quantity: 25,
+            category: 'Одежда',
+            featured: true
+        },
+        {
+            title: 'Кепка Cyber',
+            description: 'Кепка с отражающей вышивкой',
+            price: 1590,
+            quantity: 3,
+            category: 'Одежда',
+            featured: false
+        },
+        {
+            title: 'LED-лента Pulse',
+            description: 'Красная LED-лента 5 м с пультом',
+            price: 2490,
+            quantity: 10,
+            category: 'Гаджеты',
+            featured: true
+        },
+        {
+            title: 'Чехол Glow',
+            description: 'Светящийся чехол для телефона',
+            price: 790,
+            quantity: 0,
+            category: 'Аксессуары',
+            featured: false
+        }
+    ]
+};
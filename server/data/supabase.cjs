@@ -0,0 +1,520 @@
+// server/data/supabase.cjs - Репозитории поверх Supabase (Postgres + Storage)
+// Все методы возвращают данные или бросают ошибку, { data, error } наружу не выходит
+const { ConflictError } = require('./errors.cjs');
+const { STORAGE_LIST_PAGE_SIZE, PRODUCTS_BATCH_MAX_IDS } = require('../constants.cjs');
+
+const ORDER_WITH_ITEMS = `
+    *,
+    order_items (
+        *,
+        products (*)
+    )
+`;
+
+const ORDER_WITH_ITEMS_AND_USER = `
+    *,
+    order_items (
+        *,
+        products (*)
+    ),
+    users (id, username, email)
+`;
+
+// Следующая пачка строк таблицы по возрастанию id (обход всей таблицы без offset).
+// PostgREST отдаёт не больше max-rows строк, поэтому пачка может оказаться короче limit
+async function selectBatch(supabase, table, { afterId, limit }) {
+    let query = supabase.from(table).select('*').order('id', { ascending: true }).limit(limit);
+    if (afterId !== undefined) {
+        query = query.gt('id', afterId);
+    }
+    return unwrap(await query);
+}
+
+function unwrap({ data, error }) {
+    if (error) {
+        // 23505 - unique_violation в Postgres
+        if (error.code === '23505') {
+            throw new ConflictError(error.message);
+        }
+        throw error;
+    }
+    return data;
+}
+
+// Фильтр email_verifications: userId === null означает «код ещё не привязан к пользователю»
+function applyVerificationFilter(query, { id, userId, email, codeHash, purpose }) {
+    if (id !== undefined) query = query.eq('id', id);
+    if (userId === null) query = query.is('user_id', null);
+    else if (userId !== undefined) query = query.eq('user_id', userId);
+    if (email !== undefined) query = query.eq('email', email);
+    if (codeHash !== undefined) query = query.eq('code_hash', codeHash);
+    if (purpose !== undefined) query = query.eq('purpose', purpose);
+    return query;
+}
+
+function createUsersRepo(supabase) {
+    return {
+        async findById(id) {
+            return unwrap(await supabase.from('users').select('*').eq('id', id).maybeSingle());
+        },
+
+        async findByUsername(username) {
+            return unwrap(await supabase.from('users').select('*').eq('username', username).maybeSingle());
+        },
+
+        // Один email может принадлежать нескольким аккаунтам, новые первыми
+        async findByEmail(email) {
+            return unwrap(await supabase
+                .from('users')
+                .select('*')
+                .eq('email', email)
+                .order('created_at', { ascending: false }));
+        },
+
+        async count() {
+            const { count, error } = await supabase
+                .from('users')
+                .select('*', { count: 'exact', head: true });
+            if (error) throw error;
+            return count;
+        },
+
+        async list() {
+            return unwrap(await supabase
+                .from('users')
+                .select('*')
+                .order('created_at', { ascending: false }));
+        },
+
+        async listBatch({ afterId, limit }) {
+            return selectBatch(supabase, 'users', { afterId, limit });
+        },
+
+        // Профили, которые делят email с другими (представление из миграции account_mode)
+        async listSharingEmail() {
+            return unwrap(await supabase
+                .from('users_sharing_email')
+                .select('*')
+                .order('email', { ascending: true })
+                .order('created_at', { ascending: true }));
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('users').insert([fields]).select().single());
+        },
+
+        async update(id, fields) {
+            return unwrap(await supabase.from('users').update(fields).eq('id', id).select().maybeSingle());
+        },
+
+        // Атомарно гасит интервал TOTP; true, только если он новее уже принятого (миграция consume_two_factor_codes)
+        async consumeTotpStep(id, step) {
+            return unwrap(await supabase.rpc('consume_totp_step', { p_user_id: id, p_step: step }));
+        },
+
+        // Атомарно удаляет хэш резервного кода; число оставшихся кодов или null, если хэша уже нет
+        async consumeBackupCode(id, hash) {
+            return unwrap(await supabase.rpc('consume_backup_code', { p_user_id: id, p_hash: hash }));
+        },
+
+        async delete(id) {
+            unwrap(await supabase.from('users').delete().eq('id', id));
+        }
+    };
+}
+
+function createProductsRepo(supabase) {
+    return {
+        // Страница товаров, новые первыми
+        async list({ featured = false, offset = 0, limit } = {}) {
+            let query = supabase.from('products').select('*', { count: 'exact' });
+            if (featured) {
+                query = query.eq('featured', true);
+            }
+            if (limit !== undefined) {
+                query = query.range(offset, offset + limit - 1);
+            }
+            query = query.order('created_at', { ascending: false });
+
+            const { data, error, count } = await query;
+            if (error) throw error;
+            return { products: data, total: count || data.length };
+        },
+
+        async listBatch({ afterId, limit }) {
+            return selectBatch(supabase, 'products', { afterId, limit });
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('products').select('*').eq('id', id).maybeSingle());
+        },
+
+        async findByIds(ids) {
+            return unwrap(await supabase.from('products').select('*').in('id', ids));
+        },
+
+        // Товары той же категории в наличии
+        async findRelated({ category, excludeId, limit }) {
+            return unwrap(await supabase
+                .from('products')
+                .select('*')
+                .eq('category', category)
+                .neq('id', excludeId)
+                .gt('quantity', 0)
+                .order('created_at', { ascending: false })
+                .limit(limit));
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('products').insert([fields]).select().single());
+        },
+
+        async update(id, fields) {
+            return unwrap(await supabase.from('products').update(fields).eq('id', id).select().maybeSingle());
+        },
+
+        async delete(id) {
+            unwrap(await supabase.from('products').delete().eq('id', id));
+        },
+
+        // Категория хранится в товаре по имени
+        async renameCategory(oldName, newName) {
+            unwrap(await supabase.from('products').update({ category: newName }).eq('category', oldName));
+        }
+    };
+}
+
+// Галереи товаров: по порядку position, главное изображение у товара одно
+function createProductImagesRepo(supabase) {
+    return {
+        async listByProducts(productIds) {
+            if (productIds.length === 0) {
+                return [];
+            }
+            // Длинный список id не помещается в URL запроса, поэтому читаем частями
+            const images = [];
+            for (let i = 0; i < productIds.length; i += PRODUCTS_BATCH_MAX_IDS) {
+                images.push(...unwrap(await supabase
+                    .from('product_images')
+                    .select('*')
+                    .in('product_id', productIds.slice(i, i + PRODUCTS_BATCH_MAX_IDS))));
+            }
+            return images.sort((a, b) => a.position - b.position || a.id - b.id);
+        },
+
+        async listBatch({ afterId, limit }) {
+            return selectBatch(supabase, 'product_images', { afterId, limit });
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('product_images').insert([fields]).select().single());
+        },
+
+        async update(id, fields) {
+            return unwrap(await supabase.from('product_images').update(fields).eq('id', id).select().maybeSingle());
+        },
+
+        async delete(id) {
+            unwrap(await supabase.from('product_images').delete().eq('id', id));
+        }
+    };
+}
+
+function createCategoriesRepo(supabase) {
+    return {
+        async list() {
+            return unwrap(await supabase.from('categories').select('*').order('name'));
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('categories').select('*').eq('id', id).maybeSingle());
+        },
+
+        async findByName(name) {
+            return unwrap(await supabase.from('categories').select('*').eq('name', name).maybeSingle());
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('categories').insert([fields]).select().single());
+        },
+
+        async update(id, fields) {
+            return unwrap(await supabase.from('categories').update(fields).eq('id', id).select().maybeSingle());
+        },
+
+        async delete(id) {
+            unwrap(await supabase.from('categories').delete().eq('id', id));
+        }
+    };
+}
+
+function createOrdersRepo(supabase) {
+    return {
+        // Создаёт заказ и резервирует товар в одной транзакции (SQL-функция place_order в supabase/migrations).
+        // Если хотя бы одной позиции не хватает, ничего не списывается и возвращаются id этих товаров;
+        // если цена товара уже не та, что в line.price, - новые цены этих товаров.
+        // Созданный заказ возвращается с позициями
+        async place({ userId, lines, shippingAddress, paymentMethod }) {
+            const data = unwrap(await supabase.rpc('place_order', {
+                p_user_id: userId,
+                p_items: lines.map(line => ({
+                    product_id: line.productId,
+                    quantity: line.quantity,
+                    price: line.price
+                })),
+                p_shipping_address: shippingAddress || null,
+                p_payment_method: paymentMethod || null
+            }));
+
+            return {
+                order: data.order || null,
+                shortProductIds: data.short_product_ids || [],
+                changedPrices: (data.changed_prices || []).map(change => ({
+                    productId: change.product_id,
+                    price: parseFloat(change.price)
+                }))
+            };
+        },
+
+        // Отменяет заказ в статусе pending (или одном из fromStatuses) и возвращает все его позиции
+        // на склад в одной транзакции. Возвращает отменённый заказ или null, если статус уже другой
+        async cancel(orderId, { fromStatuses = ['pending'] } = {}) {
+            const data = unwrap(await supabase.rpc('cancel_order', {
+                p_order_id: orderId,
+                p_from_statuses: fromStatuses
+            }));
+            return data || null;
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('orders').select('*').eq('id', id).maybeSingle());
+        },
+
+        // Заказ с позициями, только если он принадлежит пользователю
+        async findByIdForUser(id, userId) {
+            return unwrap(await supabase
+                .from('orders')
+                .select(ORDER_WITH_ITEMS)
+                .eq('id', id)
+                .eq('user_id', userId)
+                .maybeSingle());
+        },
+
+        async listByUser(userId) {
+            return unwrap(await supabase
+                .from('orders')
+                .select(ORDER_WITH_ITEMS)
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false }));
+        },
+
+        async listAll() {
+            return unwrap(await supabase
+                .from('orders')
+                .select(ORDER_WITH_ITEMS_AND_USER)
+                .order('created_at', { ascending: false }));
+        },
+
+        // fromStatus - обновить, только если заказ всё ещё в этом статусе; иначе null
+        async update(id, fields, { fromStatus } = {}) {
+            let query = supabase.from('orders').update(fields).eq('id', id);
+            if (fromStatus !== undefined) {
+                query = query.eq('status', fromStatus);
+            }
+            return unwrap(await query.select(ORDER_WITH_ITEMS).maybeSingle());
+        }
+    };
+}
+
+function createEmailVerificationsRepo(supabase) {
+    return {
+        // Последний выданный код по фильтру { userId, email }
+        async findLatest(filter) {
+            return unwrap(await applyVerificationFilter(supabase.from('email_verifications').select('*'), filter)
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle());
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('email_verifications').insert([fields]).select().single());
+        },
+
+        async update(id, fields) {
+            unwrap(await supabase.from('email_verifications').update(fields).eq('id', id));
+        },
+
+        async deleteWhere(filter) {
+            unwrap(await applyVerificationFilter(supabase.from('email_verifications').delete(), filter));
+        },
+
+        // Атомарно засчитывает попытку ввода кода; новое число попыток или null, если записи уже нет
+        async countAttempt(id) {
+            return unwrap(await supabase.rpc('count_verification_attempt', { p_id: id }));
+        },
+
+        // Атомарно удаляет запись; true только у того запроса, который её удалил
+        async consume(id) {
+            const deleted = unwrap(await supabase.from('email_verifications').delete().eq('id', id).select('id'));
+            return deleted.length > 0;
+        }
+    };
+}
+
+function createSessionsRepo(supabase) {
+    return {
+        async create(fields) {
+            return unwrap(await supabase.from('sessions').insert([fields]).select().single());
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('sessions').select('*').eq('id', id).maybeSingle());
+        },
+
+        // Сеанс по текущему или предыдущему хэшу refresh-токена
+        async findByTokenHash(tokenHash) {
+            return unwrap(await supabase
+                .from('sessions')
+                .select('*')
+                .or(`refresh_token_hash.eq.${tokenHash},previous_token_hash.eq.${tokenHash}`)
+                .limit(1)
+                .maybeSingle());
+        },
+
+        // Неотозванные и неистёкшие сеансы, недавно использованные первыми
+        async listActiveByUser(userId) {
+            return unwrap(await supabase
+                .from('sessions')
+                .select('*')
+                .eq('user_id', userId)
+                .is('revoked_at', null)
+                .gt('expires_at', new Date().toISOString())
+                .order('last_used_at', { ascending: false }));
+        },
+
+        // fromTokenHash - обновить, только если текущий refresh-токен всё ещё этот; иначе null
+        async update(id, fields, { fromTokenHash } = {}) {
+            let query = supabase.from('sessions').update(fields).eq('id', id);
+            if (fromTokenHash !== undefined) {
+                query = query.eq('refresh_token_hash', fromTokenHash);
+            }
+            return unwrap(await query.select().maybeSingle());
+        },
+
+        // Отзывает все активные сеансы пользователя, кроме exceptId; возвращает их количество
+        async revokeByUser(userId, { exceptId } = {}) {
+            let query = supabase
+                .from('sessions')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .is('revoked_at', null);
+            if (exceptId) query = query.neq('id', exceptId);
+            return unwrap(await query.select('id')).length;
+        }
+    };
+}
+
+// Привязки внешних аккаунтов (OAuth / OIDC): пара provider + subject уникальна
+function createIdentitiesRepo(supabase) {
+    return {
+        async findByProviderSubject(provider, subject) {
+            return unwrap(await supabase
+                .from('user_identities')
+                .select('*')
+                .eq('provider', provider)
+                .eq('subject', subject)
+                .maybeSingle());
+        },
+
+        async listByUser(userId) {
+            return unwrap(await supabase
+                .from('user_identities')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: true }));
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('user_identities').insert([fields]).select().single());
+        },
+
+        async delete(id) {
+            unwrap(await supabase.from('user_identities').delete().eq('id', id));
+        }
+    };
+}
+
+// Настройки магазина: ключ - значение jsonb
+function createSettingsRepo(supabase) {
+    return {
+        async get(key) {
+            const row = unwrap(await supabase.from('shop_settings').select('value').eq('key', key).maybeSingle());
+            return row ? row.value : null;
+        },
+
+        async set(key, value, { updatedBy = null } = {}) {
+            unwrap(await supabase.from('shop_settings').upsert([{
+                key,
+                value,
+                updated_by: updatedBy,
+                updated_at: new Date().toISOString()
+            }]));
+        }
+    };
+}
+
+function createStorageRepo(supabase, { bucket = 'product-images', publicBaseUrl }) {
+    return {
+        async upload(filePath, buffer, { contentType, upsert = false } = {}) {
+            unwrap(await supabase.storage.from(bucket).upload(filePath, buffer, { contentType, upsert }));
+        },
+
+        async remove(filePaths) {
+            unwrap(await supabase.storage.from(bucket).remove(filePaths));
+        },
+
+        // Файлы папки (без вложенных): путь, размер в байтах и время загрузки.
+        // Storage отдаёт список страницами; вложенные папки приходят без id
+        async list(folder) {
+            const files = [];
+            for (let offset = 0; ; offset += STORAGE_LIST_PAGE_SIZE) {
+                const page = unwrap(await supabase.storage.from(bucket).list(folder, {
+                    limit: STORAGE_LIST_PAGE_SIZE,
+                    offset,
+                    sortBy: { column: 'name', order: 'asc' }
+                }));
+                files.push(...page
+                    .filter(item => item.id)
+                    .map(item => ({
+                        path: `${folder}/${item.name}`,
+                        size: (item.metadata && item.metadata.size) || 0,
+                        createdAt: item.created_at
+                    })));
+                if (page.length < STORAGE_LIST_PAGE_SIZE) {
+                    return files;
+                }
+            }
+        },
+
+        getPublicUrl(filePath) {
+            return `${publicBaseUrl}/storage/v1/object/public/${bucket}/${filePath}`;
+        }
+    };
+}
+
+function createSupabaseRepos(supabase, { supabaseUrl, bucket } = {}) {
+    return {
+        usersRepo: createUsersRepo(supabase),
+        productsRepo: createProductsRepo(supabase),
+        productImagesRepo: createProductImagesRepo(supabase),
+        categoriesRepo: createCategoriesRepo(supabase),
+        ordersRepo: createOrdersRepo(supabase),
+        emailVerificationsRepo: createEmailVerificationsRepo(supabase),
+        sessionsRepo: createSessionsRepo(supabase),
+        identitiesRepo: createIdentitiesRepo(supabase),
+        settingsRepo: createSettingsRepo(supabase),
+        storageRepo: createStorageRepo(supabase, { bucket, publicBaseUrl: supabaseUrl })
+    };
+}
+
+module.exports = { createSupabaseRepos };
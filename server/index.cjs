@@ -0,0 +1,70 @@
+// server/index.cjs - Сборка зависимостей из настроек и запуск сервера
+// Используется обеими точками входа: server.js (ESM) и server.cjs (CommonJS)
+require('dotenv').config();
+const { createApp } = require('./app.cjs');
+const { loadConfig, describeConfig, ConfigError } = require('./config.cjs');
+const { createReposFromConfig } = require('./data/index.cjs');
+const { createMailerFromConfig } = require('./mail/index.cjs');
+const { createOAuthProvidersFromConfig } = require('./oauth/index.cjs');
+const { createStorageCollector } = require('./lib/storageGc.cjs');
+
+// Зависимости createApp из проверенных настроек (server/config.cjs)
+function createDepsFromConfig(config) {
+    const { cors } = config;
+
+    return {
+        // Слой доступа к данным: Supabase или память (DATA_BACKEND)
+        repos: createReposFromConfig(config.data),
+        jwtSecret: config.jwtSecret,
+        // Почта: Resend, SMTP, папка или память (MAIL_TRANSPORT)
+        mailer: createMailerFromConfig(config.mail),
+        nodeEnv: config.nodeEnv,
+        // Прокси перед сервером, от которых принимается X-Forwarded-For (TRUST_PROXY)
+        trustProxy: config.trustProxy,
+        requireStaffTwoFactor: config.requireStaffTwoFactor,
+        // Вход через внешних провайдеров (OAUTH_PROVIDERS); callback'и строятся от OAUTH_REDIRECT_BASE_URL
+        oauthProviders: createOAuthProvidersFromConfig(config.oauth),
+        oauthRedirectBaseUrl: config.oauth.redirectBaseUrl,
+        // Фронтенд: CORS_ORIGINS, FRONTEND_URL и адрес деплоя Vercel
+        cors: {
+            origins: [
+                ...cors.origins,
+                ...(cors.frontendUrl ? [new URL(cors.frontendUrl).origin] : []),
+                ...(cors.vercelUrl ? [`https://${cors.vercelUrl}`] : [])
+            ],
+            previewSuffix: cors.previewSuffix
+        },
+        security: config.security,
+        storage: config.storage
+    };
+}
+
+// Запуск сервера. С неверными настройками сервер не стартует и перечисляет все ошибки
+function startServer(port) {
+    let config;
+    try {
+        config = loadConfig();
+    } catch (error) {
+        if (error instanceof ConfigError) {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        }
+        throw error;
+    }
+
+    console.log(describeConfig(config));
+    const deps = createDepsFromConfig(config);
+    const app = createApp(deps);
+    const listenPort = port || config.port;
+
+    // Файлы без ссылок убираются по расписанию (STORAGE_GC_INTERVAL_MINUTES, 0 - выключено)
+    createStorageCollector({ repos: deps.repos, graceHours: config.storage.gcGraceHours })
+        .schedule(config.storage.gcIntervalMinutes);
+
+    return app.listen(listenPort, () => {
+        console.log(`Сервер запущен на порту ${listenPort}`);
+        console.log(`API доступен по адресу: http://localhost:${listenPort}/api`);
+    });
+}
+
+module.exports = { createApp, createDepsFromConfig, startServer };
@@ -0,0 +1,111 @@
+// server/lib/accounts.cjs - Почта и профили магазина
+// Email - это «владелец» профилей: в режиме multi (по умолчанию) на одну почту можно завести
+// несколько аккаунтов с разными именами, в режиме strict - только один. Режим переключается
+// в админ-панели и хранится в настройках магазина; аккаунты, которые уже делят почту, остаются
+// рабочими и попадают в отчёт о конфликтах
+const jwt = require('jsonwebtoken');
+const { PROFILE_SELECTION_EXPIRY } = require('../constants.cjs');
+
+const ACCOUNT_MODES = {
+    MULTI: 'multi',
+    STRICT: 'strict'
+};
+const ACCOUNT_MODE_SETTING = 'account_mode';
+const SELECTION_PURPOSE = 'login_profile';
+
+// Профиль в списке выбора: без email и служебных полей
+function toProfileSummary(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        fullName: user.full_name || null,
+        avatarUrl: user.avatar_url || null
+    };
+}
+
+function createAccountDirectory({ usersRepo, settingsRepo, jwtSecret }) {
+    async function getMode() {
+        const mode = await settingsRepo.get(ACCOUNT_MODE_SETTING);
+        return Object.values(ACCOUNT_MODES).includes(mode) ? mode : ACCOUNT_MODES.MULTI;
+    }
+
+    async function setMode(mode, { updatedBy = null } = {}) {
+        if (!Object.values(ACCOUNT_MODES).includes(mode)) {
+            throw new Error(`Неизвестный режим аккаунтов: ${mode}`);
+        }
+        await settingsRepo.set(ACCOUNT_MODE_SETTING, mode, { updatedBy });
+        return mode;
+    }
+
+    // Все профили почты, новые первыми
+    async function profilesFor(email) {
+        return usersRepo.findByEmail(String(email).trim().toLowerCase());
+    }
+
+    // Можно ли закрепить почту за новым профилем или перенести на неё существующий.
+    // В strict почта свободна, только если ей не владеет никто, кроме exceptUserId
+    async function isEmailAvailable(email, { exceptUserId = null } = {}) {
+        if (await getMode() !== ACCOUNT_MODES.STRICT) {
+            return true;
+        }
+        const profiles = await profilesFor(email);
+        return !profiles.some(profile => profile.id !== exceptUserId);
+    }
+
+    // Почты, которыми владеют несколько профилей: что придётся разобрать при переходе на strict
+    async function conflictReport() {
+        const byEmail = new Map();
+        for (const user of await usersRepo.listSharingEmail()) {
+            if (!byEmail.has(user.email)) byEmail.set(user.email, []);
+            byEmail.get(user.email).push({
+                id: user.id,
+                username: user.username,
+                emailVerified: Boolean(user.email_verified),
+                role: user.role || null,
+                createdAt: user.created_at
+            });
+        }
+
+        const conflicts = [...byEmail].map(([email, profiles]) => ({ email, profiles }));
+        return {
+            mode: await getMode(),
+            conflicts,
+            affectedProfiles: conflicts.reduce((sum, conflict) => sum + conflict.profiles.length, 0)
+        };
+    }
+
+    // Пароль подошёл к нескольким профилям почты: короткоживущий токен на выбор одного из них
+    function createProfileSelection(users) {
+        return jwt.sign(
+            { ids: users.map(user => user.id), purpose: SELECTION_PURPOSE },
+            jwtSecret,
+            { expiresIn: PROFILE_SELECTION_EXPIRY }
+        );
+    }
+
+    // true, если userId был среди предложенных профилей
+    function canSelectProfile(selectionToken, userId) {
+        try {
+            const payload = jwt.verify(String(selectionToken || ''), jwtSecret);
+            return payload.purpose === SELECTION_PURPOSE && Array.isArray(payload.ids) && payload.ids.includes(userId);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    return {
+        getMode,
+        setMode,
+        profilesFor,
+        isEmailAvailable,
+        conflictReport,
+        createProfileSelection,
+        canSelectProfile
+    };
+}
+
+module.exports = {
+    ACCOUNT_MODES,
+    createAccountDirectory,
+    toProfileSummary
+};
@@ -0,0 +1,162 @@
+// server/lib/email.cjs - Коды подтверждения и транзакционные письма
+const crypto = require('crypto');
+const { promisify } = require('util');
+const {
+    CODE_LENGTH,
+    CODE_EXPIRY_MS,
+    CODE_MAX_ATTEMPTS,
+    CODE_SALT_BYTES,
+    CODE_HASH_BYTES
+} = require('../constants.cjs');
+const { renderEmail } = require('../mail/templates/index.cjs');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Назначение кода: код из одного сценария не принимается в другом
+const CODE_PURPOSES = {
+    REGISTER: 'register',
+    EMAIL_CHANGE: 'email_change',
+    PASSWORD_RESET: 'password_reset'
+};
+
+// Генерация 6-значного кода криптостойким генератором (допускаются ведущие нули)
+function generateCode() {
+    return crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+}
+
+// В базе хранится только scrypt-хэш с собственной солью: "scrypt$<соль>$<хэш>"
+async function hashCode(code) {
+    const salt = crypto.randomBytes(CODE_SALT_BYTES);
+    const hash = await scrypt(code, salt, CODE_HASH_BYTES);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Сравнение за постоянное время, чтобы время ответа не подсказывало совпавшие байты
+async function verifyCodeHash(code, storedHash) {
+    const [scheme, saltHex, hashHex] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+    const expected = Buffer.from(hashHex, 'hex');
+    if (expected.length === 0) {
+        return false;
+    }
+    const actual = await scrypt(String(code), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Проверка введённого кода по записи email_verifications. Каждая проверка засчитывается записи
+// атомарно и до сравнения кода, так что параллельные запросы не получат больше CODE_MAX_ATTEMPTS
+// попыток. После CODE_MAX_ATTEMPTS ошибок код удаляется: перебирать дальше бессмысленно, нужен новый.
+// Верный код сразу погашается (consume: false - только проверка, погасит следующий шаг),
+// так что из двух параллельных запросов с одним кодом пройдёт только один
+async function checkCode(emailVerificationsRepo, record, code, { consume = true } = {}) {
+    const attempts = await emailVerificationsRepo.countAttempt(record.id);
+    if (attempts === null) {
+        // Запись успели погасить или аннулировать параллельные запросы
+        return { valid: false, used: true };
+    }
+    if (attempts > CODE_MAX_ATTEMPTS) {
+        await emailVerificationsRepo.deleteWhere({ id: record.id });
+        return { valid: false, exhausted: true, attemptsLeft: 0 };
+    }
+
+    if (await verifyCodeHash(code, record.code_hash)) {
+        if (consume && !await emailVerificationsRepo.consume(record.id)) {
+            return { valid: false, used: true };
+        }
+        return { valid: true };
+    }
+
+    if (attempts >= CODE_MAX_ATTEMPTS) {
+        await emailVerificationsRepo.deleteWhere({ id: record.id });
+        return { valid: false, exhausted: true, attemptsLeft: 0 };
+    }
+    return { valid: false, exhausted: false, attemptsLeft: CODE_MAX_ATTEMPTS - attempts };
+}
+
+// Ответ 400 на неверный код
+function invalidCodeResponse({ exhausted, used, attemptsLeft }) {
+    if (used) {
+        return { error: 'Код уже использован. Запросите новый код.', code: 'CODE_USED' };
+    }
+    if (exhausted) {
+        return {
+            error: 'Слишком много неверных попыток. Запросите новый код.',
+            code: 'CODE_EXHAUSTED'
+        };
+    }
+    return { error: 'Неверный код', attemptsLeft };
+}
+
+// Транзакционные письма по шаблонам server/mail/templates на языке получателя
+function createTransactionalEmails(mailer) {
+    const expiresInMinutes = Math.round(CODE_EXPIRY_MS / 60000);
+
+    async function send(template, { to, locale, data }) {
+        try {
+            const { subject, html, text } = renderEmail(template, locale, data);
+            await mailer.send({ to, subject, html, text });
+            return true;
+        } catch (error) {
+            console.error(`[email:${template}] Error sending email to ${to}:`, error);
+            throw error;
+        }
+    }
+
+    return {
+        send,
+
+        sendVerificationCode(email, code, { locale } = {}) {
+            return send('verificationCode', { to: email, locale, data: { code, expiresInMinutes } });
+        },
+
+        sendPasswordResetCode(email, code, { locale, username } = {}) {
+            return send('passwordReset', { to: email, locale, data: { code, username, expiresInMinutes } });
+        },
+
+        sendEmailChangeCode(email, code, { locale } = {}) {
+            return send('emailChange', { to: email, locale, data: { code, newEmail: email, expiresInMinutes } });
+        },
+
+        sendOrderConfirmation(user, order) {
+            return send('orderConfirmation', {
+                to: user.email,
+                locale: user.locale,
+                data: { username: user.username, order }
+            });
+        },
+
+        sendOrderStatusChanged(user, order, { cancelledByCustomer = false } = {}) {
+            return send('orderStatusChanged', {
+                to: user.email,
+                locale: user.locale,
+                data: {
+                    username: user.username,
+                    orderId: order.id,
+                    status: order.status,
+                    trackingNumber: order.tracking_number || null,
+                    cancelledByCustomer
+                }
+            });
+        },
+
+        sendAccountDeleted(user) {
+            return send('accountDeleted', {
+                to: user.email,
+                locale: user.locale,
+                data: { username: user.username }
+            });
+        }
+    };
+}
+
+module.exports = {
+    CODE_PURPOSES,
+    generateCode,
+    hashCode,
+    verifyCodeHash,
+    checkCode,
+    invalidCodeResponse,
+    createTransactionalEmails
+};
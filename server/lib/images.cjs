@@ -0,0 +1,431 @@
+// server/lib/images.cjs - Проверка загружаемых изображений и удаление метаданных
+// Тип файла определяется по сигнатуре (magic bytes), а не по заголовку Content-Type и расширению.
+// SVG не принимается: это разметка, в которой может быть скрипт. Перед сохранением из JPEG, PNG и WebP
+// вырезаются EXIF (в том числе GPS), XMP, IPTC и текстовые комментарии - без перекодирования,
+// поэтому качество не меняется. У JPEG сохраняется только ориентация, иначе фото с телефона
+// повернётся. В GIF полей EXIF нет, он сохраняется как есть.
+// Кроме оригинала сохраняются уменьшенные копии (IMAGE_VARIANTS) в AVIF и WebP и крошечная
+// размытая заглушка (LQIP) в виде data URL - их описание хранится в image_variants товара
+// и avatar_variants пользователя, а фронтенд строит из него srcset
+const sharp = require('sharp');
+const {
+    ALLOWED_IMAGE_TYPES,
+    MAX_IMAGE_PIXELS,
+    IMAGE_VARIANTS,
+    IMAGE_VARIANT_FORMATS,
+    IMAGE_PLACEHOLDER_WIDTH
+} = require('../constants.cjs');
+
+// Ошибка проверки изображения; code уходит клиенту
+class ImageError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ImageError';
+        this.code = code;
+    }
+}
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'image/gif': '.gif'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Тип изображения по первым байтам файла или null.
+ * @param {Buffer} buffer
+ * @returns {string|null} 'image/jpeg', 'image/png', 'image/webp', 'image/gif'
+ */
+function detectImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return 'image/png';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+        return 'image/gif';
+    }
+    return null;
+}
+
+// SVG и прочая XML-разметка: начинается с «<» после пробелов и BOM
+function looksLikeMarkup(buffer) {
+    const head = buffer.subarray(0, 512).toString('utf8').replace(/^﻿/, '').trimStart().toLowerCase();
+    return head.startsWith('<');
+}
+
+// Ориентация (тег 0x0112) из EXIF-сегмента JPEG: 1-8 или null
+function readExifOrientation(payload) {
+    if (payload.length < 14 || payload.toString('ascii', 0, 6) !== 'Exif\0\0') {
+        return null;
+    }
+    const tiff = payload.subarray(6);
+    const order = tiff.toString('ascii', 0, 2);
+    if (order !== 'II' && order !== 'MM') {
+        return null;
+    }
+    const little = order === 'II';
+    const read16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const read32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    const ifd = read32(4);
+    if (ifd + 2 > tiff.length) {
+        return null;
+    }
+    const entries = read16(ifd);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        if (read16(entry) === 0x0112) {
+            const value = read16(entry + 8);
+            return value >= 1 && value <= 8 ? value : null;
+        }
+    }
+    return null;
+}
+
+// EXIF только с ориентацией: заголовок TIFF и одна запись в IFD0
+function orientationSegment(orientation) {
+    const payload = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+    payload.write('Exif\0\0', 0, 'ascii');
+    payload.write('MM', 6, 'ascii');
+    payload.writeUInt16BE(42, 8);
+    payload.writeUInt32BE(8, 10);
+    payload.writeUInt16BE(1, 14);
+    payload.writeUInt16BE(0x0112, 16);
+    payload.writeUInt16BE(3, 18); // SHORT
+    payload.writeUInt32BE(1, 20);
+    payload.writeUInt16BE(orientation, 24);
+
+    const header = Buffer.from([0xff, 0xe1, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+// Из JPEG оставляем APP0 (JFIF), APP2 (цветовой профиль) и APP14 (Adobe, нужен для цветов CMYK);
+// остальные APP-сегменты и комментарии - это EXIF, XMP, IPTC и данные редакторов
+const JPEG_KEPT_APP_MARKERS = [0xe0, 0xe2, 0xee];
+
+function stripJpeg(buffer) {
+    const parts = [buffer.subarray(0, 2)];
+    let orientation = null;
+    let pos = 2;
+
+    while (pos < buffer.length) {
+        if (buffer[pos] !== 0xff) {
+            throw new ImageError('INVALID_IMAGE', 'Файл JPEG повреждён');
+        }
+        const marker = buffer[pos + 1];
+
+        // Заполняющие байты 0xFF перед маркером
+        if (marker === 0xff) {
+            pos += 1;
+            continue;
+        }
+        // Маркеры без длины
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            parts.push(buffer.subarray(pos, pos + 2));
+            pos += 2;
+            continue;
+        }
+        // Начало сжатых данных: дальше метаданных нет
+        if (marker === 0xda || marker === 0xd9) {
+            parts.push(buffer.subarray(pos));
+            break;
+        }
+
+        if (pos + 4 > buffer.length) {
+            throw new ImageError('INVALID_IMAGE', 'Файл JPEG повреждён');
+        }
+        const end = pos + 2 + buffer.readUInt16BE(pos + 2);
+        if (end > buffer.length) {
+            throw new ImageError('INVALID_IMAGE', 'Файл JPEG повреждён');
+        }
+
+        const isApp = marker >= 0xe0 && marker <= 0xef;
+        if (marker === 0xe1 && orientation === null) {
+            orientation = readExifOrientation(buffer.subarray(pos + 4, end));
+        }
+        if ((!isApp || JPEG_KEPT_APP_MARKERS.includes(marker)) && marker !== 0xfe) {
+            parts.push(buffer.subarray(pos, end));
+        }
+        pos = end;
+    }
+
+    // Ориентация - сразу после SOI и JFIF
+    if (orientation && orientation !== 1) {
+        const insertAt = parts[1] && parts[1][1] === 0xe0 ? 2 : 1;
+        parts.splice(insertAt, 0, orientationSegment(orientation));
+    }
+    return Buffer.concat(parts);
+}
+
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+
+function stripPng(buffer) {
+    const parts = [PNG_SIGNATURE];
+    let pos = PNG_SIGNATURE.length;
+
+    while (pos < buffer.length) {
+        if (pos + 12 > buffer.length) {
+            throw new ImageError('INVALID_IMAGE', 'Файл PNG повреждён');
+        }
+        const end = pos + 12 + buffer.readUInt32BE(pos);
+        if (end > buffer.length) {
+            throw new ImageError('INVALID_IMAGE', 'Файл PNG повреждён');
+        }
+        const type = buffer.toString('ascii', pos + 4, pos + 8);
+        if (!PNG_METADATA_CHUNKS.includes(type)) {
+            parts.push(buffer.subarray(pos, end));
+        }
+        pos = end;
+        if (type === 'IEND') break;
+    }
+    return Buffer.concat(parts);
+}
+
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+const VP8X_EXIF_FLAG = 0x08;
+const VP8X_XMP_FLAG = 0x04;
+
+function stripWebp(buffer) {
+    const chunks = [];
+    let pos = 12;
+
+    while (pos + 8 <= buffer.length) {
+        const fourcc = buffer.toString('ascii', pos, pos + 4);
+        const size = buffer.readUInt32LE(pos + 4);
+        // Данные чанка выравниваются до чётной длины
+        const end = pos + 8 + size + (size % 2);
+        if (pos + 8 + size > buffer.length) {
+            throw new ImageError('INVALID_IMAGE', 'Файл WebP повреждён');
+        }
+        if (!WEBP_METADATA_CHUNKS.includes(fourcc)) {
+            let chunk = buffer.subarray(pos, Math.min(end, buffer.length));
+            // В расширенном заголовке снимаем флаги «есть EXIF» и «есть XMP»
+            if (fourcc === 'VP8X' && size >= 1) {
+                chunk = Buffer.from(chunk);
+                chunk[8] &= ~(VP8X_EXIF_FLAG | VP8X_XMP_FLAG);
+            }
+            chunks.push(chunk);
+        }
+        pos = end;
+    }
+
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'ascii');
+    return Buffer.concat([header, body]);
+}
+
+const STRIPPERS = {
+    'image/jpeg': stripJpeg,
+    'image/png': stripPng,
+    'image/webp': stripWebp,
+    'image/gif': buffer => buffer
+};
+
+/**
+ * Проверяет загруженный файл и убирает из него метаданные.
+ * @param {Buffer} buffer - содержимое файла
+ * @returns {{ buffer: Buffer, contentType: string, extension: string }}
+ * @throws {ImageError} SVG_NOT_ALLOWED, UNSUPPORTED_IMAGE_TYPE или INVALID_IMAGE
+ */
+function prepareImage(buffer) {
+    const contentType = detectImageType(buffer);
+
+    if (!contentType) {
+        if (looksLikeMarkup(buffer)) {
+            throw new ImageError('SVG_NOT_ALLOWED', 'SVG и другие файлы с разметкой загружать нельзя');
+        }
+        throw new ImageError('UNSUPPORTED_IMAGE_TYPE', 'Поддерживаются только изображения JPEG, PNG, WebP и GIF');
+    }
+    if (!ALLOWED_IMAGE_TYPES.includes(contentType)) {
+        throw new ImageError('UNSUPPORTED_IMAGE_TYPE', 'Этот формат изображений не поддерживается');
+    }
+
+    return {
+        buffer: STRIPPERS[contentType](buffer),
+        contentType,
+        extension: EXTENSIONS[contentType]
+    };
+}
+
+/**
+ * Уменьшенные копии изображения во всех форматах IMAGE_VARIANT_FORMATS и размытая заглушка.
+ * Копии поворачиваются по EXIF-ориентации и не содержат метаданных.
+ * @param {Buffer} buffer - файл после prepareImage
+ * @returns {Promise<{ width: number, height: number, placeholder: string, files: object[] }>}
+ *   files - { name, width, height, format, contentType, buffer } для каждой копии
+ * @throws {ImageError} IMAGE_TOO_LARGE или INVALID_IMAGE
+ */
+async function renderImageVariants(buffer) {
+    const options = { limitInputPixels: MAX_IMAGE_PIXELS, failOn: 'error' };
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { failOn: 'error' }).metadata();
+    } catch (error) {
+        throw new ImageError('INVALID_IMAGE', 'Не удалось прочитать изображение');
+    }
+    if (!metadata.width || !metadata.height) {
+        throw new ImageError('INVALID_IMAGE', 'Не удалось прочитать изображение');
+    }
+    if (metadata.width * metadata.height > MAX_IMAGE_PIXELS) {
+        throw new ImageError(
+            'IMAGE_TOO_LARGE',
+            `Изображение больше ${Math.round(MAX_IMAGE_PIXELS / 1e6)} мегапикселей`
+        );
+    }
+
+    // Ориентации 5-8 - поворот на 90°, ширина и высота меняются местами
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+    const source = sharp(buffer, options).rotate();
+
+    // Узкий оригинал даёт меньше копий: одинаковые ширины не повторяем
+    const sizes = [];
+    for (const variant of IMAGE_VARIANTS) {
+        const variantWidth = Math.min(variant.width, width);
+        if (!sizes.some(size => size.width === variantWidth)) {
+            sizes.push({ name: variant.name, width: variantWidth, height: Math.round(height * variantWidth / width) });
+        }
+    }
+
+    try {
+        const files = [];
+        for (const size of sizes) {
+            for (const [format, { contentType, options: encoderOptions }] of Object.entries(IMAGE_VARIANT_FORMATS)) {
+                const resized = await source.clone()
+                    .resize({ width: size.width })[format](encoderOptions)
+                    .toBuffer();
+                files.push({ ...size, format, contentType, buffer: resized });
+            }
+        }
+
+        const placeholder = await source.clone()
+            .resize({ width: IMAGE_PLACEHOLDER_WIDTH })
+            .webp({ quality: 30 })
+            .toBuffer();
+
+        return {
+            width,
+            height,
+            placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+            files
+        };
+    } catch (error) {
+        throw new ImageError('INVALID_IMAGE', 'Не удалось обработать изображение');
+    }
+}
+
+/**
+ * Сохраняет оригинал и его копии рядом: folder/base.jpg, folder/base_card.webp и т.д.
+ * @param {object} storageRepo
+ * @param {object} params
+ * @param {string} params.folder - products или avatars
+ * @param {string} params.baseName - имя файла без расширения
+ * @param {object} params.file - req.file после acceptImage (buffer, mimetype, extension, rendered)
+ * @param {boolean} [params.upsert]
+ * @returns {Promise<{ path: string, url: string, variants: object }>} variants - для image_variants / avatar_variants
+ */
+async function storeImage(storageRepo, { folder, baseName, file, upsert = false }) {
+    const filePath = `${folder}/${baseName}${file.extension}`;
+    const { rendered } = file;
+    const stored = [filePath];
+
+    try {
+        await storageRepo.upload(filePath, file.buffer, { contentType: file.mimetype, upsert });
+
+        const sources = new Map();
+        for (const variant of rendered.files) {
+            const variantPath = `${folder}/${baseName}_${variant.name}.${variant.format}`;
+            await storageRepo.upload(variantPath, variant.buffer, { contentType: variant.contentType, upsert });
+            stored.push(variantPath);
+
+            if (!sources.has(variant.name)) {
+                sources.set(variant.name, { name: variant.name, width: variant.width, height: variant.height });
+            }
+            sources.get(variant.name)[variant.format] = storageRepo.getPublicUrl(variantPath);
+        }
+
+        return {
+            path: filePath,
+            url: storageRepo.getPublicUrl(filePath),
+            variants: {
+                width: rendered.width,
+                height: rendered.height,
+                placeholder: rendered.placeholder,
+                sources: [...sources.values()]
+            }
+        };
+    } catch (error) {
+        // Без половины копий изображение не нужно
+        await storageRepo.remove(stored).catch(() => {});
+        throw error;
+    }
+}
+
+// Заглушка 16px занимает сотни байт; длиннее - это уже не заглушка
+const MAX_PLACEHOLDER_LENGTH = 4096;
+
+// Пути в хранилище всех копий из image_variants / avatar_variants (для удаления)
+function variantPaths(variants, storageRepo) {
+    const baseUrl = storageRepo.getPublicUrl('');
+    const formats = Object.keys(IMAGE_VARIANT_FORMATS);
+
+    return ((variants && variants.sources) || [])
+        .flatMap(source => formats.map(format => source[format]))
+        .filter(url => typeof url === 'string' && url.startsWith(baseUrl))
+        .map(url => url.slice(baseUrl.length));
+}
+
+// image_variants из запроса админки: принимаются только копии из нашего хранилища,
+// иначе null - тогда фронтенд показывает image_url как есть
+function sanitizeImageVariants(variants, storageRepo) {
+    if (!variants || typeof variants !== 'object' || !Array.isArray(variants.sources) || variants.sources.length === 0) {
+        return null;
+    }
+    const baseUrl = storageRepo.getPublicUrl('');
+    const formats = Object.keys(IMAGE_VARIANT_FORMATS);
+    const isNumber = value => Number.isInteger(value) && value > 0;
+
+    const sources = variants.sources.map(source => {
+        if (!source || !isNumber(source.width) || !isNumber(source.height)) return null;
+        const urls = {};
+        for (const format of formats) {
+            if (typeof source[format] !== 'string' || !source[format].startsWith(baseUrl)) return null;
+            urls[format] = source[format];
+        }
+        return { name: String(source.name || ''), width: source.width, height: source.height, ...urls };
+    });
+    if (sources.includes(null) || !isNumber(variants.width) || !isNumber(variants.height)) {
+        return null;
+    }
+
+    const placeholder = typeof variants.placeholder === 'string'
+        && variants.placeholder.startsWith('data:image/')
+        && variants.placeholder.length <= MAX_PLACEHOLDER_LENGTH
+        ? variants.placeholder
+        : null;
+    return { width: variants.width, height: variants.height, placeholder, sources };
+}
+
+module.exports = {
+    ImageError,
+    detectImageType,
+    prepareImage,
+    renderImageVariants,
+    storeImage,
+    variantPaths,
+    sanitizeImageVariants
+};
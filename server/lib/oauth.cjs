@@ -0,0 +1,205 @@
+// server/lib/oauth.cjs - Вход и привязка аккаунтов через внешних провайдеров (server/oauth)
+// 1. start: фронтенд получает адрес провайдера; state, nonce и PKCE-верификатор остаются на сервере.
+// 2. complete: провайдер возвращает пользователя на callback, аккаунт находится, создаётся или привязывается.
+// 3. redeem: фронтенд обменивает одноразовый билет на токены. Билет действует только вместе
+//    с binding - случайной строкой, которую знает лишь вкладка, начавшая вход
+const crypto = require('crypto');
+const { OAUTH_STATE_TTL_MS, OAUTH_TICKET_TTL_MS } = require('../constants.cjs');
+const { ConflictError } = require('../data/errors.cjs');
+
+// Ошибка входа через провайдера; code уходит фронтенду в параметре oauth_error
+class OAuthError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'OAuthError';
+        this.code = code;
+    }
+}
+
+function randomToken(bytes = 24) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('base64url');
+}
+
+// Имя пользователя из email: латиница, цифры, точка, дефис и подчёркивание
+function usernameBase(profile) {
+    const local = (profile.email || '').split('@')[0].replace(/[^a-zA-Z0-9_.-]/g, '').slice(0, 40);
+    return local.length >= 3 ? local : 'user';
+}
+
+function createOAuthFlow({ usersRepo, identitiesRepo, accounts }) {
+    const pending = new Map();
+    const tickets = new Map();
+
+    function sweep(map) {
+        const now = Date.now();
+        for (const [key, value] of map) {
+            if (value.expiresAt < now) map.delete(key);
+        }
+    }
+
+    // Адрес страницы входа провайдера. linkUserId - привязать провайдера к уже вошедшему пользователю
+    async function start(provider, { redirectUri, returnTo, binding, linkUserId = null }) {
+        sweep(pending);
+        const state = randomToken();
+        const nonce = randomToken();
+        const codeVerifier = randomToken(32);
+
+        pending.set(state, {
+            provider: provider.name,
+            redirectUri,
+            returnTo,
+            bindingHash: sha256(binding),
+            linkUserId,
+            nonce,
+            codeVerifier,
+            expiresAt: Date.now() + OAUTH_STATE_TTL_MS
+        });
+
+        return provider.getAuthorizationUrl({ state, nonce, codeChallenge: sha256(codeVerifier), redirectUri });
+    }
+
+    // state одноразовый: повторный callback с тем же state не пройдёт
+    function takeState(provider, state) {
+        const record = pending.get(state);
+        pending.delete(state);
+        if (!record || record.expiresAt < Date.now() || record.provider !== provider.name) {
+            return null;
+        }
+        return record;
+    }
+
+    async function createUser(profile, { locale }) {
+        const isFirstUser = await usersRepo.count() === 0;
+        const base = usernameBase(profile);
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const username = attempt === 0 ? base : `${base}_${crypto.randomInt(1000, 10000)}`;
+            if (await usersRepo.findByUsername(username)) continue;
+            try {
+                return await usersRepo.create({
+                    username,
+                    email: profile.email,
+                    password_hash: null,
+                    full_name: profile.name ? String(profile.name).trim().slice(0, 100) : null,
+                    is_admin: isFirstUser,
+                    role: isFirstUser ? 'owner' : null,
+                    email_verified: true,
+                    locale
+                });
+            } catch (error) {
+                if (!(error instanceof ConflictError)) throw error;
+            }
+        }
+        throw new OAuthError('USERNAME_UNAVAILABLE', 'Не удалось подобрать имя пользователя');
+    }
+
+    async function linkIdentity(userId, providerName, profile) {
+        try {
+            await identitiesRepo.create({
+                user_id: userId,
+                provider: providerName,
+                subject: profile.subject,
+                email: profile.email
+            });
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                throw new OAuthError('IDENTITY_TAKEN', 'Этот аккаунт провайдера уже привязан к другому пользователю');
+            }
+            throw error;
+        }
+    }
+
+    // Кого впустить по профилю провайдера: { type: 'login', userId, created } или { type: 'linked', userId }
+    async function resolveAccount(providerName, profile, { linkUserId, locale }) {
+        const identity = await identitiesRepo.findByProviderSubject(providerName, profile.subject);
+
+        if (linkUserId) {
+            if (identity && identity.user_id !== linkUserId) {
+                throw new OAuthError('IDENTITY_TAKEN', 'Этот аккаунт провайдера уже привязан к другому пользователю');
+            }
+            if (!identity) {
+                await linkIdentity(linkUserId, providerName, profile);
+            }
+            return { type: 'linked', userId: linkUserId, provider: providerName };
+        }
+
+        if (identity) {
+            return { type: 'login', userId: identity.user_id, created: false };
+        }
+
+        // Новый внешний аккаунт: связываем с пользователем только по email, который подтвердил провайдер
+        if (!profile.email || !profile.emailVerified) {
+            throw new OAuthError('EMAIL_NOT_VERIFIED', 'Провайдер не подтвердил email');
+        }
+
+        const candidates = (await usersRepo.findByEmail(profile.email)).filter(user => user.email_verified);
+        if (candidates.length > 1) {
+            throw new OAuthError('ACCOUNT_AMBIGUOUS', 'С этим email связано несколько аккаунтов - войдите и привяжите провайдера в профиле');
+        }
+        // В режиме «один аккаунт на email» почту с неподтверждённым аккаунтом новым аккаунтом не занимаем
+        if (!candidates[0] && !await accounts.isEmailAvailable(profile.email)) {
+            throw new OAuthError('EMAIL_TAKEN', 'Этот email уже занят другим аккаунтом');
+        }
+
+        const user = candidates[0] || await createUser(profile, { locale });
+        await linkIdentity(user.id, providerName, profile);
+        return { type: 'login', userId: user.id, created: !candidates[0] };
+    }
+
+    // Завершение входа на callback: { returnTo, ticket } или { returnTo, error }; null - state неизвестен
+    async function complete(provider, { state, code, locale }) {
+        const record = takeState(provider, state);
+        if (!record) {
+            return null;
+        }
+
+        try {
+            const profile = await provider.exchangeCode({
+                code,
+                redirectUri: record.redirectUri,
+                codeVerifier: record.codeVerifier,
+                nonce: record.nonce
+            });
+            const result = await resolveAccount(provider.name, profile, { linkUserId: record.linkUserId, locale });
+
+            sweep(tickets);
+            const ticket = randomToken();
+            tickets.set(ticket, {
+                result,
+                bindingHash: record.bindingHash,
+                expiresAt: Date.now() + OAUTH_TICKET_TTL_MS
+            });
+            return { returnTo: record.returnTo, ticket };
+        } catch (error) {
+            if (error instanceof OAuthError) {
+                return { returnTo: record.returnTo, error: error.code };
+            }
+            console.error(`[oauth:${provider.name}] Callback error:`, error);
+            return { returnTo: record.returnTo, error: 'PROVIDER_ERROR' };
+        }
+    }
+
+    // Провайдер вернул ошибку (например, пользователь отказался): нужен только адрес возврата
+    function abort(provider, state) {
+        const record = takeState(provider, state);
+        return record ? record.returnTo : null;
+    }
+
+    // Результат входа по билету или null. Билет одноразовый
+    function redeem(ticket, binding) {
+        const record = tickets.get(ticket);
+        tickets.delete(ticket);
+        if (!record || record.expiresAt < Date.now() || record.bindingHash !== sha256(binding)) {
+            return null;
+        }
+        return record.result;
+    }
+
+    return { start, complete, abort, redeem };
+}
+
+module.exports = { createOAuthFlow, OAuthError };
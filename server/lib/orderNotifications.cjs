@@ -0,0 +1,44 @@
+// server/lib/orderNotifications.cjs - Письма покупателю об оформлении заказа и смене его статуса
+// Письма уходят через очередь, поэтому маршруты заказов не ждут почту и не падают из-за неё
+
+// Статусы, о переходе в которые сообщаем покупателю
+const NOTIFIED_STATUSES = ['processing', 'shipped', 'delivered', 'cancelled'];
+
+function createOrderNotifier({ usersRepo, emails, mailQueue }) {
+    async function findRecipient(userId) {
+        const user = await usersRepo.findById(userId);
+        if (!user || !user.email) {
+            console.warn(`[order-notifications] Нет email для пользователя ${userId}, письмо пропущено`);
+            return null;
+        }
+        return user;
+    }
+
+    return {
+        // items: [{ title, quantity, price }] - цены на момент заказа
+        orderPlaced(order, items) {
+            mailQueue.enqueue(`orderConfirmation:${order.id}`, async () => {
+                const user = await findRecipient(order.user_id);
+                if (user) {
+                    await emails.sendOrderConfirmation(user, { ...order, items });
+                }
+            });
+        },
+
+        // cancelledByCustomer - заказ отменил сам покупатель, а не магазин
+        statusChanged(order, { cancelledByCustomer = false } = {}) {
+            if (!NOTIFIED_STATUSES.includes(order.status)) {
+                return;
+            }
+
+            mailQueue.enqueue(`orderStatusChanged:${order.id}:${order.status}`, async () => {
+                const user = await findRecipient(order.user_id);
+                if (user) {
+                    await emails.sendOrderStatusChanged(user, order, { cancelledByCustomer });
+                }
+            });
+        }
+    };
+}
+
+module.exports = { NOTIFIED_STATUSES, createOrderNotifier };
@@ -0,0 +1,143 @@
+// server/lib/passwordPolicy.cjs - Требования к паролю, общие для всех маршрутов, где пароль задаётся
+// (регистрация, сброс пароля, профиль), и оценка надёжности для индикатора в форме регистрации
+const fs = require('fs');
+const path = require('path');
+const {
+    PASSWORD_MIN_LENGTH,
+    PASSWORD_MAX_LENGTH,
+    PASSWORD_MIN_CHAR_CLASSES,
+    PASSWORD_PASSPHRASE_LENGTH,
+    PASSWORD_MIN_UNIQUE_CHARS
+} = require('../constants.cjs');
+
+// Список частых и утёкших паролей читается один раз при запуске
+const COMMON_PASSWORDS = new Set(
+    fs.readFileSync(path.join(__dirname, 'data', 'common-passwords.txt'), 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+);
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const STRENGTH_LABELS = ['Очень слабый', 'Слабый', 'Средний', 'Хороший', 'Надёжный'];
+
+function charClasses(password) {
+    return [
+        /\p{Ll}/u,
+        /\p{Lu}/u,
+        /\d/,
+        /[^\p{L}\d]/u
+    ].filter(pattern => pattern.test(password)).length;
+}
+
+// «Password2024!» и «p@ssw0rd» - тот же «password» из списка
+function isCommonPassword(password) {
+    const lower = password.toLowerCase();
+    const stripped = lower.replace(/[^\p{L}]+$/u, '');
+    return [lower, stripped]
+        .flatMap(variant => [variant, variant.replace(/[013457$@]/g, char => LEET[char])])
+        .some(variant => variant && COMMON_PASSWORDS.has(variant));
+}
+
+// Имя пользователя и часть email до @ короче трёх символов не проверяем - слишком много совпадений
+function containsPersonalData(password, { username, email } = {}) {
+    const lower = password.toLowerCase();
+    const parts = [username, email && String(email).split('@')[0]]
+        .filter(Boolean)
+        .map(part => String(part).trim().toLowerCase())
+        .filter(part => part.length >= 3);
+    return parts.some(part => lower.includes(part));
+}
+
+/**
+ * Нарушение требований к паролю или null.
+ * @param {string} password
+ * @param {{ username?: string, email?: string }} [context] - данные аккаунта, которых не должно быть в пароле
+ * @returns {{ error: string, code: string } | null}
+ */
+function validatePassword(password, context = {}) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return {
+            error: `Пароль должен быть не короче ${PASSWORD_MIN_LENGTH} символов`,
+            code: 'PASSWORD_TOO_SHORT'
+        };
+    }
+    if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_LENGTH) {
+        return {
+            error: `Пароль слишком длинный: не больше ${PASSWORD_MAX_LENGTH} байт (латинская буква - 1 байт, русская - 2)`,
+            code: 'PASSWORD_TOO_LONG'
+        };
+    }
+    if (password.length < PASSWORD_PASSPHRASE_LENGTH && charClasses(password) < PASSWORD_MIN_CHAR_CLASSES) {
+        return {
+            error: `Используйте хотя бы ${PASSWORD_MIN_CHAR_CLASSES} вида символов из четырёх: строчные и заглавные буквы, цифры, знаки - или фразу от ${PASSWORD_PASSPHRASE_LENGTH} символов`,
+            code: 'PASSWORD_TOO_SIMPLE'
+        };
+    }
+    if (new Set(Array.from(password)).size < PASSWORD_MIN_UNIQUE_CHARS) {
+        return {
+            error: 'Пароль состоит из повторов одних и тех же символов',
+            code: 'PASSWORD_TOO_SIMPLE'
+        };
+    }
+    if (containsPersonalData(password, context)) {
+        return {
+            error: 'Пароль не должен содержать имя пользователя или email',
+            code: 'PASSWORD_CONTAINS_PERSONAL_DATA'
+        };
+    }
+    if (isCommonPassword(password)) {
+        return {
+            error: 'Этот пароль слишком распространён или встречался в утечках - выберите другой',
+            code: 'PASSWORD_COMMON'
+        };
+    }
+    return null;
+}
+
+// Грубая оценка перебора: размер алфавита в степени «полезной» длины.
+// Повторы и последовательности (aaa, 123, abc) почти не добавляют стойкости
+function estimateBits(password) {
+    const chars = Array.from(password);
+    const pool = (/\p{Ll}/u.test(password) ? 26 : 0) +
+        (/\p{Lu}/u.test(password) ? 26 : 0) +
+        (/\d/.test(password) ? 10 : 0) +
+        (/[^\p{L}\d]/u.test(password) ? 33 : 0);
+
+    let effectiveLength = 0;
+    chars.forEach((char, index) => {
+        const step = index > 0 ? char.codePointAt(0) - chars[index - 1].codePointAt(0) : null;
+        const previousStep = index > 1 ? chars[index - 1].codePointAt(0) - chars[index - 2].codePointAt(0) : null;
+        const predictable = step === 0 || (Math.abs(step) === 1 && step === previousStep);
+        effectiveLength += predictable ? 0.25 : 1;
+    });
+
+    return effectiveLength * Math.log2(Math.max(pool, 1));
+}
+
+/**
+ * Проверка пароля для индикатора надёжности: score от 0 до 4.
+ * Пароль, который не пройдёт validatePassword, получает не больше 1
+ */
+function checkPasswordStrength(password, context = {}) {
+    const violation = validatePassword(password, context);
+    const bits = typeof password === 'string' ? estimateBits(password) : 0;
+    let score = bits < 28 ? 0 : bits < 40 ? 1 : bits < 60 ? 2 : bits < 80 ? 3 : 4;
+
+    if (violation) {
+        score = violation.code === 'PASSWORD_COMMON' ? 0 : Math.min(score, 1);
+    }
+
+    return {
+        valid: !violation,
+        score,
+        label: STRENGTH_LABELS[score],
+        ...(violation || {})
+    };
+}
+
+module.exports = {
+    validatePassword,
+    checkPasswordStrength
+};
@@ -0,0 +1,232 @@
+// server/lib/productImages.cjs - Галерея товара: несколько изображений с порядком, подписью и главным.
+// Главное изображение дублируется в image_path и image_variants товара: по ним работают корзина,
+// заказы, письма и клиенты, которые о галерее не знают. Поэтому все изменения галереи идут через
+// createProductGallery, а не напрямую через productImagesRepo.
+// Каждое изменение читает галерею и переписывает позиции целиком, поэтому изменения одного товара
+// выполняются по очереди (в пределах процесса, как и кэш идемпотентности)
+const { normalizeImagePath, resolveProductImageUrl } = require('./products.cjs');
+const { variantPaths } = require('./images.cjs');
+const { PRODUCT_IMAGES_MAX } = require('../constants.cjs');
+
+// Публичное представление изображения галереи
+function toPublicImage(image, storageRepo) {
+    return {
+        id: image.id,
+        image_url: resolveProductImageUrl(image, storageRepo),
+        image_variants: image.image_variants || null,
+        alt: image.alt || '',
+        position: image.position,
+        is_primary: image.is_primary
+    };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.repos - productsRepo, productImagesRepo и storageRepo (server/data)
+ */
+function createProductGallery({ repos }) {
+    const { productsRepo, productImagesRepo, storageRepo } = repos;
+    // productId -> последнее изменение галереи в очереди
+    const queues = new Map();
+
+    // Выполняет task после предыдущих изменений галереи товара, независимо от их исхода
+    function serialized(productId, task) {
+        const result = (queues.get(productId) || Promise.resolve()).then(task);
+        const settled = result.catch(() => {});
+        queues.set(productId, settled);
+        settled.then(() => {
+            if (queues.get(productId) === settled) queues.delete(productId);
+        });
+        return result;
+    }
+
+    // Изображения товара по порядку
+    function list(productId) {
+        return productImagesRepo.listByProducts([productId]);
+    }
+
+    // Файлы изображения в хранилище: оригинал и уменьшенные копии
+    function filesOf(image) {
+        return [normalizeImagePath(image.image_path), ...variantPaths(image.image_variants, storageRepo)];
+    }
+
+    function currentPrimaryId(images) {
+        const primary = images.find(image => image.is_primary);
+        return primary ? primary.id : null;
+    }
+
+    // Записывает порядок (позиции с нуля) и главное изображение - отмеченное primaryId или первое -
+    // и переносит главное в товар. Возвращает галерею в новом виде
+    async function save(productId, images, primaryId) {
+        const primary = images.find(image => image.id === primaryId) || images[0] || null;
+        const saved = images.map((image, position) => ({
+            ...image,
+            position,
+            is_primary: image === primary
+        }));
+
+        // Сначала снимаем отметку со старого главного: второе главное не даст записать индекс
+        const changed = saved
+            .filter((image, i) => image.position !== images[i].position || image.is_primary !== images[i].is_primary)
+            .sort((a, b) => Number(a.is_primary) - Number(b.is_primary));
+        for (const image of changed) {
+            await productImagesRepo.update(image.id, { position: image.position, is_primary: image.is_primary });
+        }
+
+        await productsRepo.update(productId, {
+            image_path: primary ? primary.image_path : null,
+            image_variants: primary ? primary.image_variants || null : null
+        });
+        return saved;
+    }
+
+    // Записывает галерею с новым изображением; если не вышло, удаляет его запись и возвращает
+    // остальным прежние позиции и главное. Файлы нового изображения удаляет вызывающий код
+    async function saveWithCreated(productId, images, created, gallery, primaryId) {
+        try {
+            return await save(productId, gallery, primaryId);
+        } catch (error) {
+            await productImagesRepo.delete(created.id);
+            const restored = [...images].sort((a, b) => Number(a.is_primary) - Number(b.is_primary));
+            for (const image of restored) {
+                await productImagesRepo.update(image.id, { position: image.position, is_primary: image.is_primary });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Добавляет изображение в конец галереи. Первое изображение товара становится главным.
+     * null - в галерее уже PRODUCT_IMAGES_MAX изображений
+     * @param {number} productId
+     * @param {{ image_path: string, image_variants?: object, alt?: string, primary?: boolean }} image
+     */
+    function add(productId, { image_path, image_variants = null, alt = '', primary = false }) {
+        return serialized(productId, async () => {
+            const images = await list(productId);
+            if (images.length >= PRODUCT_IMAGES_MAX) {
+                return null;
+            }
+            const created = await productImagesRepo.create({
+                product_id: productId,
+                image_path,
+                image_variants,
+                alt,
+                position: images.length,
+                is_primary: false
+            });
+            return saveWithCreated(productId, images, created, [...images, created],
+                primary ? created.id : currentPrimaryId(images));
+        });
+    }
+
+    /**
+     * Подпись и выбор главного изображения. null - изображения нет в галерее товара
+     * @param {{ alt?: string, primary?: boolean }} changes
+     */
+    function update(productId, imageId, { alt, primary = false }) {
+        return serialized(productId, async () => {
+            const images = await list(productId);
+            const image = images.find(item => item.id === imageId);
+            if (!image) {
+                return null;
+            }
+            if (alt !== undefined && alt !== image.alt) {
+                Object.assign(image, await productImagesRepo.update(imageId, { alt }));
+            }
+            return save(productId, images, primary ? imageId : currentPrimaryId(images));
+        });
+    }
+
+    /**
+     * Новый порядок галереи. null - ids не совпадают с изображениями товара
+     * @param {number[]} ids - все id изображений товара в нужном порядке
+     */
+    function reorder(productId, ids) {
+        return serialized(productId, async () => {
+            const images = await list(productId);
+            const byId = new Map(images.map(image => [image.id, image]));
+            if (ids.length !== images.length || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+                return null;
+            }
+            return save(productId, ids.map(id => byId.get(id)), currentPrimaryId(images));
+        });
+    }
+
+    /**
+     * Удаляет изображение вместе с файлами. Вместо удалённого главного главным становится первое.
+     * null - изображения нет в галерее товара
+     */
+    function remove(productId, imageId) {
+        return serialized(productId, async () => {
+            const images = await list(productId);
+            const image = images.find(item => item.id === imageId);
+            if (!image) {
+                return null;
+            }
+            await productImagesRepo.delete(imageId);
+            await storageRepo.remove(filesOf(image));
+            return save(productId, images.filter(item => item !== image), currentPrimaryId(images));
+        });
+    }
+
+    /**
+     * Заменяет главное изображение (форма товара и POST /api/admin/products/:id/upload).
+     * Прежние файлы не удаляются, их уберёт server/lib/storageGc.cjs. image_path null - убрать главное.
+     * image_variants undefined - у того же пути копии остаются, у другого сбрасываются
+     * @param {{ image_path: string|null, image_variants?: object|null }} image
+     */
+    function replacePrimary(productId, { image_path, image_variants }) {
+        return serialized(productId, async () => {
+            const images = await list(productId);
+            const primary = images.find(image => image.is_primary);
+
+            if (!image_path) {
+                if (!primary) {
+                    return images;
+                }
+                await productImagesRepo.delete(primary.id);
+                return save(productId, images.filter(image => image !== primary), null);
+            }
+
+            if (primary) {
+                const keepVariants = image_variants === undefined && primary.image_path === image_path;
+                Object.assign(primary, await productImagesRepo.update(primary.id, {
+                    image_path,
+                    image_variants: keepVariants ? primary.image_variants || null : image_variants || null
+                }));
+                return save(productId, images, primary.id);
+            }
+
+            const created = await productImagesRepo.create({
+                product_id: productId,
+                image_path,
+                image_variants: image_variants || null,
+                alt: '',
+                position: 0,
+                is_primary: false
+            });
+            return saveWithCreated(productId, images, created, [created, ...images], created.id);
+        });
+    }
+
+    // Файлы всех изображений товара - для удаления вместе с товаром
+    async function files(productId) {
+        return (await list(productId)).flatMap(filesOf);
+    }
+
+    // Товары с полем images - публичными изображениями галереи по порядку
+    async function withImages(products) {
+        const images = await productImagesRepo.listByProducts(products.map(product => product.id));
+        const byProduct = new Map();
+        for (const image of images) {
+            if (!byProduct.has(image.product_id)) byProduct.set(image.product_id, []);
+            byProduct.get(image.product_id).push(toPublicImage(image, storageRepo));
+        }
+        return products.map(product => ({ ...product, images: byProduct.get(product.id) || [] }));
+    }
+
+    return { list, add, update, reorder, remove, replacePrimary, files, withImages };
+}
+
+module.exports = { createProductGallery, toPublicImage };
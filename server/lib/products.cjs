@@ -0,0 +1,115 @@
+// server/lib/products.cjs - Общие функции для товаров: URL изображений, наличие, кэш
+const { PRODUCTS_CACHE_TTL_MS, LOW_STOCK_THRESHOLD } = require('../constants.cjs');
+
+// Путь к файлу изображения товара внутри хранилища по image_path
+function normalizeImagePath(imagePath) {
+    let cleanPath = imagePath.trim();
+    if (cleanPath.startsWith('/')) cleanPath = cleanPath.substring(1);
+
+    // Если путь уже содержит полный URL, извлекаем только путь
+    if (cleanPath.includes('storage/v1/object/public/')) {
+        const match = cleanPath.match(/storage\/v1\/object\/public\/[^\/]+\/(.+)$/);
+        if (match) cleanPath = match[1];
+    }
+    if (!cleanPath.startsWith('products/') && !cleanPath.startsWith('avatars/')) {
+        cleanPath = `products/${cleanPath}`;
+    }
+    return cleanPath;
+}
+
+// Полный публичный URL изображения товара по image_url или image_path
+function resolveProductImageUrl(product, storageRepo) {
+    if (product.image_url && product.image_url.trim() !== '' && product.image_url.trim().startsWith('http')) {
+        return product.image_url.trim();
+    }
+    if (!product.image_path || product.image_path.trim() === '') {
+        return null;
+    }
+    // Внешний URL, сохранённый админом как путь
+    if (product.image_path.trim().startsWith('http') && !product.image_path.includes('storage/v1/object/public/')) {
+        return product.image_path.trim();
+    }
+    return storageRepo.getPublicUrl(normalizeImagePath(product.image_path));
+}
+
+// image_path для сохранения по image_url из формы товара (полный URL хранилища, внешний URL или путь)
+function imagePathFromUrl(imageUrl, storageRepo) {
+    const cleanUrl = imageUrl.trim();
+    const storageBaseUrl = storageRepo.getPublicUrl('');
+
+    // Если это URL нашего хранилища, извлекаем путь
+    if (cleanUrl.startsWith(storageBaseUrl)) {
+        return cleanUrl.substring(storageBaseUrl.length);
+    }
+    const match = cleanUrl.match(/storage\/v1\/object\/public\/product-images\/(.+)$/);
+    if (match) {
+        return match[1];
+    }
+    // Другой URL или просто путь сохраняем как есть
+    return cleanUrl;
+}
+
+// Статус наличия: in_stock, low_stock или out_of_stock
+function getStockStatus(quantity) {
+    if (!quantity || quantity <= 0) return 'out_of_stock';
+    if (quantity <= LOW_STOCK_THRESHOLD) return 'low_stock';
+    return 'in_stock';
+}
+
+// Публичное представление товара
+function toPublicProduct(product, storageRepo) {
+    return {
+        ...product,
+        image_url: resolveProductImageUrl(product, storageRepo),
+        stock_status: getStockStatus(product.quantity)
+    };
+}
+
+// Кэш списка товаров (отдельно для всех и для featured), свой у каждого экземпляра приложения
+function createProductsCache() {
+    const productsCache = {
+        data: null,
+        timestamp: null,
+        featured: null,
+        featuredTimestamp: null
+    };
+
+    function get(featured = false) {
+        const cache = featured ? productsCache.featured : productsCache.data;
+        const timestamp = featured ? productsCache.featuredTimestamp : productsCache.timestamp;
+        
+        if (cache && timestamp && Date.now() - timestamp < PRODUCTS_CACHE_TTL_MS) {
+            return cache;
+        }
+        return null;
+    }
+
+    function set(products, featured = false) {
+        if (featured) {
+            productsCache.featured = products;
+            productsCache.featuredTimestamp = Date.now();
+        } else {
+            productsCache.data = products;
+            productsCache.timestamp = Date.now();
+        }
+    }
+
+    // Сбрасывает кэш после изменения товаров или категорий в админке
+    function clear() {
+        productsCache.data = null;
+        productsCache.timestamp = null;
+        productsCache.featured = null;
+        productsCache.featuredTimestamp = null;
+    }
+
+    return { get, set, clear };
+}
+
+module.exports = {
+    normalizeImagePath,
+    resolveProductImageUrl,
+    imagePathFromUrl,
+    getStockStatus,
+    toPublicProduct,
+    createProductsCache
+};
@@ -0,0 +1,58 @@
+// server/lib/roles.cjs - Роли сотрудников и их права
+// Роль хранится в users.role; is_admin остаётся признаком «сотрудник» (есть любая роль)
+// и поддерживается в паре с role в PUT /api/admin/users/:id
+
+const PERMISSIONS = {
+    CATALOG_READ: 'catalog:read',
+    CATALOG_WRITE: 'catalog:write',
+    ORDERS_READ: 'orders:read',
+    ORDERS_WRITE: 'orders:write',
+    USERS_READ: 'users:read',
+    USERS_MANAGE: 'users:manage',
+    EMAILS_PREVIEW: 'emails:preview',
+    SETTINGS_MANAGE: 'settings:manage'
+};
+
+const ROLE_PERMISSIONS = {
+    owner: Object.values(PERMISSIONS),
+    catalog_manager: [PERMISSIONS.CATALOG_READ, PERMISSIONS.CATALOG_WRITE],
+    order_operator: [PERMISSIONS.ORDERS_READ, PERMISSIONS.ORDERS_WRITE],
+    support: [PERMISSIONS.USERS_READ, PERMISSIONS.ORDERS_READ]
+};
+
+const ROLE_NAMES = Object.keys(ROLE_PERMISSIONS);
+
+// Аккаунты с is_admin, созданные до появления ролей, считаются владельцами
+function resolveRole(user) {
+    if (!user) return null;
+    if (user.role && ROLE_PERMISSIONS[user.role]) return user.role;
+    return user.is_admin ? 'owner' : null;
+}
+
+function permissionsFor(user) {
+    const role = resolveRole(user);
+    return role ? [...ROLE_PERMISSIONS[role]] : [];
+}
+
+function hasPermission(user, permission) {
+    return permissionsFor(user).includes(permission);
+}
+
+// Поля доступа для объекта пользователя в ответах API
+function describeAccess(user) {
+    const role = resolveRole(user);
+    return {
+        isAdmin: role !== null,
+        role,
+        permissions: permissionsFor(user)
+    };
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_NAMES,
+    resolveRole,
+    permissionsFor,
+    hasPermission,
+    describeAccess
+};
@@ -0,0 +1,163 @@
+// server/lib/sessions.cjs - Серверные сеансы: короткий access-токен (JWT) + ротируемый refresh-токен
+// Refresh-токен хранится только в виде sha256-хэша. Каждый обмен выдаёт новый токен,
+// а повторное предъявление уже обменянного считается утечкой и отзывает весь сеанс
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+    ACCESS_TOKEN_EXPIRY,
+    REFRESH_TOKEN_TTL_MS,
+    REFRESH_REUSE_GRACE_MS,
+    REFRESH_TOKEN_BYTES
+} = require('../constants.cjs');
+const { isBanned } = require('./users.cjs');
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+}
+
+function isActive(session) {
+    return Boolean(session) && !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+// Устройство, с которого пришёл запрос, - для списка сеансов в профиле
+function describeClient(req) {
+    const userAgent = req.get('user-agent');
+    return {
+        user_agent: userAgent ? userAgent.slice(0, 255) : null,
+        ip: req.ip || null
+    };
+}
+
+// Сеанс в ответе API
+function toPublicSession(session, currentSessionId) {
+    return {
+        id: session.id,
+        userAgent: session.user_agent,
+        ip: session.ip,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === currentSessionId
+    };
+}
+
+function createSessionManager({ sessionsRepo, usersRepo, jwtSecret }) {
+    function signAccessToken(user, sessionId) {
+        return jwt.sign(
+            {
+                id: user.id,
+                username: user.username,
+                isAdmin: user.is_admin || false,
+                sid: sessionId
+            },
+            jwtSecret,
+            { expiresIn: ACCESS_TOKEN_EXPIRY }
+        );
+    }
+
+    // Новый сеанс после входа, регистрации или сброса пароля
+    async function start(user, req) {
+        const refreshToken = generateRefreshToken();
+        const session = await sessionsRepo.create({
+            user_id: user.id,
+            refresh_token_hash: hashToken(refreshToken),
+            expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString(),
+            ...describeClient(req)
+        });
+
+        return {
+            token: signAccessToken(user, session.id),
+            refreshToken,
+            session
+        };
+    }
+
+    // Обмен refresh-токена на новую пару. null - токен недействителен, нужен повторный вход
+    async function refresh(refreshToken, req) {
+        const tokenHash = hashToken(refreshToken);
+        const session = await sessionsRepo.findByTokenHash(tokenHash);
+
+        if (!isActive(session)) {
+            return null;
+        }
+
+        if (session.refresh_token_hash !== tokenHash) {
+            // Предъявлен уже обменянный токен. Сразу после ротации это параллельный запрос
+            // из соседней вкладки - отдаём только access-токен, refresh у неё уже новый
+            const rotatedAgo = Date.now() - new Date(session.last_used_at).getTime();
+            if (rotatedAgo > REFRESH_REUSE_GRACE_MS) {
+                console.warn(`[sessions] Refresh token reuse detected, revoking session ${session.id}`);
+                await sessionsRepo.update(session.id, { revoked_at: new Date().toISOString() });
+                return null;
+            }
+        }
+
+        const user = await usersRepo.findById(session.user_id);
+        if (!user || isBanned(user)) {
+            await sessionsRepo.update(session.id, { revoked_at: new Date().toISOString() });
+            return null;
+        }
+
+        if (session.refresh_token_hash !== tokenHash) {
+            return { token: signAccessToken(user, session.id), refreshToken: null, user, session };
+        }
+
+        // Ротация только если токен всё ещё текущий: из параллельных обменов одного токена
+        // новый выдаётся одному, остальные идут по пути «предыдущий токен в окне ожидания»
+        const nextRefreshToken = generateRefreshToken();
+        const updated = await sessionsRepo.update(session.id, {
+            refresh_token_hash: hashToken(nextRefreshToken),
+            previous_token_hash: tokenHash,
+            last_used_at: new Date().toISOString(),
+            ...describeClient(req)
+        }, { fromTokenHash: tokenHash });
+
+        if (!updated) {
+            const rotated = await sessionsRepo.findById(session.id);
+            if (!isActive(rotated) || rotated.previous_token_hash !== tokenHash) {
+                return null;
+            }
+            return { token: signAccessToken(user, session.id), refreshToken: null, user, session: rotated };
+        }
+
+        return {
+            token: signAccessToken(user, session.id),
+            refreshToken: nextRefreshToken,
+            user,
+            session: updated
+        };
+    }
+
+    // Сеанс, к которому привязан access-токен, ещё действует
+    async function verify(sessionId) {
+        if (!sessionId) return false;
+        return isActive(await sessionsRepo.findById(sessionId));
+    }
+
+    async function revoke(sessionId) {
+        await sessionsRepo.update(sessionId, { revoked_at: new Date().toISOString() });
+    }
+
+    async function revokeByRefreshToken(refreshToken) {
+        const session = await sessionsRepo.findByTokenHash(hashToken(refreshToken));
+        if (isActive(session)) {
+            await revoke(session.id);
+        }
+    }
+
+    async function revokeAll(userId, { exceptId } = {}) {
+        return sessionsRepo.revokeByUser(userId, { exceptId });
+    }
+
+    async function list(userId) {
+        return sessionsRepo.listActiveByUser(userId);
+    }
+
+    return { start, refresh, verify, revoke, revokeByRefreshToken, revokeAll, list };
+}
+
+module.exports = { createSessionManager, toPublicSession, hashToken };
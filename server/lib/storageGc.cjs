@@ -0,0 +1,153 @@
+// server/lib/storageGc.cjs - Уборка файлов хранилища, на которые ничего не ссылается
+// Аватар при каждой замене сохраняется под новым именем, замена и удаление изображения товара
+// могут оставить файлы, а файл из POST /api/upload-image брошенной формы товара ни к чему не привязан.
+// Сборщик сравнивает файлы папок STORAGE_FOLDERS со ссылками товаров, галерей и пользователей (вместе
+// с уменьшенными копиями) и удаляет лишние, только если они загружены раньше срока ожидания
+const {
+    STORAGE_FOLDERS,
+    STORAGE_GC_GRACE_HOURS,
+    STORAGE_LIST_PAGE_SIZE
+} = require('../constants.cjs');
+const { normalizeImagePath } = require('./products.cjs');
+const { variantPaths } = require('./images.cjs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function totalSize(files) {
+    return files.reduce((sum, file) => sum + (file.size || 0), 0);
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.repos - productsRepo, productImagesRepo, usersRepo и storageRepo (server/data)
+ * @param {number} [options.graceHours] - сколько часов файл без ссылок не трогаем
+ * @param {function} [options.now] - текущее время в мс, для тестов
+ */
+function createStorageCollector({ repos, graceHours = STORAGE_GC_GRACE_HOURS, now = Date.now }) {
+    const { productsRepo, productImagesRepo, usersRepo, storageRepo } = repos;
+    let running = null;
+
+    // URL нашего хранилища -> путь внутри него, чужой URL -> null
+    function pathFromUrl(url) {
+        const baseUrl = storageRepo.getPublicUrl('');
+        return typeof url === 'string' && url.startsWith(baseUrl) ? url.slice(baseUrl.length) : null;
+    }
+
+    // Все строки таблицы пачками по id. Пустая пачка - конец: PostgREST может вернуть меньше
+    // запрошенного (max-rows), а пропущенная строка означала бы удаление её файлов.
+    // Ключ вместо offset не пропускает строки, если между запросами что-то удалили
+    async function* eachRow(repo) {
+        let afterId;
+        for (;;) {
+            const rows = await repo.listBatch({ afterId, limit: STORAGE_LIST_PAGE_SIZE });
+            if (rows.length === 0) return;
+            yield* rows;
+            afterId = rows[rows.length - 1].id;
+        }
+    }
+
+    // Все пути, на которые ссылаются товары, их галереи и пользователи
+    async function referencedPaths() {
+        const paths = new Set();
+        const add = filePath => filePath && paths.add(filePath);
+
+        for await (const product of eachRow(productsRepo)) {
+            if (product.image_path) add(normalizeImagePath(product.image_path));
+            add(pathFromUrl(product.image_url));
+            variantPaths(product.image_variants, storageRepo).forEach(add);
+        }
+        for await (const image of eachRow(productImagesRepo)) {
+            add(normalizeImagePath(image.image_path));
+            variantPaths(image.image_variants, storageRepo).forEach(add);
+        }
+        for await (const user of eachRow(usersRepo)) {
+            add(pathFromUrl(user.avatar_url));
+            variantPaths(user.avatar_variants, storageRepo).forEach(add);
+        }
+        return paths;
+    }
+
+    /**
+     * Файлы без ссылок. deletable - файл старше срока ожидания и будет удалён при уборке;
+     * файл без времени загрузки не удаляется никогда
+     * @returns {Promise<{ graceHours, files: object[], totalSize: number, deletableSize: number }>}
+     */
+    async function scan() {
+        const referenced = await referencedPaths();
+        const cutoff = now() - graceHours * HOUR_MS;
+        const files = [];
+
+        for (const folder of STORAGE_FOLDERS) {
+            for (const file of await storageRepo.list(folder)) {
+                if (referenced.has(file.path)) continue;
+
+                const uploadedAt = file.createdAt ? Date.parse(file.createdAt) : NaN;
+                files.push({
+                    path: file.path,
+                    url: storageRepo.getPublicUrl(file.path),
+                    size: file.size,
+                    createdAt: file.createdAt || null,
+                    deletable: Number.isFinite(uploadedAt) && uploadedAt <= cutoff
+                });
+            }
+        }
+
+        return {
+            graceHours,
+            files,
+            totalSize: totalSize(files),
+            deletableSize: totalSize(files.filter(file => file.deletable))
+        };
+    }
+
+    // Ссылки перечитываются прямо перед удалением, поэтому список из scan() для этого не годится
+    async function runCollect() {
+        const deletable = (await scan()).files.filter(file => file.deletable);
+        for (let i = 0; i < deletable.length; i += STORAGE_LIST_PAGE_SIZE) {
+            await storageRepo.remove(deletable.slice(i, i + STORAGE_LIST_PAGE_SIZE).map(file => file.path));
+        }
+        return {
+            deleted: deletable.map(file => file.path),
+            freedBytes: totalSize(deletable)
+        };
+    }
+
+    /**
+     * Удаляет файлы без ссылок старше срока ожидания. Параллельный вызов ждёт уже идущую уборку
+     * @returns {Promise<{ deleted: string[], freedBytes: number }>}
+     */
+    function collect() {
+        if (!running) {
+            running = runCollect().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    /**
+     * Уборка по расписанию; 0 - выключена. Таймер не держит процесс
+     * @param {number} intervalMinutes
+     * @returns {function} остановить расписание
+     */
+    function schedule(intervalMinutes) {
+        if (!intervalMinutes) {
+            return () => {};
+        }
+        const timer = setInterval(() => {
+            collect()
+                .then(({ deleted, freedBytes }) => {
+                    if (deleted.length > 0) {
+                        console.log(`🧹 Хранилище: удалено файлов без ссылок - ${deleted.length} (${freedBytes} байт)`);
+                    }
+                })
+                .catch(error => console.error('Storage GC error:', error));
+        }, intervalMinutes * 60 * 1000);
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    return { scan, collect, schedule };
+}
+
+module.exports = { createStorageCollector };
@@ -0,0 +1,245 @@
+// server/lib/twoFactor.cjs - Двухфакторная аутентификация: TOTP (RFC 6238) и резервные коды
+// Секрет подтверждается кодом из приложения до включения (totp_pending_secret → totp_secret).
+// Резервные коды хранятся так же, как коды подтверждения: scrypt-хэш с солью, каждый - один раз
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+    TOTP_ISSUER,
+    TOTP_SECRET_BYTES,
+    TOTP_PERIOD_SECONDS,
+    TOTP_DIGITS,
+    TOTP_WINDOW,
+    BACKUP_CODES_COUNT,
+    TWO_FACTOR_CHALLENGE_EXPIRY
+} = require('../constants.cjs');
+const { hashCode, verifyCodeHash } = require('./email.cjs');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const CHALLENGE_PURPOSE = 'login_2fa';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = ((value << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = String(input).replace(/[\s=]/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Неверный base32-секрет');
+        }
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+}
+
+// Код для номера интервала counter (HOTP, RFC 4226)
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentCounter(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// Текущий код - так его покажет приложение-аутентификатор
+function generateTotp(secret, time = Date.now()) {
+    return hotp(secret, currentCounter(time));
+}
+
+// Номер интервала, которому соответствует код, или null.
+// Интервалы не новее lastCounter пропускаются: один и тот же код нельзя предъявить дважды
+function matchTotp(secret, code, { lastCounter = null } = {}) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) {
+        return null;
+    }
+
+    const counter = currentCounter();
+    for (let delta = -TOTP_WINDOW; delta <= TOTP_WINDOW; delta++) {
+        const step = counter + delta;
+        if (lastCounter !== null && step <= lastCounter) continue;
+        if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// Ссылка для приложения-аутентификатора (её же кодирует QR-код)
+function buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// Резервный код вида "a1b2c-3d4e5"; дефис и регистр при вводе не важны
+function normalizeBackupCode(code) {
+    return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+async function generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODES_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    const hashes = await Promise.all(codes.map(code => hashCode(normalizeBackupCode(code))));
+    return { codes, hashes };
+}
+
+function isTwoFactorEnabled(user) {
+    return Boolean(user && user.totp_enabled_at && user.totp_secret);
+}
+
+function createTwoFactor({ usersRepo, jwtSecret }) {
+    // Промежуточный токен между паролем и кодом: не открывает сеанс и не принимается как access-токен
+    function createChallenge(user) {
+        return jwt.sign(
+            { id: user.id, purpose: CHALLENGE_PURPOSE },
+            jwtSecret,
+            { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+        );
+    }
+
+    // id пользователя из промежуточного токена или null
+    function readChallenge(challengeToken) {
+        try {
+            const payload = jwt.verify(String(challengeToken || ''), jwtSecret);
+            return payload.purpose === CHALLENGE_PURPOSE ? payload.id : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Проверка кода из приложения или резервного кода.
+    // Успешный код погашается: сохраняется номер интервала TOTP или удаляется хэш резервного кода.
+    // Погашение атомарное: из параллельных запросов с одним кодом его принимает только один
+    async function verify(user, code) {
+        const step = matchTotp(user.totp_secret, code, { lastCounter: user.totp_last_counter });
+        if (step !== null) {
+            const consumed = await usersRepo.consumeTotpStep(user.id, step);
+            return consumed ? { valid: true, method: 'totp' } : { valid: false };
+        }
+
+        const backupCode = normalizeBackupCode(code);
+        if (!backupCode) {
+            return { valid: false };
+        }
+        for (const hash of user.totp_backup_codes || []) {
+            if (await verifyCodeHash(backupCode, hash)) {
+                const backupCodesLeft = await usersRepo.consumeBackupCode(user.id, hash);
+                if (backupCodesLeft === null) {
+                    return { valid: false };
+                }
+                return { valid: true, method: 'backup', backupCodesLeft };
+            }
+        }
+        return { valid: false };
+    }
+
+    // Только код из приложения (подтверждение действий в профиле); погашается так же, как при входе
+    async function verifyTotp(user, code) {
+        const step = matchTotp(user.totp_secret, code, { lastCounter: user.totp_last_counter });
+        return step !== null && await usersRepo.consumeTotpStep(user.id, step);
+    }
+
+    // Новый секрет ждёт подтверждения кодом, включённая 2FA при этом продолжает работать
+    async function startEnrollment(user) {
+        const secret = generateSecret();
+        await usersRepo.update(user.id, { totp_pending_secret: secret });
+        return { secret, otpauthUri: buildOtpauthUri(secret, user.email || user.username) };
+    }
+
+    // Включает 2FA, если код подходит к ожидающему секрету. Возвращает резервные коды или null
+    async function confirmEnrollment(user, code) {
+        if (!user.totp_pending_secret) {
+            return null;
+        }
+        const step = matchTotp(user.totp_pending_secret, code);
+        if (step === null) {
+            return null;
+        }
+
+        const { codes, hashes } = await generateBackupCodes();
+        await usersRepo.update(user.id, {
+            totp_secret: user.totp_pending_secret,
+            totp_pending_secret: null,
+            totp_enabled_at: new Date().toISOString(),
+            totp_last_counter: step,
+            totp_backup_codes: hashes
+        });
+        return codes;
+    }
+
+    async function regenerateBackupCodes(user) {
+        const { codes, hashes } = await generateBackupCodes();
+        await usersRepo.update(user.id, { totp_backup_codes: hashes });
+        return codes;
+    }
+
+    async function disable(user) {
+        await usersRepo.update(user.id, {
+            totp_secret: null,
+            totp_pending_secret: null,
+            totp_enabled_at: null,
+            totp_last_counter: null,
+            totp_backup_codes: []
+        });
+    }
+
+    return {
+        createChallenge,
+        readChallenge,
+        verify,
+        verifyTotp,
+        startEnrollment,
+        confirmEnrollment,
+        regenerateBackupCodes,
+        disable
+    };
+}
+
+module.exports = {
+    createTwoFactor,
+    isTwoFactorEnabled,
+    generateTotp,
+    matchTotp,
+    buildOtpauthUri
+};
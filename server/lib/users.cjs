@@ -0,0 +1,42 @@
+// server/lib/users.cjs - Кэш учётных записей для проверки каждого запроса
+// authenticateToken берёт права и статус блокировки отсюда, а не из JWT,
+// поэтому понижение, блокировка и удаление аккаунта действуют сразу
+const { USER_CACHE_TTL_MS, USER_CACHE_MAX_ENTRIES } = require('../constants.cjs');
+
+function isBanned(user) {
+    return Boolean(user && user.banned_at);
+}
+
+function createUserCache(usersRepo, { ttlMs = USER_CACHE_TTL_MS, maxEntries = USER_CACHE_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    // Пользователь или null, если аккаунт удалён
+    async function get(id) {
+        const entry = entries.get(id);
+        if (entry && Date.now() - entry.timestamp < ttlMs) {
+            return entry.user;
+        }
+
+        const user = await usersRepo.findById(id);
+        entries.delete(id);
+        if (entries.size >= maxEntries) {
+            // Map хранит порядок вставки: первой вытесняется самая старая запись
+            entries.delete(entries.keys().next().value);
+        }
+        entries.set(id, { user, timestamp: Date.now() });
+        return user;
+    }
+
+    // Сбрасывает запись после изменения профиля, прав или удаления аккаунта
+    function invalidate(id) {
+        entries.delete(id);
+    }
+
+    function clear() {
+        entries.clear();
+    }
+
+    return { get, invalidate, clear };
+}
+
+module.exports = { createUserCache, isBanned };
@@ -0,0 +1,68 @@
+// server/mail/index.cjs - Почта: единый mailer поверх сменных транспортов
+// MAIL_TRANSPORT=resend | smtp | file | memory. Если не задан: resend при наличии RESEND_API_KEY,
+// иначе memory вне production, чтобы регистрация работала в разработке без ключей.
+// Переменные окружения читает и проверяет server/config.cjs
+const path = require('path');
+const { createResendTransport } = require('./transports/resend.cjs');
+const { createSmtpTransport } = require('./transports/smtp.cjs');
+const { createFileTransport } = require('./transports/file.cjs');
+const { createMemoryTransport } = require('./transports/memory.cjs');
+
+const DEFAULT_FROM = 'NEON RED <noreply@mail.mkntw.xyz>';
+
+/**
+ * Mailer: подставляет отправителя и передаёт письмо транспорту.
+ * @param {object} transport - { name, send(message) }, см. server/mail/transports
+ * @param {object} [options]
+ * @param {string} [options.from] - отправитель по умолчанию
+ */
+function createMailer(transport, { from = DEFAULT_FROM } = {}) {
+    return {
+        transport,
+
+        async send({ to, subject, html, text }) {
+            const result = await transport.send({ from, to, subject, html, text });
+            console.log(`[mail:${transport.name}] Письмо «${subject}» отправлено: ${to}`);
+            return result;
+        }
+    };
+}
+
+// Транспорт по настройкам config.mail (см. loadConfig)
+function createTransportFromConfig({ transport, resendApiKey, smtp = {}, outboxDir }) {
+    switch (transport) {
+        case 'resend':
+            if (!resendApiKey) {
+                console.warn('⚠️  RESEND_API_KEY не установлен. Отправка email не будет работать.');
+            }
+            return createResendTransport({ apiKey: resendApiKey });
+        case 'smtp':
+            return createSmtpTransport({
+                host: smtp.host,
+                port: smtp.port || undefined,
+                secure: smtp.secure,
+                user: smtp.user,
+                pass: smtp.pass
+            });
+        case 'file':
+            return createFileTransport({ dir: path.resolve(outboxDir) });
+        default:
+            console.log('ℹ️  MAIL_TRANSPORT=memory: письма не отправляются, смотрите GET /api/dev/mailbox');
+            return createMemoryTransport();
+    }
+}
+
+function createMailerFromConfig(mail) {
+    return createMailer(createTransportFromConfig(mail), { from: mail.from || DEFAULT_FROM });
+}
+
+module.exports = {
+    DEFAULT_FROM,
+    createMailer,
+    createMailerFromConfig,
+    createTransportFromConfig,
+    createResendTransport,
+    createSmtpTransport,
+    createFileTransport,
+    createMemoryTransport
+};
@@ -0,0 +1,51 @@
+// server/mail/queue.cjs - Фоновая отправка писем: ответ API не ждёт почтового провайдера
+// Очередь живёт в памяти процесса; неудачные отправки повторяются с паузой, затем логируются
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.retries] - сколько раз повторить неудачную отправку
+ * @param {number} [options.retryDelayMs] - пауза перед повтором, растёт с каждой попыткой
+ */
+function createMailQueue({ retries = 2, retryDelayMs = 2000 } = {}) {
+    const pending = new Set();
+
+    async function run(name, job) {
+        // Отпускаем текущий запрос: задача стартует после отправки ответа
+        await new Promise(resolve => setImmediate(resolve));
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                await job();
+                return;
+            } catch (error) {
+                if (attempt >= retries) {
+                    console.error(`[mail-queue] ${name}: письмо не отправлено после ${attempt + 1} попыток:`, error);
+                    return;
+                }
+                console.warn(`[mail-queue] ${name}: попытка ${attempt + 1} не удалась, повторяем`);
+                await delay(retryDelayMs * (attempt + 1));
+            }
+        }
+    }
+
+    return {
+        // Поставить письмо в очередь; job - async функция, которая его отправляет
+        enqueue(name, job) {
+            const task = run(name, job);
+            pending.add(task);
+            task.finally(() => pending.delete(task));
+        },
+
+        // Дождаться отправки всех писем (для тестов и корректной остановки)
+        async idle() {
+            while (pending.size > 0) {
+                await Promise.all([...pending]);
+            }
+        }
+    };
+}
+
+module.exports = { createMailQueue };
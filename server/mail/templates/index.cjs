@@ -0,0 +1,298 @@
+// server/mail/templates/index.cjs - Шаблоны транзакционных писем на русском и английском
+// Каждый шаблон по данным возвращает тему, заголовок и блоки, макет общий (layout.cjs)
+const { renderLayout } = require('./layout.cjs');
+
+const SUPPORTED_LOCALES = ['ru', 'en'];
+const DEFAULT_LOCALE = 'ru';
+
+// Язык из значения вида 'en', 'en-US' или заголовка Accept-Language; первый подходящий кандидат
+function resolveLocale(...candidates) {
+    for (const candidate of candidates) {
+        if (!candidate || typeof candidate !== 'string') continue;
+        for (const part of candidate.split(',')) {
+            const language = part.split(';')[0].trim().slice(0, 2).toLowerCase();
+            if (SUPPORTED_LOCALES.includes(language)) {
+                return language;
+            }
+        }
+    }
+    return DEFAULT_LOCALE;
+}
+
+// 1 минуту, 2 минуты, 5 минут
+function pluralRu(count, [one, few, many]) {
+    const mod10 = count % 10;
+    const mod100 = count % 100;
+    if (mod10 === 1 && mod100 !== 11) return one;
+    if (mod10 >= 2 && mod10 <= 4 && (mod100 < 12 || mod100 > 14)) return few;
+    return many;
+}
+
+const MINUTES = {
+    ru: count => `${count} ${pluralRu(count, ['минуту', 'минуты', 'минут'])}`,
+    en: count => `${count} ${count === 1 ? 'minute' : 'minutes'}`
+};
+
+const NUMBER_LOCALES = { ru: 'ru-RU', en: 'en-US' };
+
+function formatPrice(locale, amount) {
+    return new Intl.NumberFormat(NUMBER_LOCALES[locale], {
+        style: 'currency',
+        currency: 'RUB',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 2
+    }).format(Number(amount) || 0);
+}
+
+const ORDER_STATUSES = {
+    ru: {
+        pending: 'Ожидает обработки',
+        processing: 'В обработке',
+        shipped: 'Отправлен',
+        delivered: 'Доставлен',
+        cancelled: 'Отменён'
+    },
+    en: {
+        pending: 'Pending',
+        processing: 'Processing',
+        shipped: 'Shipped',
+        delivered: 'Delivered',
+        cancelled: 'Cancelled'
+    }
+};
+
+const FOOTERS = {
+    ru: 'Если это не вы — просто проигнорируйте письмо.',
+    en: 'If this wasn\'t you, just ignore this email.'
+};
+
+const ORDER_FOOTERS = {
+    ru: 'Спасибо, что выбрали NEON RED.',
+    en: 'Thank you for shopping at NEON RED.'
+};
+
+// Номер заказа для людей: первые 8 символов uuid
+function shortOrderId(orderId) {
+    return String(orderId).slice(0, 8).toUpperCase();
+}
+
+function greeting(locale, username) {
+    if (locale === 'en') return username ? `Hi, ${username}!` : 'Hi!';
+    return username ? `Здравствуйте, ${username}!` : 'Здравствуйте!';
+}
+
+function orderRows(locale, order) {
+    const rows = (order.items || []).map(item => [
+        `${item.title} × ${item.quantity}`,
+        formatPrice(locale, item.price * item.quantity)
+    ]);
+    rows.push([locale === 'en' ? 'Total' : 'Итого', formatPrice(locale, order.total_amount)]);
+    return rows;
+}
+
+const TEMPLATES = {
+    // Код подтверждения email при регистрации
+    verificationCode: {
+        ru: ({ code, expiresInMinutes }) => ({
+            subject: 'Код подтверждения NEON RED',
+            heading: 'Подтверждение почты',
+            blocks: [
+                { type: 'text', text: 'Ваш код подтверждения:' },
+                { type: 'code', code },
+                { type: 'note', text: `Код действителен ${MINUTES.ru(expiresInMinutes)}.` }
+            ],
+            footer: FOOTERS.ru
+        }),
+        en: ({ code, expiresInMinutes }) => ({
+            subject: 'NEON RED verification code',
+            heading: 'Confirm your email',
+            blocks: [
+                { type: 'text', text: 'Your verification code:' },
+                { type: 'code', code },
+                { type: 'note', text: `The code is valid for ${MINUTES.en(expiresInMinutes)}.` }
+            ],
+            footer: FOOTERS.en
+        })
+    },
+
+    // Код для восстановления пароля
+    passwordReset: {
+        ru: ({ code, username, expiresInMinutes }) => ({
+            subject: 'Восстановление пароля NEON RED',
+            heading: 'Восстановление пароля',
+            blocks: [
+                { type: 'text', text: greeting('ru', username) },
+                { type: 'text', text: 'Мы получили запрос на смену пароля. Ваш код:' },
+                { type: 'code', code },
+                { type: 'note', text: `Код действителен ${MINUTES.ru(expiresInMinutes)}.` }
+            ],
+            footer: 'Если вы не запрашивали смену пароля — просто проигнорируйте письмо, пароль останется прежним.'
+        }),
+        en: ({ code, username, expiresInMinutes }) => ({
+            subject: 'NEON RED password reset',
+            heading: 'Password reset',
+            blocks: [
+                { type: 'text', text: greeting('en', username) },
+                { type: 'text', text: 'We received a request to reset your password. Your code:' },
+                { type: 'code', code },
+                { type: 'note', text: `The code is valid for ${MINUTES.en(expiresInMinutes)}.` }
+            ],
+            footer: 'If you didn\'t request a password reset, ignore this email and your password will stay the same.'
+        })
+    },
+
+    // Код для смены email, отправляется на новый адрес
+    emailChange: {
+        ru: ({ code, newEmail, expiresInMinutes }) => ({
+            subject: 'Смена email NEON RED',
+            heading: 'Смена email',
+            blocks: [
+                { type: 'text', text: `Чтобы привязать адрес ${newEmail} к аккаунту, введите код:` },
+                { type: 'code', code },
+                { type: 'note', text: `Код действителен ${MINUTES.ru(expiresInMinutes)}.` }
+            ],
+            footer: FOOTERS.ru
+        }),
+        en: ({ code, newEmail, expiresInMinutes }) => ({
+            subject: 'NEON RED email change',
+            heading: 'Change your email',
+            blocks: [
+                { type: 'text', text: `To link ${newEmail} to your account, enter this code:` },
+                { type: 'code', code },
+                { type: 'note', text: `The code is valid for ${MINUTES.en(expiresInMinutes)}.` }
+            ],
+            footer: FOOTERS.en
+        })
+    },
+
+    // Заказ оформлен
+    orderConfirmation: {
+        ru: ({ username, order }) => ({
+            subject: `Заказ №${shortOrderId(order.id)} оформлен`,
+            heading: 'Заказ оформлен',
+            blocks: [
+                { type: 'text', text: greeting('ru', username) },
+                { type: 'text', text: `Мы получили ваш заказ №${shortOrderId(order.id)}.` },
+                { type: 'table', rows: orderRows('ru', order) },
+                ...(order.shipping_address
+                    ? [{ type: 'note', text: `Адрес доставки: ${order.shipping_address}` }]
+                    : [])
+            ],
+            footer: ORDER_FOOTERS.ru
+        }),
+        en: ({ username, order }) => ({
+            subject: `Order #${shortOrderId(order.id)} confirmed`,
+            heading: 'Order confirmed',
+            blocks: [
+                { type: 'text', text: greeting('en', username) },
+                { type: 'text', text: `We've received your order #${shortOrderId(order.id)}.` },
+                { type: 'table', rows: orderRows('en', order) },
+                ...(order.shipping_address
+                    ? [{ type: 'note', text: `Shipping address: ${order.shipping_address}` }]
+                    : [])
+            ],
+            footer: ORDER_FOOTERS.en
+        })
+    },
+
+    // Статус заказа изменился (трек-номер для отправленных, кто отменил - для отменённых)
+    orderStatusChanged: {
+        ru: ({ username, orderId, status, trackingNumber, cancelledByCustomer }) => ({
+            subject: `Заказ №${shortOrderId(orderId)}: ${ORDER_STATUSES.ru[status] || status}`,
+            heading: 'Статус заказа изменён',
+            blocks: [
+                { type: 'text', text: greeting('ru', username) },
+                { type: 'text', text: `Новый статус заказа №${shortOrderId(orderId)}:` },
+                { type: 'code', code: ORDER_STATUSES.ru[status] || status },
+                ...(status === 'shipped' && trackingNumber
+                    ? [{ type: 'table', rows: [['Трек-номер', trackingNumber]] }]
+                    : []),
+                ...(status === 'cancelled'
+                    ? [{
+                        type: 'note',
+                        text: cancelledByCustomer
+                            ? 'Вы отменили заказ, товары вернулись на склад.'
+                            : 'Заказ отменён магазином. Если оплата уже прошла, деньги вернутся на карту.'
+                    }]
+                    : [])
+            ],
+            footer: ORDER_FOOTERS.ru
+        }),
+        en: ({ username, orderId, status, trackingNumber, cancelledByCustomer }) => ({
+            subject: `Order #${shortOrderId(orderId)}: ${ORDER_STATUSES.en[status] || status}`,
+            heading: 'Order status updated',
+            blocks: [
+                { type: 'text', text: greeting('en', username) },
+                { type: 'text', text: `New status of order #${shortOrderId(orderId)}:` },
+                { type: 'code', code: ORDER_STATUSES.en[status] || status },
+                ...(status === 'shipped' && trackingNumber
+                    ? [{ type: 'table', rows: [['Tracking number', trackingNumber]] }]
+                    : []),
+                ...(status === 'cancelled'
+                    ? [{
+                        type: 'note',
+                        text: cancelledByCustomer
+                            ? 'You cancelled the order and the items are back in stock.'
+                            : 'The order was cancelled by the shop. If you have already paid, the money will be refunded to your card.'
+                    }]
+                    : [])
+            ],
+            footer: ORDER_FOOTERS.en
+        })
+    },
+
+    // Аккаунт удалён
+    accountDeleted: {
+        ru: ({ username }) => ({
+            subject: 'Аккаунт NEON RED удалён',
+            heading: 'Аккаунт удалён',
+            blocks: [
+                { type: 'text', text: greeting('ru', username) },
+                { type: 'text', text: 'Ваш аккаунт и связанные с ним данные удалены. Будем рады видеть вас снова.' }
+            ],
+            footer: 'Если вы не удаляли аккаунт, срочно свяжитесь с поддержкой.'
+        }),
+        en: ({ username }) => ({
+            subject: 'Your NEON RED account was deleted',
+            heading: 'Account deleted',
+            blocks: [
+                { type: 'text', text: greeting('en', username) },
+                { type: 'text', text: 'Your account and its data have been deleted. We hope to see you again.' }
+            ],
+            footer: 'If you didn\'t delete your account, contact support right away.'
+        })
+    }
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Готовое письмо по шаблону.
+ * @param {string} name - имя шаблона из TEMPLATE_NAMES
+ * @param {string} locale - 'ru' или 'en' (неизвестный язык заменяется на DEFAULT_LOCALE)
+ * @param {object} data - данные шаблона
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderEmail(name, locale, data) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Неизвестный шаблон письма: ${name}`);
+    }
+
+    const language = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+    const { subject, heading, blocks, footer } = template[language](data);
+
+    return {
+        subject,
+        ...renderLayout({ locale: language, heading, blocks, footer })
+    };
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    TEMPLATE_NAMES,
+    ORDER_STATUSES,
+    resolveLocale,
+    renderEmail
+};
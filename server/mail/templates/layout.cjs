@@ -0,0 +1,92 @@
+// server/mail/templates/layout.cjs - Общий неоновый макет писем и его текстовая версия
+// Письмо описывается блоками, из которых собираются и HTML, и plain-text:
+//   { type: 'text', text }           - абзац
+//   { type: 'code', code }           - крупный код подтверждения
+//   { type: 'table', rows: [[a, b]] } - таблица (позиции заказа, детали)
+//   { type: 'note', text }           - мелкая приглушённая строка
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderBlockHtml(block) {
+    switch (block.type) {
+        case 'code':
+            return `
+                <div style="
+                    font-size: 32px;
+                    letter-spacing: 8px;
+                    font-weight: bold;
+                    margin: 20px 0;
+                    color: #ff0033;
+                    text-align: center;
+                    background: #1a1a1a;
+                    padding: 20px;
+                    border-radius: 8px;
+                    border: 2px solid #ff0033;
+                ">${escapeHtml(block.code)}</div>`;
+        case 'table':
+            return `
+                <table style="width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px;">
+                    ${block.rows.map(([label, value]) => `
+                    <tr>
+                        <td style="padding: 8px 0; border-bottom: 1px solid #333; color: #ccc;">${escapeHtml(label)}</td>
+                        <td style="padding: 8px 0; border-bottom: 1px solid #333; text-align: right; color: #fff;">${escapeHtml(value)}</td>
+                    </tr>`).join('')}
+                </table>`;
+        case 'note':
+            return `<p style="font-size: 14px; color: #888;">${escapeHtml(block.text)}</p>`;
+        default:
+            return `<p style="font-size: 16px; line-height: 1.6;">${escapeHtml(block.text)}</p>`;
+    }
+}
+
+function renderBlockText(block) {
+    switch (block.type) {
+        case 'code':
+            return `    ${block.code}`;
+        case 'table':
+            return block.rows.map(([label, value]) => `- ${label}: ${value}`).join('\n');
+        default:
+            return block.text;
+    }
+}
+
+/**
+ * Собирает письмо в общем макете.
+ * @param {object} email
+ * @param {string} email.locale - язык письма (атрибут lang)
+ * @param {string} email.heading - заголовок
+ * @param {object[]} email.blocks - содержимое, см. типы блоков выше
+ * @param {string} email.footer - подпись внизу письма
+ * @returns {{ html: string, text: string }}
+ */
+function renderLayout({ locale, heading, blocks, footer }) {
+    const html = `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head><meta charset="utf-8"></head>
+<body style="margin: 0; background: #000;">
+    <div style="font-family: Arial, sans-serif; background: #0a0a0a; padding: 30px; color: #fff; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #ff0033; margin-bottom: 20px;">🔴 ${escapeHtml(heading)}</h2>
+        ${blocks.map(renderBlockHtml).join('\n        ')}
+        <p style="font-size: 12px; color: #666; margin-top: 30px;">${escapeHtml(footer)}</p>
+    </div>
+</body>
+</html>`;
+
+    const text = [
+        `NEON RED — ${heading}`,
+        ...blocks.map(renderBlockText),
+        '--',
+        footer
+    ].join('\n\n');
+
+    return { html, text };
+}
+
+module.exports = { escapeHtml, renderLayout };
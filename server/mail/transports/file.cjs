@@ -0,0 +1,28 @@
+// server/mail/transports/file.cjs - Письма сохраняются в папку (outbox), а не отправляются
+// Удобно для разработки: письмо можно открыть в браузере как .html
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+function createFileTransport({ dir }) {
+    return {
+        name: 'file',
+
+        async send(message) {
+            const id = `${Date.now()}-${crypto.randomUUID()}`;
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(
+                path.join(dir, `${id}.json`),
+                JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+            );
+            if (message.html) {
+                await fs.writeFile(path.join(dir, `${id}.html`), message.html);
+            }
+
+            console.log(`[mail:file] Письмо для ${message.to} сохранено в ${dir}`);
+            return { id };
+        }
+    };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,35 @@
+// server/mail/transports/memory.cjs - Письма хранятся в памяти процесса
+// Их можно посмотреть через GET /api/dev/mailbox (только вне production) и в тестах
+const crypto = require('crypto');
+
+function createMemoryTransport({ limit = 100 } = {}) {
+    const messages = [];
+
+    return {
+        name: 'memory',
+
+        async send(message) {
+            const id = crypto.randomUUID();
+            messages.push({ id, sentAt: new Date().toISOString(), ...message });
+
+            // Храним только последние письма, чтобы долго работающий dev-сервер не копил память
+            if (messages.length > limit) {
+                messages.splice(0, messages.length - limit);
+            }
+
+            return { id };
+        },
+
+        // Новые письма первыми; to - фильтр по адресу получателя
+        list({ to } = {}) {
+            const result = to ? messages.filter(message => message.to === to) : messages;
+            return [...result].reverse();
+        },
+
+        clear() {
+            messages.length = 0;
+        }
+    };
+}
+
+module.exports = { createMemoryTransport };
@@ -0,0 +1,27 @@
+// server/mail/transports/resend.cjs - Отправка писем через Resend API
+const { Resend } = require('resend');
+
+function createResendTransport({ apiKey }) {
+    const resend = new Resend(apiKey);
+
+    return {
+        name: 'resend',
+
+        async send(message) {
+            if (!apiKey) {
+                throw new Error('RESEND_API_KEY не установлен. Проверьте переменные окружения.');
+            }
+
+            const { data, error } = await resend.emails.send(message);
+
+            if (error) {
+                console.error('[mail:resend] Resend API error:', JSON.stringify(error, null, 2));
+                throw new Error(error.message || 'Ошибка отправки email через Resend');
+            }
+
+            return { id: data?.id || null };
+        }
+    };
+}
+
+module.exports = { createResendTransport };
@@ -0,0 +1,26 @@
+// server/mail/transports/smtp.cjs - Отправка писем через SMTP (nodemailer)
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ host, port = 587, secure = false, user, pass }) {
+    if (!host) {
+        throw new Error('SMTP_HOST не установлен. Проверьте переменные окружения.');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { id: info.messageId || null };
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,77 @@
+// server/middleware/auth.cjs - Мидлвары аутентификации по JWT
+const jwt = require('jsonwebtoken');
+const { isBanned } = require('../lib/users.cjs');
+const { describeAccess } = require('../lib/roles.cjs');
+const { isTwoFactorEnabled } = require('../lib/twoFactor.cjs');
+
+// sessions - createSessionManager (server/lib/sessions.cjs): токен действует, пока жив его сеанс
+// userCache - createUserCache (server/lib/users.cjs): права берутся из учётной записи, а не из токена
+// requireStaffTwoFactor - сотрудники без включённой 2FA не получают доступа к своим правам
+function createAuthMiddleware(jwtSecret, sessions, userCache, { requireStaffTwoFactor = false } = {}) {
+    const authenticateToken = async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+
+        if (!token) {
+            return res.status(401).json({ error: 'Требуется аутентификация' });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, jwtSecret);
+        } catch (err) {
+            // Истёкший access-токен клиент обменивает на новый через POST /api/token/refresh
+            if (err.name === 'TokenExpiredError') {
+                return res.status(401).json({ error: 'Срок действия токена истёк', code: 'TOKEN_EXPIRED' });
+            }
+            return res.status(403).json({ error: 'Неверный токен' });
+        }
+
+        let account;
+        try {
+            // Токены без сеанса выданы до появления refresh-токенов - просим войти заново
+            if (!await sessions.verify(payload.sid)) {
+                return res.status(401).json({ error: 'Сеанс завершён', code: 'SESSION_REVOKED' });
+            }
+            account = await userCache.get(payload.id);
+        } catch (error) {
+            console.error('Session check error:', error);
+            return res.status(500).json({ error: 'Ошибка проверки сеанса' });
+        }
+
+        if (!account) {
+            return res.status(401).json({ error: 'Аккаунт не найден', code: 'ACCOUNT_NOT_FOUND' });
+        }
+        if (isBanned(account)) {
+            return res.status(403).json({ error: 'Аккаунт заблокирован', code: 'ACCOUNT_BANNED' });
+        }
+
+        req.user = {
+            id: account.id,
+            username: account.username,
+            ...describeAccess(account),
+            twoFactorEnabled: isTwoFactorEnabled(account),
+            sid: payload.sid
+        };
+        req.sessionId = payload.sid;
+        next();
+    };
+
+    // Доступ по праву роли (server/lib/roles.cjs), ставится после authenticateToken
+    const requirePermission = permission => (req, res, next) => {
+        if (!req.user || !req.user.permissions.includes(permission)) {
+            return res.status(403).json({ error: 'Недостаточно прав', permission });
+        }
+        if (requireStaffTwoFactor && !req.user.twoFactorEnabled) {
+            return res.status(403).json({
+                error: 'Включите двухфакторную аутентификацию в профиле, чтобы работать в админ-панели',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+        next();
+    };
+
+    return { authenticateToken, requirePermission };
+}
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,143 @@
+// server/middleware/bruteForce.cjs - Защита входа и проверки кодов от перебора
+// Считает неудачные попытки по IP и по аккаунту, с экспоненциальной задержкой и временной
+// блокировкой. Пока действует задержка, запросы получают 429 с заголовком Retry-After.
+// Попытка засчитывается до проверки и возвращается при успехе: иначе параллельные запросы
+// успевают пройти, пока первый из них проверяет пароль или код.
+// Хранилище в памяти процесса, как и кэш идемпотентности
+const { ACCOUNT_ATTEMPTS, IP_ATTEMPTS, ATTEMPTS_WINDOW_MS } = require('../constants.cjs');
+
+function createAttemptLimiter({ freeAttempts, baseDelayMs, maxDelayMs, lockoutAfter, lockoutMs }) {
+    const entries = new Map();
+
+    function cleanup(now) {
+        for (const [key, entry] of entries) {
+            if (now - entry.lastFailureAt > ATTEMPTS_WINDOW_MS && now >= entry.blockedUntil) {
+                entries.delete(key);
+            }
+        }
+    }
+
+    // Сколько миллисекунд ключ ещё заблокирован, 0 - можно пробовать
+    function retryAfterMs(key) {
+        const entry = entries.get(key);
+        return entry ? Math.max(0, entry.blockedUntil - Date.now()) : 0;
+    }
+
+    // Блокировка после failures неудач подряд, мс
+    function blockFor(failures) {
+        if (failures >= lockoutAfter) {
+            return lockoutMs;
+        }
+        if (failures >= freeAttempts) {
+            return Math.min(baseDelayMs * 2 ** (failures - freeAttempts), maxDelayMs);
+        }
+        return 0;
+    }
+
+    function fail(key) {
+        const now = Date.now();
+        cleanup(now);
+
+        const entry = entries.get(key) || { failures: 0, blockedUntil: 0, lastFailureAt: now };
+        entry.failures += 1;
+        entry.lastFailureAt = now;
+        entry.blockedUntil = Math.max(entry.blockedUntil, now + blockFor(entry.failures));
+
+        entries.set(key, entry);
+    }
+
+    // Отменяет одну засчитанную неудачу: блокировка сокращается до положенной оставшимся
+    function refund(key) {
+        const entry = entries.get(key);
+        if (!entry) {
+            return;
+        }
+        entry.failures -= 1;
+        if (entry.failures <= 0) {
+            entries.delete(key);
+            return;
+        }
+        entry.blockedUntil = Math.min(entry.blockedUntil, entry.lastFailureAt + blockFor(entry.failures));
+    }
+
+    function reset(key) {
+        entries.delete(key);
+    }
+
+    return { retryAfterMs, fail, refund, reset };
+}
+
+function sendTooManyAttempts(res, retryAfterMs) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(seconds));
+    return res.status(429).json({
+        error: `Слишком много неудачных попыток. Повторите через ${seconds} сек.`,
+        code: 'TOO_MANY_ATTEMPTS',
+        retryAfter: seconds
+    });
+}
+
+function createBruteForceProtection() {
+    const ipLimiter = createAttemptLimiter(IP_ATTEMPTS);
+    const accountLimiter = createAttemptLimiter(ACCOUNT_ATTEMPTS);
+
+    // scope - имя эндпоинта (свои счётчики у входа и у каждого вида кодов),
+    // accountKey(req) - аккаунт или список аккаунтов, которые пытаются подобрать.
+    // Попытка засчитывается сразу; обработчик сообщает результат через req.attempts.fail() /
+    // req.attempts.succeed(). Ответ без результата (неверный запрос, код не найден) попыткой
+    // не считается, и она возвращается, когда ответ отправлен
+    const limitAttempts = (scope, accountKey) => (req, res, next) => {
+        const ipKey = `${scope}:ip:${req.ip}`;
+        const accountKeys = [].concat(accountKey(req) || [])
+            .map(account => String(account || '').trim().toLowerCase())
+            .filter(Boolean)
+            .map(account => `${scope}:account:${account}`);
+
+        const retryAfterMs = Math.max(
+            ipLimiter.retryAfterMs(ipKey),
+            ...accountKeys.map(key => accountLimiter.retryAfterMs(key))
+        );
+        if (retryAfterMs > 0) {
+            return sendTooManyAttempts(res, retryAfterMs);
+        }
+
+        const reserve = () => {
+            ipLimiter.fail(ipKey);
+            accountKeys.forEach(key => accountLimiter.fail(key));
+        };
+        const refund = () => {
+            ipLimiter.refund(ipKey);
+            accountKeys.forEach(key => accountLimiter.refund(key));
+        };
+
+        // reserved - попытка засчитана и ждёт результата; released - возвращена после ответа
+        let state = 'reserved';
+        reserve();
+
+        req.attempts = {
+            fail() {
+                // Результат пришёл уже после ответа (клиент оборвал соединение) - засчитываем заново
+                if (state === 'released') reserve();
+                state = 'failed';
+            },
+            succeed() {
+                if (state === 'reserved') ipLimiter.refund(ipKey);
+                accountKeys.forEach(key => accountLimiter.reset(key));
+                state = 'succeeded';
+            }
+        };
+
+        const release = () => {
+            if (state !== 'reserved') return;
+            state = 'released';
+            refund();
+        };
+        res.once('finish', release);
+        res.once('close', release);
+        next();
+    };
+
+    return { limitAttempts };
+}
+
+module.exports = { createBruteForceProtection, createAttemptLimiter };
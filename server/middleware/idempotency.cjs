@@ -0,0 +1,90 @@
+// server/middleware/idempotency.cjs - Повтор сохранённых ответов по заголовку Idempotency-Key
+// Клиент передаёт заголовок Idempotency-Key для каждой логической операции и повторяет его при ретраях.
+// Ответ на первый запрос сохраняется и отдаётся повторно, без повторного выполнения операции.
+// Хранилище в памяти процесса, как и кэш товаров
+const crypto = require('crypto');
+const { IDEMPOTENCY_TTL_MS, IDEMPOTENCY_KEY_MAX_LENGTH } = require('../constants.cjs');
+
+function createIdempotencyMiddleware() {
+    const idempotencyStore = new Map();
+
+    function cleanupIdempotencyStore() {
+        const now = Date.now();
+        for (const [scope, entry] of idempotencyStore) {
+            if (now - entry.createdAt > IDEMPOTENCY_TTL_MS) {
+                idempotencyStore.delete(scope);
+            }
+        }
+    }
+
+    const idempotent = (req, res, next) => {
+        const key = req.headers['idempotency-key'];
+        if (!key) {
+            return next();
+        }
+
+        if (key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+            return res.status(400).json({ error: 'Неверный заголовок Idempotency-Key' });
+        }
+
+        cleanupIdempotencyStore();
+
+        // Ключ действует только для того же пользователя и того же эндпоинта
+        const scope = `${req.user ? req.user.id : 'anonymous'}:${req.method}:${req.originalUrl}:${key}`;
+        const fingerprint = crypto
+            .createHash('sha256')
+            .update(JSON.stringify(req.body || {}))
+            .digest('hex');
+
+        const entry = idempotencyStore.get(scope);
+        if (entry) {
+            if (entry.fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    error: 'Ключ идемпотентности уже использован с другими данными',
+                    code: 'IDEMPOTENCY_KEY_REUSED'
+                });
+            }
+            if (entry.pending) {
+                return res.status(409).json({
+                    error: 'Запрос уже обрабатывается',
+                    code: 'IDEMPOTENCY_IN_PROGRESS'
+                });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(entry.statusCode).json(entry.body);
+        }
+
+        idempotencyStore.set(scope, { fingerprint, pending: true, createdAt: Date.now() });
+
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            // Серверные ошибки не запоминаем, чтобы ретрай выполнил операцию заново
+            if (res.statusCode >= 500) {
+                idempotencyStore.delete(scope);
+            } else {
+                idempotencyStore.set(scope, {
+                    fingerprint,
+                    pending: false,
+                    statusCode: res.statusCode,
+                    body,
+                    createdAt: Date.now()
+                });
+            }
+            return sendJson(body);
+        };
+
+        // Если обработчик оборвался, не ответив JSON, освобождаем ключ
+        res.on('close', () => {
+            const current = idempotencyStore.get(scope);
+            if (current && current.pending) {
+                idempotencyStore.delete(scope);
+            }
+        });
+
+        next();
+    };
+
+    return idempotent;
+}
+
+module.exports = { createIdempotencyMiddleware };
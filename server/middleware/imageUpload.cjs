@@ -0,0 +1,56 @@
+// server/middleware/imageUpload.cjs - Приём изображения из multipart/form-data
+// для аватаров, изображений товаров и галереи
+const multer = require('multer');
+const { prepareImage, renderImageVariants, ImageError } = require('../lib/images.cjs');
+const { MAX_FILE_SIZE } = require('../constants.cjs');
+
+// Multer для файлов (временное хранение); больше MAX_FILE_SIZE в память не читаем
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+});
+
+// Принимает одно изображение из поля field. Тип определяется по содержимому файла,
+// SVG отклоняется, метаданные (EXIF, GPS) вырезаются. Дальше в req.file.buffer - очищенный файл,
+// в req.file.mimetype - настоящий тип, в req.file.extension - расширение для имени в хранилище,
+// в req.file.rendered - уменьшенные копии и заглушка для storeImage
+function acceptImage(field) {
+    const single = upload.single(field);
+
+    return (req, res, next) => {
+        single(req, res, async (err) => {
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({
+                        error: `Файл больше ${MAX_FILE_SIZE / 1024 / 1024} МБ`,
+                        code: 'FILE_TOO_LARGE'
+                    });
+                }
+                return res.status(400).json({ error: 'Отправьте одно изображение', code: 'INVALID_UPLOAD' });
+            }
+            if (err) {
+                return next(err);
+            }
+            if (!req.file) {
+                return res.status(400).json({ error: 'Файл не загружен' });
+            }
+
+            try {
+                const image = prepareImage(req.file.buffer);
+                req.file.buffer = image.buffer;
+                req.file.size = image.buffer.length;
+                req.file.mimetype = image.contentType;
+                req.file.extension = image.extension;
+                req.file.rendered = await renderImageVariants(image.buffer);
+            } catch (error) {
+                if (error instanceof ImageError) {
+                    return res.status(400).json({ error: error.message, code: error.code });
+                }
+                return next(error);
+            }
+            next();
+        });
+    };
+}
+
+module.exports = { acceptImage };
@@ -0,0 +1,161 @@
+// server/middleware/security.cjs - Заголовки безопасности, ограничение тела запроса и защита от CSRF
+// API отдаёт только JSON, поэтому его CSP запрещает всё; политика для сборки Vite задаётся
+// в vite.config.js. CSRF-защита - double-submit: GET /api/csrf-token кладёт подписанный токен
+// в HttpOnly cookie и возвращает его же в ответе, а изменяющие запросы с cookie должны повторить
+// его в заголовке X-CSRF-Token. Чужой сайт cookie отправит, а токен прочитать не сможет
+const crypto = require('crypto');
+const {
+    HSTS_MAX_AGE_SECONDS,
+    CSRF_COOKIE_NAME,
+    CSRF_HEADER_NAME,
+    CSRF_TOKEN_BYTES,
+    CSRF_TOKEN_TTL_MS
+} = require('../constants.cjs');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const API_CONTENT_SECURITY_POLICY = {
+    'default-src': ["'none'"],
+    'frame-ancestors': ["'none'"],
+    'base-uri': ["'none'"],
+    'form-action': ["'none'"]
+};
+
+// { 'default-src': ["'none'"] } -> "default-src 'none'"
+function serializePolicy(directives) {
+    return Object.entries(directives)
+        .map(([name, values]) => [name, ...values].join(' '))
+        .join('; ');
+}
+
+function parseCookies(header = '') {
+    return header.split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const name = part.slice(0, index).trim();
+            try {
+                cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (err) {
+                // Битое значение пропускаем
+            }
+        }
+        return cookies;
+    }, {});
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Заголовки безопасности, CSRF-защита и ответы на ошибки разбора тела.
+ * @param {object} options
+ * @param {string} [options.nodeEnv] - окружение; в production по умолчанию включён HSTS и cookie с SameSite=None
+ * @param {string} options.secret - секрет для подписи CSRF-токенов
+ * @param {number} [options.hstsMaxAge] - max-age для Strict-Transport-Security в секундах, 0 - не отправлять
+ * @param {boolean} [options.csrf] - проверять CSRF-токен, по умолчанию да
+ * @param {string} [options.cspReportUri] - адрес для отчётов о нарушениях CSP
+ * @param {RegExp[]} [options.csrfExemptPaths] - пути без CSRF-проверки (формы, которые сервер отдаёт сам)
+ */
+function createSecurityMiddleware({
+    nodeEnv,
+    secret,
+    hstsMaxAge = nodeEnv === 'production' ? HSTS_MAX_AGE_SECONDS : 0,
+    csrf = true,
+    cspReportUri = null,
+    csrfExemptPaths = []
+}) {
+    const isProduction = nodeEnv === 'production';
+    const contentSecurityPolicy = serializePolicy({
+        ...API_CONTENT_SECURITY_POLICY,
+        ...(cspReportUri ? { 'report-uri': [cspReportUri] } : {})
+    });
+
+    const securityHeaders = (req, res, next) => {
+        res.set({
+            'Content-Security-Policy': contentSecurityPolicy,
+            'X-Content-Type-Options': 'nosniff',
+            'X-Frame-Options': 'DENY',
+            'Referrer-Policy': 'no-referrer',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+        });
+        // Браузер запоминает HSTS только с HTTPS-ответа, поэтому заголовок безопасен и за прокси
+        if (hstsMaxAge > 0) {
+            res.set('Strict-Transport-Security', `max-age=${hstsMaxAge}; includeSubDomains`);
+        }
+        next();
+    };
+
+    // Токен: случайная часть, время выпуска и HMAC от них - подделать или продлить его нельзя
+    function signToken(nonce, issuedAt) {
+        return crypto.createHmac('sha256', secret).update(`${nonce}.${issuedAt}`).digest('base64url');
+    }
+
+    function createToken() {
+        const nonce = crypto.randomBytes(CSRF_TOKEN_BYTES).toString('base64url');
+        const issuedAt = Date.now().toString(36);
+        return `${nonce}.${issuedAt}.${signToken(nonce, issuedAt)}`;
+    }
+
+    function isValidToken(token) {
+        const [nonce, issuedAt, signature] = String(token).split('.');
+        if (!nonce || !issuedAt || !signature || !safeEqual(signature, signToken(nonce, issuedAt))) {
+            return false;
+        }
+        return Date.now() - parseInt(issuedAt, 36) < CSRF_TOKEN_TTL_MS;
+    }
+
+    // GET /api/csrf-token. Фронтенд и API живут на разных доменах, поэтому cookie в production
+    // уходит с SameSite=None; прочитать его скрипт всё равно не может - токен он берёт из ответа
+    const issueCsrfToken = (req, res) => {
+        const token = createToken();
+        res.cookie(CSRF_COOKIE_NAME, token, {
+            httpOnly: true,
+            secure: isProduction,
+            sameSite: isProduction ? 'none' : 'lax',
+            path: '/api',
+            maxAge: CSRF_TOKEN_TTL_MS
+        });
+        res.set('Cache-Control', 'no-store');
+        res.json({ token, headerName: CSRF_HEADER_NAME });
+    };
+
+    // Проверяются только изменяющие запросы с cookie: без cookie у запроса нет полномочий,
+    // которые браузер подставил бы сам, и подделывать нечего (Bearer-токен чужой сайт не знает)
+    const csrfProtection = (req, res, next) => {
+        if (!csrf || SAFE_METHODS.includes(req.method) || !req.headers.cookie) {
+            return next();
+        }
+        if (csrfExemptPaths.some(pattern => pattern.test(req.path))) {
+            return next();
+        }
+
+        const cookieToken = parseCookies(req.headers.cookie)[CSRF_COOKIE_NAME];
+        const headerToken = req.get(CSRF_HEADER_NAME);
+        if (!cookieToken || !headerToken || !safeEqual(cookieToken, headerToken) || !isValidToken(headerToken)) {
+            return res.status(403).json({
+                error: 'Сеанс страницы устарел, обновите её и повторите действие',
+                code: 'CSRF_INVALID'
+            });
+        }
+        next();
+    };
+
+    // Ошибки express.json и express.urlencoded - JSON-ответом, а не HTML-страницей Express
+    const handleBodyErrors = (err, req, res, next) => {
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ error: 'Слишком большой запрос', code: 'PAYLOAD_TOO_LARGE' });
+        }
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Неверный формат тела запроса', code: 'INVALID_BODY' });
+        }
+        next(err);
+    };
+
+    return { securityHeaders, issueCsrfToken, csrfProtection, handleBodyErrors };
+}
+
+module.exports = { createSecurityMiddleware };
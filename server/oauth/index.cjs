@@ -0,0 +1,49 @@
+// server/oauth/index.cjs - Внешние провайдеры входа (OAuth2 / OpenID Connect)
+// OAUTH_PROVIDERS=google,mock - список включённых провайдеров, по умолчанию ни одного. mock впускает
+// под любым email, поэтому включается только явно: вне production и с DATA_BACKEND=memory.
+// Для OIDC-провайдера NAME нужны OAUTH_NAME_CLIENT_ID, OAUTH_NAME_CLIENT_SECRET
+// и OAUTH_NAME_ISSUER (для известных провайдеров issuer подставляется сам). Переменные читает server/config.cjs
+const { createOidcProvider } = require('./providers/oidc.cjs');
+const { createMockProvider } = require('./providers/mock.cjs');
+
+const KNOWN_ISSUERS = {
+    google: { issuer: 'https://accounts.google.com', label: 'Google' }
+};
+
+/**
+ * Набор провайдеров.
+ * @param {object[]} providers - { name, label, getAuthorizationUrl(params), exchangeCode(params) },
+ *   см. server/oauth/providers
+ */
+function createOAuthProviders(providers = []) {
+    const byName = new Map(providers.map(provider => [provider.name, provider]));
+
+    return {
+        get(name) {
+            return byName.get(name) || null;
+        },
+
+        // Для кнопок входа на фронтенде
+        list() {
+            return providers.map(({ name, label }) => ({ name, label }));
+        }
+    };
+}
+
+// Провайдеры по настройкам config.oauth: providerNames в порядке кнопок и проверенные OIDC-провайдеры
+function createOAuthProvidersFromConfig({ providerNames, providers }) {
+    if (providerNames.includes('mock')) {
+        console.log('ℹ️  OAuth-провайдер mock: вход под любым email на /api/oauth/mock/authorize');
+    }
+    return createOAuthProviders(providerNames.map(name => (name === 'mock'
+        ? createMockProvider()
+        : createOidcProvider(providers.find(provider => provider.name === name)))));
+}
+
+module.exports = {
+    createOAuthProviders,
+    createOAuthProvidersFromConfig,
+    KNOWN_ISSUERS,
+    createOidcProvider,
+    createMockProvider
+};
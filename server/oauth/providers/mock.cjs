@@ -0,0 +1,92 @@
+// server/oauth/providers/mock.cjs - Локальный провайдер для разработки и тестов
+// Вместо внешнего сервиса - страница GET /api/oauth/mock/authorize, где можно ввести любой email.
+// Повторяет authorization code flow с PKCE и nonce, поэтому маршруты входа проверяются целиком
+const crypto = require('crypto');
+
+const CODE_TTL_MS = 60 * 1000;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function createMockProvider({ name = 'mock', label = 'Тестовый вход' } = {}) {
+    const codes = new Map();
+
+    return {
+        name,
+        label,
+
+        // Страница провайдера обслуживается тем же сервером, рядом с callback
+        async getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri }) {
+            const params = new URLSearchParams({ state, nonce, code_challenge: codeChallenge, redirect_uri: redirectUri });
+            return `${redirectUri.replace(/\/callback$/, '/authorize')}?${params}`;
+        },
+
+        // «Пользователь вошёл у провайдера»: выдаёт код и возвращает адрес callback или null
+        authorize({ email, name: fullName, emailVerified = true, state, nonce, codeChallenge, redirectUri }) {
+            // Отправляем только на свой callback, чтобы страница не стала открытым редиректом
+            if (!String(redirectUri || '').endsWith(`/oauth/${name}/callback`)) {
+                return null;
+            }
+
+            const cleanEmail = String(email || '').trim().toLowerCase();
+            const code = crypto.randomBytes(16).toString('hex');
+            codes.set(code, {
+                profile: {
+                    // Один и тот же email - один и тот же аккаунт у провайдера
+                    subject: crypto.createHash('sha256').update(cleanEmail).digest('hex').slice(0, 24),
+                    email: cleanEmail || null,
+                    emailVerified: Boolean(emailVerified),
+                    name: fullName || null
+                },
+                nonce,
+                codeChallenge,
+                redirectUri,
+                expiresAt: Date.now() + CODE_TTL_MS
+            });
+
+            const params = new URLSearchParams({ code, state });
+            return `${redirectUri}?${params}`;
+        },
+
+        async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+            const record = codes.get(code);
+            codes.delete(code);
+
+            const challenge = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+            if (!record || record.expiresAt < Date.now() || record.redirectUri !== redirectUri ||
+                record.codeChallenge !== challenge || record.nonce !== nonce) {
+                throw new Error(`[oauth:${name}] Код авторизации недействителен`);
+            }
+            return record.profile;
+        },
+
+        renderAuthorizePage(query) {
+            const hidden = ['state', 'nonce', 'code_challenge', 'redirect_uri']
+                .map(field => `<input type="hidden" name="${field}" value="${escapeHtml(query[field])}">`)
+                .join('');
+
+            return `<!doctype html>
+<html lang="ru">
+<head><meta charset="utf-8"><title>${escapeHtml(label)} — NEON RED</title></head>
+<body style="font-family: sans-serif; background: #0a0a0a; color: #fff; display: flex; justify-content: center; padding-top: 80px;">
+<form method="post" style="display: flex; flex-direction: column; gap: 12px; width: 320px;">
+    <h2 style="color: #ff0033;">${escapeHtml(label)}</h2>
+    <p>Провайдер для разработки: войдите под любым email.</p>
+    <input name="email" type="email" placeholder="email@example.com" required>
+    <input name="name" type="text" placeholder="Имя (необязательно)">
+    <label><input name="email_verified" type="checkbox" value="true" checked> Email подтверждён</label>
+    ${hidden}
+    <button type="submit">Войти</button>
+</form>
+</body>
+</html>`;
+        }
+    };
+}
+
+module.exports = { createMockProvider };
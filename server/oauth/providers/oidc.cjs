@@ -0,0 +1,108 @@
+// server/oauth/providers/oidc.cjs - Провайдер OpenID Connect (Google, Яндекс ID через OIDC, Keycloak и т.п.)
+// Настройки берутся из discovery-документа issuer'а. Вход по authorization code с PKCE,
+// подпись id_token проверяется по ключам JWKS провайдера
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+function createOidcProvider({ name, label, issuer, clientId, clientSecret, scope = 'openid email profile', fetchImpl = fetch }) {
+    let discovery = null;
+    let keys = null;
+
+    async function getJson(url, options) {
+        const response = await fetchImpl(url, options);
+        if (!response.ok) {
+            throw new Error(`[oauth:${name}] ${url} ответил ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async function discover() {
+        if (!discovery) {
+            discovery = await getJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+        }
+        return discovery;
+    }
+
+    // Ключ подписи по kid; при ротации ключей у провайдера JWKS перечитывается один раз
+    async function signingKey(kid) {
+        const config = await discover();
+        for (const fresh of [false, true]) {
+            if (!keys || fresh) {
+                keys = (await getJson(config.jwks_uri)).keys || [];
+            }
+            const jwk = keys.find(key => key.kid === kid) || (kid ? null : keys[0]);
+            if (jwk) {
+                return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            }
+        }
+        throw new Error(`[oauth:${name}] Ключ подписи ${kid} не найден`);
+    }
+
+    async function verifyIdToken(idToken, nonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new Error(`[oauth:${name}] Провайдер не вернул id_token`);
+        }
+
+        const config = await discover();
+        const claims = jwt.verify(idToken, await signingKey(decoded.header.kid), {
+            algorithms: ['RS256', 'ES256'],
+            audience: clientId,
+            issuer: config.issuer
+        });
+        if (claims.nonce !== nonce) {
+            throw new Error(`[oauth:${name}] nonce в id_token не совпадает`);
+        }
+        return claims;
+    }
+
+    return {
+        name,
+        label,
+
+        async getAuthorizationUrl({ state, nonce, codeChallenge, redirectUri }) {
+            const config = await discover();
+            const params = new URLSearchParams({
+                response_type: 'code',
+                client_id: clientId,
+                redirect_uri: redirectUri,
+                scope,
+                state,
+                nonce,
+                code_challenge: codeChallenge,
+                code_challenge_method: 'S256'
+            });
+            return `${config.authorization_endpoint}?${params}`;
+        },
+
+        // Профиль пользователя: { subject, email, emailVerified, name }
+        async exchangeCode({ code, redirectUri, codeVerifier, nonce }) {
+            const config = await discover();
+            const tokens = await getJson(config.token_endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    Accept: 'application/json'
+                },
+                body: new URLSearchParams({
+                    grant_type: 'authorization_code',
+                    code,
+                    redirect_uri: redirectUri,
+                    client_id: clientId,
+                    client_secret: clientSecret,
+                    code_verifier: codeVerifier
+                })
+            });
+
+            const claims = await verifyIdToken(tokens.id_token, nonce);
+            return {
+                subject: String(claims.sub),
+                email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+                emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+                name: claims.name || null
+            };
+        }
+    };
+}
+
+module.exports = { createOidcProvider };
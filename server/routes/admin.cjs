@@ -0,0 +1,532 @@
+// server/routes/admin.cjs - Админ-панель: категории, товары, пользователи и заказы
+const express = require('express');
+const { normalizeImagePath, imagePathFromUrl, toPublicProduct } = require('../lib/products.cjs');
+const { PERMISSIONS, ROLE_NAMES, resolveRole } = require('../lib/roles.cjs');
+const { isTwoFactorEnabled } = require('../lib/twoFactor.cjs');
+const { ACCOUNT_MODES } = require('../lib/accounts.cjs');
+const { variantPaths, sanitizeImageVariants } = require('../lib/images.cjs');
+const { ORDER_STATUS_TRANSITIONS } = require('../constants.cjs');
+
+// Пользователь в списке админки
+function toAdminUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        full_name: user.full_name,
+        is_admin: user.is_admin,
+        role: resolveRole(user),
+        banned_at: user.banned_at || null,
+        two_factor_enabled: isTwoFactorEnabled(user),
+        created_at: user.created_at,
+        avatar_url: user.avatar_url
+    };
+}
+
+function createAdminRouter({ repos, productsCache, productGallery, orderNotifier, sessions, userCache, accounts, storageGc, middleware }) {
+    const router = express.Router();
+    const { usersRepo, productsRepo, categoriesRepo, ordersRepo, storageRepo } = repos;
+    const { authenticateToken, requirePermission, idempotent } = middleware;
+
+    // Группы маршрутов и права ролей, которые для них нужны (server/lib/roles.cjs)
+    const catalogReaders = [authenticateToken, requirePermission(PERMISSIONS.CATALOG_READ)];
+    const catalogWriters = [authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE)];
+    const ordersReaders = [authenticateToken, requirePermission(PERMISSIONS.ORDERS_READ)];
+    const ordersWriters = [authenticateToken, requirePermission(PERMISSIONS.ORDERS_WRITE)];
+    const usersReaders = [authenticateToken, requirePermission(PERMISSIONS.USERS_READ)];
+    const usersManagers = [authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE)];
+    const settingsManagers = [authenticateToken, requirePermission(PERMISSIONS.SETTINGS_MANAGE)];
+
+    // Создать категорию (админ)
+    router.post('/admin/categories', catalogWriters, async (req, res) => {
+        try {
+            const { name } = req.body;
+
+            // Валидация
+            if (!name || typeof name !== 'string') {
+                return res.status(400).json({ error: 'Имя категории обязательно' });
+            }
+
+            const cleanName = name.trim();
+            if (cleanName.length < 1 || cleanName.length > 100) {
+                return res.status(400).json({ error: 'Имя категории должно быть от 1 до 100 символов' });
+            }
+
+            const category = await categoriesRepo.create({ name: cleanName });
+
+            res.status(201).json(category);
+
+        } catch (error) {
+            console.error('Create category error:', error);
+            res.status(500).json({ error: 'Ошибка создания категории' });
+        }
+    });
+
+    // Обновить категорию (админ)
+    router.put('/admin/categories/:id', catalogWriters, async (req, res) => {
+        try {
+            const { name, oldName } = req.body;
+
+            // Валидация
+            if (!name || typeof name !== 'string') {
+                return res.status(400).json({ error: 'Имя категории обязательно' });
+            }
+
+            const cleanName = name.trim();
+            if (cleanName.length < 1 || cleanName.length > 100) {
+                return res.status(400).json({ error: 'Имя категории должно быть от 1 до 100 символов' });
+            }
+
+            const categoryId = parseInt(req.params.id);
+            if (isNaN(categoryId)) {
+                return res.status(400).json({ error: 'Неверный ID категории' });
+            }
+
+            // Обновляем категорию в товарах
+            const oldCategoryName = oldName || cleanName;
+            await productsRepo.renameCategory(oldCategoryName, cleanName);
+
+            // Обновляем саму категорию
+            const category = await categoriesRepo.update(categoryId, { name: cleanName });
+
+            if (!category) {
+                return res.status(404).json({ error: 'Категория не найдена' });
+            }
+
+            productsCache.clear();
+            res.json(category);
+
+        } catch (error) {
+            console.error('Update category error:', error);
+            res.status(500).json({ error: 'Ошибка обновления категории' });
+        }
+    });
+
+    // Удалить категорию (админ)
+    router.delete('/admin/categories/:id', catalogWriters, async (req, res) => {
+        try {
+            const categoryId = parseInt(req.params.id);
+            if (isNaN(categoryId)) {
+                return res.status(400).json({ error: 'Неверный ID категории' });
+            }
+
+            // Получаем имя категории перед удалением
+            const category = await categoriesRepo.findById(categoryId);
+
+            if (category) {
+                // Удаляем категорию из товаров (обнуляем поле category)
+                await productsRepo.renameCategory(category.name, null);
+            }
+
+            // Удаляем саму категорию
+            await categoriesRepo.delete(categoryId);
+
+            productsCache.clear();
+            res.json({ message: 'Категория удалена' });
+
+        } catch (error) {
+            console.error('Delete category error:', error);
+            res.status(500).json({ error: 'Ошибка удаления категории' });
+        }
+    });
+
+    // Получить товары для админа
+    router.get('/admin/products', catalogReaders, async (req, res) => {
+        try {
+            const { products } = await productsRepo.list();
+
+            const productsWithImages = products.map(product => toPublicProduct(product, storageRepo));
+
+            res.json(productsWithImages);
+
+        } catch (error) {
+            console.error('Admin products error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки товаров' });
+        }
+    });
+
+    // Создать товар (админ)
+    router.post('/admin/products', catalogWriters, idempotent, async (req, res) => {
+        try {
+            const { title, description, price, quantity, category, image_url, image_variants } = req.body;
+
+            // Валидация
+            if (!title || typeof title !== 'string' || title.trim().length < 1) {
+                return res.status(400).json({ error: 'Название товара обязательно' });
+            }
+            if (typeof price !== 'number' || price < 0) {
+                return res.status(400).json({ error: 'Цена должна быть положительным числом' });
+            }
+            if (typeof quantity !== 'number' || quantity < 0 || !Number.isInteger(quantity)) {
+                return res.status(400).json({ error: 'Количество должно быть неотрицательным целым числом' });
+            }
+
+            const productData = {
+                title: title.trim(),
+                description: description ? description.trim() : null,
+                price: parseFloat(price),
+                quantity: parseInt(quantity),
+                category: category ? category.trim() : null
+            };
+
+            let product = await productsRepo.create(productData);
+
+            // Если передан image_url, извлекаем из него путь - это первое, главное изображение галереи;
+            // уменьшенные копии - только вместе с изображением из POST /api/upload-image
+            if (image_url && image_url.trim() !== '') {
+                await productGallery.add(product.id, {
+                    image_path: imagePathFromUrl(image_url, storageRepo),
+                    image_variants: sanitizeImageVariants(image_variants, storageRepo)
+                });
+                product = await productsRepo.findById(product.id);
+            }
+
+            productsCache.clear();
+            res.status(201).json(product);
+
+        } catch (error) {
+            console.error('Create product error:', error);
+            res.status(500).json({ error: 'Ошибка создания товара' });
+        }
+    });
+
+    // Получить один товар для админа (для редактирования)
+    router.get('/admin/products/:id', catalogReaders, async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            if (isNaN(productId)) {
+                return res.status(400).json({ error: 'Неверный ID товара' });
+            }
+
+            const product = await productsRepo.findById(productId);
+
+            if (!product) {
+                return res.status(404).json({ error: 'Товар не найден' });
+            }
+
+            // Формируем image_url так же, как в списке товаров
+            const imageUrl = toPublicProduct(product, storageRepo).image_url;
+            const [{ images }] = await productGallery.withImages([product]);
+
+            res.json({
+                id: product.id,
+                title: product.title,
+                description: product.description,
+                price: product.price,
+                quantity: product.quantity,
+                category: product.category,
+                image_url: imageUrl,
+                image_variants: product.image_variants || null,
+                images,
+                created_at: product.created_at
+            });
+
+        } catch (error) {
+            console.error('Get product error:', error);
+            res.status(500).json({ error: 'Ошибка получения товара' });
+        }
+    });
+
+    // Обновить товар (админ)
+    router.put('/admin/products/:id', catalogWriters, async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            if (isNaN(productId)) {
+                return res.status(400).json({ error: 'Неверный ID товара' });
+            }
+
+            const { title, description, price, quantity, category, image_url, image_variants } = req.body;
+            const updateData = {};
+
+            if (title !== undefined) {
+                if (typeof title !== 'string' || title.trim().length < 1) {
+                    return res.status(400).json({ error: 'Название товара не может быть пустым' });
+                }
+                updateData.title = title.trim();
+            }
+            if (description !== undefined) {
+                updateData.description = description ? description.trim() : null;
+            }
+            if (price !== undefined) {
+                if (typeof price !== 'number' || price < 0) {
+                    return res.status(400).json({ error: 'Цена должна быть положительным числом' });
+                }
+                updateData.price = parseFloat(price);
+            }
+            if (quantity !== undefined) {
+                if (typeof quantity !== 'number' || quantity < 0 || !Number.isInteger(quantity)) {
+                    return res.status(400).json({ error: 'Количество должно быть неотрицательным целым числом' });
+                }
+                updateData.quantity = parseInt(quantity);
+            }
+            if (category !== undefined) {
+                updateData.category = category ? category.trim() : null;
+            }
+            // image_url - главное изображение галереи. Копии приходят вместе с изображением
+            // из POST /api/upload-image; прежнее изображение сохраняет свои копии, а другой image_url
+            // без копий их сбрасывает
+            if (image_url !== undefined) {
+                if (!await productsRepo.findById(productId)) {
+                    return res.status(404).json({ error: 'Товар не найден' });
+                }
+                const hasImage = image_url !== null && image_url !== '';
+                await productGallery.replacePrimary(productId, {
+                    image_path: hasImage ? imagePathFromUrl(image_url, storageRepo) : null,
+                    image_variants: hasImage && image_variants !== undefined
+                        ? sanitizeImageVariants(image_variants, storageRepo)
+                        : undefined
+                });
+            }
+
+            // Только изображение - товар уже обновлён галереей
+            const product = Object.keys(updateData).length > 0
+                ? await productsRepo.update(productId, updateData)
+                : await productsRepo.findById(productId);
+
+            if (!product) {
+                return res.status(404).json({ error: 'Товар не найден' });
+            }
+
+            productsCache.clear();
+            res.json(product);
+
+        } catch (error) {
+            console.error('Update product error:', error);
+            res.status(500).json({ error: 'Ошибка обновления товара' });
+        }
+    });
+
+    // Удалить товар (админ)
+    router.delete('/admin/products/:id', catalogWriters, async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            if (isNaN(productId)) {
+                return res.status(400).json({ error: 'Неверный ID товара' });
+            }
+
+            // Получаем товар для удаления изображения
+            const product = await productsRepo.findById(productId);
+
+            // Удаляем изображения галереи и их уменьшенные копии, если есть
+            const files = new Set(await productGallery.files(productId));
+            if (product && product.image_path) {
+                files.add(normalizeImagePath(product.image_path));
+                variantPaths(product.image_variants, storageRepo).forEach(file => files.add(file));
+            }
+            if (files.size > 0) {
+                await storageRepo.remove([...files]);
+            }
+
+            await productsRepo.delete(productId);
+
+            productsCache.clear();
+            res.json({ message: 'Товар удален' });
+
+        } catch (error) {
+            console.error('Delete product error:', error);
+            res.status(500).json({ error: 'Ошибка удаления товара' });
+        }
+    });
+
+    // Получить всех пользователей (админ)
+    router.get('/admin/users', usersReaders, async (req, res) => {
+        try {
+            const users = (await usersRepo.list()).map(toAdminUser);
+
+            res.json(users);
+
+        } catch (error) {
+            console.error('Admin users error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки пользователей' });
+        }
+    });
+
+    // Изменить роль или блокировку пользователя (владелец). role: null - обычный покупатель
+    router.put('/admin/users/:id', usersManagers, async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { role, banned } = req.body;
+
+            if (role !== undefined && role !== null && !ROLE_NAMES.includes(role)) {
+                return res.status(400).json({ error: `Роль должна быть одной из: ${ROLE_NAMES.join(', ')}` });
+            }
+            if (banned !== undefined && typeof banned !== 'boolean') {
+                return res.status(400).json({ error: 'banned должен быть true или false' });
+            }
+            if (role === undefined && banned === undefined) {
+                return res.status(400).json({ error: 'Нет данных для обновления' });
+            }
+
+            // Иначе можно случайно остаться без единого владельца
+            if (id === req.user.id) {
+                return res.status(400).json({ error: 'Нельзя изменить собственные права' });
+            }
+
+            const updates = {};
+            if (role !== undefined) {
+                updates.role = role;
+                updates.is_admin = role !== null;
+            }
+            if (banned !== undefined) updates.banned_at = banned ? new Date().toISOString() : null;
+
+            const user = await usersRepo.update(id, updates);
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            // Новые права действуют со следующего запроса, заблокированный теряет все сеансы
+            userCache.invalidate(id);
+            if (banned) {
+                await sessions.revokeAll(id);
+            }
+
+            res.json(toAdminUser(user));
+        } catch (error) {
+            console.error('Update user error:', error);
+            res.status(500).json({ error: 'Ошибка обновления пользователя' });
+        }
+    });
+
+    // Режим аккаунтов и отчёт о почтах, которыми владеют несколько профилей
+    router.get('/admin/account-mode', settingsManagers, async (req, res) => {
+        try {
+            res.json(await accounts.conflictReport());
+        } catch (error) {
+            console.error('Account mode error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки настроек' });
+        }
+    });
+
+    // Переключение режима (владелец). Уже существующие конфликты не мешают включить strict:
+    // эти аккаунты продолжают работать, а новых на занятые почты больше не появится
+    router.put('/admin/account-mode', settingsManagers, async (req, res) => {
+        try {
+            const { mode } = req.body;
+
+            if (!Object.values(ACCOUNT_MODES).includes(mode)) {
+                return res.status(400).json({ error: `Режим должен быть одним из: ${Object.values(ACCOUNT_MODES).join(', ')}` });
+            }
+
+            await accounts.setMode(mode, { updatedBy: req.user.id });
+            res.json(await accounts.conflictReport());
+        } catch (error) {
+            console.error('Update account mode error:', error);
+            res.status(500).json({ error: 'Ошибка сохранения настроек' });
+        }
+    });
+
+    // Файлы хранилища, на которые не ссылается ни товар, ни пользователь (владелец).
+    // deletable - файл старше срока ожидания, его удалит уборка
+    router.get('/admin/storage/orphans', settingsManagers, async (req, res) => {
+        try {
+            res.json(await storageGc.scan());
+        } catch (error) {
+            console.error('Storage orphans error:', error);
+            res.status(500).json({ error: 'Ошибка проверки хранилища' });
+        }
+    });
+
+    // Удалить файлы без ссылок старше срока ожидания (владелец); то же делает уборка по расписанию
+    router.post('/admin/storage/orphans/cleanup', settingsManagers, async (req, res) => {
+        try {
+            const result = await storageGc.collect();
+            res.json({ ...result, ...(await storageGc.scan()) });
+        } catch (error) {
+            console.error('Storage cleanup error:', error);
+            res.status(500).json({ error: 'Ошибка уборки хранилища' });
+        }
+    });
+
+    // Получить заказы пользователя (админ)
+    router.get('/admin/users/:id/orders', usersReaders, async (req, res) => {
+        try {
+            const orders = await ordersRepo.listByUser(req.params.id);
+
+            res.json(orders);
+
+        } catch (error) {
+            console.error('Admin user orders error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки заказов' });
+        }
+    });
+
+    // Получить все заказы (админ)
+    router.get('/admin/orders', ordersReaders, async (req, res) => {
+        try {
+            const orders = await ordersRepo.listAll();
+
+            res.json(orders);
+
+        } catch (error) {
+            console.error('Admin orders error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки заказов' });
+        }
+    });
+
+    // Обновить статус заказа (админ)
+    router.put('/admin/orders/:id/status', ordersWriters, async (req, res) => {
+        try {
+            const { status, trackingNumber } = req.body;
+
+            // Валидация статуса
+            if (!status || !Object.keys(ORDER_STATUS_TRANSITIONS).includes(status)) {
+                return res.status(400).json({ error: 'Неверный статус заказа' });
+            }
+
+            // Трек-номер указывается при отправке заказа
+            if (trackingNumber !== undefined && trackingNumber !== null &&
+                (typeof trackingNumber !== 'string' || trackingNumber.trim().length > 100)) {
+                return res.status(400).json({ error: 'Трек-номер должен быть строкой до 100 символов' });
+            }
+
+            const existingOrder = await ordersRepo.findById(req.params.id);
+
+            if (!existingOrder) {
+                return res.status(404).json({ error: 'Заказ не найден' });
+            }
+
+            const fromStatus = existingOrder.status;
+            if (status !== fromStatus && !(ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(status)) {
+                return res.status(409).json({
+                    error: `Заказ в статусе "${fromStatus}" нельзя перевести в "${status}"`,
+                    code: 'INVALID_STATUS_TRANSITION'
+                });
+            }
+
+            // Отмена возвращает товар на склад: та же атомарная ordersRepo.cancel, что у покупателя.
+            // Остальные статусы меняются, только если заказ всё ещё в прежнем
+            let order;
+            if (status === 'cancelled' && fromStatus !== 'cancelled') {
+                order = await ordersRepo.cancel(existingOrder.id, { fromStatuses: [fromStatus] });
+            } else {
+                const updates = { status };
+                if (trackingNumber !== undefined) {
+                    updates.tracking_number = trackingNumber ? trackingNumber.trim() : null;
+                }
+                order = await ordersRepo.update(existingOrder.id, updates, { fromStatus });
+            }
+
+            if (!order) {
+                return res.status(409).json({
+                    error: 'Статус заказа успел измениться, обновите список',
+                    code: 'STATUS_CHANGED'
+                });
+            }
+
+            // Покупателю пишем только о реальной смене статуса
+            if (existingOrder.status !== order.status) {
+                orderNotifier.statusChanged(order);
+            }
+
+            res.json(order);
+
+        } catch (error) {
+            console.error('Update order status error:', error);
+            res.status(500).json({ error: 'Ошибка обновления статуса заказа' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,974 @@
+// server/routes/auth.cjs - Регистрация, подтверждение email, вход и восстановление пароля
+const express = require('express');
+const bcrypt = require('bcrypt');
+const {
+    RESEND_COOLDOWN_MS,
+    CODE_EXPIRY_MS,
+    BCRYPT_SALT_ROUNDS
+} = require('../constants.cjs');
+const { CODE_PURPOSES, generateCode, hashCode, checkCode, invalidCodeResponse } = require('../lib/email.cjs');
+const { ConflictError } = require('../data/errors.cjs');
+const { resolveLocale } = require('../mail/templates/index.cjs');
+const { isBanned } = require('../lib/users.cjs');
+const { describeAccess } = require('../lib/roles.cjs');
+const { isTwoFactorEnabled } = require('../lib/twoFactor.cjs');
+const { validatePassword, checkPasswordStrength } = require('../lib/passwordPolicy.cjs');
+const { toProfileSummary } = require('../lib/accounts.cjs');
+
+// Email в том виде, в каком по нему ищут аккаунты и коды
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function createAuthRouter({ repos, sessions, emails, twoFactor, accounts, requireStaffTwoFactor, middleware }) {
+    const router = express.Router();
+    const { usersRepo, emailVerificationsRepo } = repos;
+    const { authenticateToken, idempotent, limitAttempts } = middleware;
+
+    // Счётчики перебора: по IP и по аккаунту, на который направлены попытки. Вход считается по id
+    // найденных профилей, чтобы username и email одного аккаунта делили счётчик;
+    // по несуществующему логину - по самому логину
+    const loginAttempts = limitAttempts('login', req => (req.loginCandidates.length > 0
+        ? req.loginCandidates.map(user => `user:${user.id}`)
+        : `login:${req.loginValue}`));
+    const emailCodeAttempts = limitAttempts('confirm-email', req => normalizeEmail(req.body.email));
+    const resetCodeAttempts = limitAttempts('reset-password', req => normalizeEmail(req.body.email));
+
+    // Вход после проверки пароля (или выбора профиля): блокировка, подтверждение email, 2FA, сеанс
+    async function completeLogin(user, req, res) {
+        if (isBanned(user)) {
+            return res.status(403).json({ error: 'Аккаунт заблокирован', code: 'ACCOUNT_BANNED' });
+        }
+
+        // Проверка подтверждения email
+        if (!user.email_verified) {
+            return res.status(403).json({ 
+                error: 'Email не подтверждён',
+                needsCodeConfirmation: true,
+                email: user.email
+            });
+        }
+
+        // Включена 2FA: сеанс откроется только после кода в POST /api/login/2fa
+        if (isTwoFactorEnabled(user)) {
+            return res.json({
+                twoFactorRequired: true,
+                challengeToken: twoFactor.createChallenge(user)
+            });
+        }
+
+        // Создание сеанса и пары токенов
+        const { token, refreshToken } = await sessions.start(user, req);
+        const access = describeAccess(user);
+
+        res.json({
+            message: 'Вход выполнен',
+            token,
+            refreshToken,
+            // Сотрудник войдёт, но админ-панель откроется только после включения 2FA
+            twoFactorSetupRequired: requireStaffTwoFactor && access.isAdmin,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email,
+                fullName: user.full_name,
+                ...access
+            }
+        });
+    }
+
+    // Проверка доступности имени пользователя
+    router.get('/check-username/:username', async (req, res) => {
+        try {
+            const { username } = req.params;
+
+            if (!username || username.trim().length < 3) {
+                return res.json({ available: false, error: 'Имя пользователя должно быть не менее 3 символов' });
+            }
+
+            const cleanUsername = username.trim();
+
+            const existingUser = await usersRepo.findByUsername(cleanUsername);
+
+            if (existingUser) {
+                return res.json({ available: false, error: 'Это имя пользователя уже занято. Пожалуйста, выберите другое.' });
+            }
+
+            res.json({ available: true });
+        } catch (error) {
+            console.error('Check username error:', error);
+            res.json({ available: true }); // В случае ошибки считаем доступным
+        }
+    });
+
+    // Надёжность пароля для индикатора в форме регистрации; сами требования проверяются при сохранении
+    router.post('/check-password', (req, res) => {
+        const { password, username, email } = req.body;
+        if (typeof password !== 'string') {
+            return res.status(400).json({ error: 'Требуется пароль' });
+        }
+        res.json(checkPasswordStrength(password, { username, email }));
+    });
+
+    // Регистрация
+    router.post('/register', idempotent, async (req, res) => {
+        try {
+            const { username, email, password, fullName } = req.body;
+
+            // Базовая валидация
+            if (!username || !email) {
+                return res.status(400).json({ error: 'Обязательные поля: username, email' });
+            }
+
+            // Валидация username
+            if (typeof username !== 'string' || username.trim().length < 3 || username.trim().length > 50) {
+                return res.status(400).json({ error: 'Имя пользователя должно быть от 3 до 50 символов' });
+            }
+
+            // Валидация email
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (typeof email !== 'string' || !emailRegex.test(email.trim())) {
+                return res.status(400).json({ error: 'Неверный формат email' });
+            }
+
+            // Пароль может быть задан позже, на последнем шаге регистрации (PUT /api/profile).
+            // До этого у аккаунта нет пароля и войти по паролю в него нельзя
+            let passwordHash = null;
+            if (password && password !== 'temp_password_will_be_changed') {
+                const passwordError = validatePassword(password, { username: username.trim(), email: email.trim() });
+                if (passwordError) {
+                    return res.status(400).json(passwordError);
+                }
+                passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+            }
+
+            // Очистка данных
+            const cleanUsername = username.trim();
+            const cleanEmail = email.trim().toLowerCase();
+
+            // Проверка существования пользователя только по username (email может быть одинаковым)
+            // Используем транзакцию для атомарности проверки и создания
+            let existingUserByUsername;
+            try {
+                existingUserByUsername = await usersRepo.findByUsername(cleanUsername);
+            } catch (usernameError) {
+                console.error('Error checking existing users:', usernameError);
+                return res.status(500).json({ 
+                    error: 'Ошибка при проверке существующих пользователей',
+                    message: 'Попробуйте позже'
+                });
+            }
+
+            if (existingUserByUsername) {
+                // Если пользователь существует, но email не подтверждён, можно разрешить повторную регистрацию
+                // Но для безопасности лучше запретить
+                return res.status(400).json({ 
+                    error: 'Пользователь с таким именем уже существует',
+                    message: 'Попробуйте другое имя пользователя или войдите в существующий аккаунт'
+                });
+            }
+
+            // В режиме «один аккаунт на email» почта должна быть свободна
+            if (!await accounts.isEmailAvailable(cleanEmail)) {
+                return res.status(409).json({
+                    error: 'Этот email уже используется другим аккаунтом',
+                    message: 'Войдите в существующий аккаунт или восстановите пароль',
+                    code: 'EMAIL_TAKEN'
+                });
+            }
+
+            // Первый пользователь - админ (warning: change for prod)
+            let count;
+            try {
+                count = await usersRepo.count();
+            } catch (countError) {
+                console.error('Error counting users:', countError);
+                throw new Error('Ошибка при проверке количества пользователей');
+            }
+
+            // Первый зарегистрированный пользователь становится владельцем магазина
+            const isAdmin = count === 0;
+
+            // Создаём пользователя БЕЗ подтверждения email
+            let user;
+            try {
+                user = await usersRepo.create({
+                    username: cleanUsername,
+                    email: cleanEmail,
+                    password_hash: passwordHash,
+                    full_name: fullName ? fullName.trim() : null,
+                    is_admin: isAdmin,
+                    role: isAdmin ? 'owner' : null,
+                    email_verified: false,
+                    // Язык писем: из формы или из настроек браузера
+                    locale: resolveLocale(req.body.locale, req.headers['accept-language'])
+                });
+            } catch (error) {
+                // Имя успели занять между проверкой и созданием (race condition или повторная попытка)
+                if (error instanceof ConflictError) {
+                    return res.status(400).json({ 
+                        error: 'Пользователь с таким именем уже существует',
+                        message: 'Попробуйте другое имя пользователя или войдите в существующий аккаунт'
+                    });
+                }
+                console.error('Error creating user:', error);
+                throw error;
+            }
+
+            // Проверяем, есть ли активный временный код для этого email
+            const tempCode = await emailVerificationsRepo.findLatest({ email: cleanEmail, userId: null, purpose: CODE_PURPOSES.REGISTER });
+
+            let code, codeHash;
+
+            if (tempCode && new Date(tempCode.expires_at) > new Date()) {
+                // Используем существующий временный код
+                // Обновляем его, привязывая к user_id
+                try {
+                    await emailVerificationsRepo.update(tempCode.id, { user_id: user.id });
+                } catch (updateError) {
+                    console.error('Error updating temp code:', updateError);
+                    await usersRepo.delete(user.id);
+                    throw new Error('Ошибка при обновлении кода');
+                }
+
+                // Код уже был отправлен ранее, не отправляем повторно
+            } else {
+                // Генерируем новый код подтверждения
+                code = generateCode();
+                codeHash = await hashCode(code);
+
+                // Сохраняем код в таблицу email_verifications
+                try {
+                    await emailVerificationsRepo.create({
+                        user_id: user.id,
+                        email: cleanEmail,
+                        code_hash: codeHash,
+                        purpose: CODE_PURPOSES.REGISTER,
+                        expires_at: new Date(Date.now() + CODE_EXPIRY_MS).toISOString(),
+                        last_sent_at: new Date().toISOString()
+                    });
+                } catch (codeError) {
+                    console.error('Error saving verification code:', codeError);
+                    // Удаляем пользователя, если не удалось сохранить код
+                    await usersRepo.delete(user.id);
+                    throw new Error('Ошибка при создании кода подтверждения');
+                }
+
+                // Отправляем код на email
+                try {
+                    await emails.sendVerificationCode(cleanEmail, code, { locale: user.locale });
+                } catch (emailError) {
+                    console.error('Error sending email:', emailError);
+                    // Удаляем пользователя и код, если не удалось отправить email
+                    await emailVerificationsRepo.deleteWhere({ userId: user.id, purpose: CODE_PURPOSES.REGISTER });
+                    await usersRepo.delete(user.id);
+                    throw new Error('Ошибка при отправке кода подтверждения на email');
+                }
+            }
+
+            // Открываем сеанс для автоматического входа после подтверждения
+            const { token, refreshToken } = await sessions.start(user, req);
+
+            res.status(201).json({
+                success: true,
+                needsCodeConfirmation: true,
+                message: 'Код подтверждения отправлен на почту',
+                email: cleanEmail,
+                token: token, // Токен для автоматического входа после подтверждения
+                refreshToken,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    fullName: user.full_name,
+                    ...describeAccess(user),
+                    emailVerified: false
+                }
+            });
+
+        } catch (error) {
+            console.error('Registration error:', error);
+            console.error('Error details:', {
+                message: error.message,
+                code: error.code,
+                details: error.details,
+                hint: error.hint
+            });
+
+            // Улучшенная обработка ошибок
+            let statusCode = 500;
+            let errorMessage = 'Ошибка регистрации';
+
+            if (error.message?.includes('уже существует') || error.message?.includes('duplicate') || error.message?.includes('unique')) {
+                statusCode = 400;
+                errorMessage = 'Пользователь с таким именем уже существует';
+            } else if (error.message?.includes('проверке')) {
+                statusCode = 500;
+                errorMessage = 'Ошибка при проверке данных. Попробуйте позже.';
+            } else if (error.message?.includes('код')) {
+                statusCode = 500;
+                errorMessage = 'Ошибка при создании кода подтверждения';
+            } else if (error.message?.includes('email')) {
+                statusCode = 500;
+                errorMessage = 'Ошибка при отправке кода на email';
+            }
+
+            res.status(statusCode).json({ 
+                error: errorMessage,
+                message: error.message || 'Неизвестная ошибка'
+            });
+        }
+    });
+
+    // Отправка кода проверки email (до регистрации)
+    router.post('/send-email-code', async (req, res) => {
+        try {
+            const { email } = req.body;
+
+            if (!email) {
+                return res.status(400).json({ error: 'Требуется email' });
+            }
+
+            const cleanEmail = email.trim().toLowerCase();
+            console.log('[send-email-code] Processing email:', cleanEmail);
+
+            // Валидация email
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(cleanEmail)) {
+                return res.status(400).json({ error: 'Неверный формат email' });
+            }
+
+            // Проверяем, не зарегистрирован ли уже этот email
+            const [existingUser] = await usersRepo.findByEmail(cleanEmail);
+
+            if (existingUser) {
+                if (existingUser.email_verified) {
+                    return res.status(400).json({ error: 'Этот email уже зарегистрирован и подтверждён' });
+                }
+                // Если email зарегистрирован, но не подтверждён, используем существующую логику
+                return res.status(400).json({ error: 'Этот email уже зарегистрирован. Используйте повторную отправку кода.' });
+            }
+
+            // Проверяем последнюю отправку для этого email (временные коды)
+            const lastTemp = await emailVerificationsRepo.findLatest({ email: cleanEmail, userId: null, purpose: CODE_PURPOSES.REGISTER });
+
+            if (lastTemp && lastTemp.last_sent_at) {
+                const diff = Date.now() - new Date(lastTemp.last_sent_at).getTime();
+                if (diff < RESEND_COOLDOWN_MS) {
+                    const secondsLeft = Math.ceil((RESEND_COOLDOWN_MS - diff) / 1000);
+                    return res.status(429).json({
+                        error: 'Подождите перед повторной отправкой',
+                        message: `Подождите ${secondsLeft} секунд перед повторной отправкой`
+                    });
+                }
+            }
+
+            // Генерируем код
+            const code = generateCode();
+            const codeHash = await hashCode(code);
+            console.log('[send-email-code] Generated code for:', cleanEmail);
+
+            // Сохраняем временный код (без user_id, только email), старые временные коды удаляем
+            try {
+                await emailVerificationsRepo.deleteWhere({ email: cleanEmail, userId: null, purpose: CODE_PURPOSES.REGISTER });
+                await emailVerificationsRepo.create({
+                    email: cleanEmail,
+                    code_hash: codeHash,
+                    purpose: CODE_PURPOSES.REGISTER,
+                    expires_at: new Date(Date.now() + CODE_EXPIRY_MS).toISOString(),
+                    last_sent_at: new Date().toISOString()
+                });
+            } catch (insertError) {
+                console.error('[send-email-code] Error saving email verification code:', insertError);
+                return res.status(500).json({ 
+                    error: 'Ошибка при создании кода',
+                    message: insertError.message || 'Проверьте структуру таблицы email_verifications'
+                });
+            }
+
+            // Отправляем код
+            console.log('[send-email-code] Sending email to:', cleanEmail);
+            try {
+                await emails.sendVerificationCode(cleanEmail, code, {
+                    locale: resolveLocale(req.body.locale, req.headers['accept-language'])
+                });
+                console.log('[send-email-code] Email sent successfully');
+            } catch (emailError) {
+                console.error('[send-email-code] Error sending email:', emailError);
+                console.error('[send-email-code] Email error details:', JSON.stringify(emailError, null, 2));
+                // Удаляем сохранённый код, если не удалось отправить email
+                await emailVerificationsRepo.deleteWhere({ codeHash });
+
+                return res.status(500).json({ 
+                    error: 'Ошибка при отправке кода на email',
+                    message: emailError.message || 'Проверьте настройки Resend API'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Код подтверждения отправлен на почту'
+            });
+
+        } catch (error) {
+            console.error('[send-email-code] Unexpected error:', error);
+            console.error('[send-email-code] Error stack:', error.stack);
+            res.status(500).json({ 
+                error: 'Ошибка отправки кода',
+                message: error.message || 'Неизвестная ошибка'
+            });
+        }
+    });
+
+    // Подтверждение email кодом
+    router.post('/confirm-email', emailCodeAttempts, async (req, res) => {
+        try {
+            const { email, code } = req.body;
+
+            if (!email || !code) {
+                return res.status(400).json({ error: 'Требуются email и код' });
+            }
+
+            const cleanEmail = normalizeEmail(email);
+            const cleanCode = code.trim();
+
+            // Находим пользователя (нужны все поля для создания токена)
+            // С одним email может быть несколько аккаунтов, берём первый неподтверждённый
+            let users;
+            try {
+                users = await usersRepo.findByEmail(cleanEmail);
+            } catch (userError) {
+                console.error('[confirm-email] Error finding user:', userError);
+                return res.status(500).json({ 
+                    error: 'Ошибка при поиске пользователя',
+                    message: userError.message || 'Неизвестная ошибка'
+                });
+            }
+
+            const user = users.find(u => !u.email_verified) || users[0] || null;
+
+            if (!user) {
+                console.error('[confirm-email] User not found for email:', cleanEmail);
+                return res.status(404).json({ 
+                    error: 'Пользователь не найден',
+                    message: 'Пользователь с таким email не найден. Убедитесь, что вы правильно ввели email при регистрации.'
+                });
+            }
+
+            if (user.email_verified) {
+                return res.status(400).json({ error: 'Email уже подтверждён' });
+            }
+
+            // Находим последний код подтверждения: сначала по user_id, затем временный код по email
+            const record = await emailVerificationsRepo.findLatest({ userId: user.id, purpose: CODE_PURPOSES.REGISTER })
+                || await emailVerificationsRepo.findLatest({ email: cleanEmail, userId: null, purpose: CODE_PURPOSES.REGISTER });
+
+            if (!record) {
+                return res.status(400).json({ error: 'Код не найден. Запросите новый код.' });
+            }
+
+            // Проверяем срок действия
+            if (new Date(record.expires_at) < new Date()) {
+                return res.status(400).json({ error: 'Код истёк. Запросите новый код.' });
+            }
+
+            // Проверяем код
+            const check = await checkCode(emailVerificationsRepo, record, cleanCode);
+            if (!check.valid) {
+                req.attempts.fail();
+                return res.status(400).json(invalidCodeResponse(check));
+            }
+            req.attempts.succeed();
+
+            // Подтверждаем email
+            const updatedUser = await usersRepo.update(user.id, { email_verified: true });
+
+            // Код уже погашен, удаляем остальные коды регистрации (и по user_id, и временные по email)
+            await emailVerificationsRepo.deleteWhere({ userId: user.id, purpose: CODE_PURPOSES.REGISTER });
+            await emailVerificationsRepo.deleteWhere({ email: cleanEmail, userId: null, purpose: CODE_PURPOSES.REGISTER });
+
+            // Проверяем наличие необходимых полей для создания токена
+            if (!user.username) {
+                console.error('[confirm-email] User username is missing:', user);
+                return res.status(500).json({ 
+                    error: 'Ошибка: данные пользователя неполные',
+                    message: 'Отсутствует имя пользователя'
+                });
+            }
+
+            // Открываем сеанс для автоматического входа
+            const { token, refreshToken } = await sessions.start(user, req);
+
+            res.json({
+                success: true,
+                message: 'Email успешно подтверждён',
+                token: token,
+                refreshToken,
+                user: {
+                    id: updatedUser.id,
+                    username: updatedUser.username,
+                    email: updatedUser.email,
+                    fullName: updatedUser.full_name,
+                    ...describeAccess(updatedUser),
+                    emailVerified: updatedUser.email_verified
+                }
+            });
+
+        } catch (error) {
+            console.error('[confirm-email] Unexpected error:', error);
+            console.error('[confirm-email] Error stack:', error.stack);
+            console.error('[confirm-email] Error details:', JSON.stringify(error, null, 2));
+            res.status(500).json({ 
+                error: 'Ошибка подтверждения',
+                message: error.message || 'Неизвестная ошибка'
+            });
+        }
+    });
+
+    // Повторная отправка кода
+    router.post('/resend-code', async (req, res) => {
+        try {
+            const { email } = req.body;
+
+            if (!email) {
+                return res.status(400).json({ error: 'Требуется email' });
+            }
+
+            const cleanEmail = email.trim().toLowerCase();
+            console.log('[resend-code] Processing email:', cleanEmail);
+
+            // Находим пользователя
+            let users;
+            try {
+                users = await usersRepo.findByEmail(cleanEmail);
+            } catch (userError) {
+                console.error('[resend-code] Error finding user:', userError);
+                return res.status(500).json({ 
+                    error: 'Ошибка при поиске пользователя',
+                    message: userError.message
+                });
+            }
+
+            const user = users.find(u => !u.email_verified) || users[0] || null;
+
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            if (user.email_verified) {
+                return res.status(400).json({ error: 'Email уже подтверждён' });
+            }
+
+            // Проверяем последнюю отправку
+            let last;
+            try {
+                last = await emailVerificationsRepo.findLatest({ userId: user.id, purpose: CODE_PURPOSES.REGISTER });
+            } catch (lastError) {
+                console.error('[resend-code] Error checking last code:', lastError);
+                return res.status(500).json({ 
+                    error: 'Ошибка при проверке последнего кода',
+                    message: lastError.message
+                });
+            }
+
+            if (last && last.last_sent_at) {
+                const diff = Date.now() - new Date(last.last_sent_at).getTime();
+                if (diff < RESEND_COOLDOWN_MS) {
+                    const secondsLeft = Math.ceil((RESEND_COOLDOWN_MS - diff) / 1000);
+                    return res.status(429).json({
+                        error: 'Подождите перед повторной отправкой',
+                        message: `Подождите ${secondsLeft} секунд перед повторной отправкой`
+                    });
+                }
+
+                // Удаляем старый код
+                await emailVerificationsRepo.deleteWhere({ id: last.id });
+            }
+
+            // Генерируем новый код
+            const code = generateCode();
+            const codeHash = await hashCode(code);
+            console.log('[resend-code] Generated new code for user:', user.id);
+
+            // Сохраняем новый код
+            try {
+                await emailVerificationsRepo.create({
+                    user_id: user.id,
+                    email: cleanEmail,
+                    code_hash: codeHash,
+                    purpose: CODE_PURPOSES.REGISTER,
+                    expires_at: new Date(Date.now() + CODE_EXPIRY_MS).toISOString(),
+                    last_sent_at: new Date().toISOString()
+                });
+            } catch (insertError) {
+                console.error('[resend-code] Error saving new code:', insertError);
+                return res.status(500).json({ 
+                    error: 'Ошибка при создании нового кода',
+                    message: insertError.message || 'Проверьте структуру таблицы email_verifications'
+                });
+            }
+
+            // Отправляем код
+            console.log('[resend-code] Sending email to:', cleanEmail);
+            try {
+                await emails.sendVerificationCode(cleanEmail, code, { locale: user.locale });
+                console.log('[resend-code] Email sent successfully');
+            } catch (emailError) {
+                console.error('[resend-code] Error sending email:', emailError);
+                console.error('[resend-code] Email error details:', JSON.stringify(emailError, null, 2));
+                // Удаляем сохранённый код, если не удалось отправить email
+                await emailVerificationsRepo.deleteWhere({ codeHash });
+
+                return res.status(500).json({ 
+                    error: 'Ошибка при отправке кода на email',
+                    message: emailError.message || 'Проверьте настройки Resend API'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Новый код отправлен на почту'
+            });
+
+        } catch (error) {
+            console.error('[resend-code] Unexpected error:', error);
+            console.error('[resend-code] Error stack:', error.stack);
+            res.status(500).json({ 
+                error: 'Ошибка отправки кода',
+                message: error.message || 'Неизвестная ошибка'
+            });
+        }
+    });
+
+    // Вход
+    // Профили, в которые пытаются войти, в req.loginCandidates - до счётчика попыток,
+    // который считает по их id. По username - один профиль, по email - все профили этой почты
+    async function findLoginCandidates(req, res, next) {
+        const { username, email, password } = req.body;
+
+        // Валидация
+        const loginValue = username || email;
+        if (!loginValue || !password) {
+            return res.status(400).json({ error: 'Требуются username/email и password' });
+        }
+
+        if (typeof loginValue !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Неверный формат данных' });
+        }
+
+        const cleanValue = loginValue.trim();
+        const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cleanValue);
+
+        try {
+            req.loginCandidates = isEmail
+                ? await accounts.profilesFor(cleanValue)
+                : [await usersRepo.findByUsername(cleanValue)].filter(Boolean);
+        } catch (error) {
+            console.error('Login query error:', error);
+            return res.status(500).json({ error: 'Ошибка при поиске пользователя' });
+        }
+        req.loginValue = cleanValue;
+        next();
+    }
+
+    router.post('/login', findLoginCandidates, loginAttempts, async (req, res) => {
+        try {
+            const { password } = req.body;
+
+            // Проверка пароля (у аккаунтов, созданных через OAuth, его может не быть)
+            const matched = [];
+            for (const candidate of req.loginCandidates) {
+                if (candidate.password_hash && await bcrypt.compare(password, candidate.password_hash)) {
+                    matched.push(candidate);
+                }
+            }
+
+            if (matched.length === 0) {
+                req.attempts.fail();
+                return res.status(401).json({ error: 'Неверные учетные данные' });
+            }
+            req.attempts.succeed();
+
+            // Пароль подходит к нескольким профилям почты - пользователь выбирает, в какой войти
+            if (matched.length > 1) {
+                return res.json({
+                    profileSelectionRequired: true,
+                    selectionToken: accounts.createProfileSelection(matched),
+                    profiles: matched.map(toProfileSummary)
+                });
+            }
+
+            await completeLogin(matched[0], req, res);
+        } catch (error) {
+            console.error('Login error:', error);
+            res.status(500).json({ error: 'Ошибка входа' });
+        }
+    });
+
+    // Второй шаг входа по email: выбранный профиль из предложенных после пароля
+    router.post('/login/select-profile', async (req, res) => {
+        try {
+            const { selectionToken, userId } = req.body;
+
+            if (!accounts.canSelectProfile(selectionToken, userId)) {
+                return res.status(401).json({ error: 'Время на выбор профиля истекло, войдите снова', code: 'SELECTION_EXPIRED' });
+            }
+
+            const user = await usersRepo.findById(userId);
+            if (!user) {
+                return res.status(401).json({ error: 'Аккаунт не найден', code: 'ACCOUNT_NOT_FOUND' });
+            }
+
+            await completeLogin(user, req, res);
+        } catch (error) {
+            console.error('Select profile error:', error);
+            res.status(500).json({ error: 'Ошибка входа' });
+        }
+    });
+
+    // Проверка токена
+    router.get('/validate-token', authenticateToken, async (req, res) => {
+        try {
+            const user = await usersRepo.findById(req.user.id);
+
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            res.json({ 
+                valid: true, 
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    fullName: user.full_name,
+                    ...describeAccess(user),
+                    avatar_url: user.avatar_url,
+                    avatar_variants: user.avatar_variants || null,
+                    locale: user.locale
+                }
+            });
+        } catch (error) {
+            console.error('Validate token error:', error);
+            res.status(500).json({ error: 'Ошибка проверки токена' });
+        }
+    });
+
+    // Запрос кода для восстановления пароля
+    router.post('/forgot-password', async (req, res) => {
+        try {
+            const { email, userId } = req.body;
+
+            if (!email) {
+                return res.status(400).json({ error: 'Требуется email' });
+            }
+
+            const cleanEmail = email.trim().toLowerCase();
+
+            // Валидация email
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(cleanEmail)) {
+                return res.status(400).json({ error: 'Неверный формат email' });
+            }
+
+            // Находим все профили этой почты
+            let users;
+            try {
+                users = await accounts.profilesFor(cleanEmail);
+            } catch (usersError) {
+                console.error('Error finding users:', usersError);
+                return res.status(500).json({ error: 'Ошибка при поиске пользователей' });
+            }
+
+            if (users.length === 0) {
+                return res.status(404).json({ error: 'Аккаунт с таким email не найден' });
+            }
+
+            // Если несколько профилей и userId не передан, возвращаем список для выбора
+            if (users.length > 1 && !userId) {
+                return res.json({
+                    success: true,
+                    accounts: users.map(u => ({
+                        ...toProfileSummary(u),
+                        email: u.email
+                    }))
+                });
+            }
+
+            // Пароль сбрасывается у одного профиля: выбранного или единственного.
+            // Чужой userId не подменяется первым профилем почты
+            const targetUser = userId ? users.find(u => u.id === userId) : users[0];
+            if (!targetUser) {
+                return res.status(404).json({ error: 'Профиль не найден' });
+            }
+
+            // Проверяем последнюю отправку кода
+            const lastCode = await emailVerificationsRepo.findLatest({ userId: targetUser.id, email: cleanEmail, purpose: CODE_PURPOSES.PASSWORD_RESET });
+
+            if (lastCode && lastCode.last_sent_at) {
+                const diff = Date.now() - new Date(lastCode.last_sent_at).getTime();
+                if (diff < RESEND_COOLDOWN_MS) {
+                    const secondsLeft = Math.ceil((RESEND_COOLDOWN_MS - diff) / 1000);
+                    return res.status(429).json({
+                        error: 'Подождите перед повторной отправкой',
+                        message: `Подождите ${secondsLeft} секунд перед повторной отправкой`
+                    });
+                }
+
+                // Удаляем старый код
+                await emailVerificationsRepo.deleteWhere({ id: lastCode.id });
+            }
+
+            // Генерируем код
+            const code = generateCode();
+            const codeHash = await hashCode(code);
+
+            // Сохраняем код
+            try {
+                await emailVerificationsRepo.create({
+                    user_id: targetUser.id,
+                    email: cleanEmail,
+                    code_hash: codeHash,
+                    purpose: CODE_PURPOSES.PASSWORD_RESET,
+                    expires_at: new Date(Date.now() + CODE_EXPIRY_MS).toISOString(),
+                    last_sent_at: new Date().toISOString()
+                });
+            } catch (insertError) {
+                console.error('Error saving reset code:', insertError);
+                return res.status(500).json({ error: 'Ошибка при создании кода' });
+            }
+
+            // Отправляем код
+            try {
+                await emails.sendPasswordResetCode(cleanEmail, code, {
+                    locale: targetUser.locale,
+                    username: targetUser.username
+                });
+            } catch (emailError) {
+                console.error('Error sending email:', emailError);
+                await emailVerificationsRepo.deleteWhere({ codeHash });
+                return res.status(500).json({ error: 'Ошибка при отправке кода на email' });
+            }
+
+            res.json({
+                success: true,
+                message: 'Код подтверждения отправлен на email',
+                userId: targetUser.id
+            });
+
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({ error: 'Ошибка отправки кода' });
+        }
+    });
+
+    // Подтверждение смены пароля
+    router.post('/reset-password', resetCodeAttempts, async (req, res) => {
+        try {
+            const { email, userId, code, password } = req.body;
+
+            if (!email || !userId || !code) {
+                return res.status(400).json({ error: 'Требуются email, userId и код' });
+            }
+
+            const cleanEmail = normalizeEmail(email);
+            const cleanCode = code.trim();
+
+            // Если пароль = 'VERIFY_CODE_ONLY_TEMP', только проверяем код
+            const isCodeVerificationOnly = password === 'VERIFY_CODE_ONLY_TEMP';
+
+            // Валидация пароля (если не только проверка кода)
+            if (!isCodeVerificationOnly) {
+                if (!password) {
+                    return res.status(400).json({ error: 'Требуется пароль' });
+                }
+                // До проверки кода: иначе код погасится, а пароль так и не сменится
+                const account = await usersRepo.findById(userId);
+                const passwordError = validatePassword(password, { username: account?.username, email: cleanEmail });
+                if (passwordError) {
+                    return res.status(400).json(passwordError);
+                }
+            }
+
+            // Находим код подтверждения
+            const record = await emailVerificationsRepo.findLatest({ userId, email: cleanEmail, purpose: CODE_PURPOSES.PASSWORD_RESET });
+
+            if (!record) {
+                return res.status(400).json({ error: 'Код не найден' });
+            }
+
+            if (new Date(record.expires_at) < new Date()) {
+                return res.status(400).json({ error: 'Код истёк' });
+            }
+
+            const check = await checkCode(emailVerificationsRepo, record, cleanCode, {
+                consume: !isCodeVerificationOnly
+            });
+            if (!check.valid) {
+                req.attempts.fail();
+                return res.status(400).json(invalidCodeResponse(check));
+            }
+            req.attempts.succeed();
+
+            // Если только проверка кода - возвращаем success
+            if (isCodeVerificationOnly) {
+                return res.json({
+                    success: true,
+                    message: 'Код подтверждён'
+                });
+            }
+
+            // Обновляем пароль
+            const passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+            let updatedUser;
+            try {
+                updatedUser = await usersRepo.update(userId, { password_hash: passwordHash });
+            } catch (updateError) {
+                console.error('Error updating password:', updateError);
+                return res.status(500).json({ error: 'Ошибка при обновлении пароля' });
+            }
+
+            if (!updatedUser) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            // Пароль сменился - завершаем все прежние сеансы и открываем новый
+            await sessions.revokeAll(updatedUser.id);
+
+            // Код из письма заменяет только пароль, второй фактор по-прежнему нужен
+            if (isTwoFactorEnabled(updatedUser)) {
+                return res.json({
+                    success: true,
+                    message: 'Пароль успешно изменён',
+                    twoFactorRequired: true,
+                    challengeToken: twoFactor.createChallenge(updatedUser)
+                });
+            }
+
+            const { token, refreshToken } = await sessions.start(updatedUser, req);
+
+            res.json({
+                success: true,
+                message: 'Пароль успешно изменён',
+                token: token,
+                refreshToken,
+                user: {
+                    id: updatedUser.id,
+                    username: updatedUser.username,
+                    email: updatedUser.email,
+                    fullName: updatedUser.full_name,
+                    ...describeAccess(updatedUser),
+                    emailVerified: updatedUser.email_verified
+                }
+            });
+
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({ error: 'Ошибка смены пароля' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
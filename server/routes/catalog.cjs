@@ -0,0 +1,145 @@
+// server/routes/catalog.cjs - Публичный каталог: категории и товары
+const express = require('express');
+const { PRODUCTS_PER_PAGE, RELATED_PRODUCTS_LIMIT, PRODUCTS_BATCH_MAX_IDS } = require('../constants.cjs');
+const { toPublicProduct } = require('../lib/products.cjs');
+
+function createCatalogRouter({ repos, productsCache, productGallery }) {
+    const router = express.Router();
+    const { productsRepo, categoriesRepo, storageRepo } = repos;
+    // Публичные товары вместе с галереями (images)
+    const present = async products => (await productGallery.withImages(products))
+        .map(product => toPublicProduct(product, storageRepo));
+
+    // Получить все категории
+    router.get('/categories', async (req, res) => {
+        try {
+            const categories = await categoriesRepo.list();
+
+            res.json(categories);
+
+        } catch (error) {
+            console.error('Categories error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки категорий' });
+        }
+    });
+
+    // Получить все товары (с кэшированием и пагинацией)
+    router.get('/products', async (req, res) => {
+        try {
+            const { featured, page = 1, limit = PRODUCTS_PER_PAGE, ids } = req.query;
+
+            // Пакетный запрос: ?ids=1,2,3 (например, для синхронизации корзины)
+            if (ids !== undefined) {
+                const productIds = [...new Set(String(ids).split(',').map(id => parseInt(id)))];
+                if (productIds.length === 0 || productIds.some(id => isNaN(id))) {
+                    return res.status(400).json({ error: 'Неверный список ID товаров' });
+                }
+                if (productIds.length > PRODUCTS_BATCH_MAX_IDS) {
+                    return res.status(400).json({ error: `Можно запросить не более ${PRODUCTS_BATCH_MAX_IDS} товаров` });
+                }
+
+                const products = await productsRepo.findByIds(productIds);
+
+                return res.json({ products: await present(products) });
+            }
+
+            const isFeatured = featured === 'true';
+            const pageNum = parseInt(page);
+            const limitNum = parseInt(limit);
+            const offset = (pageNum - 1) * limitNum;
+
+            // Проверяем кэш
+            const cached = productsCache.get(isFeatured);
+            if (cached && pageNum === 1 && limitNum === PRODUCTS_PER_PAGE) {
+                // Возвращаем из кэша только если это первая страница с дефолтным лимитом
+                return res.json({
+                    products: cached.slice(0, limitNum),
+                    total: cached.length,
+                    page: pageNum,
+                    limit: limitNum,
+                    totalPages: Math.ceil(cached.length / limitNum),
+                    cached: true
+                });
+            }
+
+            const { products, total } = await productsRepo.list({
+                featured: isFeatured,
+                offset,
+                limit: limitNum
+            });
+
+            // Добавляем полные URL изображений
+            const productsWithImages = await present(products);
+
+            // Обновляем кэш только для первой страницы без пагинации
+            if (pageNum === 1 && limitNum === PRODUCTS_PER_PAGE) {
+                // Получаем все товары для кэша
+                const { products: allProducts } = await productsRepo.list({ featured: isFeatured });
+                productsCache.set(await present(allProducts), isFeatured);
+            }
+
+            res.json({
+                products: productsWithImages,
+                total,
+                page: pageNum,
+                limit: limitNum,
+                totalPages: Math.ceil(total / limitNum),
+                cached: false
+            });
+
+        } catch (error) {
+            console.error('Products error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки товаров' });
+        }
+    });
+
+    // Получить один товар по ID (публичный доступ)
+    router.get('/products/:id', async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            if (isNaN(productId)) {
+                return res.status(400).json({ error: 'Неверный ID товара' });
+            }
+
+            const product = await productsRepo.findById(productId);
+
+            if (!product) {
+                return res.status(404).json({ error: 'Товар не найден' });
+            }
+
+            // Категория хранится в товаре по имени, отдаём её объектом из таблицы categories
+            let category = null;
+            let related = [];
+
+            if (product.category) {
+                const categoryRow = await categoriesRepo.findByName(product.category);
+                category = categoryRow
+                    ? { id: categoryRow.id, name: categoryRow.name }
+                    : { id: null, name: product.category };
+
+                // Похожие товары — из той же категории, только в наличии
+                const relatedProducts = await productsRepo.findRelated({
+                    category: product.category,
+                    excludeId: productId,
+                    limit: RELATED_PRODUCTS_LIMIT
+                });
+                related = await present(relatedProducts);
+            }
+
+            const [publicProduct] = await present([product]);
+            res.json({
+                ...publicProduct,
+                category,
+                related
+            });
+
+        } catch (error) {
+            console.error('Get product error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки товара' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCatalogRouter };
@@ -0,0 +1,35 @@
+// server/routes/dev.cjs - Вспомогательные маршруты для разработки (не подключаются в production)
+const express = require('express');
+
+function createDevRouter({ mailer }) {
+    const router = express.Router();
+    const { transport } = mailer;
+
+    // Письма, отправленные через транспорт memory (новые первыми)
+    router.get('/dev/mailbox', (req, res) => {
+        if (typeof transport.list !== 'function') {
+            return res.status(404).json({
+                error: `Почтовый ящик доступен только с MAIL_TRANSPORT=memory (сейчас: ${transport.name})`
+            });
+        }
+
+        const { to } = req.query;
+        res.json({ messages: transport.list({ to: to ? String(to).trim().toLowerCase() : undefined }) });
+    });
+
+    // Очистить почтовый ящик
+    router.delete('/dev/mailbox', (req, res) => {
+        if (typeof transport.clear !== 'function') {
+            return res.status(404).json({
+                error: `Почтовый ящик доступен только с MAIL_TRANSPORT=memory (сейчас: ${transport.name})`
+            });
+        }
+
+        transport.clear();
+        res.json({ message: 'Почтовый ящик очищен' });
+    });
+
+    return router;
+}
+
+module.exports = { createDevRouter };
@@ -0,0 +1,79 @@
+// server/routes/mailPreview.cjs - Предпросмотр шаблонов писем для админов
+const express = require('express');
+const { CODE_EXPIRY_MS } = require('../constants.cjs');
+const {
+    TEMPLATE_NAMES,
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    renderEmail
+} = require('../mail/templates/index.cjs');
+const { PERMISSIONS } = require('../lib/roles.cjs');
+
+// Демо-данные для каждого шаблона
+const PREVIEW_DATA = {
+    verificationCode: { code: '123456', expiresInMinutes: CODE_EXPIRY_MS / 60000 },
+    passwordReset: { code: '123456', username: 'neon_rider', expiresInMinutes: CODE_EXPIRY_MS / 60000 },
+    emailChange: { code: '123456', newEmail: 'new@example.com', expiresInMinutes: CODE_EXPIRY_MS / 60000 },
+    orderConfirmation: {
+        username: 'neon_rider',
+        order: {
+            id: '3f2b8c1e-0000-4000-8000-000000000000',
+            total_amount: 10670,
+            shipping_address: 'Москва, Неоновая ул., 1',
+            items: [
+                { title: 'Худи NEON RED', quantity: 2, price: 4590 },
+                { title: 'Кепка Cyber', quantity: 1, price: 1490 }
+            ]
+        }
+    },
+    orderStatusChanged: {
+        username: 'neon_rider',
+        orderId: '3f2b8c1e-0000-4000-8000-000000000000',
+        status: 'shipped',
+        trackingNumber: 'RA123456789RU'
+    },
+    accountDeleted: { username: 'neon_rider' }
+};
+
+const PREVIEW_FORMATS = ['html', 'text', 'json'];
+
+function createMailPreviewRouter({ middleware }) {
+    const router = express.Router();
+    const { authenticateToken, requirePermission } = middleware;
+    const previewers = [authenticateToken, requirePermission(PERMISSIONS.EMAILS_PREVIEW)];
+
+    // Список шаблонов и языков
+    router.get('/admin/emails', previewers, (req, res) => {
+        res.json({ templates: TEMPLATE_NAMES, locales: SUPPORTED_LOCALES });
+    });
+
+    // Письмо с демо-данными: ?locale=ru|en&format=html|text|json
+    router.get('/admin/emails/:template/preview', previewers, (req, res) => {
+        const { template } = req.params;
+        const { locale = DEFAULT_LOCALE, format = 'html' } = req.query;
+
+        if (!TEMPLATE_NAMES.includes(template)) {
+            return res.status(404).json({ error: 'Шаблон не найден', templates: TEMPLATE_NAMES });
+        }
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            return res.status(400).json({ error: `Язык должен быть одним из: ${SUPPORTED_LOCALES.join(', ')}` });
+        }
+        if (!PREVIEW_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Формат должен быть одним из: ${PREVIEW_FORMATS.join(', ')}` });
+        }
+
+        const email = renderEmail(template, locale, PREVIEW_DATA[template]);
+
+        if (format === 'json') {
+            return res.json(email);
+        }
+        if (format === 'text') {
+            return res.type('text/plain').send(`${email.subject}\n\n${email.text}`);
+        }
+        res.type('html').send(email.html);
+    });
+
+    return router;
+}
+
+module.exports = { createMailPreviewRouter };
@@ -0,0 +1,275 @@
+// server/routes/oauth.cjs - Вход через внешних провайдеров и привязка их в профиле
+const express = require('express');
+const { isBanned } = require('../lib/users.cjs');
+const { describeAccess } = require('../lib/roles.cjs');
+const { isTwoFactorEnabled } = require('../lib/twoFactor.cjs');
+const { resolveLocale } = require('../mail/templates/index.cjs');
+const { FORM_BODY_LIMIT } = require('../constants.cjs');
+
+// Адрес возврата на фронтенд с параметрами результата
+function withParams(returnTo, params) {
+    const url = new URL(returnTo);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+}
+
+function createOAuthRouter({
+    repos,
+    sessions,
+    twoFactor,
+    oauthProviders,
+    oauthFlow,
+    oauthRedirectBaseUrl,
+    isAllowedOrigin,
+    requireStaffTwoFactor,
+    middleware
+}) {
+    const router = express.Router();
+    const { usersRepo, identitiesRepo } = repos;
+    const { authenticateToken } = middleware;
+
+    function findProvider(req, res) {
+        const provider = oauthProviders.get(req.params.provider);
+        if (!provider) {
+            res.status(404).json({ error: 'Провайдер входа не найден' });
+        }
+        return provider;
+    }
+
+    // Callback провайдера, например https://api.example.com/api/oauth/google/callback
+    function callbackUrl(req, provider) {
+        const base = oauthRedirectBaseUrl || `${req.protocol}://${req.get('host')}/api`;
+        return `${base.replace(/\/$/, '')}/oauth/${provider.name}/callback`;
+    }
+
+    // Привязка требует входа, обычный вход - нет
+    const authenticateForLink = (req, res, next) => {
+        if (req.body.mode === 'link') {
+            return authenticateToken(req, res, next);
+        }
+        next();
+    };
+
+    // Провайдеры для кнопок входа
+    router.get('/oauth/providers', (req, res) => {
+        res.json({ providers: oauthProviders.list() });
+    });
+
+    // Начало входа или привязки: адрес страницы провайдера
+    router.post('/oauth/:provider/start', authenticateForLink, async (req, res) => {
+        try {
+            const provider = findProvider(req, res);
+            if (!provider) return;
+
+            const { returnTo, binding, mode } = req.body;
+
+            if (typeof binding !== 'string' || binding.length < 16 || binding.length > 200) {
+                return res.status(400).json({ error: 'Неверный параметр binding' });
+            }
+
+            // Билет уходит только на свой фронтенд, иначе его можно было бы увести на чужой сайт.
+            // Превью-домены *.vercel.app может завести кто угодно, поэтому для возврата они не годятся
+            let returnUrl;
+            try {
+                returnUrl = new URL(returnTo);
+            } catch (err) {
+                returnUrl = null;
+            }
+            if (!returnUrl || !['http:', 'https:'].includes(returnUrl.protocol) || !isAllowedOrigin(returnUrl.origin, { allowPreviews: false })) {
+                return res.status(400).json({ error: 'Недопустимый адрес возврата' });
+            }
+
+            const authorizationUrl = await oauthFlow.start(provider, {
+                redirectUri: callbackUrl(req, provider),
+                returnTo: returnUrl.toString(),
+                binding,
+                linkUserId: mode === 'link' ? req.user.id : null
+            });
+
+            res.json({ authorizationUrl });
+        } catch (error) {
+            console.error('OAuth start error:', error);
+            res.status(500).json({ error: 'Провайдер входа недоступен' });
+        }
+    });
+
+    // Возврат от провайдера: браузер уходит на фронтенд с одноразовым билетом или кодом ошибки
+    router.get('/oauth/:provider/callback', async (req, res) => {
+        try {
+            const provider = findProvider(req, res);
+            if (!provider) return;
+
+            const { code, state, error } = req.query;
+
+            if (error || !code) {
+                const returnTo = oauthFlow.abort(provider, state);
+                if (!returnTo) {
+                    return res.status(400).send('Ссылка для входа устарела. Вернитесь в магазин и попробуйте снова.');
+                }
+                return res.redirect(withParams(returnTo, { oauth_error: 'ACCESS_DENIED' }));
+            }
+
+            const outcome = await oauthFlow.complete(provider, {
+                state,
+                code,
+                locale: resolveLocale(null, req.headers['accept-language'])
+            });
+            if (!outcome) {
+                return res.status(400).send('Ссылка для входа устарела. Вернитесь в магазин и попробуйте снова.');
+            }
+
+            res.redirect(withParams(outcome.returnTo, outcome.ticket
+                ? { oauth_ticket: outcome.ticket }
+                : { oauth_error: outcome.error }));
+        } catch (error) {
+            console.error('OAuth callback error:', error);
+            res.status(500).send('Ошибка входа через провайдера');
+        }
+    });
+
+    // Обмен билета на токены - тот же ответ, что и у POST /api/login
+    router.post('/oauth/exchange', async (req, res) => {
+        try {
+            const { ticket, binding } = req.body;
+
+            const result = typeof ticket === 'string' && typeof binding === 'string'
+                ? oauthFlow.redeem(ticket, binding)
+                : null;
+            if (!result) {
+                return res.status(400).json({ error: 'Вход устарел, попробуйте снова', code: 'TICKET_INVALID' });
+            }
+
+            if (result.type === 'linked') {
+                return res.json({ linked: true, provider: result.provider });
+            }
+
+            const user = await usersRepo.findById(result.userId);
+            if (!user) {
+                return res.status(401).json({ error: 'Аккаунт не найден', code: 'ACCOUNT_NOT_FOUND' });
+            }
+            if (isBanned(user)) {
+                return res.status(403).json({ error: 'Аккаунт заблокирован', code: 'ACCOUNT_BANNED' });
+            }
+
+            // Провайдер заменяет только пароль, второй фактор по-прежнему нужен
+            if (isTwoFactorEnabled(user)) {
+                return res.json({
+                    twoFactorRequired: true,
+                    challengeToken: twoFactor.createChallenge(user)
+                });
+            }
+
+            const { token, refreshToken } = await sessions.start(user, req);
+            const access = describeAccess(user);
+
+            res.json({
+                message: 'Вход выполнен',
+                token,
+                refreshToken,
+                created: result.created,
+                twoFactorSetupRequired: requireStaffTwoFactor && access.isAdmin,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    fullName: user.full_name,
+                    ...access
+                }
+            });
+        } catch (error) {
+            console.error('OAuth exchange error:', error);
+            res.status(500).json({ error: 'Ошибка входа' });
+        }
+    });
+
+    // Привязанные провайдеры пользователя
+    router.get('/oauth/identities', authenticateToken, async (req, res) => {
+        try {
+            const user = await usersRepo.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            const identities = await identitiesRepo.listByUser(user.id);
+            res.json({
+                identities: identities.map(identity => ({
+                    id: identity.id,
+                    provider: identity.provider,
+                    label: oauthProviders.get(identity.provider)?.label || identity.provider,
+                    email: identity.email,
+                    createdAt: identity.created_at
+                })),
+                hasPassword: Boolean(user.password_hash),
+                providers: oauthProviders.list()
+            });
+        } catch (error) {
+            console.error('Get identities error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки способов входа' });
+        }
+    });
+
+    // Отвязка провайдера; последний способ входа без пароля отвязать нельзя
+    router.delete('/oauth/identities/:id', authenticateToken, async (req, res) => {
+        try {
+            const user = await usersRepo.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            const identities = await identitiesRepo.listByUser(user.id);
+            const identity = identities.find(i => i.id === req.params.id);
+            if (!identity) {
+                return res.status(404).json({ error: 'Привязка не найдена' });
+            }
+
+            if (!user.password_hash && identities.length === 1) {
+                return res.status(400).json({
+                    error: 'Задайте пароль в профиле, прежде чем отвязывать последний способ входа',
+                    code: 'LAST_LOGIN_METHOD'
+                });
+            }
+
+            await identitiesRepo.delete(identity.id);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Delete identity error:', error);
+            res.status(500).json({ error: 'Ошибка отвязки' });
+        }
+    });
+
+    // Страница входа у провайдеров, которые обслуживает сам сервер (mock для разработки)
+    router.get('/oauth/:provider/authorize', (req, res) => {
+        const provider = oauthProviders.get(req.params.provider);
+        if (!provider || typeof provider.renderAuthorizePage !== 'function') {
+            return res.status(404).json({ error: 'Провайдер входа не найден' });
+        }
+        // Страница со встроенными стилями: общий CSP API запрещает их
+        res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'; base-uri 'none'");
+        res.type('html').send(provider.renderAuthorizePage(req.query));
+    });
+
+    router.post('/oauth/:provider/authorize', express.urlencoded({ extended: false, limit: FORM_BODY_LIMIT }), (req, res) => {
+        const provider = oauthProviders.get(req.params.provider);
+        if (!provider || typeof provider.authorize !== 'function') {
+            return res.status(404).json({ error: 'Провайдер входа не найден' });
+        }
+
+        const location = provider.authorize({
+            email: req.body.email,
+            name: req.body.name,
+            emailVerified: req.body.email_verified === 'true',
+            state: req.body.state,
+            nonce: req.body.nonce,
+            codeChallenge: req.body.code_challenge,
+            redirectUri: req.body.redirect_uri
+        });
+        if (!location) {
+            return res.status(400).json({ error: 'Недопустимый redirect_uri' });
+        }
+        res.redirect(location);
+    });
+
+    return router;
+}
+
+module.exports = { createOAuthRouter };
@@ -0,0 +1,270 @@
+// server/routes/orders.cjs - Заказы покупателя
+const express = require('express');
+
+// Ответ 409 PRICE_CHANGED: что изменилось и новая сумма заказа
+function priceChangedBody(changes, lines) {
+    return {
+        error: 'Цены на некоторые товары изменились',
+        code: 'PRICE_CHANGED',
+        changes,
+        total: Math.round(lines.reduce((sum, line) => sum + line.price * line.quantity, 0) * 100) / 100
+    };
+}
+
+function createOrdersRouter({ repos, orderNotifier, middleware }) {
+    const router = express.Router();
+    const { ordersRepo, productsRepo } = repos;
+    const { authenticateToken, idempotent } = middleware;
+
+    // Создать заказ
+    router.post('/orders', authenticateToken, idempotent, async (req, res) => {
+        try {
+            const { items, shippingAddress, paymentMethod } = req.body;
+
+            // Валидация
+            if (!Array.isArray(items) || items.length === 0) {
+                return res.status(400).json({ error: 'Корзина пуста' });
+            }
+
+            // Объединяем повторяющиеся позиции, клиенту доверяем только id и количество
+            const requested = new Map();
+            for (const item of items) {
+                const productId = parseInt(item && item.id);
+                const quantity = Number(item && item.quantity);
+                if (isNaN(productId) || !Number.isInteger(quantity) || quantity < 1) {
+                    return res.status(400).json({ error: 'Неверный состав заказа' });
+                }
+                const line = requested.get(productId) || { quantity: 0, clientPrice: undefined };
+                line.quantity += quantity;
+                if (item.price !== undefined) {
+                    line.clientPrice = Number(item.price);
+                }
+                requested.set(productId, line);
+            }
+
+            const productIds = [...requested.keys()];
+            const products = await productsRepo.findByIds(productIds);
+
+            const productsById = new Map(products.map(p => [p.id, p]));
+            const missingIds = productIds.filter(id => !productsById.has(id));
+            if (missingIds.length > 0) {
+                return res.status(400).json({
+                    error: 'Некоторые товары больше не продаются',
+                    code: 'PRODUCT_NOT_FOUND',
+                    productIds: missingIds
+                });
+            }
+
+            // Цены, суммы и остатки считаются только по данным из базы
+            const lines = [];
+            const shortages = [];
+            const priceChanges = [];
+            for (const [productId, { quantity, clientPrice }] of requested) {
+                const product = productsById.get(productId);
+                const price = parseFloat(product.price);
+
+                if (product.quantity < quantity) {
+                    shortages.push({
+                        id: productId,
+                        title: product.title,
+                        requested: quantity,
+                        available: product.quantity
+                    });
+                }
+                if (clientPrice === undefined || Math.round(clientPrice * 100) !== Math.round(price * 100)) {
+                    priceChanges.push({
+                        id: productId,
+                        title: product.title,
+                        quantity,
+                        oldPrice: clientPrice ?? null,
+                        newPrice: price
+                    });
+                }
+                lines.push({ productId, quantity, price });
+            }
+
+            if (shortages.length > 0) {
+                return res.status(409).json({
+                    error: 'Недостаточно товара на складе',
+                    code: 'OUT_OF_STOCK',
+                    productIds: shortages.map(shortage => shortage.id),
+                    items: shortages
+                });
+            }
+
+            if (priceChanges.length > 0) {
+                return res.status(409).json(priceChangedBody(priceChanges, lines));
+            }
+
+            // Заказ и списание остатков атомарны: либо резервируются все позиции, либо ни одной.
+            // Цены сверяются ещё раз под блокировкой товаров: заказ оформляется только по line.price
+            const { order, shortProductIds, changedPrices } = await ordersRepo.place({
+                userId: req.user.id,
+                lines,
+                shippingAddress,
+                paymentMethod
+            });
+
+            if (shortProductIds.length > 0) {
+                // Остаток успели выкупить между проверкой и резервированием
+                return res.status(409).json({
+                    error: 'Недостаточно товара на складе',
+                    code: 'OUT_OF_STOCK',
+                    productIds: shortProductIds
+                });
+            }
+
+            if (changedPrices.length > 0) {
+                // Цену изменили между проверкой и оформлением - покупатель подтверждает новую
+                const newPrices = new Map(changedPrices.map(change => [change.productId, change.price]));
+                const changes = lines
+                    .filter(line => newPrices.has(line.productId))
+                    .map(line => ({
+                        id: line.productId,
+                        title: productsById.get(line.productId).title,
+                        quantity: line.quantity,
+                        oldPrice: line.price,
+                        newPrice: newPrices.get(line.productId)
+                    }));
+                const currentLines = lines.map(line => ({
+                    ...line,
+                    price: newPrices.has(line.productId) ? newPrices.get(line.productId) : line.price
+                }));
+                return res.status(409).json(priceChangedBody(changes, currentLines));
+            }
+
+            // Письмо с составом заказа уходит в фоне, ответ его не ждёт.
+            // Состав и цены - из созданного заказа, а не из проверки выше
+            orderNotifier.orderPlaced(order, order.order_items.map(item => ({
+                title: item.products.title,
+                quantity: item.quantity,
+                price: parseFloat(item.price_at_time)
+            })));
+
+            res.status(201).json(order);
+
+        } catch (error) {
+            console.error('Create order error:', error);
+            res.status(500).json({ error: error.message || 'Ошибка создания заказа' });
+        }
+    });
+
+    // Получить заказы пользователя
+    router.get('/orders', authenticateToken, async (req, res) => {
+        try {
+            const orders = await ordersRepo.listByUser(req.user.id);
+
+            res.json(orders);
+
+        } catch (error) {
+            console.error('Orders error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки заказов' });
+        }
+    });
+
+    // Получить детальную информацию о заказе
+    router.get('/orders/:id', authenticateToken, async (req, res) => {
+        try {
+            const orderId = req.params.id;
+
+            const order = await ordersRepo.findByIdForUser(orderId, req.user.id);
+
+            if (!order) {
+                return res.status(404).json({ error: 'Заказ не найден' });
+            }
+
+            res.json(order);
+
+        } catch (error) {
+            console.error('Order details error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки заказа' });
+        }
+    });
+
+    // Обновить заказ (адрес, время доставки)
+    router.put('/orders/:id', authenticateToken, async (req, res) => {
+        try {
+            const orderId = req.params.id;
+            const { shipping_address, delivery_time } = req.body;
+
+            // Проверяем, что заказ принадлежит пользователю
+            const existingOrder = await ordersRepo.findById(orderId);
+
+            if (!existingOrder) {
+                return res.status(404).json({ error: 'Заказ не найден' });
+            }
+
+            if (existingOrder.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Нет доступа к этому заказу' });
+            }
+
+            // Можно обновлять только если заказ в статусе pending
+            if (existingOrder.status !== 'pending') {
+                return res.status(400).json({ error: 'Можно изменять только заказы со статусом "pending"' });
+            }
+
+            const updates = {};
+            if (shipping_address !== undefined) {
+                updates.shipping_address = shipping_address;
+            }
+            if (delivery_time !== undefined) {
+                updates.delivery_time = delivery_time;
+            }
+
+            if (Object.keys(updates).length === 0) {
+                return res.status(400).json({ error: 'Нет данных для обновления' });
+            }
+
+            const updatedOrder = await ordersRepo.update(orderId, updates);
+
+            res.json(updatedOrder);
+
+        } catch (error) {
+            console.error('Update order error:', error);
+            res.status(500).json({ error: 'Ошибка обновления заказа' });
+        }
+    });
+
+    // Отменить заказ
+    router.delete('/orders/:id', authenticateToken, async (req, res) => {
+        try {
+            const orderId = req.params.id;
+
+            // Проверяем, что заказ принадлежит пользователю
+            const existingOrder = await ordersRepo.findById(orderId);
+
+            if (!existingOrder) {
+                return res.status(404).json({ error: 'Заказ не найден' });
+            }
+
+            if (existingOrder.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Нет доступа к этому заказу' });
+            }
+
+            // Можно отменять только если заказ в статусе pending
+            if (existingOrder.status !== 'pending') {
+                return res.status(400).json({ error: 'Можно отменять только заказы со статусом "pending"' });
+            }
+
+            // Возврат товаров на склад и смена статуса атомарны, симметрично ordersRepo.place
+            const cancelledOrder = await ordersRepo.cancel(orderId);
+
+            if (!cancelledOrder) {
+                // Статус успел измениться после проверки выше
+                return res.status(400).json({ error: 'Можно отменять только заказы со статусом "pending"' });
+            }
+
+            orderNotifier.statusChanged(cancelledOrder, { cancelledByCustomer: true });
+
+            res.json({ success: true, message: 'Заказ отменён', order: cancelledOrder });
+
+        } catch (error) {
+            console.error('Cancel order error:', error);
+            res.status(500).json({ error: 'Ошибка отмены заказа' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createOrdersRouter };
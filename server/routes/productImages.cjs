@@ -0,0 +1,202 @@
+// server/routes/productImages.cjs - Галерея товара в админке: добавить, подписать, выбрать главное,
+// упорядочить и удалить изображения. Каждый маршрут отвечает галереей целиком: { images }
+const crypto = require('crypto');
+const express = require('express');
+const { PERMISSIONS } = require('../lib/roles.cjs');
+const { storeImage, variantPaths } = require('../lib/images.cjs');
+const { toPublicImage } = require('../lib/productImages.cjs');
+const { acceptImage } = require('../middleware/imageUpload.cjs');
+const { PRODUCT_IMAGES_MAX, PRODUCT_IMAGE_ALT_MAX_LENGTH } = require('../constants.cjs');
+
+// Подпись изображения: строка не длиннее PRODUCT_IMAGE_ALT_MAX_LENGTH; null - подпись неверна
+function parseAlt(alt) {
+    if (typeof alt !== 'string' || alt.trim().length > PRODUCT_IMAGE_ALT_MAX_LENGTH) {
+        return null;
+    }
+    return alt.trim();
+}
+
+function createProductImagesRouter({ repos, productsCache, productGallery, middleware }) {
+    const router = express.Router();
+    const { productsRepo, storageRepo } = repos;
+    const { authenticateToken, requirePermission } = middleware;
+    const catalogReaders = [authenticateToken, requirePermission(PERMISSIONS.CATALOG_READ)];
+    const catalogWriters = [authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE)];
+    const altError = `Подпись изображения - строка не длиннее ${PRODUCT_IMAGE_ALT_MAX_LENGTH} символов`;
+    const tooManyImages = {
+        error: `В галерее товара не больше ${PRODUCT_IMAGES_MAX} изображений`,
+        code: 'TOO_MANY_IMAGES'
+    };
+
+    // Товар из :id в req.productId; до разбора multipart, чтобы файл для чужого id не читался
+    async function loadProduct(req, res, next) {
+        try {
+            const productId = parseInt(req.params.id);
+            if (isNaN(productId)) {
+                return res.status(400).json({ error: 'Неверный ID товара' });
+            }
+            if (!await productsRepo.findById(productId)) {
+                return res.status(404).json({ error: 'Товар не найден' });
+            }
+            req.productId = productId;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    function sendGallery(res, images) {
+        res.json({ images: images.map(image => toPublicImage(image, storageRepo)) });
+    }
+
+    // Галерея товара
+    router.get('/admin/products/:id/images', catalogReaders, loadProduct, async (req, res) => {
+        try {
+            sendGallery(res, await productGallery.list(req.productId));
+        } catch (error) {
+            console.error('Product images error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки галереи' });
+        }
+    });
+
+    // Добавить изображение в конец галереи; поля формы: image, alt, is_primary
+    router.post('/admin/products/:id/images', catalogWriters, loadProduct, acceptImage('image'), async (req, res) => {
+        try {
+            const productId = req.productId;
+            const alt = parseAlt(req.body.alt === undefined ? '' : req.body.alt);
+            if (alt === null) {
+                return res.status(400).json({ error: altError });
+            }
+            // Заранее, чтобы не сохранять файл зря; окончательно места проверяет productGallery.add
+            if ((await productGallery.list(productId)).length >= PRODUCT_IMAGES_MAX) {
+                return res.status(400).json(tooManyImages);
+            }
+
+            let image;
+            try {
+                image = await storeImage(storageRepo, {
+                    folder: 'products',
+                    // Случайный суффикс: параллельные загрузки в одну миллисекунду не должны делить имя
+                    baseName: `product_${productId}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+                    file: req.file
+                });
+            } catch (uploadError) {
+                console.error('Storage upload error:', uploadError);
+                return res.status(500).json({
+                    error: 'Ошибка загрузки в хранилище',
+                    details: uploadError.message
+                });
+            }
+
+            // Изображение не попало в галерею - его файлы никому не нужны
+            const removeFiles = () => storageRepo.remove([image.path, ...variantPaths(image.variants, storageRepo)]);
+            let images;
+            try {
+                images = await productGallery.add(productId, {
+                    image_path: image.path,
+                    image_variants: image.variants,
+                    alt,
+                    primary: req.body.is_primary === 'true'
+                });
+            } catch (saveError) {
+                await removeFiles();
+                throw saveError;
+            }
+            // Галерею успели заполнить параллельные загрузки
+            if (!images) {
+                await removeFiles();
+                return res.status(400).json(tooManyImages);
+            }
+
+            productsCache.clear();
+            res.status(201);
+            sendGallery(res, images);
+        } catch (error) {
+            console.error('Add product image error:', error);
+            res.status(500).json({ error: 'Ошибка добавления изображения' });
+        }
+    });
+
+    // Новый порядок галереи: { ids } - все id изображений товара по порядку
+    router.put('/admin/products/:id/images/order', catalogWriters, loadProduct, async (req, res) => {
+        try {
+            const { ids } = req.body;
+            if (!Array.isArray(ids) || !ids.every(Number.isInteger)) {
+                return res.status(400).json({ error: 'Передайте список ID изображений' });
+            }
+
+            const images = await productGallery.reorder(req.productId, ids);
+            if (!images) {
+                return res.status(400).json({ error: 'Список должен содержать все изображения товара по одному разу' });
+            }
+
+            productsCache.clear();
+            sendGallery(res, images);
+        } catch (error) {
+            console.error('Reorder product images error:', error);
+            res.status(500).json({ error: 'Ошибка изменения порядка изображений' });
+        }
+    });
+
+    // Подпись и выбор главного: { alt, is_primary: true }
+    router.put('/admin/products/:id/images/:imageId', catalogWriters, loadProduct, async (req, res) => {
+        try {
+            const imageId = parseInt(req.params.imageId);
+            if (isNaN(imageId)) {
+                return res.status(400).json({ error: 'Неверный ID изображения' });
+            }
+
+            const { alt, is_primary } = req.body;
+            const changes = {};
+            if (alt !== undefined) {
+                changes.alt = parseAlt(alt);
+                if (changes.alt === null) {
+                    return res.status(400).json({ error: altError });
+                }
+            }
+            // Снять отметку нельзя: у галереи всегда есть главное изображение
+            if (is_primary !== undefined) {
+                if (is_primary !== true) {
+                    return res.status(400).json({ error: 'Выберите другое главное изображение вместо этого' });
+                }
+                changes.primary = true;
+            }
+
+            const images = await productGallery.update(req.productId, imageId, changes);
+            if (!images) {
+                return res.status(404).json({ error: 'Изображение не найдено' });
+            }
+
+            productsCache.clear();
+            sendGallery(res, images);
+        } catch (error) {
+            console.error('Update product image error:', error);
+            res.status(500).json({ error: 'Ошибка изменения изображения' });
+        }
+    });
+
+    // Удалить изображение вместе с файлами
+    router.delete('/admin/products/:id/images/:imageId', catalogWriters, loadProduct, async (req, res) => {
+        try {
+            const imageId = parseInt(req.params.imageId);
+            if (isNaN(imageId)) {
+                return res.status(400).json({ error: 'Неверный ID изображения' });
+            }
+
+            const images = await productGallery.remove(req.productId, imageId);
+            if (!images) {
+                return res.status(404).json({ error: 'Изображение не найдено' });
+            }
+
+            productsCache.clear();
+            sendGallery(res, images);
+        } catch (error) {
+            console.error('Delete product image error:', error);
+            res.status(500).json({ error: 'Ошибка удаления изображения' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createProductImagesRouter };
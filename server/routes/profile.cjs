@@ -0,0 +1,336 @@
+// server/routes/profile.cjs - Профиль пользователя: данные, смена email, удаление аккаунта
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { RESEND_COOLDOWN_MS, CODE_EXPIRY_MS, BCRYPT_SALT_ROUNDS } = require('../constants.cjs');
+const { CODE_PURPOSES, generateCode, hashCode, checkCode, invalidCodeResponse } = require('../lib/email.cjs');
+const { ConflictError } = require('../data/errors.cjs');
+const { SUPPORTED_LOCALES } = require('../mail/templates/index.cjs');
+const { describeAccess } = require('../lib/roles.cjs');
+const { validatePassword } = require('../lib/passwordPolicy.cjs');
+
+function createProfileRouter({ repos, sessions, emails, mailQueue, userCache, accounts, middleware }) {
+    const router = express.Router();
+    const { usersRepo, emailVerificationsRepo } = repos;
+    const { authenticateToken, limitAttempts } = middleware;
+    const emailChangeAttempts = limitAttempts('confirm-email-change', req => req.user.id);
+    const passwordChangeAttempts = limitAttempts('change-password', req => req.user.id);
+
+    // Обновление профиля. Новый пароль - только с текущим (если он задан), остальные сеансы
+    // после смены пароля завершаются
+    router.put('/profile', authenticateToken, passwordChangeAttempts, async (req, res) => {
+        try {
+            const { username, email, fullName, password, currentPassword, locale } = req.body;
+            const userId = req.user.id;
+
+            const updates = {};
+
+            if (username !== undefined) {
+                if (typeof username !== 'string' || username.trim().length < 3 || username.trim().length > 50) {
+                    return res.status(400).json({ error: 'Имя пользователя должно быть от 3 до 50 символов' });
+                }
+
+                const cleanUsername = username.trim();
+
+                // Проверка на существование
+                const existing = await usersRepo.findByUsername(cleanUsername);
+
+                if (existing && existing.id !== userId) {
+                    return res.status(400).json({ error: 'Имя пользователя уже занято' });
+                }
+
+                updates.username = cleanUsername;
+            }
+
+            if (email !== undefined) {
+                // Смена email требует подтверждения через код, обрабатывается отдельным endpoint
+                return res.status(400).json({ error: 'Для смены email используйте /api/profile/change-email' });
+            }
+
+            if (fullName !== undefined) {
+                if (fullName === null || fullName === '') {
+                    updates.full_name = null;
+                } else if (typeof fullName === 'string' && fullName.trim().length <= 100) {
+                    updates.full_name = fullName.trim() || null;
+                } else {
+                    return res.status(400).json({ error: 'Полное имя должно быть до 100 символов' });
+                }
+            }
+
+            if (password !== undefined) {
+                const account = await usersRepo.findById(userId);
+                if (!account) {
+                    return res.status(404).json({ error: 'Пользователь не найден' });
+                }
+
+                // Без пароля (аккаунт через провайдера) пароль задаётся впервые, проверять нечего
+                if (account.password_hash) {
+                    if (!currentPassword || typeof currentPassword !== 'string') {
+                        return res.status(400).json({ error: 'Введите текущий пароль', code: 'CURRENT_PASSWORD_REQUIRED' });
+                    }
+                    if (!await bcrypt.compare(currentPassword, account.password_hash)) {
+                        req.attempts.fail();
+                        return res.status(401).json({ error: 'Неверный текущий пароль', code: 'WRONG_PASSWORD' });
+                    }
+                    req.attempts.succeed();
+                }
+
+                const passwordError = validatePassword(password, {
+                    username: updates.username || account.username,
+                    email: account.email
+                });
+                if (passwordError) {
+                    return res.status(400).json(passwordError);
+                }
+
+                const passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+                updates.password_hash = passwordHash;
+            }
+
+            // Язык писем
+            if (locale !== undefined) {
+                if (!SUPPORTED_LOCALES.includes(locale)) {
+                    return res.status(400).json({ error: `Язык должен быть одним из: ${SUPPORTED_LOCALES.join(', ')}` });
+                }
+                updates.locale = locale;
+            }
+
+            if (Object.keys(updates).length === 0) {
+                return res.status(400).json({ error: 'Нет данных для обновления' });
+            }
+
+            let updatedUser;
+            try {
+                updatedUser = await usersRepo.update(userId, updates);
+                userCache.invalidate(userId);
+            } catch (error) {
+                // Имя заняли между проверкой и обновлением
+                if (error instanceof ConflictError) {
+                    return res.status(400).json({ error: 'Имя пользователя уже занято' });
+                }
+                throw error;
+            }
+
+            if (!updatedUser) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            // Сеансы, открытые со старым паролем (возможно, не владельцем), больше не действуют
+            if (updates.password_hash) {
+                await sessions.revokeAll(userId, { exceptId: req.sessionId });
+            }
+
+            res.json({
+                message: 'Профиль обновлен',
+                user: {
+                    id: updatedUser.id,
+                    username: updatedUser.username,
+                    email: updatedUser.email,
+                    fullName: updatedUser.full_name,
+                    ...describeAccess(updatedUser),
+                    avatar_url: updatedUser.avatar_url,
+                    avatar_variants: updatedUser.avatar_variants || null,
+                    locale: updatedUser.locale
+                }
+            });
+        } catch (error) {
+            console.error('Update profile error:', error);
+            res.status(500).json({ error: 'Ошибка обновления профиля' });
+        }
+    });
+
+    // Отправка кода для смены email
+    router.post('/profile/change-email', authenticateToken, async (req, res) => {
+        try {
+            const { email } = req.body;
+            const userId = req.user.id;
+
+            if (!email) {
+                return res.status(400).json({ error: 'Требуется email' });
+            }
+
+            const cleanEmail = email.trim().toLowerCase();
+
+            // Валидация email
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(cleanEmail)) {
+                return res.status(400).json({ error: 'Неверный формат email' });
+            }
+
+            // Владелец почты может перенести на неё ещё один профиль - код придёт на эту почту.
+            // В режиме «один аккаунт на email» занятая почта недоступна
+            if (!await accounts.isEmailAvailable(cleanEmail, { exceptUserId: userId })) {
+                return res.status(409).json({ error: 'Этот email уже используется другим пользователем', code: 'EMAIL_TAKEN' });
+            }
+
+            // Проверяем последнюю отправку кода для смены email
+            const lastCode = await emailVerificationsRepo.findLatest({ userId, email: cleanEmail, purpose: CODE_PURPOSES.EMAIL_CHANGE });
+
+            if (lastCode && lastCode.last_sent_at) {
+                const diff = Date.now() - new Date(lastCode.last_sent_at).getTime();
+                if (diff < RESEND_COOLDOWN_MS) {
+                    const secondsLeft = Math.ceil((RESEND_COOLDOWN_MS - diff) / 1000);
+                    return res.status(429).json({
+                        error: 'Подождите перед повторной отправкой',
+                        message: `Подождите ${secondsLeft} секунд перед повторной отправкой`
+                    });
+                }
+
+                // Удаляем старый код
+                await emailVerificationsRepo.deleteWhere({ id: lastCode.id });
+            }
+
+            // Генерируем код
+            const code = generateCode();
+            const codeHash = await hashCode(code);
+
+            // Сохраняем код для смены email
+            try {
+                await emailVerificationsRepo.create({
+                    user_id: userId,
+                    email: cleanEmail,
+                    code_hash: codeHash,
+                    purpose: CODE_PURPOSES.EMAIL_CHANGE,
+                    expires_at: new Date(Date.now() + CODE_EXPIRY_MS).toISOString(),
+                    last_sent_at: new Date().toISOString()
+                });
+            } catch (insertError) {
+                console.error('Error saving email change code:', insertError);
+                return res.status(500).json({ error: 'Ошибка при создании кода' });
+            }
+
+            // Отправляем код на новый адрес, на языке пользователя
+            try {
+                const user = await usersRepo.findById(userId);
+                await emails.sendEmailChangeCode(cleanEmail, code, { locale: user && user.locale });
+            } catch (emailError) {
+                console.error('Error sending email:', emailError);
+                await emailVerificationsRepo.deleteWhere({ codeHash });
+                return res.status(500).json({ error: 'Ошибка при отправке кода на email' });
+            }
+
+            res.json({
+                success: true,
+                message: 'Код подтверждения отправлен на новый email'
+            });
+
+        } catch (error) {
+            console.error('Change email error:', error);
+            res.status(500).json({ error: 'Ошибка отправки кода' });
+        }
+    });
+
+    // Подтверждение смены email
+    router.post('/profile/confirm-email-change', authenticateToken, emailChangeAttempts, async (req, res) => {
+        try {
+            const { email, code } = req.body;
+            const userId = req.user.id;
+
+            if (!email || !code) {
+                return res.status(400).json({ error: 'Требуются email и код' });
+            }
+
+            const cleanEmail = email.trim().toLowerCase();
+            const cleanCode = code.trim();
+
+            // Находим код подтверждения
+            const record = await emailVerificationsRepo.findLatest({ userId, email: cleanEmail, purpose: CODE_PURPOSES.EMAIL_CHANGE });
+
+            if (!record) {
+                return res.status(400).json({ error: 'Код не найден' });
+            }
+
+            if (new Date(record.expires_at) < new Date()) {
+                return res.status(400).json({ error: 'Код истёк' });
+            }
+
+            const check = await checkCode(emailVerificationsRepo, record, cleanCode);
+            if (!check.valid) {
+                req.attempts.fail();
+                return res.status(400).json(invalidCodeResponse(check));
+            }
+            req.attempts.succeed();
+
+            // Режим могли переключить на strict, пока письмо шло
+            if (!await accounts.isEmailAvailable(cleanEmail, { exceptUserId: userId })) {
+                return res.status(409).json({ error: 'Этот email уже используется другим пользователем', code: 'EMAIL_TAKEN' });
+            }
+
+            // Обновляем email
+            let updatedUser;
+            try {
+                updatedUser = await usersRepo.update(userId, {
+                    email: cleanEmail,
+                    email_verified: true
+                });
+                userCache.invalidate(userId);
+            } catch (updateError) {
+                console.error('Error updating email:', updateError);
+                return res.status(500).json({ error: 'Ошибка при обновлении email' });
+            }
+
+            if (!updatedUser) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            res.json({
+                success: true,
+                message: 'Email успешно изменён',
+                user: {
+                    id: updatedUser.id,
+                    username: updatedUser.username,
+                    email: updatedUser.email,
+                    fullName: updatedUser.full_name,
+                    ...describeAccess(updatedUser),
+                    emailVerified: updatedUser.email_verified
+                }
+            });
+
+        } catch (error) {
+            console.error('Confirm email change error:', error);
+            res.status(500).json({ error: 'Ошибка подтверждения смены email' });
+        }
+    });
+
+    // Удаление аккаунта
+    router.delete('/profile', authenticateToken, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const { password } = req.body;
+
+            // Проверка пароля
+            if (!password) {
+                return res.status(400).json({ error: 'Пароль обязателен для подтверждения' });
+            }
+
+            // Получаем пользователя из базы данных
+            const user = await usersRepo.findById(userId);
+
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            // Проверяем пароль
+            const isValidPassword = Boolean(user.password_hash) && await bcrypt.compare(password, user.password_hash);
+
+            if (!isValidPassword) {
+                return res.status(401).json({ error: 'Неверный пароль' });
+            }
+
+            // Удаляем пользователя из базы данных
+            await usersRepo.delete(userId);
+            userCache.invalidate(userId);
+
+            // Письмо-уведомление уходит в фоне и не мешает удалению
+            mailQueue.enqueue(`accountDeleted:${userId}`, () => emails.sendAccountDeleted(user));
+
+            res.json({ message: 'Аккаунт удален' });
+        } catch (error) {
+            console.error('Delete account error:', error);
+            res.status(500).json({ error: 'Ошибка удаления аккаунта' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createProfileRouter };
@@ -0,0 +1,104 @@
+// server/routes/sessions.cjs - Обновление токенов, выход и управление сеансами («выйти на других устройствах»)
+const express = require('express');
+const { toPublicSession } = require('../lib/sessions.cjs');
+const { describeAccess } = require('../lib/roles.cjs');
+
+function createSessionsRouter({ sessions, middleware }) {
+    const router = express.Router();
+    const { authenticateToken } = middleware;
+
+    // Обмен refresh-токена на новую пару токенов
+    router.post('/token/refresh', async (req, res) => {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken || typeof refreshToken !== 'string') {
+                return res.status(400).json({ error: 'Требуется refreshToken' });
+            }
+
+            const result = await sessions.refresh(refreshToken, req);
+            if (!result) {
+                return res.status(401).json({ error: 'Сеанс истёк, войдите снова', code: 'REFRESH_INVALID' });
+            }
+
+            res.json({
+                token: result.token,
+                // null - токен уже обновлён параллельным запросом, клиент оставляет свой
+                refreshToken: result.refreshToken,
+                user: {
+                    id: result.user.id,
+                    username: result.user.username,
+                    email: result.user.email,
+                    fullName: result.user.full_name,
+                    ...describeAccess(result.user),
+                    avatar_url: result.user.avatar_url,
+                    avatar_variants: result.user.avatar_variants || null,
+                    locale: result.user.locale
+                }
+            });
+        } catch (error) {
+            console.error('Refresh token error:', error);
+            res.status(500).json({ error: 'Ошибка обновления токена' });
+        }
+    });
+
+    // Выход: отзывает сеанс по refresh-токену, access-токен к этому моменту может уже истечь
+    router.post('/logout', async (req, res) => {
+        try {
+            const { refreshToken } = req.body;
+
+            if (refreshToken && typeof refreshToken === 'string') {
+                await sessions.revokeByRefreshToken(refreshToken);
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Logout error:', error);
+            res.status(500).json({ error: 'Ошибка выхода' });
+        }
+    });
+
+    // Активные сеансы пользователя, текущий помечен current: true
+    router.get('/sessions', authenticateToken, async (req, res) => {
+        try {
+            const list = await sessions.list(req.user.id);
+            res.json({ sessions: list.map(session => toPublicSession(session, req.sessionId)) });
+        } catch (error) {
+            console.error('Get sessions error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки сеансов' });
+        }
+    });
+
+    // Выйти на всех устройствах, кроме текущего
+    router.delete('/sessions', authenticateToken, async (req, res) => {
+        try {
+            const revoked = await sessions.revokeAll(req.user.id, { exceptId: req.sessionId });
+            res.json({ success: true, revoked });
+        } catch (error) {
+            console.error('Revoke sessions error:', error);
+            res.status(500).json({ error: 'Ошибка завершения сеансов' });
+        }
+    });
+
+    // Завершить один сеанс
+    router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+        try {
+            const list = await sessions.list(req.user.id);
+            const session = list.find(s => s.id === req.params.id);
+
+            if (!session) {
+                return res.status(404).json({ error: 'Сеанс не найден' });
+            }
+
+            await sessions.revoke(session.id);
+            res.json({ success: true, current: session.id === req.sessionId });
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({ error: 'Ошибка завершения сеанса' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSessionsRouter };
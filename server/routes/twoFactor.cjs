@@ -0,0 +1,213 @@
+// server/routes/twoFactor.cjs - Двухфакторная аутентификация: второй шаг входа и настройка в профиле
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { isBanned } = require('../lib/users.cjs');
+const { describeAccess } = require('../lib/roles.cjs');
+const { isTwoFactorEnabled } = require('../lib/twoFactor.cjs');
+
+function createTwoFactorRouter({ repos, sessions, twoFactor, userCache, requireStaffTwoFactor, middleware }) {
+    const router = express.Router();
+    const { usersRepo } = repos;
+    const { authenticateToken, limitAttempts } = middleware;
+
+    // Подбор кода считается по аккаунту из промежуточного токена, подбор подтверждения в профиле - по пользователю
+    const loginCodeAttempts = limitAttempts('login-2fa', req => twoFactor.readChallenge(req.body.challengeToken));
+    const confirmAttempts = limitAttempts('2fa-password', req => req.user.id);
+
+    // Подтверждение перед отключением 2FA и выпуском новых резервных кодов: паролем,
+    // а у аккаунта без пароля (вход только через провайдера) - свежим кодом из приложения
+    async function confirmIdentity(req, res) {
+        const user = await usersRepo.findById(req.user.id);
+        if (!user) {
+            res.status(404).json({ error: 'Пользователь не найден' });
+            return null;
+        }
+
+        if (!user.password_hash) {
+            const { code } = req.body;
+            if (!code || typeof code !== 'string') {
+                res.status(400).json({ error: 'Введите код из приложения' });
+                return null;
+            }
+            if (!isTwoFactorEnabled(user)) {
+                res.status(400).json({ error: 'Двухфакторная аутентификация не включена' });
+                return null;
+            }
+            if (!await twoFactor.verifyTotp(user, code)) {
+                req.attempts.fail();
+                res.status(401).json({ error: 'Неверный код' });
+                return null;
+            }
+            req.attempts.succeed();
+            return user;
+        }
+
+        const { password } = req.body;
+        if (!password || typeof password !== 'string') {
+            res.status(400).json({ error: 'Требуется пароль' });
+            return null;
+        }
+        if (!await bcrypt.compare(password, user.password_hash)) {
+            req.attempts.fail();
+            res.status(401).json({ error: 'Неверный пароль' });
+            return null;
+        }
+        req.attempts.succeed();
+        return user;
+    }
+
+    // Второй шаг входа: код из приложения или резервный код
+    router.post('/login/2fa', loginCodeAttempts, async (req, res) => {
+        try {
+            const { challengeToken, code } = req.body;
+
+            if (!code || typeof code !== 'string') {
+                return res.status(400).json({ error: 'Введите код из приложения или резервный код' });
+            }
+
+            const userId = twoFactor.readChallenge(challengeToken);
+            const user = userId ? await usersRepo.findById(userId) : null;
+            if (!user || isBanned(user) || !isTwoFactorEnabled(user)) {
+                return res.status(401).json({
+                    error: 'Время на ввод кода истекло, войдите снова',
+                    code: 'CHALLENGE_INVALID'
+                });
+            }
+
+            const result = await twoFactor.verify(user, code);
+            if (!result.valid) {
+                req.attempts.fail();
+                return res.status(400).json({ error: 'Неверный код' });
+            }
+            req.attempts.succeed();
+
+            const { token, refreshToken } = await sessions.start(user, req);
+
+            res.json({
+                message: 'Вход выполнен',
+                token,
+                refreshToken,
+                // Вход по резервному коду: напоминаем, сколько их осталось
+                backupCodesLeft: result.method === 'backup' ? result.backupCodesLeft : undefined,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    fullName: user.full_name,
+                    ...describeAccess(user)
+                }
+            });
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            res.status(500).json({ error: 'Ошибка входа' });
+        }
+    });
+
+    // Состояние 2FA для профиля
+    router.get('/profile/2fa', authenticateToken, async (req, res) => {
+        try {
+            const user = await usersRepo.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            res.json({
+                enabled: isTwoFactorEnabled(user),
+                backupCodesLeft: isTwoFactorEnabled(user) ? (user.totp_backup_codes || []).length : 0,
+                required: requireStaffTwoFactor && req.user.isAdmin
+            });
+        } catch (error) {
+            console.error('Get two-factor status error:', error);
+            res.status(500).json({ error: 'Ошибка загрузки настроек безопасности' });
+        }
+    });
+
+    // Начало подключения: секрет и otpauth-ссылка для приложения-аутентификатора
+    router.post('/profile/2fa/setup', authenticateToken, async (req, res) => {
+        try {
+            const user = await usersRepo.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+            if (isTwoFactorEnabled(user)) {
+                return res.status(409).json({ error: 'Двухфакторная аутентификация уже включена' });
+            }
+
+            const { secret, otpauthUri } = await twoFactor.startEnrollment(user);
+            res.json({ secret, otpauthUri });
+        } catch (error) {
+            console.error('Two-factor setup error:', error);
+            res.status(500).json({ error: 'Ошибка подключения двухфакторной аутентификации' });
+        }
+    });
+
+    // Подтверждение первым кодом из приложения; резервные коды показываются один раз
+    router.post('/profile/2fa/enable', authenticateToken, async (req, res) => {
+        try {
+            const { code } = req.body;
+            if (!code || typeof code !== 'string') {
+                return res.status(400).json({ error: 'Введите код из приложения' });
+            }
+
+            const user = await usersRepo.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+            if (isTwoFactorEnabled(user)) {
+                return res.status(409).json({ error: 'Двухфакторная аутентификация уже включена' });
+            }
+            if (!user.totp_pending_secret) {
+                return res.status(400).json({ error: 'Сначала начните подключение' });
+            }
+
+            const backupCodes = await twoFactor.confirmEnrollment(user, code);
+            if (!backupCodes) {
+                return res.status(400).json({ error: 'Неверный код' });
+            }
+            userCache.invalidate(user.id);
+
+            res.json({ success: true, backupCodes });
+        } catch (error) {
+            console.error('Two-factor enable error:', error);
+            res.status(500).json({ error: 'Ошибка включения двухфакторной аутентификации' });
+        }
+    });
+
+    // Новый набор резервных кодов взамен старого
+    router.post('/profile/2fa/backup-codes', authenticateToken, confirmAttempts, async (req, res) => {
+        try {
+            const user = await confirmIdentity(req, res);
+            if (!user) return;
+
+            if (!isTwoFactorEnabled(user)) {
+                return res.status(400).json({ error: 'Двухфакторная аутентификация не включена' });
+            }
+
+            const backupCodes = await twoFactor.regenerateBackupCodes(user);
+            res.json({ success: true, backupCodes });
+        } catch (error) {
+            console.error('Regenerate backup codes error:', error);
+            res.status(500).json({ error: 'Ошибка создания резервных кодов' });
+        }
+    });
+
+    // Отключение 2FA - только с паролем или кодом из приложения
+    router.delete('/profile/2fa', authenticateToken, confirmAttempts, async (req, res) => {
+        try {
+            const user = await confirmIdentity(req, res);
+            if (!user) return;
+
+            await twoFactor.disable(user);
+            userCache.invalidate(user.id);
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Two-factor disable error:', error);
+            res.status(500).json({ error: 'Ошибка отключения двухфакторной аутентификации' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createTwoFactorRouter };
@@ -0,0 +1,199 @@
+// server/routes/uploads.cjs - Загрузка изображений товаров и аватаров
+const crypto = require('crypto');
+const express = require('express');
+const { PERMISSIONS, describeAccess } = require('../lib/roles.cjs');
+const { storeImage, variantPaths } = require('../lib/images.cjs');
+const { toPublicImage } = require('../lib/productImages.cjs');
+const { acceptImage } = require('../middleware/imageUpload.cjs');
+
+function createUploadsRouter({ repos, productsCache, productGallery, middleware }) {
+    const router = express.Router();
+    const { usersRepo, productsRepo, storageRepo } = repos;
+    const { authenticateToken, requirePermission } = middleware;
+    const catalogWriters = [authenticateToken, requirePermission(PERMISSIONS.CATALOG_WRITE)];
+
+    // Загрузка аватара
+    router.post('/profile/avatar', authenticateToken, acceptImage('avatar'), async (req, res) => {
+        try {
+            const userId = req.user.id;
+
+            // Аватары лежат в хранилище с путем avatars/
+            let image;
+            try {
+                image = await storeImage(storageRepo, {
+                    folder: 'avatars',
+                    baseName: `avatar_${userId}_${Date.now()}`,
+                    file: req.file,
+                    upsert: true
+                });
+            } catch (uploadError) {
+                console.error('Storage upload error:', uploadError);
+                return res.status(500).json({ 
+                    error: 'Ошибка загрузки в хранилище',
+                    details: uploadError.message 
+                });
+            }
+
+            console.log('Avatar uploaded successfully, path:', image.path);
+
+            // Обновляем в базе данных
+            const updatedUser = await usersRepo.update(userId, {
+                avatar_url: image.url,
+                avatar_variants: image.variants
+            });
+
+            if (!updatedUser) {
+                return res.status(404).json({ error: 'Пользователь не найден' });
+            }
+
+            res.json({
+                message: 'Аватар загружен',
+                avatar_url: image.url,
+                avatar_variants: image.variants,
+                user: {
+                    id: updatedUser.id,
+                    username: updatedUser.username,
+                    email: updatedUser.email,
+                    fullName: updatedUser.full_name,
+                    ...describeAccess(updatedUser),
+                    avatar_url: updatedUser.avatar_url,
+                    avatar_variants: updatedUser.avatar_variants || null
+                }
+            });
+        } catch (error) {
+            console.error('Avatar upload error:', error);
+            res.status(500).json({ error: error.message || 'Ошибка загрузки аватара' });
+        }
+    });
+
+    // Заменить главное изображение товара (админ). Остальные изображения галереи не меняются,
+    // добавляет изображения POST /api/admin/products/:id/images
+    router.post('/admin/products/:id/upload', catalogWriters, acceptImage('image'), async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            if (isNaN(productId)) {
+                return res.status(400).json({ error: 'Неверный ID товара' });
+            }
+
+            if (!await productsRepo.findById(productId)) {
+                return res.status(404).json({ error: 'Товар не найден' });
+            }
+
+            // Изображения товаров лежат с путем products/ (как avatars/ для аватаров)
+            let image;
+            try {
+                image = await storeImage(storageRepo, {
+                    folder: 'products',
+                    baseName: `product_${productId}_${Date.now()}`,
+                    file: req.file,
+                    upsert: true
+                });
+            } catch (uploadError) {
+                console.error('Storage upload error:', uploadError);
+                return res.status(500).json({ 
+                    error: 'Ошибка загрузки в хранилище',
+                    details: uploadError.message 
+                });
+            }
+
+            console.log('Product image uploaded successfully, path:', image.path);
+
+            // Главное изображение галереи переносится в image_path товара (image_url формируется динамически)
+            let images;
+            try {
+                images = await productGallery.replacePrimary(productId, {
+                    image_path: image.path,
+                    image_variants: image.variants
+                });
+            } catch (updateError) {
+                console.error('Database update error:', updateError);
+                await storageRepo.remove([image.path, ...variantPaths(image.variants, storageRepo)]);
+                return res.status(500).json({ 
+                    error: 'Ошибка обновления товара',
+                    details: updateError.message 
+                });
+            }
+
+            productsCache.clear();
+            res.json({
+                message: 'Изображение загружено',
+                image_url: image.url,
+                image_variants: image.variants,
+                path: image.path,
+                images: images.map(item => toPublicImage(item, storageRepo))
+            });
+        } catch (error) {
+            console.error('Product image upload error:', error);
+            res.status(500).json({ error: error.message || 'Ошибка загрузки изображения' });
+        }
+    });
+
+    // Удалить главное изображение товара (админ). Главным становится следующее изображение галереи
+    router.delete('/admin/products/:id/image', catalogWriters, async (req, res) => {
+        try {
+            const productId = parseInt(req.params.id);
+            if (isNaN(productId)) {
+                return res.status(400).json({ error: 'Неверный ID товара' });
+            }
+
+            // Получаем товар для проверки наличия изображения
+            const product = await productsRepo.findById(productId);
+
+            if (!product) {
+                return res.status(404).json({ error: 'Товар не найден' });
+            }
+
+            // Удаляем файл и его уменьшенные копии из хранилища
+            const primary = (await productGallery.list(productId)).find(image => image.is_primary);
+            if (primary) {
+                await productGallery.remove(productId, primary.id);
+            }
+
+            productsCache.clear();
+            res.json({ message: 'Изображение удалено' });
+
+        } catch (error) {
+            console.error('Delete image error:', error);
+            res.status(500).json({ error: 'Ошибка удаления изображения' });
+        }
+    });
+
+    // Загрузить изображение товара до его создания (форма редактирования товара, админ).
+    // Права проверяются до разбора multipart, чтобы анонимный файл не читался в память.
+    // Форма затем передаёт url и image_variants в POST/PUT /api/admin/products - это главное изображение
+    router.post('/upload-image', catalogWriters, acceptImage('image'), async (req, res) => {
+        try {
+            // Загрузка с путем products/ (как avatars/ для аватаров)
+            let image;
+            try {
+                image = await storeImage(storageRepo, {
+                    folder: 'products',
+                    // Случайный суффикс: две загрузки в одну миллисекунду не должны делить имя (upsert выключен)
+                    baseName: `product-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+                    file: req.file
+                });
+            } catch (error) {
+                console.error('Storage upload error:', error);
+                return res.status(500).json({ 
+                    error: 'Ошибка загрузки в Storage',
+                    details: error.message 
+                });
+            }
+
+            console.log('Public URL:', image.url);
+
+            res.json({ url: image.url, image_variants: image.variants });
+
+        } catch (err) {
+            console.error('Upload error:', err);
+            res.status(500).json({ 
+                error: 'Ошибка сервера',
+                details: err.message 
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createUploadsRouter };
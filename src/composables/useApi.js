@@ -23,6 +23,59 @@ const API_BASE_URL = getApiBaseUrl()
 const FETCH_TIMEOUT_MS = 60 * 1000
 const MAX_RETRIES = 3
 const RETRY_DELAY_MS = 1000
+const MUTATION_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+
+// Ключ идемпотентности: один на логическую операцию, общий для всех её повторов
+function createIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`
+}
+
+// CSRF-токен (server/middleware/security.cjs): сервер кладёт его в cookie и возвращает в ответе,
+// изменяющие запросы повторяют его в заголовке X-CSRF-Token. Один токен на вкладку
+let csrfToken = null
+let csrfInFlight = null
+
+export function getCsrfToken() {
+  if (csrfToken) return Promise.resolve(csrfToken)
+  if (!csrfInFlight) {
+    csrfInFlight = fetch(`${API_BASE_URL}/csrf-token`, { credentials: 'include' })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        csrfToken = data?.token || null
+        return csrfToken
+      })
+      // Без токена запрос уйдёт как есть: сервер без cookie его не проверяет
+      .catch(() => null)
+      .finally(() => {
+        csrfInFlight = null
+      })
+  }
+  return csrfInFlight
+}
+
+// Обновление сеанса при 401: обработчик регистрирует useAuth, параллельные 401
+// ждут один общий запрос на /token/refresh
+let sessionRefresher = null
+let refreshInFlight = null
+
+export function setSessionRefresher(refresher) {
+  sessionRefresher = refresher
+}
+
+function refreshSession() {
+  if (!refreshInFlight) {
+    refreshInFlight = Promise.resolve()
+      .then(() => sessionRefresher())
+      .catch(() => false)
+      .finally(() => {
+        refreshInFlight = null
+      })
+  }
+  return refreshInFlight
+}
 
 export function useApi() {
   const { showToast } = useToast()
@@ -77,6 +130,8 @@ export function useApi() {
           error.status = response.status
           error.data = errorData
           error.url = url
+          // 429: через сколько секунд можно повторить (заголовок Retry-After)
+          error.retryAfter = Number(response.headers.get('Retry-After')) || errorData?.retryAfter || null
           throw error
         }
 
@@ -111,10 +166,18 @@ export function useApi() {
     throw lastError || new Error('Неизвестная ошибка')
   }
 
+  // options.silentCodes - коды ошибок (error.data.code), которые вызывающий код показывает сам:
+  // для них useApi не выводит toast, ошибка просто пробрасывается
   async function request(endpoint, options = {}, retryCount = 0) {
     const url = `${API_BASE_URL}${endpoint}`
     const token = localStorage.getItem('token')
     const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 1
+    const method = (options.method || 'GET').toUpperCase()
+
+    // Ключ создаётся при первой попытке и передаётся в повторные вызовы через options
+    if (MUTATION_METHODS.includes(method) && !options.idempotencyKey) {
+      options = { ...options, idempotencyKey: createIdempotencyKey() }
+    }
     
     // Для FormData не устанавливаем Content-Type, браузер сделает это сам
     const isFormData = options.body instanceof FormData
@@ -129,6 +192,17 @@ export function useApi() {
       headers['Authorization'] = `Bearer ${token}`
     }
 
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey
+    }
+
+    if (MUTATION_METHODS.includes(method)) {
+      const csrf = await getCsrfToken()
+      if (csrf) {
+        headers['X-CSRF-Token'] = csrf
+      }
+    }
+
     try {
       const response = await safeFetch(url, {
         ...options,
@@ -136,6 +210,19 @@ export function useApi() {
       })
       return await response.json()
     } catch (error) {
+      // CSRF-токен истёк или cookie потерялась: берём новый и повторяем запрос один раз
+      if (error.status === 403 && error.data?.code === 'CSRF_INVALID' && !options.csrfRetried) {
+        csrfToken = null
+        return request(endpoint, { ...options, csrfRetried: true }, retryCount)
+      }
+
+      // Access-токен истёк или сеанс отозван: один раз обновляем токены и повторяем запрос
+      if (error.status === 401 && token && sessionRefresher && !options.skipSessionRefresh) {
+        if (await refreshSession()) {
+          return request(endpoint, { ...options, skipSessionRefresh: true }, retryCount)
+        }
+      }
+
       // Проверяем на ошибку подключения к серверу
       const isConnectionError = 
         error.message?.includes('ERR_CONNECTION_REFUSED') ||
@@ -179,8 +266,10 @@ export function useApi() {
         return request(endpoint, options, retryCount + 1)
       }
       
-      // Показываем ошибку пользователю
-      showToast(errorMessage, 'error')
+      // Показываем ошибку пользователю, если вызывающий код не взял её на себя
+      if (!options.silentCodes?.includes(error.data?.code)) {
+        showToast(errorMessage, 'error')
+      }
       error.retryable = isRetryable && retryCount >= maxRetries
       throw error
     }
@@ -1,41 +1,135 @@
 import { ref, computed } from 'vue'
-import { useApi } from './useApi'
+import { useApi, setSessionRefresher, getCsrfToken } from './useApi'
 import { useToast } from './useToast'
 
-export function useAuth() {
-  const { request } = useApi()
-  const { showToast } = useToast()
+// Безопасная загрузка из localStorage
+let initialUser = null
+let initialToken = null
+let initialRefreshToken = null
+try {
+  const savedUser = localStorage.getItem('user')
+  if (savedUser) {
+    initialUser = JSON.parse(savedUser)
+  }
+  initialToken = localStorage.getItem('token')
+  initialRefreshToken = localStorage.getItem('refreshToken')
+} catch (e) {
+  // Игнорируем ошибки парсинга
+}
+
+// Состояние общее для всех компонентов: токены обновляются в фоне из useApi
+const user = ref(initialUser)
+const token = ref(initialToken)
+const refreshToken = ref(initialRefreshToken)
+
+// Вход через провайдера (server/routes/oauth.cjs): binding знает только вкладка, начавшая вход
+const OAUTH_BINDING_KEY = 'oauthBinding'
+const OAUTH_ERRORS = {
+  ACCESS_DENIED: 'Вход через провайдера отменён',
+  EMAIL_NOT_VERIFIED: 'Провайдер не подтвердил email - войдите паролем и привяжите провайдера в профиле',
+  ACCOUNT_AMBIGUOUS: 'С этим email связано несколько аккаунтов - войдите паролем и привяжите провайдера в профиле',
+  IDENTITY_TAKEN: 'Этот аккаунт провайдера уже привязан к другому пользователю',
+  EMAIL_TAKEN: 'Этот email уже занят другим аккаунтом - войдите паролем и привяжите провайдера в профиле',
+  USERNAME_UNAVAILABLE: 'Не удалось создать аккаунт, попробуйте снова',
+  PROVIDER_ERROR: 'Провайдер входа не ответил, попробуйте позже'
+}
+const oauthProviders = ref([])
+// Промежуточный токен 2FA после входа через провайдера: его подхватывает форма входа
+const pendingChallenge = ref(null)
+
+function createOAuthBinding() {
+  const bytes = new Uint8Array(24)
+  crypto.getRandomValues(bytes)
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// refreshTokenValue === undefined оставляет текущий refresh-токен
+function saveAuth(userData, authToken, refreshTokenValue) {
+  user.value = userData
+  token.value = authToken
+  localStorage.setItem('user', JSON.stringify(userData))
+  localStorage.setItem('token', authToken)
+  if (refreshTokenValue) {
+    refreshToken.value = refreshTokenValue
+    localStorage.setItem('refreshToken', refreshTokenValue)
+  }
+}
 
-  // Безопасная загрузка из localStorage
-  let initialUser = null
-  let initialToken = null
+function clearAuth() {
+  user.value = null
+  token.value = null
+  refreshToken.value = null
+  localStorage.removeItem('user')
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+}
+
+// Обмен refresh-токена на новую пару; false - сеанс завершён, нужен повторный вход
+async function refreshSession(apiBaseUrl) {
+  // Другая вкладка могла уже обновить токены
+  const storedRefreshToken = localStorage.getItem('refreshToken') || refreshToken.value
+  if (!storedRefreshToken) {
+    clearAuth()
+    return false
+  }
+
+  let response
   try {
-    const savedUser = localStorage.getItem('user')
-    if (savedUser) {
-      initialUser = JSON.parse(savedUser)
-    }
-    initialToken = localStorage.getItem('token')
+    const csrf = await getCsrfToken()
+    response = await fetch(`${apiBaseUrl}/token/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(csrf ? { 'X-CSRF-Token': csrf } : {}) },
+      credentials: 'include',
+      body: JSON.stringify({ refreshToken: storedRefreshToken })
+    })
   } catch (e) {
-    // Игнорируем ошибки парсинга
+    // Сервер недоступен - сеанс не трогаем
+    return false
   }
-  
-  const user = ref(initialUser)
-  const token = ref(initialToken)
+
+  if (!response.ok) {
+    if (response.status === 401) {
+      clearAuth()
+    }
+    return false
+  }
+
+  const data = await response.json()
+  saveAuth(data.user, data.token, data.refreshToken || undefined)
+  return true
+}
+
+export function useAuth() {
+  const { request, API_BASE_URL } = useApi()
+  const { showToast } = useToast()
+
+  setSessionRefresher(() => refreshSession(API_BASE_URL))
+
   const isAuthenticated = computed(() => !!user.value && !!token.value)
   const isAdmin = computed(() => user.value?.isAdmin || false)
 
-  function saveAuth(userData, authToken) {
-    user.value = userData
-    token.value = authToken
-    localStorage.setItem('user', JSON.stringify(userData))
-    localStorage.setItem('token', authToken)
+  // Право роли сотрудника (server/lib/roles.cjs), например 'catalog:write'
+  function hasPermission(permission) {
+    return user.value?.permissions?.includes(permission) || false
   }
 
-  function clearAuth() {
-    user.value = null
-    token.value = null
-    localStorage.removeItem('user')
-    localStorage.removeItem('token')
+  // Ответ входа: true, { challengeToken } для второго шага или false
+  function applyLoginResponse(data) {
+    // Пароль верен, но нужен второй шаг: код из приложения-аутентификатора
+    if (data.twoFactorRequired) {
+      return { challengeToken: data.challengeToken }
+    }
+
+    if (data.user && data.token) {
+      saveAuth(data.user, data.token, data.refreshToken)
+      showToast('Вход выполнен успешно!', 'success')
+      if (data.twoFactorSetupRequired) {
+        showToast('Включите двухфакторную аутентификацию в профиле, чтобы работать в админ-панели', 'info', 8000)
+      }
+      return true
+    }
+
+    return false
   }
 
   async function login(usernameOrEmail, password) {
@@ -46,24 +140,170 @@ export function useAuth() {
           username: usernameOrEmail,
           email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(usernameOrEmail) ? usernameOrEmail : undefined,
           password
-        })
+        }),
+        silentCodes: ['TOO_MANY_ATTEMPTS']
       })
 
-      if (data.user && data.token) {
-        saveAuth(data.user, data.token)
-        showToast('Вход выполнен успешно!', 'success')
-        return true
+      // Пароль подошёл к нескольким профилям одной почты - форма предложит выбрать
+      if (data.profileSelectionRequired) {
+        return { selectionToken: data.selectionToken, profiles: data.profiles }
       }
 
-      return false
+      return applyLoginResponse(data)
     } catch (error) {
+      // Слишком много попыток: форма входа покажет обратный отсчёт вместо toast
+      if (error.status === 429) {
+        throw error
+      }
       // Не показываем дополнительный toast для ошибок подключения
       // (уже показан в useApi)
       return false
     }
   }
 
+  // Выбор профиля после входа по email. 401 - время на выбор истекло, форма возвращается к паролю
+  async function selectProfile(selectionToken, userId) {
+    try {
+      const data = await request('/login/select-profile', {
+        method: 'POST',
+        body: JSON.stringify({ selectionToken, userId }),
+        skipSessionRefresh: true,
+        silentCodes: ['TOO_MANY_ATTEMPTS']
+      })
+      return applyLoginResponse(data)
+    } catch (error) {
+      if (error.status === 429 || error.status === 401) {
+        throw error
+      }
+      return false
+    }
+  }
+
+  // Второй шаг входа: код из приложения или резервный код.
+  // 401 - промежуточный токен истёк, форма возвращается к паролю
+  async function completeTwoFactorLogin(challengeToken, code) {
+    try {
+      const data = await request('/login/2fa', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken, code }),
+        skipSessionRefresh: true,
+        silentCodes: ['TOO_MANY_ATTEMPTS']
+      })
+
+      saveAuth(data.user, data.token, data.refreshToken)
+      showToast('Вход выполнен успешно!', 'success')
+      if (data.backupCodesLeft !== undefined) {
+        showToast(`Использован резервный код. Осталось: ${data.backupCodesLeft}`, 'info', 8000)
+      }
+      return true
+    } catch (error) {
+      if (error.status === 429 || error.status === 401) {
+        throw error
+      }
+      return false
+    }
+  }
+
+  async function loadOAuthProviders() {
+    try {
+      const data = await request('/oauth/providers')
+      oauthProviders.value = Array.isArray(data.providers) ? data.providers : []
+    } catch (error) {
+      // Без провайдеров остаётся вход по паролю
+      oauthProviders.value = []
+    }
+    return oauthProviders.value
+  }
+
+  // Уход на страницу провайдера; mode 'link' - привязка к текущему аккаунту
+  async function startOAuth(provider, mode = 'login') {
+    const binding = createOAuthBinding()
+    try {
+      const data = await request(`/oauth/${provider}/start`, {
+        method: 'POST',
+        body: JSON.stringify({
+          returnTo: `${window.location.origin}${window.location.pathname}`,
+          binding,
+          mode
+        })
+      })
+      sessionStorage.setItem(OAUTH_BINDING_KEY, binding)
+      window.location.assign(data.authorizationUrl)
+      return true
+    } catch (error) {
+      // Ошибка обработана в showToast
+      return false
+    }
+  }
+
+  // Возврат от провайдера: null - в адресе нет результата входа,
+  // иначе true / false, { linked: true } или { challengeToken } для второго шага
+  async function completeOAuth() {
+    const url = new URL(window.location.href)
+    const ticket = url.searchParams.get('oauth_ticket')
+    const errorCode = url.searchParams.get('oauth_error')
+    if (!ticket && !errorCode) return null
+
+    // Билет одноразовый: убираем его из адреса и истории
+    url.searchParams.delete('oauth_ticket')
+    url.searchParams.delete('oauth_error')
+    window.history.replaceState(window.history.state, '', url.toString())
+
+    const binding = sessionStorage.getItem(OAUTH_BINDING_KEY)
+    sessionStorage.removeItem(OAUTH_BINDING_KEY)
+
+    if (errorCode) {
+      showToast(OAUTH_ERRORS[errorCode] || 'Не удалось войти через провайдера', 'error')
+      return false
+    }
+    if (!binding) {
+      showToast('Вход начат в другой вкладке - попробуйте снова', 'error')
+      return false
+    }
+
+    try {
+      const data = await request('/oauth/exchange', {
+        method: 'POST',
+        body: JSON.stringify({ ticket, binding }),
+        skipSessionRefresh: true
+      })
+
+      if (data.linked) {
+        showToast('Способ входа привязан', 'success')
+        return { linked: true }
+      }
+
+      if (data.twoFactorRequired) {
+        pendingChallenge.value = data.challengeToken
+        return { challengeToken: data.challengeToken }
+      }
+
+      saveAuth(data.user, data.token, data.refreshToken)
+      showToast(data.created ? 'Аккаунт создан, добро пожаловать!' : 'Вход выполнен успешно!', 'success')
+      if (data.twoFactorSetupRequired) {
+        showToast('Включите двухфакторную аутентификацию в профиле, чтобы работать в админ-панели', 'info', 8000)
+      }
+      return true
+    } catch (error) {
+      // Ошибка обработана в showToast
+      return false
+    }
+  }
+
+  // Сеанс на сервере отзываем без ожидания: выйти локально можно и без сети
   function logout() {
+    if (refreshToken.value) {
+      const body = JSON.stringify({ refreshToken: refreshToken.value })
+      getCsrfToken()
+        .then(csrf => fetch(`${API_BASE_URL}/logout`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(csrf ? { 'X-CSRF-Token': csrf } : {}) },
+          credentials: 'include',
+          keepalive: true,
+          body
+        }))
+        .catch(() => {})
+    }
     clearAuth()
     showToast('Вы вышли из системы', 'info')
   }
@@ -89,7 +329,15 @@ export function useAuth() {
     token,
     isAuthenticated,
     isAdmin,
+    hasPermission,
+    oauthProviders,
+    pendingChallenge,
     login,
+    selectProfile,
+    completeTwoFactorLogin,
+    loadOAuthProviders,
+    startOAuth,
+    completeOAuth,
     logout,
     validateToken,
     saveAuth,
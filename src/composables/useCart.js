@@ -5,6 +5,8 @@ import { useAuth } from './useAuth'
 
 // Singleton для корзины
 let cartInstance = null
+// Текущее оформление заказа: повторный клик ждёт его, а не отправляет второй заказ
+let checkoutInFlight = null
 
 export function useCart() {
   const { showToast } = useToast()
@@ -69,8 +71,10 @@ export function useCart() {
       existing.quantity += 1
       showToast(`+1 × ${product.title}`, 'success', 2000)
     } else {
+      // Галерея корзине не нужна - в ней главное фото товара, а localStorage не резиновый
+      const { images, ...item } = product
       cart.value.push({ 
-        ...product, 
+        ...item, 
         quantity: 1,
         maxQuantity: maxQuantity // Сохраняем актуальное количество
       })
@@ -113,20 +117,20 @@ export function useCart() {
     }
   }
   
+  // Остатки всех товаров корзины одним запросом; удалённые товары считаются закончившимися
+  async function fetchProductQuantities(productIds) {
+    const data = await request(`/products?ids=${productIds.join(',')}`)
+    const found = new Map((data.products || []).map(product => [product.id, product.quantity || 0]))
+    return new Map(productIds.map(id => [id, found.has(id) ? found.get(id) : 0]))
+  }
+
   // Периодическая синхронизация корзины с сервером
   async function syncCart(silent = false) {
     if (!cart.value.length) return
     
     try {
-      // Батчинг запросов для оптимизации
       const productIds = [...new Set(cart.value.map(item => item.id))]
-      const quantities = await Promise.all(
-        productIds.map(id => syncProductQuantity(id))
-      )
-      
-      const quantityMap = new Map(
-        productIds.map((id, index) => [id, quantities[index]])
-      )
+      const quantityMap = await fetchProductQuantities(productIds)
       
       const itemsToRemove = []
       let hasChanges = false
@@ -180,20 +184,29 @@ export function useCart() {
     showToast('Корзина очищена', 'info')
   }
 
-  async function checkout(shippingAddress) {
+  function checkout(shippingAddress) {
+    if (!checkoutInFlight) {
+      checkoutInFlight = submitOrder(shippingAddress).finally(() => {
+        checkoutInFlight = null
+      })
+    }
+    return checkoutInFlight
+  }
+
+  async function submitOrder(shippingAddress) {
     if (!cart.value.length) {
       showToast('Корзина пуста!', 'error', 2500)
-      return false
+      return { success: false }
     }
 
     if (!isAuthenticated.value) {
       showToast('Для оформления заказа войдите в систему', 'error', 3000)
-      return false
+      return { success: false }
     }
 
     if (!shippingAddress || shippingAddress.trim() === '') {
       showToast('Введите адрес доставки', 'error')
-      return false
+      return { success: false }
     }
 
     try {
@@ -207,19 +220,40 @@ export function useCart() {
         paymentMethod: 'card'
       }
 
+      // Новые цены показывает корзина, toast не нужен
       const order = await request('/orders', {
         method: 'POST',
-        body: JSON.stringify(orderData)
+        body: JSON.stringify(orderData),
+        silentCodes: ['PRICE_CHANGED']
       })
 
       showToast(`Заказ #${order.id.substring(0, 8)} оформлен!`, 'success', 5000)
       clearCart()
-      return true
+      return { success: true }
     } catch (error) {
-      return false
+      // Сервер пересчитывает цены сам и отклоняет заказ, если они устарели
+      if (error.status === 409 && error.data?.code === 'PRICE_CHANGED') {
+        applyPriceChanges(error.data.changes)
+        return { success: false, priceChanges: error.data.changes }
+      }
+      if (error.status === 409 && error.data?.code === 'OUT_OF_STOCK') {
+        await syncCart()
+      }
+      return { success: false }
     }
   }
 
+  // Подставляем актуальные цены из ответа сервера
+  function applyPriceChanges(changes = []) {
+    const priceMap = new Map(changes.map(change => [change.id, change.newPrice]))
+    cart.value.forEach(item => {
+      if (priceMap.has(item.id)) {
+        item.price = priceMap.get(item.id)
+      }
+    })
+    saveCart()
+  }
+
   return {
     cart,
     cartTotal,
@@ -28,32 +28,52 @@ export function useOptimization() {
   })
 
   /**
-   * Lazy loading для изображений через Intersection Observer
+   * Lazy loading для изображений через Intersection Observer.
+   * Картинка ждёт в data-src, а в <picture> (ResponsiveImage) - ещё и srcset в data-srcset у <source>.
+   * Повторный вызов (новая страница каталога) заменяет прежнее наблюдение
    */
   function setupLazyImages(container) {
+    if (!container) return
+
+    const images = container.querySelectorAll('img[data-src]')
+
     if (typeof window === 'undefined' || !('IntersectionObserver' in window)) {
+      images.forEach(loadImage)
       return
     }
 
+    if (intersectionObserver) {
+      intersectionObserver.disconnect()
+    }
+
     intersectionObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
-          const img = entry.target
-          if (img.dataset.src) {
-            img.src = img.dataset.src
-            img.removeAttribute('data-src')
-            intersectionObserver.unobserve(img)
-          }
+          loadImage(entry.target)
+          intersectionObserver.unobserve(entry.target)
         }
       })
     }, {
       rootMargin: '50px'
     })
 
-    const images = container.querySelectorAll('img[data-src]')
     images.forEach(img => intersectionObserver.observe(img))
   }
 
+  function loadImage(img) {
+    const picture = img.closest('picture')
+    if (picture) {
+      picture.querySelectorAll('source[data-srcset]').forEach(source => {
+        source.srcset = source.dataset.srcset
+        source.removeAttribute('data-srcset')
+      })
+    }
+    if (img.dataset.src) {
+      img.src = img.dataset.src
+      img.removeAttribute('data-src')
+    }
+  }
+
   /**
    * Debounce функция для оптимизации частых вызовов
    */
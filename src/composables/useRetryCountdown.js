@@ -0,0 +1,35 @@
+import { ref, onUnmounted } from 'vue'
+
+// Обратный отсчёт до следующей попытки после ответа 429 (защита от перебора на сервере)
+export function useRetryCountdown() {
+  const secondsLeft = ref(0)
+  let interval = null
+
+  function stop() {
+    clearInterval(interval)
+    interval = null
+    secondsLeft.value = 0
+  }
+
+  function start(seconds) {
+    stop()
+    secondsLeft.value = Math.max(1, Math.ceil(seconds))
+    interval = setInterval(() => {
+      secondsLeft.value--
+      if (secondsLeft.value <= 0) {
+        stop()
+      }
+    }, 1000)
+  }
+
+  // Запускает отсчёт, если запрос отклонён с 429; возвращает true в этом случае
+  function startFromError(error) {
+    if (error?.status !== 429) return false
+    start(error.retryAfter || 1)
+    return true
+  }
+
+  onUnmounted(stop)
+
+  return { secondsLeft, start, startFromError }
+}
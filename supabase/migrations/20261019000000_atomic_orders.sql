@@ -0,0 +1,96 @@
+-- Атомарное оформление и отмена заказов.
+-- Вызываются из server/data/supabase.cjs (ordersRepo.place и ordersRepo.cancel).
+
+-- Создаёт заказ, его позиции и списывает остатки в одной транзакции.
+-- p_items: [{ "product_id": 1, "quantity": 2 }, ...]
+-- Если какого-то товара не хватает (или он удалён), ничего не меняется и
+-- возвращается { "order": null, "short_product_ids": [...] }.
+create or replace function public.place_order(
+    p_user_id public.orders.user_id%type,
+    p_items jsonb,
+    p_shipping_address text,
+    p_payment_method text
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_short jsonb;
+begin
+    create temporary table _order_lines on commit drop as
+    select (item ->> 'product_id')::bigint as product_id,
+           sum((item ->> 'quantity')::integer) as quantity
+    from jsonb_array_elements(p_items) as item
+    group by 1;
+
+    -- Блокируем строки товаров в фиксированном порядке, чтобы параллельные заказы не взаимоблокировались
+    perform 1
+    from public.products p
+    where p.id in (select product_id from _order_lines)
+    order by p.id
+    for update;
+
+    select coalesce(jsonb_agg(l.product_id order by l.product_id), '[]'::jsonb)
+    into v_short
+    from _order_lines l
+    left join public.products p on p.id = l.product_id
+    where p.id is null or p.quantity < l.quantity;
+
+    if jsonb_array_length(v_short) > 0 then
+        drop table _order_lines;
+        return jsonb_build_object('order', null, 'short_product_ids', v_short);
+    end if;
+
+    insert into public.orders (user_id, total_amount, shipping_address, payment_method, status)
+    select p_user_id, sum(p.price * l.quantity), p_shipping_address, p_payment_method, 'pending'
+    from _order_lines l
+    join public.products p on p.id = l.product_id
+    returning * into v_order;
+
+    insert into public.order_items (order_id, product_id, quantity, price_at_time)
+    select v_order.id, l.product_id, l.quantity, p.price
+    from _order_lines l
+    join public.products p on p.id = l.product_id;
+
+    update public.products p
+    set quantity = p.quantity - l.quantity
+    from _order_lines l
+    where p.id = l.product_id;
+
+    drop table _order_lines;
+    return jsonb_build_object('order', to_jsonb(v_order), 'short_product_ids', '[]'::jsonb);
+end;
+$$;
+
+-- Отменяет заказ в статусе pending и возвращает все его позиции на склад в одной транзакции.
+-- Возвращает отменённый заказ или null, если заказ не найден или уже не в статусе pending.
+create or replace function public.cancel_order(
+    p_order_id public.orders.id%type
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+begin
+    update public.orders
+    set status = 'cancelled'
+    where id = p_order_id and status = 'pending'
+    returning * into v_order;
+
+    if not found then
+        return null;
+    end if;
+
+    update public.products p
+    set quantity = p.quantity + oi.quantity
+    from (
+        select product_id, sum(quantity) as quantity
+        from public.order_items
+        where order_id = p_order_id
+        group by product_id
+    ) oi
+    where p.id = oi.product_id;
+
+    return to_jsonb(v_order);
+end;
+$$;
@@ -0,0 +1,10 @@
+-- Язык транзакционных писем пользователя (server/mail/templates).
+-- Заполняется при регистрации из формы или Accept-Language, меняется через PUT /api/profile.
+alter table public.users
+    add column if not exists locale text not null default 'ru';
+
+alter table public.users
+    drop constraint if exists users_locale_check;
+
+alter table public.users
+    add constraint users_locale_check check (locale in ('ru', 'en'));
@@ -0,0 +1,4 @@
+-- Трек-номер отправленного заказа: задаётся админом при смене статуса на shipped
+-- и попадает в письмо покупателю (server/lib/orderNotifications.cjs).
+alter table public.orders
+    add column if not exists tracking_number text;
@@ -0,0 +1,18 @@
+-- Серверные сеансы: refresh-токен хранится только в виде sha256-хэша.
+-- previous_token_hash нужен для обнаружения повторного использования
+-- уже обменянного refresh-токена (server/lib/sessions.cjs).
+create table if not exists public.sessions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users (id) on delete cascade,
+    refresh_token_hash text not null unique,
+    previous_token_hash text,
+    user_agent text,
+    ip text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    revoked_at timestamptz
+);
+
+create index if not exists sessions_user_id_idx on public.sessions (user_id);
+create index if not exists sessions_previous_token_hash_idx on public.sessions (previous_token_hash);
@@ -0,0 +1,4 @@
+-- Блокировка аккаунта администратором: заблокированный пользователь не может войти,
+-- а его сеансы отзываются (PUT /api/admin/users/:id).
+alter table public.users
+    add column if not exists banned_at timestamptz;
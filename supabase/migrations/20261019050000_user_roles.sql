@@ -0,0 +1,10 @@
+-- Роли сотрудников (server/lib/roles.cjs). null - обычный покупатель.
+-- is_admin остаётся признаком «есть любая роль» и меняется вместе с role.
+alter table public.users
+    add column if not exists role text
+        check (role in ('owner', 'catalog_manager', 'order_operator', 'support'));
+
+-- Все, кто был администратором до появления ролей, становятся владельцами
+update public.users
+    set role = 'owner'
+    where is_admin and role is null;
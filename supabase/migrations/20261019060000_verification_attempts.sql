@@ -0,0 +1,4 @@
+-- Счётчик неверных вводов кода: после CODE_MAX_ATTEMPTS (server/constants.cjs)
+-- код удаляется и пользователь должен запросить новый.
+alter table public.email_verifications
+    add column if not exists attempts integer not null default 0;
@@ -0,0 +1,18 @@
+-- Коды подтверждения хранятся как scrypt-хэш с собственной солью (server/lib/email.cjs)
+-- и привязаны к сценарию: код одного назначения не принимается в другом.
+-- Выданные ранее коды (bcrypt-хэши без назначения) больше не проверяются - удаляем их,
+-- пользователи просто запросят новый код.
+delete from public.email_verifications;
+
+alter table public.email_verifications
+    add column if not exists purpose text not null;
+
+alter table public.email_verifications
+    drop constraint if exists email_verifications_purpose_check;
+
+alter table public.email_verifications
+    add constraint email_verifications_purpose_check
+    check (purpose in ('register', 'email_change', 'password_reset'));
+
+create index if not exists email_verifications_purpose_idx
+    on public.email_verifications (purpose, email, created_at desc);
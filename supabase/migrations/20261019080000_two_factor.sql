@@ -0,0 +1,10 @@
+-- Двухфакторная аутентификация (server/lib/twoFactor.cjs).
+-- totp_pending_secret - секрет, ещё не подтверждённый кодом из приложения;
+-- totp_last_counter - интервал последнего принятого кода, чтобы код нельзя было предъявить повторно;
+-- totp_backup_codes - scrypt-хэши неиспользованных резервных кодов.
+alter table public.users
+    add column if not exists totp_secret text,
+    add column if not exists totp_pending_secret text,
+    add column if not exists totp_enabled_at timestamptz,
+    add column if not exists totp_last_counter bigint,
+    add column if not exists totp_backup_codes text[] not null default '{}';
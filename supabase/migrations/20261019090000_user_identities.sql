@@ -0,0 +1,17 @@
+-- Внешние аккаунты (OAuth / OpenID Connect), привязанные к пользователю.
+-- subject - постоянный идентификатор пользователя у провайдера (claim sub).
+create table if not exists public.user_identities (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references public.users (id) on delete cascade,
+    provider text not null,
+    subject text not null,
+    email text,
+    created_at timestamptz not null default now(),
+    unique (provider, subject)
+);
+
+create index if not exists user_identities_user_id_idx on public.user_identities (user_id);
+
+-- Аккаунты, созданные через провайдера, не имеют пароля, пока пользователь его не задаст.
+alter table public.users
+    alter column password_hash drop not null;
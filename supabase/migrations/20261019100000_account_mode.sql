@@ -0,0 +1,33 @@
+-- Настройки магазина (ключ - значение). Первая настройка - account_mode:
+-- 'multi' (по умолчанию) - на один email можно завести несколько аккаунтов,
+-- 'strict' - один аккаунт на email.
+create table if not exists public.shop_settings (
+    key text primary key,
+    value jsonb not null,
+    updated_by uuid references public.users (id) on delete set null,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists users_email_idx on public.users (email);
+
+-- Аккаунты, которые делят email с другими: их придётся разобрать перед переходом на strict.
+-- Тот же отчёт показывает админ-панель (GET /api/admin/account-mode).
+create or replace view public.users_sharing_email as
+select id, username, email, email_verified, role, is_admin, created_at
+from public.users
+where email in (
+    select email from public.users group by email having count(*) > 1
+);
+
+-- Отчёт при применении миграции: сколько адресов уже используются несколькими аккаунтами
+do $$
+declare
+    shared_emails integer;
+    shared_profiles integer;
+begin
+    select count(*), coalesce(sum(profiles), 0)
+    into shared_emails, shared_profiles
+    from (select count(*) as profiles from public.users group by email having count(*) > 1) shared;
+
+    raise notice 'account_mode: % email(s) shared by % account(s); see view users_sharing_email', shared_emails, shared_profiles;
+end $$;
@@ -0,0 +1,8 @@
+-- Уменьшенные копии изображений (server/lib/images.cjs): ширина и высота оригинала,
+-- размытая заглушка (data URL) и список копий { name, width, height, avif, webp }.
+-- Заполняются при загрузке; у старых изображений остаются null, и фронтенд показывает оригинал
+alter table public.products
+    add column if not exists image_variants jsonb;
+
+alter table public.users
+    add column if not exists avatar_variants jsonb;
@@ -0,0 +1,28 @@
+-- Галерея товара (server/lib/productImages.cjs): несколько изображений с порядком,
+-- подписью (alt) и одним главным. Главное изображение дублируется в products.image_path
+-- и products.image_variants - по ним работают корзина, заказы и письма
+create table if not exists public.product_images (
+    id bigint generated by default as identity primary key,
+    product_id bigint not null references public.products (id) on delete cascade,
+    image_path text not null,
+    image_variants jsonb,
+    alt text not null default '',
+    position integer not null default 0,
+    is_primary boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists product_images_product_id_idx on public.product_images (product_id, position);
+
+-- Не больше одного главного изображения у товара
+create unique index if not exists product_images_primary_idx
+    on public.product_images (product_id)
+    where is_primary;
+
+-- Текущие изображения товаров становятся главными в их галереях
+insert into public.product_images (product_id, image_path, image_variants, position, is_primary)
+select p.id, p.image_path, p.image_variants, 0, true
+from public.products p
+where p.image_path is not null
+    and p.image_path <> ''
+    and not exists (select 1 from public.product_images i where i.product_id = p.id);
@@ -0,0 +1,14 @@
+-- Атомарный счётчик попыток ввода кода (server/lib/email.cjs, checkCode).
+-- Вызывается из server/data/supabase.cjs (emailVerificationsRepo.countAttempt) до сравнения кода,
+-- чтобы параллельные запросы не прочитали одно и то же значение attempts.
+-- Возвращает новое число попыток или null, если записи уже нет.
+create or replace function public.count_verification_attempt(
+    p_id public.email_verifications.id%type
+) returns integer
+language sql
+as $$
+    update public.email_verifications
+    set attempts = attempts + 1
+    where id = p_id
+    returning attempts;
+$$;
@@ -0,0 +1,39 @@
+-- Отмена заказа администратором (PUT /api/admin/orders/:id/status): кроме pending можно отменить
+-- заказ в обработке, товар так же возвращается на склад. Вызывается из server/data/supabase.cjs
+-- (ordersRepo.cancel); покупатель по-прежнему отменяет только pending.
+drop function if exists public.cancel_order(public.orders.id%type);
+
+-- Отменяет заказ в одном из статусов p_from_statuses и возвращает все его позиции на склад
+-- в одной транзакции. Возвращает отменённый заказ или null, если заказ не найден или его
+-- статус уже другой.
+create or replace function public.cancel_order(
+    p_order_id public.orders.id%type,
+    p_from_statuses text[] default array['pending']
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+begin
+    update public.orders
+    set status = 'cancelled'
+    where id = p_order_id and status = any (p_from_statuses)
+    returning * into v_order;
+
+    if not found then
+        return null;
+    end if;
+
+    update public.products p
+    set quantity = p.quantity + oi.quantity
+    from (
+        select product_id, sum(quantity) as quantity
+        from public.order_items
+        where order_id = p_order_id
+        group by product_id
+    ) oi
+    where p.id = oi.product_id;
+
+    return to_jsonb(v_order);
+end;
+$$;
@@ -0,0 +1,36 @@
+-- Атомарное погашение кодов 2FA (server/lib/twoFactor.cjs, verify).
+-- Вызываются из server/data/supabase.cjs (usersRepo.consumeTotpStep / consumeBackupCode) после проверки кода,
+-- чтобы два параллельных входа с одним и тем же кодом не прошли оба.
+
+-- Сохраняет интервал принятого TOTP-кода, только если он новее последнего.
+-- true - код погашен этим вызовом, false - интервал уже израсходован
+create or replace function public.consume_totp_step(
+    p_user_id public.users.id%type,
+    p_step bigint
+) returns boolean
+language sql
+as $$
+    with consumed as (
+        update public.users
+        set totp_last_counter = p_step
+        where id = p_user_id
+          and (totp_last_counter is null or totp_last_counter < p_step)
+        returning id
+    )
+    select exists (select 1 from consumed);
+$$;
+
+-- Удаляет хэш резервного кода, если он ещё не использован.
+-- Возвращает число оставшихся кодов или null, если хэша уже нет
+create or replace function public.consume_backup_code(
+    p_user_id public.users.id%type,
+    p_hash text
+) returns integer
+language sql
+as $$
+    update public.users
+    set totp_backup_codes = array_remove(totp_backup_codes, p_hash)
+    where id = p_user_id
+      and p_hash = any(totp_backup_codes)
+    returning coalesce(array_length(totp_backup_codes, 1), 0);
+$$;
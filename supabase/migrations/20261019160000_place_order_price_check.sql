@@ -0,0 +1,85 @@
+-- place_order сверяет цены с теми, что видел покупатель (server/routes/orders.cjs, POST /orders).
+-- p_items: [{ "product_id": 1, "quantity": 2, "price": 990 }, ...]
+-- Цена сравнивается под блокировкой строки товара: если её изменили после проверки в маршруте,
+-- ничего не меняется и возвращается { "order": null, "changed_prices": [{ "product_id": 1, "price": 1090 }] }.
+-- Созданный заказ возвращается вместе с позициями (order_items с products), по нему строится письмо.
+create or replace function public.place_order(
+    p_user_id public.orders.user_id%type,
+    p_items jsonb,
+    p_shipping_address text,
+    p_payment_method text
+) returns jsonb
+language plpgsql
+as $$
+declare
+    v_order public.orders;
+    v_short jsonb;
+    v_changed jsonb;
+    v_items jsonb;
+begin
+    create temporary table _order_lines on commit drop as
+    select (item ->> 'product_id')::bigint as product_id,
+           sum((item ->> 'quantity')::integer) as quantity,
+           max((item ->> 'price')::numeric) as price
+    from jsonb_array_elements(p_items) as item
+    group by 1;
+
+    -- Блокируем строки товаров в фиксированном порядке, чтобы параллельные заказы не взаимоблокировались
+    perform 1
+    from public.products p
+    where p.id in (select product_id from _order_lines)
+    order by p.id
+    for update;
+
+    select coalesce(jsonb_agg(l.product_id order by l.product_id), '[]'::jsonb)
+    into v_short
+    from _order_lines l
+    left join public.products p on p.id = l.product_id
+    where p.id is null or p.quantity < l.quantity;
+
+    if jsonb_array_length(v_short) > 0 then
+        drop table _order_lines;
+        return jsonb_build_object('order', null, 'short_product_ids', v_short, 'changed_prices', '[]'::jsonb);
+    end if;
+
+    select coalesce(jsonb_agg(jsonb_build_object('product_id', p.id, 'price', p.price) order by p.id), '[]'::jsonb)
+    into v_changed
+    from _order_lines l
+    join public.products p on p.id = l.product_id
+    where l.price is null or round(p.price, 2) <> round(l.price, 2);
+
+    if jsonb_array_length(v_changed) > 0 then
+        drop table _order_lines;
+        return jsonb_build_object('order', null, 'short_product_ids', '[]'::jsonb, 'changed_prices', v_changed);
+    end if;
+
+    insert into public.orders (user_id, total_amount, shipping_address, payment_method, status)
+    select p_user_id, sum(p.price * l.quantity), p_shipping_address, p_payment_method, 'pending'
+    from _order_lines l
+    join public.products p on p.id = l.product_id
+    returning * into v_order;
+
+    insert into public.order_items (order_id, product_id, quantity, price_at_time)
+    select v_order.id, l.product_id, l.quantity, p.price
+    from _order_lines l
+    join public.products p on p.id = l.product_id;
+
+    update public.products p
+    set quantity = p.quantity - l.quantity
+    from _order_lines l
+    where p.id = l.product_id;
+
+    select coalesce(jsonb_agg(to_jsonb(oi) || jsonb_build_object('products', to_jsonb(p)) order by oi.id), '[]'::jsonb)
+    into v_items
+    from public.order_items oi
+    join public.products p on p.id = oi.product_id
+    where oi.order_id = v_order.id;
+
+    drop table _order_lines;
+    return jsonb_build_object(
+        'order', to_jsonb(v_order) || jsonb_build_object('order_items', v_items),
+        'short_product_ids', '[]'::jsonb,
+        'changed_prices', '[]'::jsonb
+    );
+end;
+$$;
@@ -0,0 +1,77 @@
+// tests/helpers/testApp.cjs - Приложение для API-тестов: данные в памяти и фейковая почта
+const request = require('supertest');
+const { createApp } = require('../../server/app.cjs');
+const { createMemoryRepos, seed } = require('../../server/data/index.cjs');
+const { createMailer, createMemoryTransport } = require('../../server/mail/index.cjs');
+const { createMailQueue } = require('../../server/mail/queue.cjs');
+const { createOAuthProviders, createMockProvider } = require('../../server/oauth/index.cjs');
+
+const ADMIN_CREDENTIALS = { username: 'admin', password: 'neonred-admin' };
+
+// Письма остаются в памяти, тест «читает» из них коды подтверждения
+function createFakeMailer() {
+    const transport = createMemoryTransport();
+    const mailer = createMailer(transport);
+
+    return {
+        ...mailer,
+        messagesTo(email) {
+            return transport.list({ to: email });
+        },
+        lastCodeFor(email) {
+            const [message] = transport.list({ to: email });
+            const match = message && message.text.match(/\b(\d{6})\b/);
+            return match ? match[1] : null;
+        }
+    };
+}
+
+// Каждый вызов - новое приложение с чистыми демо-данными.
+// Обязательная 2FA для сотрудников выключена, её проверяют отдельные тесты.
+// Из провайдеров входа подключён только mock. maxRows обрезает списки из репозиториев, как max-rows PostgREST
+function createTestApp({ nodeEnv = 'test', requireStaffTwoFactor = false, trustProxy, cors, storage, maxRows } = {}) {
+    const repos = createMemoryRepos({ seed, publicBaseUrl: 'http://storage.test', maxRows });
+    const mailer = createFakeMailer();
+    // Фоновые письма: тест дожидается их через mailQueue.idle()
+    const mailQueue = createMailQueue({ retries: 1, retryDelayMs: 10 });
+    const app = createApp({
+        repos,
+        jwtSecret: 'test-jwt-secret',
+        mailer,
+        mailQueue,
+        nodeEnv,
+        trustProxy,
+        requireStaffTwoFactor,
+        cors,
+        storage,
+        oauthProviders: createOAuthProviders([createMockProvider()])
+    });
+
+    return { app, repos, mailer, mailQueue };
+}
+
+async function login(app, { username, password }) {
+    const res = await request(app).post('/api/login').send({ username, password });
+    if (res.status !== 200) {
+        throw new Error(`Вход ${username} не удался: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+    return res.body.token;
+}
+
+// Регистрирует пользователя, подтверждает email кодом из фейковой почты и возвращает токен
+async function registerConfirmedUser({ app, mailer }, { username, email, password = 'Neon-Secret-42' }) {
+    await request(app).post('/api/register').send({ username, email, password }).expect(201);
+    await request(app)
+        .post('/api/confirm-email')
+        .send({ email, code: mailer.lastCodeFor(email) })
+        .expect(200);
+    return login(app, { username, password });
+}
+
+module.exports = {
+    ADMIN_CREDENTIALS,
+    createFakeMailer,
+    createTestApp,
+    login,
+    registerConfirmedUser
+};
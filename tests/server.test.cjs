@@ -0,0 +1,2042 @@
+// tests/server.test.cjs - Сквозные тесты API поверх данных в памяти
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const {
+    ADMIN_CREDENTIALS,
+    createTestApp,
+    login,
+    registerConfirmedUser
+} = require('./helpers/testApp.cjs');
+const { generateTotp } = require('../server/lib/twoFactor.cjs');
+const { CODE_PURPOSES, hashCode, checkCode } = require('../server/lib/email.cjs');
+const { loadConfig, describeConfig, ConfigError } = require('../server/config.cjs');
+const { MAX_FILE_SIZE } = require('../server/constants.cjs');
+const sharp = require('sharp');
+const zlib = require('zlib');
+
+const auth = token => ({ Authorization: `Bearer ${token}` });
+
+async function findProduct(app, title) {
+    const res = await request(app).get('/api/products').expect(200);
+    return res.body.products.find(product => product.title === title);
+}
+
+async function getQuantity(app, productId) {
+    const res = await request(app).get(`/api/products/${productId}`).expect(200);
+    return res.body.quantity;
+}
+
+describe('Покупатель: регистрация, заказ и отмена', () => {
+    test('проходит путь от регистрации до возврата товара на склад', async () => {
+        const { app, mailer } = createTestApp();
+        const email = 'runner@neonred.test';
+
+        const registered = await request(app)
+            .post('/api/register')
+            .send({ username: 'runner', email, password: 'Neon-Secret-42' })
+            .expect(201);
+        expect(registered.body.needsCodeConfirmation).toBe(true);
+        expect(registered.body.user.isAdmin).toBe(false);
+        expect(mailer.lastCodeFor(email)).toMatch(/^\d{6}$/);
+
+        // До подтверждения email войти нельзя
+        const beforeConfirm = await request(app)
+            .post('/api/login')
+            .send({ username: 'runner', password: 'Neon-Secret-42' })
+            .expect(403);
+        expect(beforeConfirm.body.needsCodeConfirmation).toBe(true);
+
+        const code = mailer.lastCodeFor(email);
+        const wrongCode = code === '000000' ? '111111' : '000000';
+        await request(app).post('/api/confirm-email').send({ email, code: wrongCode }).expect(400);
+
+        const confirmed = await request(app)
+            .post('/api/confirm-email')
+            .send({ email, code })
+            .expect(200);
+        expect(confirmed.body.user.emailVerified).toBe(true);
+
+        const token = await login(app, { username: 'runner', password: 'Neon-Secret-42' });
+
+        // В корзине два товара, один из них двумя строками
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+        const strip = await findProduct(app, 'LED-лента Pulse');
+
+        const placed = await request(app)
+            .post('/api/orders')
+            .set(auth(token))
+            .send({
+                items: [
+                    { id: hoodie.id, quantity: 1, price: hoodie.price },
+                    { id: strip.id, quantity: 2, price: strip.price },
+                    { id: hoodie.id, quantity: 1, price: hoodie.price }
+                ],
+                shippingAddress: 'Москва, Неоновая ул., 1'
+            })
+            .expect(201);
+        expect(placed.body.status).toBe('pending');
+        expect(placed.body.total_amount).toBe(hoodie.price * 2 + strip.price * 2);
+
+        expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity - 2);
+        expect(await getQuantity(app, strip.id)).toBe(strip.quantity - 2);
+
+        const orders = await request(app).get('/api/orders').set(auth(token)).expect(200);
+        expect(orders.body).toHaveLength(1);
+        expect(orders.body[0].order_items).toHaveLength(2);
+
+        const cancelled = await request(app)
+            .delete(`/api/orders/${placed.body.id}`)
+            .set(auth(token))
+            .expect(200);
+        expect(cancelled.body.order.status).toBe('cancelled');
+
+        // Отмена возвращает весь товар на склад
+        expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity);
+        expect(await getQuantity(app, strip.id)).toBe(strip.quantity);
+
+        // Повторно отменить уже отменённый заказ нельзя
+        await request(app)
+            .delete(`/api/orders/${placed.body.id}`)
+            .set(auth(token))
+            .expect(400);
+        expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity);
+    });
+
+    test('не списывает остатки, если товара не хватает', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const token = await registerConfirmedUser(context, { username: 'greedy', email: 'greedy@neonred.test' });
+
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+        const cap = await findProduct(app, 'Кепка Cyber');
+
+        const res = await request(app)
+            .post('/api/orders')
+            .set(auth(token))
+            .send({
+                items: [
+                    { id: hoodie.id, quantity: 1, price: hoodie.price },
+                    { id: cap.id, quantity: cap.quantity + 1, price: cap.price }
+                ]
+            })
+            .expect(409);
+        expect(res.body.code).toBe('OUT_OF_STOCK');
+        expect(res.body.productIds).toEqual([cap.id]);
+
+        expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity);
+        expect(await getQuantity(app, cap.id)).toBe(cap.quantity);
+    });
+
+    test('считает цену по каталогу, а не по корзине клиента', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const token = await registerConfirmedUser(context, { username: 'bargain', email: 'bargain@neonred.test' });
+
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+
+        const res = await request(app)
+            .post('/api/orders')
+            .set(auth(token))
+            .send({ items: [{ id: hoodie.id, quantity: 1, price: 1 }] })
+            .expect(409);
+        expect(res.body.code).toBe('PRICE_CHANGED');
+        expect(res.body.changes[0]).toMatchObject({ id: hoodie.id, oldPrice: 1, newPrice: hoodie.price });
+        expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity);
+    });
+
+    test('цена, изменённая после проверки, не списывается без подтверждения', async () => {
+        const context = createTestApp();
+        const { app, repos } = context;
+        const token = await registerConfirmedUser(context, { username: 'late', email: 'late@neonred.test' });
+
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+        const newPrice = hoodie.price + 500;
+
+        // Администратор меняет цену сразу после того, как маршрут прочитал товары
+        const findByIds = repos.productsRepo.findByIds;
+        repos.productsRepo.findByIds = async ids => {
+            const products = await findByIds(ids);
+            repos.productsRepo.findByIds = findByIds;
+            await repos.productsRepo.update(hoodie.id, { price: newPrice });
+            return products;
+        };
+
+        const conflict = await request(app)
+            .post('/api/orders')
+            .set(auth(token))
+            .send({ items: [{ id: hoodie.id, quantity: 2, price: hoodie.price }] })
+            .expect(409);
+        expect(conflict.body.code).toBe('PRICE_CHANGED');
+        expect(conflict.body.changes).toEqual([
+            { id: hoodie.id, title: hoodie.title, quantity: 2, oldPrice: hoodie.price, newPrice }
+        ]);
+        expect(conflict.body.total).toBe(newPrice * 2);
+        expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity);
+
+        const placed = await request(app)
+            .post('/api/orders')
+            .set(auth(token))
+            .send({ items: [{ id: hoodie.id, quantity: 2, price: newPrice }] })
+            .expect(201);
+        expect(placed.body.total_amount).toBe(newPrice * 2);
+    });
+});
+
+describe('Админка: проверка прав', () => {
+    test('без токена отвечает 401, с испорченным токеном - 403', async () => {
+        const { app } = createTestApp();
+
+        await request(app).get('/api/admin/products').expect(401);
+        await request(app).get('/api/admin/products').set(auth('not-a-jwt')).expect(403);
+    });
+
+    test('обычный пользователь не может управлять магазином', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const token = await registerConfirmedUser(context, { username: 'intruder', email: 'intruder@neonred.test' });
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+
+        await request(app).get('/api/admin/products').set(auth(token)).expect(403);
+        await request(app).get('/api/admin/users').set(auth(token)).expect(403);
+        await request(app).get('/api/admin/orders').set(auth(token)).expect(403);
+        await request(app)
+            .post('/api/admin/categories')
+            .set(auth(token))
+            .send({ name: 'Взлом' })
+            .expect(403);
+        await request(app)
+            .put(`/api/admin/products/${hoodie.id}`)
+            .set(auth(token))
+            .send({ price: 1 })
+            .expect(403);
+        await request(app)
+            .delete(`/api/admin/products/${hoodie.id}`)
+            .set(auth(token))
+            .expect(403);
+
+        const untouched = await request(app).get(`/api/products/${hoodie.id}`).expect(200);
+        expect(untouched.body.price).toBe(hoodie.price);
+        const categories = await request(app).get('/api/categories').expect(200);
+        expect(categories.body.map(category => category.name)).not.toContain('Взлом');
+    });
+
+    test('администратор добавляет товар, и он появляется в каталоге', async () => {
+        const { app } = createTestApp();
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+
+        // Первая загрузка каталога заполняет кэш
+        const before = await request(app).get('/api/products').expect(200);
+
+        const created = await request(app)
+            .post('/api/admin/products')
+            .set(auth(adminToken))
+            .send({ title: 'Очки Visor', price: 3990, quantity: 7, category: 'Аксессуары' })
+            .expect(201);
+
+        const after = await request(app).get('/api/products').expect(200);
+        expect(after.body.total).toBe(before.body.total + 1);
+        expect(after.body.products.map(product => product.id)).toContain(created.body.id);
+    });
+});
+
+describe('Переименование категории', () => {
+    test('новое имя видно в категориях, списке товаров и карточке товара', async () => {
+        const { app } = createTestApp();
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+
+        const categories = await request(app).get('/api/categories').expect(200);
+        const clothes = categories.body.find(category => category.name === 'Одежда');
+        await request(app).get('/api/products').expect(200);
+
+        await request(app)
+            .put(`/api/admin/categories/${clothes.id}`)
+            .set(auth(adminToken))
+            .send({ name: 'Киберодежда', oldName: 'Одежда' })
+            .expect(200);
+
+        const renamed = await request(app).get('/api/categories').expect(200);
+        expect(renamed.body.map(category => category.name)).toContain('Киберодежда');
+        expect(renamed.body.map(category => category.name)).not.toContain('Одежда');
+
+        const products = await request(app).get('/api/products').expect(200);
+        const categoriesOfProducts = products.body.products.map(product => product.category);
+        expect(categoriesOfProducts).not.toContain('Одежда');
+        expect(categoriesOfProducts.filter(name => name === 'Киберодежда')).toHaveLength(2);
+
+        const hoodie = products.body.products.find(product => product.title === 'Худи NEON RED');
+        const card = await request(app).get(`/api/products/${hoodie.id}`).expect(200);
+        expect(card.body.category).toEqual({ id: clothes.id, name: 'Киберодежда' });
+        expect(card.body.related.map(product => product.title)).toEqual(['Кепка Cyber']);
+    });
+});
+
+describe('Почтовый ящик для разработки', () => {
+    test('показывает отправленные письма и очищается', async () => {
+        const { app } = createTestApp();
+        const email = 'inbox@neonred.test';
+
+        await request(app).post('/api/send-email-code').send({ email }).expect(200);
+
+        const mailbox = await request(app).get('/api/dev/mailbox').query({ to: email }).expect(200);
+        expect(mailbox.body.messages).toHaveLength(1);
+        expect(mailbox.body.messages[0]).toMatchObject({ to: email, subject: 'Код подтверждения NEON RED' });
+        expect(mailbox.body.messages[0].text).toMatch(/\d{6}/);
+
+        await request(app).delete('/api/dev/mailbox').expect(200);
+        const empty = await request(app).get('/api/dev/mailbox').expect(200);
+        expect(empty.body.messages).toEqual([]);
+    });
+
+    test('недоступен в production', async () => {
+        const { app } = createTestApp({ nodeEnv: 'production' });
+
+        await request(app).get('/api/dev/mailbox').expect(404);
+    });
+});
+
+describe('Шаблоны писем', () => {
+    test('письмо приходит на языке пользователя', async () => {
+        const { app, mailer } = createTestApp();
+
+        await request(app)
+            .post('/api/register')
+            .set('Accept-Language', 'en-US,en;q=0.9,ru;q=0.8')
+            .send({ username: 'visitor', email: 'visitor@neonred.test', password: 'Neon-Secret-42' })
+            .expect(201);
+        await request(app)
+            .post('/api/register')
+            .send({ username: 'local', email: 'local@neonred.test', password: 'Neon-Secret-42' })
+            .expect(201);
+
+        const [english] = mailer.messagesTo('visitor@neonred.test');
+        expect(english.subject).toBe('NEON RED verification code');
+        expect(english.text).toContain('valid for 10 minutes');
+        expect(english.html).toContain('<html lang="en">');
+
+        const [russian] = mailer.messagesTo('local@neonred.test');
+        expect(russian.subject).toBe('Код подтверждения NEON RED');
+        expect(russian.text).toContain('действителен 10 минут');
+    });
+
+    test('предпросмотр доступен только администратору', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const userToken = await registerConfirmedUser(context, { username: 'reader', email: 'reader@neonred.test' });
+
+        await request(app).get('/api/admin/emails/orderConfirmation/preview').set(auth(userToken)).expect(403);
+
+        const list = await request(app).get('/api/admin/emails').set(auth(adminToken)).expect(200);
+        expect(list.body.templates).toEqual(expect.arrayContaining([
+            'verificationCode', 'passwordReset', 'emailChange',
+            'orderConfirmation', 'orderStatusChanged', 'accountDeleted'
+        ]));
+
+        for (const template of list.body.templates) {
+            for (const locale of list.body.locales) {
+                const preview = await request(app)
+                    .get(`/api/admin/emails/${template}/preview`)
+                    .query({ locale, format: 'json' })
+                    .set(auth(adminToken))
+                    .expect(200);
+                expect(preview.body.subject).toBeTruthy();
+                expect(preview.body.html).toContain(`<html lang="${locale}">`);
+                expect(preview.body.text).toContain('NEON RED');
+            }
+        }
+
+        const html = await request(app)
+            .get('/api/admin/emails/orderConfirmation/preview')
+            .set(auth(adminToken))
+            .expect('Content-Type', /html/)
+            .expect(200);
+        expect(html.text).toContain('Худи NEON RED');
+
+        await request(app).get('/api/admin/emails/unknown/preview').set(auth(adminToken)).expect(404);
+    });
+});
+
+describe('Письма о заказах', () => {
+    async function placeOrder(app, token, items) {
+        const res = await request(app)
+            .post('/api/orders')
+            .set(auth(token))
+            .send({ items, shippingAddress: 'Москва, Неоновая ул., 1' })
+            .expect(201);
+        return res.body;
+    }
+
+    test('покупатель получает письмо с составом заказа и письма о смене статуса', async () => {
+        const context = createTestApp();
+        const { app, mailer, mailQueue } = context;
+        const email = 'buyer@neonred.test';
+        const token = await registerConfirmedUser(context, { username: 'buyer', email });
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+
+        const order = await placeOrder(app, token, [{ id: hoodie.id, quantity: 2, price: hoodie.price }]);
+        await mailQueue.idle();
+
+        const [confirmation] = mailer.messagesTo(email);
+        expect(confirmation.subject).toMatch(/^Заказ №\w{8} оформлен$/);
+        expect(confirmation.text).toContain('Худи NEON RED × 2');
+        expect(confirmation.text).toContain('Москва, Неоновая ул., 1');
+
+        await request(app)
+            .put(`/api/admin/orders/${order.id}/status`)
+            .set(auth(adminToken))
+            .send({ status: 'shipped', trackingNumber: 'RA123456789RU' })
+            .expect(200);
+        await mailQueue.idle();
+
+        const [shipped] = mailer.messagesTo(email);
+        expect(shipped.subject).toContain('Отправлен');
+        expect(shipped.text).toContain('RA123456789RU');
+
+        // Повторная установка того же статуса письма не порождает
+        const sentBefore = mailer.messagesTo(email).length;
+        await request(app)
+            .put(`/api/admin/orders/${order.id}/status`)
+            .set(auth(adminToken))
+            .send({ status: 'shipped' })
+            .expect(200);
+        await mailQueue.idle();
+        expect(mailer.messagesTo(email)).toHaveLength(sentBefore);
+    });
+
+    test('отмена покупателем сопровождается письмом', async () => {
+        const context = createTestApp();
+        const { app, mailer, mailQueue } = context;
+        const email = 'regret@neonred.test';
+        const token = await registerConfirmedUser(context, { username: 'regret', email });
+        const strip = await findProduct(app, 'LED-лента Pulse');
+
+        const order = await placeOrder(app, token, [{ id: strip.id, quantity: 1, price: strip.price }]);
+        await request(app).delete(`/api/orders/${order.id}`).set(auth(token)).expect(200);
+        await mailQueue.idle();
+
+        const [cancelled] = mailer.messagesTo(email);
+        expect(cancelled.subject).toContain('Отменён');
+        expect(cancelled.text).toContain('Вы отменили заказ');
+    });
+
+    test('отмена админом возвращает товар на склад, недопустимые переходы статуса отклоняются', async () => {
+        const context = createTestApp();
+        const { app, mailer, mailQueue } = context;
+        const email = 'returned@neonred.test';
+        const token = await registerConfirmedUser(context, { username: 'returned', email });
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+        const setStatus = (order, status) => request(app)
+            .put(`/api/admin/orders/${order.id}/status`)
+            .set(auth(adminToken))
+            .send({ status });
+
+        const order = await placeOrder(app, token, [{ id: hoodie.id, quantity: 2, price: hoodie.price }]);
+        await setStatus(order, 'processing').expect(200);
+        const reopened = await setStatus(order, 'pending').expect(409);
+        expect(reopened.body.code).toBe('INVALID_STATUS_TRANSITION');
+
+        await setStatus(order, 'cancelled').expect(200);
+        expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity);
+        await mailQueue.idle();
+        expect(mailer.messagesTo(email)[0].subject).toContain('Отменён');
+
+        // Отменённый заказ не возвращается в работу, отправленный уже не отменить
+        await setStatus(order, 'processing').expect(409);
+        const shipped = await placeOrder(app, token, [{ id: hoodie.id, quantity: 1, price: hoodie.price }]);
+        await setStatus(shipped, 'shipped').expect(200);
+        await setStatus(shipped, 'cancelled').expect(409);
+        expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity - 1);
+    });
+
+    test('сбой почты не мешает оформить заказ', async () => {
+        const context = createTestApp();
+        const { app, mailer, mailQueue } = context;
+        const token = await registerConfirmedUser(context, { username: 'unlucky', email: 'unlucky@neonred.test' });
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        mailer.transport.send = async () => {
+            throw new Error('SMTP недоступен');
+        };
+
+        try {
+            await placeOrder(app, token, [{ id: hoodie.id, quantity: 1, price: hoodie.price }]);
+            await mailQueue.idle();
+            expect(await getQuantity(app, hoodie.id)).toBe(hoodie.quantity - 1);
+        } finally {
+            errorSpy.mockRestore();
+        }
+    });
+});
+
+describe('Сеансы и refresh-токены', () => {
+    const credentials = { username: 'traveller', password: 'Neon-Secret-42' };
+
+    async function loginDevice(app, userAgent) {
+        const res = await request(app)
+            .post('/api/login')
+            .set('User-Agent', userAgent)
+            .send(credentials)
+            .expect(200);
+        return res.body;
+    }
+
+    test('refresh-токен ротируется, а повторное использование старого завершает сеанс', async () => {
+        const context = createTestApp();
+        const { app, repos } = context;
+        await registerConfirmedUser(context, { ...credentials, email: 'traveller@neonred.test' });
+        const device = await loginDevice(app, 'Laptop');
+
+        const first = await request(app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: device.refreshToken })
+            .expect(200);
+        expect(first.body.refreshToken).toBeTruthy();
+        expect(first.body.refreshToken).not.toBe(device.refreshToken);
+        await request(app).get('/api/sessions').set(auth(first.body.token)).expect(200);
+
+        // Параллельный запрос из соседней вкладки сразу после ротации не считается атакой
+        const concurrent = await request(app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: device.refreshToken })
+            .expect(200);
+        expect(concurrent.body.refreshToken).toBeNull();
+
+        // Спустя время старый токен - признак утечки: сеанс отзывается целиком
+        const [session] = await repos.sessionsRepo.listActiveByUser(first.body.user.id);
+        await repos.sessionsRepo.update(session.id, { last_used_at: new Date(Date.now() - 60 * 1000).toISOString() });
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            await request(app)
+                .post('/api/token/refresh')
+                .send({ refreshToken: device.refreshToken })
+                .expect(401);
+        } finally {
+            warnSpy.mockRestore();
+        }
+
+        await request(app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: first.body.refreshToken })
+            .expect(401);
+        const revoked = await request(app).get('/api/sessions').set(auth(first.body.token)).expect(401);
+        expect(revoked.body.code).toBe('SESSION_REVOKED');
+    });
+
+    test('одновременный обмен одного refresh-токена выдаёт новый токен только одной вкладке', async () => {
+        const context = createTestApp();
+        const { app, repos } = context;
+        await registerConfirmedUser(context, { ...credentials, email: 'traveller@neonred.test' });
+        const device = await loginDevice(app, 'Laptop');
+
+        // Обе вкладки успевают прочитать сеанс до того, как любая из них его обновит
+        const findByTokenHash = repos.sessionsRepo.findByTokenHash;
+        let releaseReads;
+        const bothRead = new Promise(resolve => {
+            releaseReads = resolve;
+        });
+        let reads = 0;
+        repos.sessionsRepo.findByTokenHash = async tokenHash => {
+            const session = await findByTokenHash(tokenHash);
+            if (++reads === 2) releaseReads();
+            await bothRead;
+            return session;
+        };
+
+        const responses = await Promise.all([1, 2].map(() => request(app)
+            .post('/api/token/refresh')
+            .send({ refreshToken: device.refreshToken })
+            .expect(200)));
+        const rotated = responses.map(res => res.body.refreshToken).filter(Boolean);
+        expect(rotated).toHaveLength(1);
+        repos.sessionsRepo.findByTokenHash = findByTokenHash;
+
+        // Выданный токен действует: его не перезаписала вторая ротация
+        await request(app).post('/api/token/refresh').send({ refreshToken: rotated[0] }).expect(200);
+    });
+
+    test('истёкший access-токен отличается от испорченного', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { ...credentials, email: 'traveller@neonred.test' });
+        const device = await loginDevice(app, 'Laptop');
+        const { sid, id, username } = jwt.decode(device.token);
+        const expired = jwt.sign(
+            { id, username, isAdmin: false, sid, exp: Math.floor(Date.now() / 1000) - 10 },
+            'test-jwt-secret'
+        );
+
+        const res = await request(app).get('/api/validate-token').set(auth(expired)).expect(401);
+        expect(res.body.code).toBe('TOKEN_EXPIRED');
+    });
+
+    test('пользователь видит свои сеансы и выходит на других устройствах', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { ...credentials, email: 'traveller@neonred.test' });
+        const laptop = await loginDevice(app, 'Laptop');
+        const phone = await loginDevice(app, 'Phone');
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+
+        const listed = await request(app).get('/api/sessions').set(auth(laptop.token)).expect(200);
+        const current = listed.body.sessions.filter(session => session.current);
+        expect(current).toHaveLength(1);
+        expect(current[0].userAgent).toBe('Laptop');
+        expect(listed.body.sessions.map(session => session.userAgent)).toContain('Phone');
+
+        // Чужой сеанс завершить нельзя
+        const adminSessions = await request(app).get('/api/sessions').set(auth(adminToken)).expect(200);
+        await request(app)
+            .delete(`/api/sessions/${adminSessions.body.sessions[0].id}`)
+            .set(auth(laptop.token))
+            .expect(404);
+
+        const res = await request(app).delete('/api/sessions').set(auth(laptop.token)).expect(200);
+        expect(res.body.revoked).toBeGreaterThanOrEqual(2); // телефон и вход из registerConfirmedUser
+
+        await request(app).get('/api/validate-token').set(auth(phone.token)).expect(401);
+        await request(app).post('/api/token/refresh').send({ refreshToken: phone.refreshToken }).expect(401);
+        await request(app).get('/api/validate-token').set(auth(laptop.token)).expect(200);
+        await request(app).get('/api/validate-token').set(auth(adminToken)).expect(200);
+    });
+
+    test('смена пароля требует текущий пароль и завершает остальные сеансы', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { ...credentials, email: 'traveller@neonred.test' });
+        const laptop = await loginDevice(app, 'Laptop');
+        const phone = await loginDevice(app, 'Phone');
+        const newPassword = 'Quiet-Harbor-Lantern-77';
+
+        const missing = await request(app).put('/api/profile').set(auth(laptop.token)).send({ password: newPassword }).expect(400);
+        expect(missing.body.code).toBe('CURRENT_PASSWORD_REQUIRED');
+        const wrong = await request(app).put('/api/profile').set(auth(laptop.token))
+            .send({ password: newPassword, currentPassword: 'wrong-password' }).expect(401);
+        expect(wrong.body.code).toBe('WRONG_PASSWORD');
+        await login(app, credentials);
+
+        await request(app).put('/api/profile').set(auth(laptop.token))
+            .send({ password: newPassword, currentPassword: credentials.password }).expect(200);
+
+        await request(app).get('/api/validate-token').set(auth(phone.token)).expect(401);
+        await request(app).post('/api/token/refresh').send({ refreshToken: phone.refreshToken }).expect(401);
+        await request(app).get('/api/validate-token').set(auth(laptop.token)).expect(200);
+        await login(app, { username: credentials.username, password: newPassword });
+    });
+
+    test('выход отзывает сеанс', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { ...credentials, email: 'traveller@neonred.test' });
+        const device = await loginDevice(app, 'Laptop');
+
+        await request(app).post('/api/logout').send({ refreshToken: device.refreshToken }).expect(200);
+
+        await request(app).get('/api/validate-token').set(auth(device.token)).expect(401);
+        await request(app).post('/api/token/refresh').send({ refreshToken: device.refreshToken }).expect(401);
+    });
+});
+
+describe('Проверка прав и аккаунта на каждом запросе', () => {
+    async function findUser(app, adminToken, username) {
+        const res = await request(app).get('/api/admin/users').set(auth(adminToken)).expect(200);
+        return res.body.find(user => user.username === username);
+    }
+
+    test('назначение и снятие прав администратора действуют без повторного входа', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const token = await registerConfirmedUser(context, { username: 'manager', email: 'manager@neonred.test' });
+        const manager = await findUser(app, adminToken, 'manager');
+
+        await request(app).get('/api/admin/products').set(auth(token)).expect(403);
+
+        await request(app)
+            .put(`/api/admin/users/${manager.id}`)
+            .set(auth(adminToken))
+            .send({ role: 'owner' })
+            .expect(200);
+        await request(app).get('/api/admin/products').set(auth(token)).expect(200);
+
+        await request(app)
+            .put(`/api/admin/users/${manager.id}`)
+            .set(auth(adminToken))
+            .send({ role: null })
+            .expect(200);
+        await request(app).get('/api/admin/products').set(auth(token)).expect(403);
+    });
+
+    test('администратор не может снять права с самого себя', async () => {
+        const { app } = createTestApp();
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const admin = await findUser(app, adminToken, ADMIN_CREDENTIALS.username);
+
+        await request(app)
+            .put(`/api/admin/users/${admin.id}`)
+            .set(auth(adminToken))
+            .send({ role: null })
+            .expect(400);
+    });
+
+    test('токен удалённого аккаунта перестаёт работать', async () => {
+        const context = createTestApp();
+        const { app, mailQueue } = context;
+        const token = await registerConfirmedUser(context, { username: 'leaver', email: 'leaver@neonred.test' });
+
+        await request(app).get('/api/orders').set(auth(token)).expect(200);
+        await request(app).delete('/api/profile').set(auth(token)).send({ password: 'Neon-Secret-42' }).expect(200);
+        await mailQueue.idle();
+
+        await request(app).get('/api/orders').set(auth(token)).expect(401);
+    });
+
+    test('заблокированный пользователь теряет сеансы и не может войти до разблокировки', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const token = await registerConfirmedUser(context, { username: 'rowdy', email: 'rowdy@neonred.test' });
+        const rowdy = await findUser(app, adminToken, 'rowdy');
+
+        const banned = await request(app)
+            .put(`/api/admin/users/${rowdy.id}`)
+            .set(auth(adminToken))
+            .send({ banned: true })
+            .expect(200);
+        expect(banned.body.banned_at).toBeTruthy();
+
+        await request(app).get('/api/orders').set(auth(token)).expect(401);
+        const res = await request(app).post('/api/login').send({ username: 'rowdy', password: 'Neon-Secret-42' }).expect(403);
+        expect(res.body.code).toBe('ACCOUNT_BANNED');
+
+        await request(app)
+            .put(`/api/admin/users/${rowdy.id}`)
+            .set(auth(adminToken))
+            .send({ banned: false })
+            .expect(200);
+        await login(app, { username: 'rowdy', password: 'Neon-Secret-42' });
+    });
+});
+
+describe('Роли сотрудников', () => {
+    // Регистрирует сотрудника и выдаёт ему роль от имени владельца
+    async function createStaff(context, ownerToken, username, role) {
+        const { app } = context;
+        await registerConfirmedUser(context, { username, email: `${username}@neonred.test` });
+        const users = await request(app).get('/api/admin/users').set(auth(ownerToken)).expect(200);
+        const staff = users.body.find(user => user.username === username);
+        await request(app)
+            .put(`/api/admin/users/${staff.id}`)
+            .set(auth(ownerToken))
+            .send({ role })
+            .expect(200);
+        const res = await request(app).post('/api/login').send({ username, password: 'Neon-Secret-42' }).expect(200);
+        return { token: res.body.token, user: res.body.user };
+    }
+
+    async function setup() {
+        const context = createTestApp();
+        const { app } = context;
+        const ownerToken = await login(app, ADMIN_CREDENTIALS);
+        const customerToken = await registerConfirmedUser(context, { username: 'shopper', email: 'shopper@neonred.test' });
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+        const order = await request(app)
+            .post('/api/orders')
+            .set(auth(customerToken))
+            .send({ items: [{ id: hoodie.id, quantity: 1, price: hoodie.price }] })
+            .expect(201);
+        return { context, app, ownerToken, hoodie, order: order.body };
+    }
+
+    test('менеджер каталога управляет только товарами и категориями', async () => {
+        const { context, app, ownerToken, hoodie, order } = await setup();
+        const { token, user } = await createStaff(context, ownerToken, 'catalog', 'catalog_manager');
+
+        expect(user.role).toBe('catalog_manager');
+        expect(user.isAdmin).toBe(true);
+        expect(user.permissions).toEqual(['catalog:read', 'catalog:write']);
+
+        await request(app).get('/api/admin/products').set(auth(token)).expect(200);
+        await request(app).put(`/api/admin/products/${hoodie.id}`).set(auth(token)).send({ price: 4990 }).expect(200);
+        await request(app).post('/api/admin/categories').set(auth(token)).send({ name: 'Обувь' }).expect(201);
+
+        await request(app).get('/api/admin/orders').set(auth(token)).expect(403);
+        await request(app)
+            .put(`/api/admin/orders/${order.id}/status`)
+            .set(auth(token))
+            .send({ status: 'processing' })
+            .expect(403);
+        await request(app).get('/api/admin/users').set(auth(token)).expect(403);
+    });
+
+    test('оператор заказов меняет статусы, но не видит каталог и пользователей', async () => {
+        const { context, app, ownerToken, hoodie, order } = await setup();
+        const { token } = await createStaff(context, ownerToken, 'operator', 'order_operator');
+
+        await request(app).get('/api/admin/orders').set(auth(token)).expect(200);
+        await request(app)
+            .put(`/api/admin/orders/${order.id}/status`)
+            .set(auth(token))
+            .send({ status: 'processing' })
+            .expect(200);
+
+        await request(app).get('/api/admin/products').set(auth(token)).expect(403);
+        await request(app).delete(`/api/admin/products/${hoodie.id}`).set(auth(token)).expect(403);
+        await request(app).get('/api/admin/users').set(auth(token)).expect(403);
+    });
+
+    test('поддержка только читает пользователей и заказы', async () => {
+        const { context, app, ownerToken, order } = await setup();
+        const { token } = await createStaff(context, ownerToken, 'helpdesk', 'support');
+        const users = await request(app).get('/api/admin/users').set(auth(token)).expect(200);
+        const shopper = users.body.find(user => user.username === 'shopper');
+
+        await request(app).get('/api/admin/orders').set(auth(token)).expect(200);
+        await request(app).get(`/api/admin/users/${shopper.id}/orders`).set(auth(token)).expect(200);
+
+        await request(app)
+            .put(`/api/admin/orders/${order.id}/status`)
+            .set(auth(token))
+            .send({ status: 'processing' })
+            .expect(403);
+        await request(app)
+            .put(`/api/admin/users/${shopper.id}`)
+            .set(auth(token))
+            .send({ banned: true })
+            .expect(403);
+        await request(app).get('/api/admin/emails').set(auth(token)).expect(403);
+    });
+
+    test('неизвестная роль отклоняется', async () => {
+        const { app, ownerToken } = await setup();
+        const users = await request(app).get('/api/admin/users').set(auth(ownerToken)).expect(200);
+        const shopper = users.body.find(user => user.username === 'shopper');
+
+        await request(app)
+            .put(`/api/admin/users/${shopper.id}`)
+            .set(auth(ownerToken))
+            .send({ role: 'superuser' })
+            .expect(400);
+    });
+});
+
+describe('Защита от перебора', () => {
+    let clockOffset;
+
+    // Сдвигает часы счётчиков попыток (они читают Date.now) без ожидания в реальном времени
+    function advanceClock(ms) {
+        clockOffset += ms;
+    }
+
+    beforeEach(() => {
+        clockOffset = 0;
+        const realNow = Date.now.bind(Date);
+        jest.spyOn(Date, 'now').mockImplementation(() => realNow() + clockOffset);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('после нескольких неверных паролей вход откладывается с Retry-After', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { username: 'target', email: 'target@neonred.test' });
+        const wrong = { username: 'target', password: 'wrong-password' };
+
+        for (let i = 0; i < 3; i++) {
+            await request(app).post('/api/login').send(wrong).expect(401);
+        }
+
+        // Даже верный пароль не проверяется, пока действует задержка
+        const blocked = await request(app).post('/api/login').send({ username: 'target', password: 'Neon-Secret-42' }).expect(429);
+        expect(blocked.headers['retry-after']).toBe('1');
+        expect(blocked.body.code).toBe('TOO_MANY_ATTEMPTS');
+
+        // Задержка удваивается с каждой неудачей
+        advanceClock(1000);
+        await request(app).post('/api/login').send(wrong).expect(401);
+        const doubled = await request(app).post('/api/login').send(wrong).expect(429);
+        expect(doubled.headers['retry-after']).toBe('2');
+
+        advanceClock(2000);
+        await login(app, { username: 'target', password: 'Neon-Secret-42' });
+    });
+
+    test('неудачи по username и по email одного аккаунта идут в общий счётчик', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { username: 'target', email: 'target@neonred.test' });
+
+        await request(app).post('/api/login').send({ username: 'target', password: 'wrong-password' }).expect(401);
+        await request(app).post('/api/login').send({ email: 'target@neonred.test', password: 'wrong-password' }).expect(401);
+        await request(app).post('/api/login').send({ email: 'TARGET@neonred.test', password: 'wrong-password' }).expect(401);
+
+        const blocked = await request(app).post('/api/login').send({ username: 'target', password: 'Neon-Secret-42' }).expect(429);
+        expect(blocked.body.code).toBe('TOO_MANY_ATTEMPTS');
+    });
+
+    test('после порога неудач аккаунт блокируется на 15 минут', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { username: 'target', email: 'target@neonred.test' });
+
+        for (let i = 0; i < 10; i++) {
+            await request(app).post('/api/login').send({ username: 'target', password: 'wrong-password' }).expect(401);
+            advanceClock(5 * 60 * 1000);
+        }
+
+        const locked = await request(app).post('/api/login').send({ username: 'target', password: 'Neon-Secret-42' }).expect(429);
+        expect(Number(locked.headers['retry-after'])).toBeGreaterThan(5 * 60);
+
+        // Другой аккаунт с того же IP входит без помех
+        await login(app, ADMIN_CREDENTIALS);
+
+        advanceClock(15 * 60 * 1000);
+        await login(app, { username: 'target', password: 'Neon-Secret-42' });
+    });
+
+    test('код подтверждения аннулируется после пяти неверных вводов', async () => {
+        const { app, mailer } = createTestApp();
+        const email = 'guesser@neonred.test';
+        await request(app).post('/api/register').send({ username: 'guesser', email, password: 'Neon-Secret-42' }).expect(201);
+        const code = mailer.lastCodeFor(email);
+        const wrongCode = code === '000000' ? '111111' : '000000';
+
+        for (let i = 1; i <= 4; i++) {
+            const res = await request(app).post('/api/confirm-email').send({ email, code: wrongCode }).expect(400);
+            expect(res.body.attemptsLeft).toBe(5 - i);
+            advanceClock(60 * 1000);
+        }
+
+        const exhausted = await request(app).post('/api/confirm-email').send({ email, code: wrongCode }).expect(400);
+        expect(exhausted.body.code).toBe('CODE_EXHAUSTED');
+        advanceClock(5 * 60 * 1000);
+
+        // Верный код уже не поможет - нужен новый
+        await request(app).post('/api/confirm-email').send({ email, code }).expect(400);
+    });
+
+    test('за прокси счётчик по IP различает клиентов из X-Forwarded-For, без доверия к прокси - нет', async () => {
+        // С одного IP 20 неудачных входов в разные аккаунты - дальше IP ждёт
+        async function exhaustIp(app, ip) {
+            for (let i = 0; i < 20; i++) {
+                await request(app).post('/api/login').set('X-Forwarded-For', ip)
+                    .send({ username: `ghost${i}`, password: 'wrong-password' }).expect(401);
+            }
+            await request(app).post('/api/login').set('X-Forwarded-For', ip)
+                .send({ username: 'ghost', password: 'wrong-password' }).expect(429);
+        }
+
+        const proxied = createTestApp({ trustProxy: 1 });
+        await exhaustIp(proxied.app, '203.0.113.10');
+        await request(proxied.app).post('/api/login').set('X-Forwarded-For', '198.51.100.20')
+            .send(ADMIN_CREDENTIALS).expect(200);
+
+        // Без trust proxy заголовок подделывается клиентом и не учитывается
+        const direct = createTestApp();
+        await exhaustIp(direct.app, '203.0.113.10');
+        await request(direct.app).post('/api/login').set('X-Forwarded-For', '198.51.100.20')
+            .send(ADMIN_CREDENTIALS).expect(429);
+    });
+
+    test('параллельные неверные пароли упираются в тот же порог, что и последовательные', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { username: 'target', email: 'target@neonred.test' });
+
+        const responses = await Promise.all(Array.from({ length: 10 }, () =>
+            request(app).post('/api/login').send({ username: 'target', password: 'wrong-password' })));
+        const statuses = responses.map(res => res.status);
+
+        expect(statuses.filter(status => status === 401)).toHaveLength(3);
+        expect(statuses.filter(status => status === 429)).toHaveLength(7);
+    });
+
+    test('параллельные проверки кода не дают больше пяти попыток', async () => {
+        const { repos } = createTestApp();
+        const code = '123456';
+        const record = await repos.emailVerificationsRepo.create({
+            email: 'burst@neonred.test',
+            code_hash: await hashCode(code),
+            purpose: CODE_PURPOSES.REGISTER,
+            expires_at: new Date(Date.now() + 60 * 1000).toISOString()
+        });
+
+        const checks = await Promise.all(Array.from({ length: 10 }, () =>
+            checkCode(repos.emailVerificationsRepo, record, '654321')));
+
+        expect(checks.filter(check => !check.exhausted && !check.used)).toHaveLength(4);
+        expect(await repos.emailVerificationsRepo.findLatest({ email: 'burst@neonred.test' })).toBeNull();
+    });
+});
+
+describe('Требования к паролю', () => {
+    test('регистрация отклоняет короткие, простые, личные и распространённые пароли', async () => {
+        const { app } = createTestApp();
+        const account = { username: 'policy', email: 'policy@neonred.test' };
+
+        const cases = [
+            ['Ab1!', 'PASSWORD_TOO_SHORT'],
+            ['onlylowercase', 'PASSWORD_TOO_SIMPLE'],
+            ['My-policy-2024', 'PASSWORD_CONTAINS_PERSONAL_DATA'],
+            ['P@ssw0rd2024!', 'PASSWORD_COMMON'],
+            ['Qwerty123!', 'PASSWORD_COMMON'],
+            // Из конца списка в 30 тысяч частых паролей
+            ['Geekboy2024!', 'PASSWORD_COMMON']
+        ];
+        for (const [password, code] of cases) {
+            const res = await request(app).post('/api/register').send({ ...account, password }).expect(400);
+            expect(res.body.code).toBe(code);
+        }
+
+        // Индикатор в форме получает ту же оценку, что и проверка при сохранении
+        const weak = await request(app).post('/api/check-password').send({ ...account, password: 'P@ssw0rd2024!' }).expect(200);
+        expect(weak.body).toMatchObject({ valid: false, score: 0, code: 'PASSWORD_COMMON' });
+        const strong = await request(app).post('/api/check-password').send({ ...account, password: 'violet rocket under 7 moons' }).expect(200);
+        expect(strong.body).toMatchObject({ valid: true, score: 4 });
+
+        await request(app).post('/api/register').send({ ...account, password: 'violet rocket under 7 moons' }).expect(201);
+    });
+
+    test('сброс пароля и профиль применяют те же правила, а отклонённый пароль не гасит код', async () => {
+        const context = createTestApp();
+        const { app, mailer } = context;
+        const email = 'rules@neonred.test';
+        const token = await registerConfirmedUser(context, { username: 'rules', email });
+
+        const profile = await request(app).put('/api/profile').set(auth(token)).send({ password: 'Rules-2024!', currentPassword: 'Neon-Secret-42' }).expect(400);
+        expect(profile.body.code).toBe('PASSWORD_CONTAINS_PERSONAL_DATA');
+
+        const sent = await request(app).post('/api/forgot-password').send({ email }).expect(200);
+        const reset = { email, userId: sent.body.userId, code: mailer.lastCodeFor(email) };
+
+        const rejected = await request(app).post('/api/reset-password').send({ ...reset, password: 'Password1!' }).expect(400);
+        expect(rejected.body.code).toBe('PASSWORD_COMMON');
+        await request(app).post('/api/reset-password').send({ ...reset, password: 'Fresh-Start-77' }).expect(200);
+        await login(app, { username: 'rules', password: 'Fresh-Start-77' });
+    });
+});
+
+describe('Коды подтверждения', () => {
+    test('в базе хранится только хэш с солью, а код действует один раз', async () => {
+        const context = createTestApp();
+        const { app, repos, mailer } = context;
+        const email = 'once@neonred.test';
+        await registerConfirmedUser(context, { username: 'once', email });
+
+        const sent = await request(app).post('/api/forgot-password').send({ email }).expect(200);
+        const code = mailer.lastCodeFor(email);
+
+        const record = await repos.emailVerificationsRepo.findLatest({ userId: sent.body.userId });
+        expect(record.purpose).toBe('password_reset');
+        expect(record.code_hash).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+        expect(record.code_hash).not.toContain(code);
+
+        const reset = { email, userId: sent.body.userId, code, password: 'Reset-Secret-456' };
+        await request(app).post('/api/reset-password').send(reset).expect(200);
+        await request(app)
+            .post('/api/reset-password')
+            .send({ ...reset, password: 'Reset-Secret-789' })
+            .expect(400);
+
+        await login(app, { username: 'once', password: 'Reset-Secret-456' });
+    });
+
+    test('код смены email не подходит для сброса пароля', async () => {
+        const context = createTestApp();
+        const { app, mailer } = context;
+        const token = await registerConfirmedUser(context, { username: 'mover', email: 'mover@neonred.test' });
+        const validated = await request(app).get('/api/validate-token').set(auth(token)).expect(200);
+        const newEmail = 'moved@neonred.test';
+
+        await request(app).post('/api/profile/change-email').set(auth(token)).send({ email: newEmail }).expect(200);
+        const code = mailer.lastCodeFor(newEmail);
+
+        await request(app)
+            .post('/api/reset-password')
+            .send({ email: newEmail, userId: validated.body.user.id, code, password: 'Hijacked-Pass-1' })
+            .expect(400);
+
+        // Тот же код по своему назначению по-прежнему работает
+        const changed = await request(app)
+            .post('/api/profile/confirm-email-change')
+            .set(auth(token))
+            .send({ email: newEmail, code })
+            .expect(200);
+        expect(changed.body.user.email).toBe(newEmail);
+    });
+});
+
+describe('Двухфакторная аутентификация', () => {
+    let clockOffset;
+
+    // Коды TOTP меняются раз в 30 секунд - сдвигаем часы вместо ожидания
+    function advanceClock(ms) {
+        clockOffset += ms;
+    }
+
+    beforeEach(() => {
+        clockOffset = 0;
+        const realNow = Date.now.bind(Date);
+        jest.spyOn(Date, 'now').mockImplementation(() => realNow() + clockOffset);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function enableTwoFactor(app, token) {
+        const setup = await request(app).post('/api/profile/2fa/setup').set(auth(token)).expect(200);
+        expect(setup.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+        expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+
+        const enabled = await request(app)
+            .post('/api/profile/2fa/enable')
+            .set(auth(token))
+            .send({ code: generateTotp(setup.body.secret) })
+            .expect(200);
+        return { secret: setup.body.secret, backupCodes: enabled.body.backupCodes };
+    }
+
+    async function passwordStep(app, credentials) {
+        const res = await request(app).post('/api/login').send(credentials).expect(200);
+        expect(res.body.twoFactorRequired).toBe(true);
+        expect(res.body.token).toBeUndefined();
+        return res.body.challengeToken;
+    }
+
+    test('после пароля вход требует код из приложения, и каждый код принимается один раз', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const credentials = { username: 'guarded', password: 'Neon-Secret-42' };
+        const token = await registerConfirmedUser(context, { ...credentials, email: 'guarded@neonred.test' });
+        const { secret, backupCodes } = await enableTwoFactor(app, token);
+        expect(backupCodes).toHaveLength(10);
+
+        const challengeToken = await passwordStep(app, credentials);
+
+        // Промежуточный токен не открывает API
+        await request(app).get('/api/validate-token').set(auth(challengeToken)).expect(401);
+
+        // Код, которым подтверждали подключение, уже израсходован
+        await request(app).post('/api/login/2fa').send({ challengeToken, code: generateTotp(secret) }).expect(400);
+
+        advanceClock(30 * 1000);
+        const verified = await request(app)
+            .post('/api/login/2fa')
+            .send({ challengeToken, code: generateTotp(secret) })
+            .expect(200);
+        await request(app).get('/api/validate-token').set(auth(verified.body.token)).expect(200);
+    });
+
+    test('резервный код действует один раз, а отключение требует пароль', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const credentials = { username: 'backup', password: 'Neon-Secret-42' };
+        const token = await registerConfirmedUser(context, { ...credentials, email: 'backup@neonred.test' });
+        const { backupCodes } = await enableTwoFactor(app, token);
+
+        const first = await request(app)
+            .post('/api/login/2fa')
+            .send({ challengeToken: await passwordStep(app, credentials), code: backupCodes[0].toUpperCase() })
+            .expect(200);
+        expect(first.body.backupCodesLeft).toBe(9);
+
+        await request(app)
+            .post('/api/login/2fa')
+            .send({ challengeToken: await passwordStep(app, credentials), code: backupCodes[0] })
+            .expect(400);
+
+        await request(app).delete('/api/profile/2fa').set(auth(token)).send({ password: 'wrong-password' }).expect(401);
+        await request(app).delete('/api/profile/2fa').set(auth(token)).send({ password: 'Neon-Secret-42' }).expect(200);
+
+        const status = await request(app).get('/api/profile/2fa').set(auth(token)).expect(200);
+        expect(status.body.enabled).toBe(false);
+        await login(app, credentials);
+    });
+
+    test('один и тот же код в параллельных запросах открывает только один сеанс', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const credentials = { username: 'racer', password: 'Neon-Secret-42' };
+        const token = await registerConfirmedUser(context, { ...credentials, email: 'racer@neonred.test' });
+        const { secret, backupCodes } = await enableTwoFactor(app, token);
+
+        async function loginTwiceInParallel(code) {
+            const challenges = [await passwordStep(app, credentials), await passwordStep(app, credentials)];
+            const responses = await Promise.all(challenges.map(challengeToken =>
+                request(app).post('/api/login/2fa').send({ challengeToken, code })));
+            return responses.map(res => res.status).sort();
+        }
+
+        advanceClock(30 * 1000);
+        expect(await loginTwiceInParallel(generateTotp(secret))).toEqual([200, 400]);
+        expect(await loginTwiceInParallel(backupCodes[0])).toEqual([200, 400]);
+    });
+
+    test('аккаунт без пароля подтверждает действия с 2FA кодом из приложения', async () => {
+        const context = createTestApp();
+        const { app, repos } = context;
+        const token = await registerConfirmedUser(context, { username: 'provider-only', email: 'provider-only@neonred.test' });
+        const [user] = await repos.usersRepo.findByEmail('provider-only@neonred.test');
+        // Так выглядит аккаунт, созданный входом через провайдера
+        await repos.usersRepo.update(user.id, { password_hash: null });
+        const { secret } = await enableTwoFactor(app, token);
+
+        await request(app).post('/api/profile/2fa/backup-codes').set(auth(token)).send({ password: 'Neon-Secret-42' }).expect(400);
+        // Код, которым подтверждали подключение, уже израсходован
+        await request(app).post('/api/profile/2fa/backup-codes').set(auth(token)).send({ code: generateTotp(secret) }).expect(401);
+
+        advanceClock(30 * 1000);
+        const regenerated = await request(app)
+            .post('/api/profile/2fa/backup-codes')
+            .set(auth(token))
+            .send({ code: generateTotp(secret) })
+            .expect(200);
+        expect(regenerated.body.backupCodes).toHaveLength(10);
+
+        advanceClock(30 * 1000);
+        await request(app).delete('/api/profile/2fa').set(auth(token)).send({ code: generateTotp(secret) }).expect(200);
+        const status = await request(app).get('/api/profile/2fa').set(auth(token)).expect(200);
+        expect(status.body.enabled).toBe(false);
+    });
+
+    test('сотрудник без 2FA входит, но админ-панель закрыта до подключения', async () => {
+        const { app } = createTestApp({ requireStaffTwoFactor: true });
+
+        const loggedIn = await request(app).post('/api/login').send(ADMIN_CREDENTIALS).expect(200);
+        expect(loggedIn.body.twoFactorSetupRequired).toBe(true);
+        const token = loggedIn.body.token;
+
+        const blocked = await request(app).get('/api/admin/users').set(auth(token)).expect(403);
+        expect(blocked.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+        const status = await request(app).get('/api/profile/2fa').set(auth(token)).expect(200);
+        expect(status.body.required).toBe(true);
+
+        await enableTwoFactor(app, token);
+        const users = await request(app).get('/api/admin/users').set(auth(token)).expect(200);
+        const admin = users.body.find(user => user.username === ADMIN_CREDENTIALS.username);
+        expect(admin.two_factor_enabled).toBe(true);
+    });
+});
+
+describe('Вход через внешних провайдеров', () => {
+    const RETURN_TO = 'http://localhost:3000/';
+    const BINDING = 'binding-of-this-browser-tab';
+
+    // Полный круг через mock-провайдер: start → страница провайдера → callback → адрес возврата
+    async function passProvider(app, { email, emailVerified = true, mode, token, binding = BINDING }) {
+        let startRequest = request(app).post('/api/oauth/mock/start');
+        if (token) startRequest = startRequest.set(auth(token));
+        const started = await startRequest.send({ returnTo: RETURN_TO, binding, mode }).expect(200);
+
+        const params = new URL(started.body.authorizationUrl).searchParams;
+        const authorized = await request(app)
+            .post('/api/oauth/mock/authorize')
+            .type('form')
+            .send({
+                email,
+                name: 'Внешний Пользователь',
+                email_verified: emailVerified ? 'true' : '',
+                state: params.get('state'),
+                nonce: params.get('nonce'),
+                code_challenge: params.get('code_challenge'),
+                redirect_uri: params.get('redirect_uri')
+            })
+            .expect(302);
+
+        const callback = new URL(authorized.headers.location);
+        const returned = await request(app).get(`${callback.pathname}${callback.search}`).expect(302);
+        const location = new URL(returned.headers.location);
+        expect(location.origin + location.pathname).toBe(RETURN_TO);
+        return {
+            ticket: location.searchParams.get('oauth_ticket'),
+            error: location.searchParams.get('oauth_error')
+        };
+    }
+
+    test('новый пользователь создаётся с подтверждённым email и получает обычные токены', async () => {
+        const { app, repos } = createTestApp();
+        const { ticket } = await passProvider(app, { email: 'newcomer@neonred.test' });
+
+        // Билет без binding вкладки, начавшей вход, бесполезен и после такой попытки сгорает
+        await request(app).post('/api/oauth/exchange').send({ ticket, binding: 'another-browser-binding' }).expect(400);
+        await request(app).post('/api/oauth/exchange').send({ ticket, binding: BINDING }).expect(400);
+
+        const { ticket: fresh } = await passProvider(app, { email: 'newcomer@neonred.test' });
+        const res = await request(app).post('/api/oauth/exchange').send({ ticket: fresh, binding: BINDING }).expect(200);
+        expect(res.body.user.email).toBe('newcomer@neonred.test');
+        expect(res.body.refreshToken).toBeTruthy();
+        await request(app).get('/api/validate-token').set(auth(res.body.token)).expect(200);
+
+        const [user] = await repos.usersRepo.findByEmail('newcomer@neonred.test');
+        expect(user.email_verified).toBe(true);
+        expect(user.password_hash).toBeNull();
+
+        // Билет одноразовый
+        await request(app).post('/api/oauth/exchange').send({ ticket: fresh, binding: BINDING }).expect(400);
+    });
+
+    test('существующий аккаунт привязывается только по подтверждённому провайдером email', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerConfirmedUser(context, { username: 'linked', email: 'linked@neonred.test' });
+
+        const unverified = await passProvider(app, { email: 'linked@neonred.test', emailVerified: false });
+        expect(unverified.error).toBe('EMAIL_NOT_VERIFIED');
+
+        const { ticket } = await passProvider(app, { email: 'linked@neonred.test' });
+        const res = await request(app).post('/api/oauth/exchange').send({ ticket, binding: BINDING }).expect(200);
+        expect(res.body.created).toBe(false);
+        expect(res.body.user.username).toBe('linked');
+
+        const identities = await request(app).get('/api/oauth/identities').set(auth(res.body.token)).expect(200);
+        expect(identities.body.identities).toEqual([expect.objectContaining({ provider: 'mock', email: 'linked@neonred.test' })]);
+        expect(identities.body.hasPassword).toBe(true);
+    });
+
+    test('провайдер привязывается и отвязывается в профиле, последний способ входа остаётся', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const token = await registerConfirmedUser(context, { username: 'profiled', email: 'profiled@neonred.test' });
+
+        // Привязка - только для вошедших и только на разрешённый адрес возврата
+        await request(app).post('/api/oauth/mock/start').send({ returnTo: RETURN_TO, binding: BINDING, mode: 'link' }).expect(401);
+        await request(app)
+            .post('/api/oauth/mock/start')
+            .send({ returnTo: 'javascript:alert(1)', binding: BINDING })
+            .expect(400);
+
+        const { ticket } = await passProvider(app, { email: 'other-address@neonred.test', mode: 'link', token });
+        const linked = await request(app).post('/api/oauth/exchange').send({ ticket, binding: BINDING }).expect(200);
+        expect(linked.body).toEqual({ linked: true, provider: 'mock' });
+
+        // Этот внешний аккаунт теперь ведёт в profiled, а не в новый аккаунт
+        const again = await passProvider(app, { email: 'other-address@neonred.test' });
+        const loggedIn = await request(app).post('/api/oauth/exchange').send({ ticket: again.ticket, binding: BINDING }).expect(200);
+        expect(loggedIn.body.user.username).toBe('profiled');
+
+        const list = await request(app).get('/api/oauth/identities').set(auth(token)).expect(200);
+        const [identity] = list.body.identities;
+        await request(app).delete(`/api/oauth/identities/${identity.id}`).set(auth(token)).expect(200);
+
+        // Аккаунт без пароля не может отвязать единственного провайдера
+        const { ticket: newTicket } = await passProvider(app, { email: 'passwordless@neonred.test' });
+        const created = await request(app).post('/api/oauth/exchange').send({ ticket: newTicket, binding: BINDING }).expect(200);
+        expect(created.body.created).toBe(true);
+        const own = await request(app).get('/api/oauth/identities').set(auth(created.body.token)).expect(200);
+        expect(own.body.hasPassword).toBe(false);
+        const refused = await request(app)
+            .delete(`/api/oauth/identities/${own.body.identities[0].id}`)
+            .set(auth(created.body.token))
+            .expect(400);
+        expect(refused.body.code).toBe('LAST_LOGIN_METHOD');
+    });
+});
+
+describe('Один email - несколько профилей', () => {
+    const email = 'family@neonred.test';
+
+    async function registerFamily(context, passwords) {
+        const tokens = [];
+        for (const [index, password] of passwords.entries()) {
+            tokens.push(await registerConfirmedUser(context, { username: `family${index + 1}`, email, password }));
+        }
+        return tokens;
+    }
+
+    test('вход по email предлагает выбрать профиль, если пароль подходит к нескольким', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        await registerFamily(context, ['Shared-Secret-1', 'Shared-Secret-1', 'Other-Secret-2']);
+
+        const res = await request(app).post('/api/login').send({ email, password: 'Shared-Secret-1' }).expect(200);
+        expect(res.body.profileSelectionRequired).toBe(true);
+        expect(res.body.token).toBeUndefined();
+        expect(res.body.profiles.map(profile => profile.username).sort()).toEqual(['family1', 'family2']);
+
+        // Токен выбора не открывает API и не подходит для профиля, которого не было в списке
+        const { selectionToken } = res.body;
+        await request(app).get('/api/validate-token').set(auth(selectionToken)).expect(401);
+        const others = await request(app).post('/api/login').send({ username: 'family3', password: 'Other-Secret-2' }).expect(200);
+        await request(app)
+            .post('/api/login/select-profile')
+            .send({ selectionToken, userId: others.body.user.id })
+            .expect(401);
+
+        const chosen = res.body.profiles.find(profile => profile.username === 'family2');
+        const selected = await request(app)
+            .post('/api/login/select-profile')
+            .send({ selectionToken, userId: chosen.id })
+            .expect(200);
+        expect(selected.body.user.username).toBe('family2');
+
+        // Пароль третьего профиля однозначно указывает на него
+        const direct = await request(app).post('/api/login').send({ email, password: 'Other-Secret-2' }).expect(200);
+        expect(direct.body.user.username).toBe('family3');
+    });
+
+    test('сброс пароля меняет пароль только выбранного профиля', async () => {
+        const context = createTestApp();
+        const { app, mailer } = context;
+        await registerFamily(context, ['First-Secret-1', 'Second-Secret-2']);
+
+        const list = await request(app).post('/api/forgot-password').send({ email }).expect(200);
+        expect(list.body.accounts).toHaveLength(2);
+        const second = list.body.accounts.find(account => account.username === 'family2');
+
+        await request(app).post('/api/forgot-password').send({ email, userId: 'someone-else' }).expect(404);
+
+        const sent = await request(app).post('/api/forgot-password').send({ email, userId: second.id }).expect(200);
+        expect(sent.body.userId).toBe(second.id);
+        await request(app)
+            .post('/api/reset-password')
+            .send({ email, userId: second.id, code: mailer.lastCodeFor(email), password: 'Renewed-Secret-3' })
+            .expect(200);
+
+        await login(app, { username: 'family2', password: 'Renewed-Secret-3' });
+        await login(app, { username: 'family1', password: 'First-Secret-1' });
+    });
+
+    test('владелец включает режим «один аккаунт на email» и видит отчёт о конфликтах', async () => {
+        const context = createTestApp();
+        const { app } = context;
+        const [familyToken] = await registerFamily(context, ['First-Secret-1', 'Second-Secret-2']);
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+
+        // Пока режим multi, владелец почты может перенести на неё и другой профиль
+        const moverToken = await registerConfirmedUser(context, { username: 'mover', email: 'mover@neonred.test' });
+        await request(app).post('/api/profile/change-email').set(auth(moverToken)).send({ email }).expect(200);
+
+        await request(app).put('/api/admin/account-mode').set(auth(familyToken)).send({ mode: 'strict' }).expect(403);
+        await request(app).put('/api/admin/account-mode').set(auth(adminToken)).send({ mode: 'single' }).expect(400);
+
+        const switched = await request(app)
+            .put('/api/admin/account-mode')
+            .set(auth(adminToken))
+            .send({ mode: 'strict' })
+            .expect(200);
+        expect(switched.body.mode).toBe('strict');
+        expect(switched.body.conflicts).toEqual([
+            { email, profiles: [expect.objectContaining({ username: 'family1' }), expect.objectContaining({ username: 'family2' })] }
+        ]);
+        expect(switched.body.affectedProfiles).toBe(2);
+
+        const taken = await request(app)
+            .post('/api/register')
+            .send({ username: 'family3', email, password: 'Third-Secret-3' })
+            .expect(409);
+        expect(taken.body.code).toBe('EMAIL_TAKEN');
+        const moved = await request(app).post('/api/profile/change-email').set(auth(moverToken)).send({ email }).expect(409);
+        expect(moved.body.code).toBe('EMAIL_TAKEN');
+
+        // Уже существующие профили продолжают входить
+        await login(app, { username: 'family1', password: 'First-Secret-1' });
+    });
+});
+
+describe('Заголовки безопасности и CSRF', () => {
+    test('ответы API закрыты CSP и заголовками безопасности, HSTS только в production', async () => {
+        const { app } = createTestApp();
+        const res = await request(app).get('/api/products').expect(200);
+        expect(res.headers['content-security-policy']).toContain("default-src 'none'");
+        expect(res.headers['content-security-policy']).toContain("frame-ancestors 'none'");
+        expect(res.headers['x-content-type-options']).toBe('nosniff');
+        expect(res.headers['x-frame-options']).toBe('DENY');
+        expect(res.headers['x-powered-by']).toBeUndefined();
+        expect(res.headers['strict-transport-security']).toBeUndefined();
+
+        const production = createTestApp({ nodeEnv: 'production' });
+        const secured = await request(production.app).get('/api/products').expect(200);
+        expect(secured.headers['strict-transport-security']).toMatch(/^max-age=\d+; includeSubDomains$/);
+    });
+
+    test('слишком большое или битое тело получает JSON-ошибку', async () => {
+        const { app } = createTestApp();
+        const huge = await request(app)
+            .post('/api/login')
+            .send({ username: 'x'.repeat(200 * 1024), password: 'x' })
+            .expect(413);
+        expect(huge.body.code).toBe('PAYLOAD_TOO_LARGE');
+
+        const broken = await request(app)
+            .post('/api/login')
+            .set('Content-Type', 'application/json')
+            .send('{"username":')
+            .expect(400);
+        expect(broken.body.code).toBe('INVALID_BODY');
+    });
+
+    test('запрос с cookie проходит только с тем же CSRF-токеном в заголовке', async () => {
+        const { app } = createTestApp();
+        const credentials = ADMIN_CREDENTIALS;
+
+        const issued = await request(app).get('/api/csrf-token').expect(200);
+        const cookie = issued.headers['set-cookie'][0].split(';')[0];
+        expect(issued.headers['set-cookie'][0]).toMatch(/HttpOnly/);
+
+        const missing = await request(app).post('/api/login').set('Cookie', cookie).send(credentials).expect(403);
+        expect(missing.body.code).toBe('CSRF_INVALID');
+
+        // Токен из другого ответа, подделанный и совпадающий с подделанной cookie не принимаются
+        const other = await request(app).get('/api/csrf-token').expect(200);
+        await request(app).post('/api/login').set('Cookie', cookie).set('X-CSRF-Token', other.body.token).send(credentials).expect(403);
+        await request(app)
+            .post('/api/login')
+            .set('Cookie', 'csrf_token=forged.token.value')
+            .set('X-CSRF-Token', 'forged.token.value')
+            .send(credentials)
+            .expect(403);
+
+        await request(app)
+            .post('/api/login')
+            .set('Cookie', cookie)
+            .set('X-CSRF-Token', issued.body.token)
+            .send(credentials)
+            .expect(200);
+
+        // GET и запросы без cookie (Bearer-клиенты) не проверяются
+        await request(app).get('/api/products').set('Cookie', cookie).expect(200);
+        await request(app).post('/api/login').send(credentials).expect(200);
+    });
+});
+
+describe('Настройки сервера', () => {
+    const productionEnv = {
+        NODE_ENV: 'production',
+        JWT_SECRET: 'a'.repeat(48),
+        SUPABASE_URL: 'https://project.supabase.co',
+        SUPABASE_SERVICE_KEY: 'service-role-key',
+        RESEND_API_KEY: 're_secret_key',
+        CORS_ORIGINS: 'https://shop.example.com/, https://admin.example.com'
+    };
+
+    test('в production сервер не запускается с настройками по умолчанию и перечисляет все ошибки', () => {
+        let error;
+        try {
+            loadConfig({ NODE_ENV: 'production', OAUTH_PROVIDERS: 'mock', PORT: 'http' });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.errors).toEqual(expect.arrayContaining([
+            expect.stringMatching(/^PORT:/),
+            expect.stringMatching(/^JWT_SECRET:/),
+            expect.stringMatching(/^SUPABASE_URL:/),
+            expect.stringMatching(/^SUPABASE_SERVICE_KEY:/),
+            expect.stringMatching(/^RESEND_API_KEY:/),
+            expect.stringMatching(/^OAUTH_PROVIDERS:/),
+            expect.stringMatching(/^CORS_ORIGINS:/)
+        ]));
+
+        // Короткий секрет и секрет для разработки в production тоже не годятся
+        expect(() => loadConfig({ ...productionEnv, JWT_SECRET: 'short' })).toThrow(/JWT_SECRET/);
+        const devConfig = loadConfig({ NODE_ENV: 'development', DATA_BACKEND: 'memory' });
+        expect(() => loadConfig({ ...productionEnv, JWT_SECRET: devConfig.jwtSecret })).toThrow(/JWT_SECRET/);
+
+        // Провайдер mock впускает под любым email: только по явному OAUTH_PROVIDERS и с данными в памяти
+        expect(loadConfig({ NODE_ENV: 'development', DATA_BACKEND: 'memory' }).oauth.providerNames).toEqual([]);
+        expect(loadConfig({ NODE_ENV: 'development', DATA_BACKEND: 'memory', OAUTH_PROVIDERS: 'mock' }).oauth.providerNames)
+            .toEqual(['mock']);
+        expect(() => loadConfig({ ...productionEnv, NODE_ENV: 'development', OAUTH_PROVIDERS: 'mock' }))
+            .toThrow(/OAUTH_PROVIDERS: провайдер mock доступен только с DATA_BACKEND=memory/);
+
+        // Без NODE_ENV настройки для разработки не подставляются: окружение задаётся явно
+        const withoutNodeEnv = { ...productionEnv };
+        delete withoutNodeEnv.NODE_ENV;
+        expect(() => loadConfig(withoutNodeEnv)).toThrow(/NODE_ENV: обязательная переменная/);
+    });
+
+    test('разбирает переменные и печатает итог без секретов', () => {
+        const config = loadConfig({ ...productionEnv, HSTS_MAX_AGE: '600', CSRF_PROTECTION: 'false', TRUST_PROXY: '1' });
+        expect(config.trustProxy).toBe(1);
+        expect(loadConfig({ ...productionEnv, TRUST_PROXY: 'loopback, 10.0.0.0/8' }).trustProxy).toEqual(['loopback', '10.0.0.0/8']);
+        expect(loadConfig(productionEnv).trustProxy).toBe(false);
+        expect(config.cors.origins).toEqual(['https://shop.example.com', 'https://admin.example.com']);
+        expect(config.security).toMatchObject({ hstsMaxAge: 600, csrf: false, jsonBodyLimit: '100kb' });
+        expect(config.mail.transport).toBe('resend');
+
+        const summary = describeConfig(config, productionEnv);
+        expect(summary).toContain('SUPABASE_URL=https://project.supabase.co');
+        expect(summary).toContain('JWT_SECRET=***');
+        expect(summary).not.toContain(productionEnv.JWT_SECRET);
+        expect(summary).not.toContain(productionEnv.SUPABASE_SERVICE_KEY);
+        expect(summary).not.toContain(productionEnv.RESEND_API_KEY);
+    });
+
+    test('CORS в production разрешает только источники из настроек', async () => {
+        const { app } = createTestApp({
+            nodeEnv: 'production',
+            cors: { origins: ['https://shop.example.com'], previewSuffix: '' }
+        });
+
+        const allowed = await request(app).get('/api/products').set('Origin', 'https://shop.example.com').expect(200);
+        expect(allowed.headers['access-control-allow-origin']).toBe('https://shop.example.com');
+
+        const denied = await request(app).get('/api/products').set('Origin', 'https://neon-red.vercel.app').expect(403);
+        expect(denied.body.code).toBe('ORIGIN_NOT_ALLOWED');
+    });
+});
+
+describe('Загрузка изображений', () => {
+    const STORAGE_URL = 'http://storage.test/';
+
+    function pngChunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(zlib.crc32(body));
+        return Buffer.concat([length, body, crc]);
+    }
+
+    // Настоящий PNG с текстовым чанком сразу после IHDR
+    async function pngWithText() {
+        const png = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#ff0033' } }).png().toBuffer();
+        const afterHeader = 8 + 12 + png.readUInt32BE(8);
+        return Buffer.concat([
+            png.subarray(0, afterHeader),
+            pngChunk('tEXt', Buffer.from('Comment\0secret-location', 'latin1')),
+            png.subarray(afterHeader)
+        ]);
+    }
+
+    // Настоящий JPEG 40x20 с EXIF: ориентация 6 (повёрнут на 90°) и координаты
+    async function jpegWithExif() {
+        const tiff = Buffer.alloc(8 + 2 + 12 + 4);
+        tiff.write('MM', 0, 'ascii');
+        tiff.writeUInt16BE(42, 2);
+        tiff.writeUInt32BE(8, 4);
+        tiff.writeUInt16BE(1, 8);
+        tiff.writeUInt16BE(0x0112, 10);
+        tiff.writeUInt16BE(3, 12);
+        tiff.writeUInt32BE(1, 14);
+        tiff.writeUInt16BE(6, 18);
+        const exif = Buffer.concat([Buffer.from('Exif\0\0', 'ascii'), tiff, Buffer.from('GPS 55.7558N 37.6173E', 'ascii')]);
+        const app1 = Buffer.concat([Buffer.from([0xff, 0xe1, 0, 0]), exif]);
+        app1.writeUInt16BE(exif.length + 2, 2);
+
+        const jpeg = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#00ffcc' } }).jpeg().toBuffer();
+        // EXIF - первым сегментом после SOI, как у фотографий с камеры
+        return {
+            buffer: Buffer.concat([jpeg.subarray(0, 2), app1, jpeg.subarray(2)]),
+            segments: jpeg.subarray(2)
+        };
+    }
+
+    async function storedFile(repos, url) {
+        expect(url.startsWith(STORAGE_URL)).toBe(true);
+        return repos.storageRepo.read(url.slice(STORAGE_URL.length));
+    }
+
+    test('загружать изображения товаров может только сотрудник каталога', async () => {
+        const context = createTestApp();
+        const { app, repos } = context;
+        const userToken = await registerConfirmedUser(context, { username: 'uploader', email: 'uploader@neonred.test' });
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const png = await pngWithText();
+
+        await request(app)
+            .post('/api/upload-image')
+            .attach('image', png, { filename: 'photo.png', contentType: 'image/png' })
+            .expect(401);
+        await request(app)
+            .post('/api/upload-image')
+            .set(auth(userToken))
+            .attach('image', png, { filename: 'photo.png', contentType: 'image/png' })
+            .expect(403);
+
+        // Имя и Content-Type от клиента не важны: тип и расширение берутся из содержимого
+        const res = await request(app)
+            .post('/api/upload-image')
+            .set(auth(adminToken))
+            .attach('image', png, { filename: 'photo.jpg', contentType: 'image/jpeg' })
+            .expect(200);
+        expect(res.body.url).toMatch(/\/products\/product-\d+-[0-9a-f]{8}\.png$/);
+
+        const file = await storedFile(repos, res.body.url);
+        expect(file.contentType).toBe('image/png');
+        expect(file.buffer.includes('tEXt')).toBe(false);
+        expect(file.buffer.includes('secret-location')).toBe(false);
+        expect(file.buffer.includes('IDAT')).toBe(true);
+
+        // Две загрузки в одну миллисекунду получают разные имена
+        const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1767225600000);
+        try {
+            const [first, second] = await Promise.all([1, 2].map(() => request(app)
+                .post('/api/upload-image')
+                .set(auth(adminToken))
+                .attach('image', png, { filename: 'photo.png', contentType: 'image/png' })
+                .expect(200)));
+            expect(first.body.url).not.toBe(second.body.url);
+        } finally {
+            nowSpy.mockRestore();
+        }
+    });
+
+    test('SVG, подменённые файлы и слишком большие файлы отклоняются', async () => {
+        const { app } = createTestApp();
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const upload = (buffer, filename, contentType) => request(app)
+            .post('/api/upload-image')
+            .set(auth(adminToken))
+            .attach('image', buffer, { filename, contentType });
+
+        const svg = Buffer.from('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+        const svgRes = await upload(svg, 'logo.png', 'image/png').expect(400);
+        expect(svgRes.body.code).toBe('SVG_NOT_ALLOWED');
+
+        const fakeRes = await upload(Buffer.from('#!/bin/sh\necho hacked'), 'photo.jpg', 'image/jpeg').expect(400);
+        expect(fakeRes.body.code).toBe('UNSUPPORTED_IMAGE_TYPE');
+
+        const huge = Buffer.concat([await pngWithText(), Buffer.alloc(MAX_FILE_SIZE)]);
+        const hugeRes = await upload(huge, 'huge.png', 'image/png').expect(413);
+        expect(hugeRes.body.code).toBe('FILE_TOO_LARGE');
+    });
+
+    test('из фотографии удаляются EXIF и координаты, ориентация остаётся', async () => {
+        const context = createTestApp();
+        const { app, repos } = context;
+        const token = await registerConfirmedUser(context, { username: 'traveler', email: 'traveler@neonred.test' });
+        const { buffer, segments } = await jpegWithExif();
+
+        const res = await request(app)
+            .post('/api/profile/avatar')
+            .set(auth(token))
+            .attach('avatar', buffer, { filename: 'IMG_0001.JPG', contentType: 'image/jpeg' })
+            .expect(200);
+        expect(res.body.avatar_url).toMatch(/\.jpg$/);
+
+        const file = await storedFile(repos, res.body.avatar_url);
+        expect(file.buffer.includes('GPS')).toBe(false);
+        // SOI, EXIF только с ориентацией и нетронутые таблицы и сжатые данные
+        expect(file.buffer.subarray(2, 4).equals(Buffer.from([0xff, 0xe1]))).toBe(true);
+        expect(file.buffer.includes('Exif')).toBe(true);
+        expect(file.buffer.subarray(-segments.length).equals(segments)).toBe(true);
+        expect(file.buffer.length).toBeLessThan(buffer.length);
+
+        // Копии уже повёрнуты: 40x20 с ориентацией 6 становится 20x40
+        expect(res.body.user.avatar_variants).toMatchObject({ width: 20, height: 40 });
+        const copy = await storedFile(repos, res.body.user.avatar_variants.sources[0].webp);
+        expect(await sharp(copy.buffer).metadata()).toMatchObject({ width: 20, height: 40, format: 'webp' });
+        expect(copy.buffer.includes('GPS')).toBe(false);
+    });
+
+    test('у изображения товара есть копии в AVIF и WebP и заглушка, копии удаляются вместе с ним', async () => {
+        const { app, repos } = createTestApp();
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+        const photo = await sharp({ create: { width: 1000, height: 500, channels: 3, background: '#220011' } }).jpeg().toBuffer();
+
+        const upload = await request(app)
+            .post(`/api/admin/products/${hoodie.id}/upload`)
+            .set(auth(adminToken))
+            .attach('image', photo, { filename: 'hoodie.jpg', contentType: 'image/jpeg' })
+            .expect(200);
+
+        // Шире оригинала копии не делаются: full совпадает с ним по ширине
+        const variants = upload.body.image_variants;
+        expect(variants).toMatchObject({ width: 1000, height: 500 });
+        expect(variants.placeholder).toMatch(/^data:image\/webp;base64,/);
+        expect(variants.sources.map(source => [source.name, source.width, source.height])).toEqual([
+            ['thumb', 160, 80],
+            ['card', 480, 240],
+            ['full', 1000, 500]
+        ]);
+        const card = variants.sources[1];
+        expect((await storedFile(repos, card.avif)).contentType).toBe('image/avif');
+        expect(await sharp((await storedFile(repos, card.webp)).buffer).metadata()).toMatchObject({ width: 480, format: 'webp' });
+
+        // Каталог отдаёт копии, правка названия их не сбрасывает
+        expect((await findProduct(app, 'Худи NEON RED')).image_variants).toEqual(variants);
+        await request(app)
+            .put(`/api/admin/products/${hoodie.id}`)
+            .set(auth(adminToken))
+            .send({ title: 'Худи NEON RED', image_url: upload.body.image_url })
+            .expect(200);
+        expect((await findProduct(app, 'Худи NEON RED')).image_variants).toEqual(variants);
+
+        await request(app).delete(`/api/admin/products/${hoodie.id}/image`).set(auth(adminToken)).expect(200);
+        expect(await storedFile(repos, upload.body.image_url)).toBeNull();
+        expect(await storedFile(repos, card.avif)).toBeNull();
+        expect((await findProduct(app, 'Худи NEON RED')).image_variants).toBeNull();
+    });
+});
+
+describe('Уборка хранилища', () => {
+    const STORAGE_URL = 'http://storage.test/';
+    const pathOf = url => url.slice(STORAGE_URL.length);
+
+    async function photo(color) {
+        return sharp({ create: { width: 40, height: 20, channels: 3, background: color } }).png().toBuffer();
+    }
+
+    // Два аватара подряд, файл из брошенной формы товара и изображение товара
+    async function uploadFiles(context) {
+        const { app } = context;
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const userToken = await registerConfirmedUser(context, { username: 'selfie', email: 'selfie@neonred.test' });
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+
+        const uploadAvatar = async color => (await request(app)
+            .post('/api/profile/avatar')
+            .set(auth(userToken))
+            .attach('avatar', await photo(color), { filename: 'me.png', contentType: 'image/png' })
+            .expect(200)).body;
+        const oldAvatar = await uploadAvatar('#111111');
+        const newAvatar = await uploadAvatar('#222222');
+
+        const abandoned = (await request(app)
+            .post('/api/upload-image')
+            .set(auth(adminToken))
+            .attach('image', await photo('#333333'), { filename: 'draft.png', contentType: 'image/png' })
+            .expect(200)).body;
+        const product = (await request(app)
+            .post(`/api/admin/products/${hoodie.id}/upload`)
+            .set(auth(adminToken))
+            .attach('image', await photo('#444444'), { filename: 'hoodie.png', contentType: 'image/png' })
+            .expect(200)).body;
+
+        return { adminToken, userToken, oldAvatar, newAvatar, abandoned, product };
+    }
+
+    const allPaths = (url, variants) => [pathOf(url), ...variants.sources.flatMap(source => [pathOf(source.avif), pathOf(source.webp)])];
+
+    test('владелец видит файлы без ссылок с размерами, уборка удаляет только их', async () => {
+        const context = createTestApp({ storage: { gcGraceHours: 0 } });
+        const { app, repos } = context;
+        const { adminToken, userToken, oldAvatar, newAvatar, abandoned, product } = await uploadFiles(context);
+
+        await request(app).get('/api/admin/storage/orphans').set(auth(userToken)).expect(403);
+        await request(app).post('/api/admin/storage/orphans/cleanup').set(auth(userToken)).expect(403);
+
+        const orphans = allPaths(oldAvatar.avatar_url, oldAvatar.avatar_variants)
+            .concat(allPaths(abandoned.url, abandoned.image_variants));
+        const kept = allPaths(newAvatar.avatar_url, newAvatar.avatar_variants)
+            .concat(allPaths(product.image_url, product.image_variants));
+
+        const report = await request(app).get('/api/admin/storage/orphans').set(auth(adminToken)).expect(200);
+        expect(report.body.files.map(file => file.path).sort()).toEqual([...orphans].sort());
+        expect(report.body.files.every(file => file.size > 0 && file.deletable)).toBe(true);
+        expect(report.body.totalSize).toBe(report.body.files.reduce((sum, file) => sum + file.size, 0));
+
+        const cleanup = await request(app).post('/api/admin/storage/orphans/cleanup').set(auth(adminToken)).expect(200);
+        expect(cleanup.body.deleted.sort()).toEqual([...orphans].sort());
+        expect(cleanup.body.freedBytes).toBe(report.body.totalSize);
+        expect(cleanup.body.files).toEqual([]);
+
+        for (const path of orphans) {
+            expect(await repos.storageRepo.read(path)).toBeNull();
+        }
+        for (const path of kept) {
+            expect(await repos.storageRepo.read(path)).not.toBeNull();
+        }
+    });
+
+    test('свежие файлы без ссылок не удаляются до конца срока ожидания', async () => {
+        const context = createTestApp();
+        const { app, repos } = context;
+        const { adminToken, abandoned } = await uploadFiles(context);
+
+        const report = await request(app).get('/api/admin/storage/orphans').set(auth(adminToken)).expect(200);
+        expect(report.body.graceHours).toBe(24);
+        expect(report.body.files.length).toBeGreaterThan(0);
+        expect(report.body.files.some(file => file.deletable)).toBe(false);
+        expect(report.body.deletableSize).toBe(0);
+
+        const cleanup = await request(app).post('/api/admin/storage/orphans/cleanup').set(auth(adminToken)).expect(200);
+        expect(cleanup.body.deleted).toEqual([]);
+        expect(await repos.storageRepo.read(pathOf(abandoned.url))).not.toBeNull();
+    });
+    test('при ответах, обрезанных по max-rows, файлы всех товаров и пользователей остаются', async () => {
+        const context = createTestApp({ storage: { gcGraceHours: 0 }, maxRows: 2 });
+        const { app, repos } = context;
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        // Третий товар - уже за пределами первой обрезанной пачки
+        const firstBatch = await repos.productsRepo.listBatch({ limit: 3 });
+        const nextBatch = await repos.productsRepo.listBatch({ afterId: firstBatch[1].id, limit: 1 });
+        const products = [...firstBatch, ...nextBatch];
+        expect(products).toHaveLength(3);
+
+        const kept = [];
+        for (const [i, product] of products.entries()) {
+            const upload = (await request(app)
+                .post(`/api/admin/products/${product.id}/upload`)
+                .set(auth(adminToken))
+                .attach('image', await photo(`#00000${i}`), { filename: 'product.png', contentType: 'image/png' })
+                .expect(200)).body;
+            kept.push(...allPaths(upload.image_url, upload.image_variants));
+        }
+        for (const name of ['first', 'second', 'third']) {
+            const token = await registerConfirmedUser(context, { username: `capped_${name}`, email: `${name}@neonred.test` });
+            const avatar = (await request(app)
+                .post('/api/profile/avatar')
+                .set(auth(token))
+                .attach('avatar', await photo('#555555'), { filename: 'me.png', contentType: 'image/png' })
+                .expect(200)).body;
+            kept.push(...allPaths(avatar.avatar_url, avatar.avatar_variants));
+        }
+        expect((await repos.usersRepo.list()).length).toBe(2);
+
+        const cleanup = await request(app).post('/api/admin/storage/orphans/cleanup').set(auth(adminToken)).expect(200);
+        expect(cleanup.body.deleted).toEqual([]);
+        for (const path of kept) {
+            expect(await repos.storageRepo.read(path)).not.toBeNull();
+        }
+    });
+});
+
+describe('Галерея товара', () => {
+    const STORAGE_URL = 'http://storage.test/';
+
+    async function photo(color) {
+        return sharp({ create: { width: 40, height: 20, channels: 3, background: color } }).png().toBuffer();
+    }
+
+    async function addImage(app, token, productId, color, fields = {}) {
+        const buffer = await photo(color);
+        let req = request(app).post(`/api/admin/products/${productId}/images`).set(auth(token));
+        Object.entries(fields).forEach(([name, value]) => {
+            req = req.field(name, value);
+        });
+        return req.attach('image', buffer, { filename: 'photo.png', contentType: 'image/png' });
+    }
+
+    test('сотрудник добавляет, подписывает, упорядочивает изображения и выбирает главное', async () => {
+        const context = createTestApp({ storage: { gcGraceHours: 0 } });
+        const { app, repos } = context;
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const userToken = await registerConfirmedUser(context, { username: 'viewer', email: 'viewer@neonred.test' });
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+        expect(hoodie.images).toEqual([]);
+
+        expect((await addImage(app, userToken, hoodie.id, '#111111')).status).toBe(403);
+
+        // Первое изображение становится главным и попадает в товар
+        const first = (await addImage(app, adminToken, hoodie.id, '#111111', { alt: 'Спереди' })).body.images;
+        expect(first).toHaveLength(1);
+        expect(first[0]).toMatchObject({ alt: 'Спереди', position: 0, is_primary: true });
+        expect((await findProduct(app, 'Худи NEON RED')).image_url).toBe(first[0].image_url);
+
+        await addImage(app, adminToken, hoodie.id, '#222222', { alt: 'Сзади' });
+        const third = await addImage(app, adminToken, hoodie.id, '#333333');
+        expect(third.status).toBe(201);
+        const [front, back, detail] = third.body.images;
+        expect(third.body.images.map(image => image.is_primary)).toEqual([true, false, false]);
+
+        // Порядок - только полный список изображений товара
+        await request(app)
+            .put(`/api/admin/products/${hoodie.id}/images/order`)
+            .set(auth(adminToken))
+            .send({ ids: [detail.id, front.id] })
+            .expect(400);
+        const reordered = await request(app)
+            .put(`/api/admin/products/${hoodie.id}/images/order`)
+            .set(auth(adminToken))
+            .send({ ids: [detail.id, front.id, back.id] })
+            .expect(200);
+        expect(reordered.body.images.map(image => [image.id, image.position])).toEqual([
+            [detail.id, 0], [front.id, 1], [back.id, 2]
+        ]);
+
+        await request(app)
+            .put(`/api/admin/products/${hoodie.id}/images/${detail.id}`)
+            .set(auth(adminToken))
+            .send({ alt: 'x'.repeat(201) })
+            .expect(400);
+        const updated = await request(app)
+            .put(`/api/admin/products/${hoodie.id}/images/${back.id}`)
+            .set(auth(adminToken))
+            .send({ alt: '  Вид сзади ', is_primary: true })
+            .expect(200);
+        expect(updated.body.images.filter(image => image.is_primary).map(image => image.id)).toEqual([back.id]);
+        expect(updated.body.images.find(image => image.id === back.id).alt).toBe('Вид сзади');
+
+        // Каталог отдаёт галерею по порядку, главное изображение остаётся изображением товара
+        const product = (await request(app).get(`/api/products/${hoodie.id}`).expect(200)).body;
+        expect(product.images.map(image => image.id)).toEqual([detail.id, front.id, back.id]);
+        expect(product.image_url).toBe(back.image_url);
+        expect(product.image_variants).toEqual(back.image_variants);
+
+        // Файлы галереи не считаются файлами без ссылок
+        const orphans = await request(app).get('/api/admin/storage/orphans').set(auth(adminToken)).expect(200);
+        expect(orphans.body.files).toEqual([]);
+
+        // Вместо удалённого главного главным становится первое
+        const removed = await request(app)
+            .delete(`/api/admin/products/${hoodie.id}/images/${back.id}`)
+            .set(auth(adminToken))
+            .expect(200);
+        expect(removed.body.images.map(image => [image.id, image.is_primary])).toEqual([
+            [detail.id, true], [front.id, false]
+        ]);
+        expect(await repos.storageRepo.read(back.image_url.slice(STORAGE_URL.length))).toBeNull();
+        expect((await findProduct(app, 'Худи NEON RED')).image_url).toBe(detail.image_url);
+
+        await request(app)
+            .delete(`/api/admin/products/${hoodie.id}/images/${back.id}`)
+            .set(auth(adminToken))
+            .expect(404);
+    });
+
+    test('параллельные загрузки получают разные позиции, сбой записи не оставляет изображения и файлов', async () => {
+        const { app, repos } = createTestApp();
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+        const hoodie = await findProduct(app, 'Худи NEON RED');
+
+        const uploads = await Promise.all(['#111111', '#222222', '#333333'].map(color =>
+            addImage(app, adminToken, hoodie.id, color)));
+        expect(uploads.map(res => res.status)).toEqual([201, 201, 201]);
+        const gallery = await repos.productImagesRepo.listByProducts([hoodie.id]);
+        expect(gallery.map(image => image.position)).toEqual([0, 1, 2]);
+        expect(gallery.filter(image => image.is_primary)).toHaveLength(1);
+
+        // Товар не обновился - новое изображение и его файлы убираются, главное остаётся прежним
+        const filesBefore = await repos.storageRepo.list('products');
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(repos.productsRepo, 'update').mockRejectedValueOnce(new Error('Сбой базы'));
+        try {
+            const failed = await addImage(app, adminToken, hoodie.id, '#444444', { is_primary: 'true' });
+            expect(failed.status).toBe(500);
+        } finally {
+            jest.restoreAllMocks();
+            errorSpy.mockRestore();
+        }
+        expect(await repos.productImagesRepo.listByProducts([hoodie.id])).toEqual(gallery);
+        expect(await repos.storageRepo.list('products')).toEqual(filesBefore);
+    });
+
+    test('изображение из формы товара становится главным, товар удаляется вместе с галереей', async () => {
+        const { app, repos } = createTestApp();
+        const adminToken = await login(app, ADMIN_CREDENTIALS);
+
+        const uploaded = (await request(app)
+            .post('/api/upload-image')
+            .set(auth(adminToken))
+            .attach('image', await photo('#444444'), { filename: 'cap.png', contentType: 'image/png' })
+            .expect(200)).body;
+        const created = await request(app)
+            .post('/api/admin/products')
+            .set(auth(adminToken))
+            .send({ title: 'Кепка NEON', price: 990, quantity: 3, image_url: uploaded.url, image_variants: uploaded.image_variants })
+            .expect(201);
+
+        const second = (await addImage(app, adminToken, created.body.id, '#555555')).body.images[1];
+        const gallery = (await request(app)
+            .get(`/api/admin/products/${created.body.id}`)
+            .set(auth(adminToken))
+            .expect(200)).body.images;
+        expect(gallery.map(image => [image.image_url, image.is_primary])).toEqual([
+            [uploaded.url, true], [second.image_url, false]
+        ]);
+
+        await request(app).delete(`/api/admin/products/${created.body.id}`).set(auth(adminToken)).expect(200);
+        for (const image of gallery) {
+            expect(await repos.storageRepo.read(image.image_url.slice(STORAGE_URL.length))).toBeNull();
+        }
+        expect(await repos.productImagesRepo.listByProducts([created.body.id])).toEqual([]);
+    });
+});
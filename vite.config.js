@@ -1,21 +1,63 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import vue from '@vitejs/plugin-vue'
 import { fileURLToPath, URL } from 'node:url'
 
-export default defineConfig({
-  plugins: [vue()],
-  resolve: {
-    alias: {
-      '@': fileURLToPath(new URL('./src', import.meta.url))
+// CSP для собранного фронтенда: скрипты только свои, запросы - к своему домену и к API (VITE_API_URL).
+// Стили Vue и шрифты Google подключаются из CSS, картинки товаров и аватары могут лежать
+// в любом хранилище по HTTPS. Политика встраивается в index.html только при сборке:
+// dev-сервер Vite вставляет стили и HMR-скрипты инлайн. frame-ancestors в meta не работает,
+// запрет встраивания в чужие страницы задаётся на хостинге
+function contentSecurityPolicy(env) {
+  const apiOrigin = env.VITE_API_URL ? new URL(env.VITE_API_URL).origin : null
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'"],
+    // Атрибуты style в шаблонах Vue вставляются вместе с разметкой
+    'style-src': ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
+    'font-src': ["'self'", 'https://fonts.gstatic.com', 'data:'],
+    'img-src': ["'self'", 'data:', 'blob:', 'https:', apiOrigin],
+    'connect-src': ["'self'", apiOrigin],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"]
+  }
+
+  return Object.entries(directives)
+    .map(([name, sources]) => [name, ...new Set(sources.filter(Boolean))].join(' '))
+    .join('; ')
+}
+
+function cspPlugin(env) {
+  return {
+    name: 'neon-red-csp',
+    apply: 'build',
+    transformIndexHtml() {
+      return [{
+        tag: 'meta',
+        attrs: { 'http-equiv': 'Content-Security-Policy', content: contentSecurityPolicy(env) },
+        injectTo: 'head-prepend'
+      }]
     }
-  },
-  server: {
-    port: 3000,
-    open: true
-  },
-  build: {
-    outDir: 'dist',
-    sourcemap: false
   }
-})
+}
 
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), 'VITE_')
+
+  return {
+    plugins: [vue(), cspPlugin(env)],
+    resolve: {
+      alias: {
+        '@': fileURLToPath(new URL('./src', import.meta.url))
+      }
+    },
+    server: {
+      port: 3000,
+      open: true
+    },
+    build: {
+      outDir: 'dist',
+      sourcemap: false
+    }
+  }
+})